@@ -0,0 +1,77 @@
+/**
+ * Admin Auth Module
+ *
+ * This module protects the admin routes with per-person API keys. Keys are
+ * set in the ADMIN_API_KEYS environment variable as comma-separated
+ * name:key pairs (e.g. "alice:k3y-1,bob:k3y-2") and sent as
+ * "Authorization: Bearer <key>". The name of the key's owner is the actor
+ * recorded in audit trails, so changes cannot be made in someone else's
+ * name. Admin routes are closed when no keys are set.
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Admin keys by SHA-256 hash of the key, so lookups do not compare raw keys
+const ADMIN_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS || '');
+
+/**
+ * Parse the ADMIN_API_KEYS setting
+ * @param {string} setting - Comma-separated name:key pairs
+ * @returns {Map} Owner name by key hash
+ */
+function parseAdminKeys(setting) {
+  const keys = new Map();
+
+  for (const entry of setting.split(',')) {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator === -1 || !name || !key) {
+      if (entry.trim()) {
+        throw new Error('Invalid ADMIN_API_KEYS: every entry must be name:key');
+      }
+      continue;
+    }
+    keys.set(hashKey(key), name);
+  }
+
+  return keys;
+}
+
+/**
+ * Hash an API key
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Express middleware that lets through requests with a valid admin key and
+ * sets req.adminUser to the key owner's name
+ * @param {Map} [adminKeys] - Owner name by key hash (defaults to ADMIN_API_KEYS)
+ * @returns {Function} Express middleware
+ */
+function requireAdmin(adminKeys = ADMIN_KEYS) {
+  return (req, res, next) => {
+    if (adminKeys.size === 0) {
+      return res.status(503).json({ success: false, error: 'Admin access is not configured; set ADMIN_API_KEYS' });
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const adminUser = match ? adminKeys.get(hashKey(match[1])) : undefined;
+    if (!adminUser) {
+      return res.status(401).json({ success: false, error: 'A valid admin API key is required' });
+    }
+
+    req.adminUser = adminUser;
+    next();
+  };
+}
+
+module.exports = {
+  parseAdminKeys,
+  requireAdmin
+};
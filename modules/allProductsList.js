@@ -14,9 +14,15 @@ const MF_API_CONFIG = {
   apiKey: 'APIKEY-STRFQUJDRDEyMw==',
   timeout: 15000, // 15 seconds timeout
   retries: 2,     // Number of retry attempts
-  retryDelay: 1000 // Delay between retries in ms
+  retryDelay: 1000, // Delay between retries in ms
+  listPageSize: 500, // Page size when fetching the whole list
+  maxListPages: 40,  // Pages fetched at most for the whole list
+  listCacheTtl: 15 * 60 * 1000 // How long a complete list is reused, in ms
 };
 
+// Complete mutual fund lists by filters and paging: { funds, fetchedAt }
+const mutualFundLists = new Map();
+
 /**
  * Fetch all mutual funds from the API
  * @param {Object} filters - Filters for mutual funds search
@@ -25,39 +31,9 @@ const MF_API_CONFIG = {
 async function fetchAllMutualFunds(filters = {}) {
   try {
     console.log('Fetching all mutual funds...');
-    
-    const payload = {
-      amcCode: filters.amcCode || [],
-      schemeType: filters.schemeType || [],
-      category: filters.category || "",
-      rating: filters.rating || "",
-      returnInYr: filters.returnInYr || "1Y",
-      divReInvstFlag: filters.divReInvstFlag || "",
-      schemeName: filters.schemeName || "",
-      sipMinInvestment: filters.sipMinInvestment || "",
-      sortOrder: filters.sortOrder || "desc",
-      pageNumber: filters.pageNumber || 1,
-      pageSize: filters.pageSize || 50
-    };
-    
-    const headers = {
-      'accept': '*/*',
-      'Authorization': MF_API_CONFIG.apiKey,
-      'Content-Type': 'application/json'
-    };
-    
-    const response = await axios.post(MF_API_CONFIG.baseUrl, payload, { 
-      headers,
-      timeout: MF_API_CONFIG.timeout
-    });
-    
-    if (response.status === 200 && response.data) {
-      console.log(`Successfully fetched ${response.data.length || 0} mutual funds`);
-      return response.data;
-    } else {
-      console.error('Error fetching mutual funds: Unexpected response', response.status);
-      return getMockMutualFunds();
-    }
+    const funds = await requestMutualFunds(filters);
+    console.log(`Successfully fetched ${funds.length || 0} mutual funds`);
+    return funds;
   } catch (error) {
     console.error('Error fetching mutual funds:', error.message);
     console.error('Error details:', error.response?.data || 'No response data');
@@ -65,6 +41,93 @@ async function fetchAllMutualFunds(filters = {}) {
   }
 }
 
+/**
+ * Fetch every mutual fund from the API, page by page
+ * Pages are requested until one comes back short. The mock data is used
+ * only when the first page fails; a later failure ends the list there.
+ * A complete list is reused for MF_API_CONFIG.listCacheTtl.
+ * @param {Object} [filters] - Filters for mutual funds search, without paging
+ * @param {Object} [paging] - { pageSize, maxPages }, defaulting to MF_API_CONFIG
+ * @returns {Promise<Array>} Array of mutual funds
+ */
+async function fetchMutualFundList(filters = {}, paging = {}) {
+  const pageSize = paging.pageSize || MF_API_CONFIG.listPageSize;
+  const maxPages = paging.maxPages || MF_API_CONFIG.maxListPages;
+  const cacheKey = JSON.stringify({ filters, pageSize, maxPages });
+  const cached = mutualFundLists.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < MF_API_CONFIG.listCacheTtl) {
+    return cached.funds;
+  }
+
+  const funds = [];
+  let complete = false;
+  for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+    let page;
+    try {
+      page = await requestMutualFunds({ ...filters, pageNumber, pageSize });
+      if (!Array.isArray(page)) {
+        throw new Error('Unexpected response format');
+      }
+    } catch (error) {
+      console.error(`Error fetching mutual funds page ${pageNumber}:`, error.message);
+      if (pageNumber === 1) {
+        return getMockMutualFunds();
+      }
+      break;
+    }
+
+    funds.push(...page);
+    if (page.length < pageSize) {
+      complete = true;
+      break;
+    }
+  }
+
+  console.log(`Fetched ${funds.length} mutual funds`);
+  if (complete) {
+    mutualFundLists.set(cacheKey, { funds, fetchedAt: Date.now() });
+  }
+  return funds;
+}
+
+/**
+ * Request one page of mutual funds from the API
+ * @param {Object} filters - Filters for mutual funds search, with pageNumber and pageSize
+ * @returns {Promise<Array>} Mutual funds of the page
+ * @throws {Error} When the request fails or the response is unexpected
+ */
+async function requestMutualFunds(filters) {
+  const payload = {
+    amcCode: filters.amcCode || [],
+    schemeType: filters.schemeType || [],
+    category: filters.category || "",
+    rating: filters.rating || "",
+    returnInYr: filters.returnInYr || "1Y",
+    divReInvstFlag: filters.divReInvstFlag || "",
+    schemeName: filters.schemeName || "",
+    sipMinInvestment: filters.sipMinInvestment || "",
+    sortOrder: filters.sortOrder || "desc",
+    pageNumber: filters.pageNumber || 1,
+    pageSize: filters.pageSize || 50
+  };
+  
+  const headers = {
+    'accept': '*/*',
+    'Authorization': MF_API_CONFIG.apiKey,
+    'Content-Type': 'application/json'
+  };
+  
+  const response = await axios.post(MF_API_CONFIG.baseUrl, payload, { 
+    headers,
+    timeout: MF_API_CONFIG.timeout
+  });
+  
+  if (response.status !== 200 || !response.data) {
+    throw new Error(`Unexpected response ${response.status}`);
+  }
+  return response.data;
+}
+
 /**
  * Get mock mutual fund data
  * @returns {Array} Mock mutual fund data
@@ -338,7 +401,7 @@ async function getAllProducts(category = null, filters = {}) {
     if (category) {
       switch (category.toLowerCase()) {
         case 'mutualfunds':
-          result.mutualFunds = await fetchAllMutualFunds(filters);
+          result.mutualFunds = await fetchMutualFundList(filters);
           break;
         case 'unlistedstocks':
           result.unlistedStocks = getAllUnlistedStocks();
@@ -358,7 +421,7 @@ async function getAllProducts(category = null, filters = {}) {
     } else {
       // Fetch all categories
       const [mutualFunds, unlistedStocks, pmsSchemes, alternativeFunds, debtPapers] = await Promise.all([
-        fetchAllMutualFunds(filters),
+        fetchMutualFundList(filters),
         Promise.resolve(getAllUnlistedStocks()),
         Promise.resolve(getAllPMSSchemes()),
         Promise.resolve(getAllAlternativeFunds()),
@@ -399,46 +462,32 @@ async function searchProducts(searchTerm, categories = ['mutualFunds', 'unlisted
     const results = {};
     
     if (categories.includes('mutualFunds')) {
-      results.mutualFunds = allProducts.mutualFunds.filter(fund => 
-        fund.schemeName.toLowerCase().includes(normalizedSearchTerm) || 
-        fund.amcName.toLowerCase().includes(normalizedSearchTerm) ||
-        fund.category.toLowerCase().includes(normalizedSearchTerm)
+      results.mutualFunds = (Array.isArray(allProducts.mutualFunds) ? allProducts.mutualFunds : []).filter(fund =>
+        matchesTerm(normalizedSearchTerm, fund.schemeName || fund.SchemeName, fund.amcName || fund.AMCName, fund.category || fund.CategoryName)
       );
     }
     
     if (categories.includes('unlistedStocks')) {
-      results.unlistedStocks = allProducts.unlistedStocks.filter(stock => 
-        stock.scriptName.toLowerCase().includes(normalizedSearchTerm) || 
-        stock.sector.toLowerCase().includes(normalizedSearchTerm) ||
-        stock.companyDescription.toLowerCase().includes(normalizedSearchTerm)
+      results.unlistedStocks = allProducts.unlistedStocks.filter(stock =>
+        matchesTerm(normalizedSearchTerm, stock.scriptName, stock.sector, stock.companyDescription)
       );
     }
     
     if (categories.includes('pms')) {
-      results.pms = allProducts.pmsSchemes.filter(scheme => 
-        scheme.schemeName.toLowerCase().includes(normalizedSearchTerm) || 
-        scheme.fundManager.toLowerCase().includes(normalizedSearchTerm) ||
-        scheme.strategy.toLowerCase().includes(normalizedSearchTerm) ||
-        scheme.schemeObjective.toLowerCase().includes(normalizedSearchTerm)
+      results.pms = allProducts.pmsSchemes.filter(scheme =>
+        matchesTerm(normalizedSearchTerm, scheme.schemeName, scheme.fundManager, scheme.strategy, scheme.schemeObjective)
       );
     }
     
     if (categories.includes('alternativeFunds')) {
-      results.alternativeFunds = allProducts.alternativeFunds.filter(fund => 
-        fund.fundName.toLowerCase().includes(normalizedSearchTerm) || 
-        fund.fundManager.toLowerCase().includes(normalizedSearchTerm) ||
-        fund.category.toLowerCase().includes(normalizedSearchTerm) ||
-        fund.strategy.toLowerCase().includes(normalizedSearchTerm) ||
-        fund.fundObjective.toLowerCase().includes(normalizedSearchTerm)
+      results.alternativeFunds = allProducts.alternativeFunds.filter(fund =>
+        matchesTerm(normalizedSearchTerm, fund.fundName, fund.fundManager, fund.category, fund.strategy, fund.fundObjective)
       );
     }
     
     if (categories.includes('debtPapers')) {
-      results.debtPapers = allProducts.debtPapers.filter(paper => 
-        paper.instrumentName.toLowerCase().includes(normalizedSearchTerm) || 
-        paper.issuer.toLowerCase().includes(normalizedSearchTerm) ||
-        paper.instrumentType.toLowerCase().includes(normalizedSearchTerm) ||
-        paper.issuerDescription.toLowerCase().includes(normalizedSearchTerm)
+      results.debtPapers = allProducts.debtPapers.filter(paper =>
+        matchesTerm(normalizedSearchTerm, paper.instrumentName, paper.issuer, paper.instrumentType, paper.issuerDescription)
       );
     }
     
@@ -449,8 +498,20 @@ async function searchProducts(searchTerm, categories = ['mutualFunds', 'unlisted
   }
 }
 
+/**
+ * Check whether any of a product's fields contains the search term
+ * Fields the product does not have are skipped.
+ * @param {string} searchTerm - Search term in lower case
+ * @param {...*} values - Field values
+ * @returns {boolean} True if a field contains the term
+ */
+function matchesTerm(searchTerm, ...values) {
+  return values.some(value => typeof value === 'string' && value.toLowerCase().includes(searchTerm));
+}
+
 module.exports = {
   fetchAllMutualFunds,
+  fetchMutualFundList,
   getAllUnlistedStocks,
   getAllPMSSchemes,
   getAllAlternativeFunds,
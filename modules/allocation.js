@@ -5,15 +5,25 @@
  * and portfolio size.
  */
 
+const goalPlanning = require('./goals');
+const projection = require('./projection');
+const allocationMatrix = require('./allocationMatrix');
+const taxPlanning = require('./taxPlanning');
+
 /**
  * Generate asset allocation based on client risk profile and portfolio size
- * @param {Object} clientData - Client profile and risk assessment data
+ * @param {Object} clientData - Client profile and risk assessment data, with the allocation policy and
+ *   the proposal date (YYYY-MM-DD, default today) when given
  * @returns {Object} Asset allocation recommendations
  */
 function generateAssetAllocation(clientData) {
   try {
     const { riskProfile, clientProfile } = clientData;
     
+    // Use the allocation policy in force on the proposal date, or the default matrix
+    const policy = clientData.allocationPolicy || null;
+    const matrix = policy?.matrix;
+    
     // Extract portfolio size from client data
     const portfolioSize = extractPortfolioSize(clientProfile);
     
@@ -21,28 +31,178 @@ function generateAssetAllocation(clientData) {
     const portfolioSizeInCrores = portfolioSize / 10000000;
     
     // Get detailed portfolio allocation based on risk category and portfolio size
-    const detailedAllocation = getPortfolioAllocation(riskProfile.riskCategory, portfolioSizeInCrores);
+    let detailedAllocation = getPortfolioAllocation(riskProfile.riskCategory, portfolioSizeInCrores, matrix);
+    
+    // Unrounded vehicle percentages, for comparisons that the rounded crore values would distort on small portfolios
+    let vehicleWeights = getVehicleWeights(riskProfile.riskCategory, portfolioSizeInCrores, matrix);
     
     // Generate asset class allocation based on risk profile and portfolio size
     // This ensures consistency between the pie chart and detailed breakdown
-    const assetClassAllocation = generateAssetClassAllocation(riskProfile.riskCategory, portfolioSizeInCrores);
+    let assetClassAllocation = generateAssetClassAllocation(riskProfile.riskCategory, portfolioSizeInCrores, matrix);
+    
+    let allocationExplanation = generateAllocationExplanation(riskProfile.riskCategory, portfolioSizeInCrores);
+    
+    // Blend the per-goal buckets into the allocation when the client has goals
+    let goalPlan = null;
+    const goals = clientProfile.investmentObjectives?.goals;
+    if (Array.isArray(goals) && goals.length > 0) {
+      goalPlan = goalPlanning.planGoals(goals, {
+        initialInvestment: portfolioSize,
+        monthlyContribution: clientProfile.investmentObjectives.regularContributionAmount || 0,
+        maxEquity: assetClassAllocation.equity,
+        // Horizons run from the proposal date, so a stored proposal can be reproduced later
+        asOf: clientData.proposalDate ? new Date(`${clientData.proposalDate}T00:00:00`) : new Date()
+      });
+      
+      if (goalPlan.equityPercentage !== assetClassAllocation.equity) {
+        assetClassAllocation = applyEquityPercentage(assetClassAllocation, goalPlan.equityPercentage);
+        detailedAllocation = rescaleDetailedAllocation(detailedAllocation, assetClassAllocation, matrix);
+        vehicleWeights = rescaleVehicles(vehicleWeights, 100, assetClassAllocation, matrix);
+        allocationExplanation += ` The equity share has been adjusted to ${assetClassAllocation.equity}% so that money earmarked for nearer-term goals is held in lower-risk investments.`;
+      }
+      
+      goalPlanning.estimatePortfolioProbabilities(goalPlan, projection.getPortfolioAssumptions({ assetClassAllocation, detailedAllocation }));
+    }
     
     // Generate product type allocation from detailed allocation
     const productTypeAllocation = generateProductTypeAllocation(detailedAllocation, assetClassAllocation);
     
+    // Carve the Section 80C investments out of the equity mutual fund and debt vehicles
+    const taxSavingPlan = taxPlanning.planTaxSaving(clientProfile, { portfolioSize, assetClassAllocation, detailedAllocation });
+    if (taxSavingPlan?.deduction > 0) {
+      allocationExplanation += ` ₹${taxSavingPlan.deduction.toLocaleString('en-IN')} of the portfolio goes into tax-saving investments that qualify for the Section 80C deduction.`;
+    }
+    
     return {
       portfolioSize,
       portfolioSizeInCrores,
       assetClassAllocation,
       detailedAllocation,
+      vehicleWeights,
       productTypeAllocation,
-      allocationExplanation: generateAllocationExplanation(riskProfile.riskCategory, portfolioSizeInCrores)
+      goalPlan,
+      taxSavingPlan,
+      allocationPolicy: policy ?
+        { id: policy.id, name: policy.name, effectiveFrom: policy.effectiveFrom } :
+        { id: 'default', name: 'Default allocation matrix', effectiveFrom: null },
+      allocationExplanation
     };
   } catch (error) {
     throw new Error(`Error generating asset allocation: ${error.message}`);
   }
 }
 
+/**
+ * Set the equity percentage of an asset class allocation
+ * The other asset classes are scaled proportionally to fill the rest.
+ * @param {Object} assetClassAllocation - Asset class percentages
+ * @param {number} equity - New equity percentage
+ * @returns {Object} Adjusted asset class percentages
+ */
+function applyEquityPercentage(assetClassAllocation, equity) {
+  const adjusted = { ...assetClassAllocation, equity };
+  const otherClasses = Object.keys(assetClassAllocation).filter(assetClass => assetClass !== 'equity');
+  const otherTotal = otherClasses.reduce((total, assetClass) => total + (assetClassAllocation[assetClass] || 0), 0);
+  
+  if (otherTotal === 0) {
+    adjusted.debt = 100 - equity;
+    return adjusted;
+  }
+  
+  for (const assetClass of otherClasses) {
+    adjusted[assetClass] = Math.round((assetClassAllocation[assetClass] || 0) / otherTotal * (100 - equity));
+  }
+  
+  return adjusted;
+}
+
+/**
+ * Rescale the investment vehicles so their asset class split matches the asset class allocation
+ * @param {Object} detailedAllocation - Crore values per investment vehicle, with Total
+ * @param {Object} assetClassAllocation - Asset class percentages
+ * @param {Object} [matrix] - Allocation matrix the vehicles come from (defaults to the config matrix)
+ * @returns {Object} Rescaled crore values per investment vehicle
+ */
+function rescaleDetailedAllocation(detailedAllocation, assetClassAllocation, matrix) {
+  const total = detailedAllocation.Total || 0;
+  if (total <= 0) {
+    return detailedAllocation;
+  }
+  
+  const vehicles = { ...detailedAllocation };
+  delete vehicles.Total;
+  delete vehicles.error;
+  
+  const rescaled = {};
+  for (const [vehicle, amount] of Object.entries(rescaleVehicles(vehicles, total, assetClassAllocation, matrix))) {
+    rescaled[vehicle] = Math.round(amount * 10000) / 10000;
+  }
+  
+  rescaled.Total = total;
+  return rescaled;
+}
+
+/**
+ * Rescale amounts per investment vehicle so their asset class split matches the asset class allocation
+ * Each vehicle belongs to the asset class the allocation matrix gives it. Debt
+ * takes what the other asset classes leave, so the amounts still add up to the
+ * total when the percentages are rounded. If equity or debt has no vehicles,
+ * its amount goes to Equity Mutual Funds or Debt Mutual Funds.
+ * @param {Object} amounts - Amount per investment vehicle
+ * @param {number} total - Total the amounts add up to
+ * @param {Object} assetClassAllocation - Asset class percentages
+ * @param {Object} [matrix] - Allocation matrix the vehicles come from (defaults to the config matrix)
+ * @returns {Object} Rescaled amount per investment vehicle (unrounded)
+ */
+function rescaleVehicles(amounts, total, assetClassAllocation, matrix) {
+  const fallbacks = { equity: 'Equity Mutual Funds', debt: 'Debt Mutual Funds' };
+  
+  const vehiclesByAssetClass = {};
+  for (const vehicle of Object.keys(amounts)) {
+    const definition = allocationMatrix.getVehicle(vehicle, matrix);
+    if (!definition) {
+      throw new Error(`Unknown investment vehicle: ${vehicle}`);
+    }
+    (vehiclesByAssetClass[definition.assetClass] = vehiclesByAssetClass[definition.assetClass] || []).push(vehicle);
+  }
+  
+  const targets = {};
+  for (const assetClass of new Set([...Object.keys(assetClassAllocation), ...Object.keys(vehiclesByAssetClass)])) {
+    if (assetClass !== 'debt') {
+      targets[assetClass] = total * (assetClassAllocation[assetClass] || 0) / 100;
+    }
+  }
+  targets.debt = total - Object.values(targets).reduce((sum, target) => sum + target, 0);
+  
+  const rescaled = {};
+  for (const [assetClass, target] of Object.entries(targets)) {
+    const assetClassVehicles = vehiclesByAssetClass[assetClass] || [];
+    const current = assetClassVehicles.reduce((sum, vehicle) => sum + amounts[vehicle], 0);
+    
+    if (current > 0) {
+      for (const vehicle of assetClassVehicles) {
+        rescaled[vehicle] = amounts[vehicle] / current * target;
+      }
+    } else if (target > 0 && fallbacks[assetClass]) {
+      rescaled[fallbacks[assetClass]] = target;
+    }
+  }
+  
+  return rescaled;
+}
+
+/**
+ * Get the percentage of the portfolio per investment vehicle
+ * @param {string} strategy - Risk category
+ * @param {number} portfolioSize - Portfolio size in crores of INR
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
+ * @returns {Object} Matrix weight per vehicle, empty for an invalid strategy
+ */
+function getVehicleWeights(strategy, portfolioSize, matrix) {
+  const band = allocationMatrix.getAllocationBand(strategy, Number(portfolioSize), matrix);
+  return band ? { ...band.weights } : {};
+}
+
 /**
  * Extract portfolio size from client profile
  * @param {Object} clientProfile - Client profile data
@@ -57,80 +217,35 @@ function extractPortfolioSize(clientProfile) {
 
 /**
  * Generate asset class allocation based on risk profile and portfolio size
+ * The percentages are the sums of the allocation matrix vehicle weights, so
+ * they always match the detailed allocation.
  * @param {string} riskCategory - Client risk category
  * @param {number} portfolioSize - Portfolio size in crores
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
  * @returns {Object} Asset class allocation percentages
  */
-function generateAssetClassAllocation(riskCategory, portfolioSize) {
-  // For small portfolios (1 cr or less), use these specific allocations
-  if (portfolioSize <= 1) {
-    switch (riskCategory) {
-      case 'Ultra-Aggressive':
-        return {
-          equity: 100,  // 100% Equity MF
-          debt: 0
-        };
-      case 'Aggressive':
-        return {
-          equity: 75,   // 75% Equity MF
-          debt: 25      // 15% Debt MF + 10% Direct Debt
-        };
-      case 'Moderate':
-        return {
-          equity: 60,   // 60% Equity MF
-          debt: 40      // 20% Debt MF + 20% Direct Debt
-        };
-      case 'Conservative':
-        return {
-          equity: 40,   // 40% Equity MF
-          debt: 60      // 30% Debt MF + 30% Direct Debt
-        };
-    }
-  }
+function generateAssetClassAllocation(riskCategory, portfolioSize, matrix) {
+  // Default to Moderate if risk category is not recognized
+  const band = allocationMatrix.getAllocationBand(riskCategory, portfolioSize, matrix) ||
+    allocationMatrix.getAllocationBand('Moderate', portfolioSize, matrix);
   
-  // For Conservative portfolios up to 2 cr
-  if (riskCategory === 'Conservative' && portfolioSize <= 2) {
-    return {
-      equity: 40,
-      debt: 60
-    };
+  const assetClassAllocation = {
+    equity: 0,
+    debt: 0
+  };
+  
+  for (const [vehicle, weight] of Object.entries(band.weights)) {
+    const { assetClass } = allocationMatrix.getVehicle(vehicle, matrix);
+    assetClassAllocation[assetClass] = (assetClassAllocation[assetClass] || 0) + weight;
   }
   
-  // For larger portfolios, use standard allocations
-  switch (riskCategory) {
-    case 'Ultra-Aggressive':
-      return {
-        equity: 90,     // PMS + MF + part of AIF
-        debt: 10
-      };
-    case 'Aggressive':
-      return {
-        equity: 80,     // Equity PMS + Equity MF + part of Equity AIF
-        debt: 20        // Debt MF + Direct Debt
-      };
-    case 'Moderate':
-      return {
-        equity: 60,     // Equity PMS + Equity MF
-        debt: 40        // Debt MF + Direct Debt
-      };
-    case 'Conservative':
-      return {
-        equity: 40,     // Equity PMS + Equity MF
-        debt: 60,       // Debt MF + Direct Debt
-        goldSilver: 0
-      };
-    default:
-      // Default to Moderate if risk category is not recognized
-      return {
-        equity: 60,
-        debt: 40,
-        goldSilver: 0
-      };
+  for (const assetClass of Object.keys(assetClassAllocation)) {
+    assetClassAllocation[assetClass] = Math.round(assetClassAllocation[assetClass]);
   }
+  
+  return assetClassAllocation;
 }
 
-
-
 /**
  * Generate explanation for asset allocation
  * @param {string} riskCategory - Client risk category
@@ -182,260 +297,55 @@ function generateAllocationExplanation(riskCategory, portfolioSizeInCrores) {
  * 1. Strategy type (Ultra-Aggressive, Aggressive, Moderate, Conservative)
  * 2. Portfolio size (in crores)
  * 
+ * The vehicle weights come from the allocation matrix band that the
+ * portfolio size falls in (see config/allocationMatrix.json).
+ * 
  * NOTE: All monetary values in this function and its related functions are in CRORES of INR.
  * 
- * Special cases as per the investment guidelines:
- * - Ultra-Aggressive: For 1cr and less → 100% in Equity MF
- * - Aggressive: For 1cr and less → 75% Equity MF, 15% Debt MF, 10% Direct Debt
- * - Moderate: For 1cr and less → 60% Equity MF, 20% Debt MF, 20% Direct Debt
- * - Conservative: For 2cr and less → 40% Equity MF, 30% Debt MF, 30% Direct Debt
+ * @param {string} strategy - Risk category
+ * @param {number} portfolioSize - Portfolio size in crores of INR
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
  */
-function calculateAllocation(strategy, portfolioSize) {
+function calculateAllocation(strategy, portfolioSize, matrix) {
   // Convert portfolio size to number if it's a string
   portfolioSize = Number(portfolioSize);
   
-  // Default allocation if no match is found
-  let allocation = {
-    error: "Invalid strategy or portfolio size"
-  };
-
-  // Special case for small portfolios (1 cr or less)
-  if (portfolioSize <= 1) {
-    if (strategy === "Ultra Aggressive") {
-      allocation = {
-        "Equity Mutual Funds": portfolioSize, // 100% in Equity MF
-        "Total": portfolioSize
-      };
-    } else if (strategy === "Aggressive") {
-      allocation = {
-        "Equity Mutual Funds": portfolioSize * 0.75, // 75%
-        "Debt Mutual Funds": portfolioSize * 0.15,   // 15%
-        "Direct Debt": portfolioSize * 0.10,         // 10%
-        "Total": portfolioSize
-      };
-    } else if (strategy === "Moderate") {
-      allocation = {
-        "Equity Mutual Funds": portfolioSize * 0.60, // 60%
-        "Debt Mutual Funds": portfolioSize * 0.20,   // 20%
-        "Direct Debt": portfolioSize * 0.20,         // 20%
-        "Total": portfolioSize
-      };
-    } else if (strategy === "Conservative") {
-      allocation = {
-        "Equity Mutual Funds": portfolioSize * 0.40, // 40%
-        "Debt Mutual Funds": portfolioSize * 0.30,   // 30%
-        "Direct Debt": portfolioSize * 0.30,         // 30%
-        "Total": portfolioSize
-      };
-    }
-    
-    return allocation;
-  }
-
-  // Special case for 1-2 cr in Conservative
-  if (strategy === "Conservative" && portfolioSize <= 2) {
-    allocation = {
-      "Equity Mutual Funds": portfolioSize * 0.40, // 40%
-      "Debt Mutual Funds": portfolioSize * 0.30,   // 30%
-      "Direct Debt": portfolioSize * 0.30,         // 30%
-      "Total": portfolioSize
+  const band = allocationMatrix.getAllocationBand(strategy, portfolioSize, matrix);
+  if (!band || !Number.isFinite(portfolioSize)) {
+    return {
+      error: "Invalid strategy or portfolio size"
     };
-    return allocation;
   }
-
-  // Standard allocations for larger portfolios
-  if (strategy === "Ultra-Aggressive") {
-    // Ultra Aggressive has fixed percentages across portfolio sizes
-    allocation = {
-      "AIF": portfolioSize * 0.60,              // 60%
-      "PMS": portfolioSize * 0.25,              // 25%
-      "Mutual Funds": portfolioSize * 0.15,     // 15%
-      "Total": portfolioSize
-    };
-  } else if (strategy === "Aggressive") {
-    // Based on Image 3 - Aggressive strategy specific allocation for each portfolio size
-    if (portfolioSize <= 2) {
-      allocation = {
-        "Equity PMS": 0.5,                      // Fixed 0.5 cr
-        "Equity Mutual Funds": 1,               // Fixed 1 cr
-        "Debt Mutual Funds": 0.25,              // Fixed 0.25 cr
-        "Direct Debt": 0.25,                    // Fixed 0.25 cr
-        "Total": portfolioSize
-      };
-    } else if (portfolioSize <= 5) {
-      allocation = {
-        "Equity AIF": 2,                        // Fixed 2 cr
-        "Equity PMS": 1,                        // Fixed 1 cr
-        "Equity Mutual Funds": 0.75,            // Fixed 0.75 cr
-        "Debt Mutual Funds": 0.5,               // Fixed 0.5 cr
-        "Direct Debt": 0.75,                    // Fixed 0.75 cr
-        "Total": portfolioSize
-      };
-    } else {
-      // For portfolios > 5 cr, use percentage-based logic
-      allocation = {
-        "Equity AIF": portfolioSize * 0.40,     // 40%
-        "Equity PMS": portfolioSize * 0.20,     // 20%
-        "Equity Mutual Funds": portfolioSize * 0.15, // 15%
-        "Debt AIF": portfolioSize * 0.10,       // 10%
-        "Debt Mutual Funds": portfolioSize * 0.05, // 5%
-        "Direct Debt": portfolioSize * 0.10,    // 10%
-        "Total": portfolioSize
-      };
-    }
-  } else if (strategy === "Moderate") {
-    allocation = {
-      "Equity PMS": portfolioSize * 0.25,        // 25%
-      "Equity Mutual Funds": portfolioSize * 0.35, // 35%
-      "Debt Mutual Funds": portfolioSize * 0.20,  // 20%
-      "Direct Debt": portfolioSize * 0.20,        // 20%
-      "Total": portfolioSize
-    };
-  } else if (strategy === "Conservative") {
-    allocation = {
-      "Equity PMS": portfolioSize * 0.10,        // 10%
-      "Equity Mutual Funds": portfolioSize * 0.30, // 30%
-      "Debt Mutual Funds": portfolioSize * 0.30,  // 30%
-      "Direct Debt": portfolioSize * 0.30,        // 30%
-      "Total": portfolioSize
-    };
+  
+  const allocation = {};
+  for (const [vehicle, weight] of Object.entries(band.weights)) {
+    allocation[vehicle] = Math.round(portfolioSize * weight / 100 * 10000) / 10000;
   }
-
+  allocation.Total = portfolioSize;
+  
   return allocation;
 }
 
 /**
- * Helper function to get predefined allocations for specific portfolio sizes
- * This returns the exact values from the table for common portfolio sizes
- * or calculates the appropriate allocation for sizes not in the table
+ * Helper function to get the allocation for the size band a portfolio falls in
+ * @param {string} strategy - Risk category
+ * @param {number} portfolioSize - Portfolio size in crores of INR
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
+ * @returns {object} - The allocation breakdown with all values in crores of INR
  */
-function getPredefinedAllocation(strategy, portfolioSize) {
+function getPredefinedAllocation(strategy, portfolioSize, matrix) {
   // Convert portfolio size to number if it's a string
   portfolioSize = Number(portfolioSize);
   
-  // Create lookup tables based on the CSV data
-  // Based on Image 4 - Ultra-Aggressive strategy table values
-  const ultraAggressiveLookup = {
-    2: { "AIF": 1.2, "PMS": 0.5, "Mutual Funds": 0.3 },
-    5: { "AIF": 3, "PMS": 1.25, "Mutual Funds": 0.75 },
-    10: { "AIF": 6, "PMS": 2.5, "Mutual Funds": 1.5 },
-    15: { "AIF": 9, "PMS": 3.75, "Mutual Funds": 2.25 },
-    20: { "AIF": 12, "PMS": 5, "Mutual Funds": 3 },
-    25: { "AIF": 15, "PMS": 6.25, "Mutual Funds": 3.75 }
-  };
-  
-  // Based on Image 3 - Aggressive strategy table values
-  const aggressiveLookup = {
-    2: { "Equity AIF": 0, "Equity PMS": 0.5, "Equity Mutual Funds": 1, "Debt AIF": 0, "Debt Mutual Funds": 0.25, "Direct Debt": 0.25 },
-    5: { "Equity AIF": 2, "Equity PMS": 1, "Equity Mutual Funds": 0.75, "Debt AIF": 0, "Debt Mutual Funds": 0.5, "Direct Debt": 0.75 },
-    10: { "Equity AIF": 4, "Equity PMS": 2, "Equity Mutual Funds": 1.5, "Debt AIF": 1, "Debt Mutual Funds": 0.5, "Direct Debt": 1 },
-    15: { "Equity AIF": 6, "Equity PMS": 3, "Equity Mutual Funds": 2.25, "Debt AIF": 1.5, "Debt Mutual Funds": 0.75, "Direct Debt": 1.5 },
-    20: { "Equity AIF": 8, "Equity PMS": 4, "Equity Mutual Funds": 3, "Debt AIF": 2, "Debt Mutual Funds": 1, "Direct Debt": 2 },
-    25: { "Equity AIF": 10, "Equity PMS": 5, "Equity Mutual Funds": 3.75, "Debt AIF": 2.5, "Debt Mutual Funds": 1.25, "Direct Debt": 2.5 }
-  };
-  
-  // Based on Image 2 - Moderate strategy table values
-  const moderateLookup = {
-    2: { "Equity AIF": 0, "Equity PMS": 0.5, "Equity Mutual Funds": 0.7, "Debt AIF": 0, "Debt Mutual Funds": 0.4, "Direct Debt": 0.4 },
-    5: { "Equity AIF": 0, "Equity PMS": 1.25, "Equity Mutual Funds": 1.75, "Debt AIF": 0, "Debt Mutual Funds": 1, "Direct Debt": 1 },
-    10: { "Equity AIF": 0, "Equity PMS": 2.5, "Equity Mutual Funds": 3.5, "Debt AIF": 0, "Debt Mutual Funds": 2, "Direct Debt": 2 },
-    15: { "Equity AIF": 0, "Equity PMS": 3.75, "Equity Mutual Funds": 5.25, "Debt AIF": 0, "Debt Mutual Funds": 3, "Direct Debt": 3 },
-    20: { "Equity AIF": 0, "Equity PMS": 5, "Equity Mutual Funds": 7, "Debt AIF": 0, "Debt Mutual Funds": 4, "Direct Debt": 4 },
-    25: { "Equity AIF": 0, "Equity PMS": 6.25, "Equity Mutual Funds": 8.75, "Debt AIF": 0, "Debt Mutual Funds": 5, "Direct Debt": 5 }
-  };
-  
-  // Based on Image 1 - Conservative strategy table values
-  const conservativeLookup = {
-    2: { "Equity AIF": 0, "Equity PMS": 0, "Equity Mutual Funds": 0.8, "Debt AIF": 0, "Debt Mutual Funds": 0.6, "Direct Debt": 0.6 },
-    5: { "Equity AIF": 0, "Equity PMS": 0.5, "Equity Mutual Funds": 1.5, "Debt AIF": 0, "Debt Mutual Funds": 1.5, "Direct Debt": 1.5 },
-    10: { "Equity AIF": 0, "Equity PMS": 1, "Equity Mutual Funds": 3, "Debt AIF": 0, "Debt Mutual Funds": 3, "Direct Debt": 3 },
-    15: { "Equity AIF": 0, "Equity PMS": 1.5, "Equity Mutual Funds": 4.5, "Debt AIF": 0, "Debt Mutual Funds": 4.5, "Direct Debt": 4.5 },
-    20: { "Equity AIF": 0, "Equity PMS": 2, "Equity Mutual Funds": 6, "Debt AIF": 0, "Debt Mutual Funds": 6, "Direct Debt": 6 },
-    25: { "Equity AIF": 0, "Equity PMS": 2.5, "Equity Mutual Funds": 7.5, "Debt AIF": 0, "Debt Mutual Funds": 7.5, "Direct Debt": 7.5 }
-  };
-  
-  // Get the lookup table based on strategy
-  let lookupTable;
-  if (strategy === "Ultra-Aggressive") {
-    lookupTable = ultraAggressiveLookup;
-  } else if (strategy === "Aggressive") {
-    lookupTable = aggressiveLookup;
-  } else if (strategy === "Moderate") {
-    lookupTable = moderateLookup;
-  } else if (strategy === "Conservative") {
-    lookupTable = conservativeLookup;
-  } else {
+  const band = allocationMatrix.getAllocationBand(strategy, portfolioSize, matrix);
+  if (!band) {
     return { error: "Invalid strategy" };
   }
   
-  // Define portfolio size ranges
-  const ranges = [
-    { max: 2, key: 2 },
-    { max: 5, key: 5 },
-    { max: 10, key: 10 },
-    { max: 15, key: 15 },
-    { max: 20, key: 20 },
-    { max: 25, key: 25 },
-    { max: Infinity, key: 25 } // For portfolios > 25 cr, use the 25 cr allocation
-  ];
-  
-  // Special case for small portfolios (1 cr or less)
-  if (portfolioSize <= 1) {
-    console.log(`Portfolio size ${portfolioSize} cr is <= 1 cr. Using special small portfolio allocation.`);
-    return calculateAllocation(strategy, portfolioSize);
-  }
-  
-  // Special case for Conservative portfolios up to 2 cr
-  if (strategy === "Conservative" && portfolioSize <= 2) {
-    console.log(`Conservative portfolio with size ${portfolioSize} cr is <= 2 cr. Using special allocation.`);
-    return calculateAllocation(strategy, portfolioSize);
-  }
-  
-  // Find the appropriate range for the portfolio size
-  let rangeKey = null;
-  for (const range of ranges) {
-    if (portfolioSize <= range.max) {
-      rangeKey = range.key;
-      break;
-    }
-  }
-  
-  // If we have a predefined allocation for this range, use it
-  if (rangeKey && lookupTable[rangeKey]) {
-    console.log(`Portfolio size ${portfolioSize} cr falls in range <= ${rangeKey} cr. Using predefined allocation for ${rangeKey} cr.`);
-    
-    // For portfolios that don't exactly match a key in the lookup table,
-    // we need to scale the allocation proportionally
-    const baseAllocation = {...lookupTable[rangeKey]};
-    const result = {};
-    
-    // For Aggressive strategy with portfolios between 2-5 cr, use fixed values
-    if (strategy === "Aggressive" && portfolioSize > 2 && portfolioSize <= 5) {
-      console.log(`Aggressive portfolio with size ${portfolioSize} cr is between 2-5 cr. Using fixed values.`);
-      return calculateAllocation(strategy, portfolioSize);
-    }
-    
-    // For other cases, scale the allocation proportionally
-    const scalingFactor = portfolioSize / rangeKey;
-    
-    // Apply scaling factor to each allocation
-    for (const [key, value] of Object.entries(baseAllocation)) {
-      result[key] = value * scalingFactor;
-    }
-    
-    // Calculate total
-    let total = 0;
-    for (const key in result) {
-      total += result[key];
-    }
-    result.Total = portfolioSize; // Ensure total matches the portfolio size
-    
-    return result;
-  }
+  const bandLabel = band.maxSize === null ? `above ${band.minSize} cr` : `${band.minSize}-${band.maxSize} cr`;
+  console.log(`Portfolio size ${portfolioSize} cr falls in the ${strategy} band ${bandLabel}. Using the allocation matrix weights for this band.`);
   
-  // If we don't have a predefined allocation, use the calculated allocation
-  console.log(`No range match found for ${strategy} with ${portfolioSize} crores. Using calculated allocation.`);
-  return calculateAllocation(strategy, portfolioSize);
+  return calculateAllocation(strategy, portfolioSize, matrix);
 }
 
 /**
@@ -443,12 +353,13 @@ function getPredefinedAllocation(strategy, portfolioSize) {
  * 
  * @param {string} strategy - "Ultra-Aggressive", "Aggressive", "Moderate", or "Conservative"
  * @param {number} portfolioSize - Portfolio size in crores of INR
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
  * @returns {object} - The allocation breakdown with all values in crores of INR
  */
-function getPortfolioAllocation(strategy, portfolioSize) {
+function getPortfolioAllocation(strategy, portfolioSize, matrix) {
   // Always use the range-based approach to ensure consistent allocations
   // This will handle both exact matches and ranges appropriately
-  return getPredefinedAllocation(strategy, portfolioSize);
+  return getPredefinedAllocation(strategy, portfolioSize, matrix);
 }
 
 /**
@@ -0,0 +1,168 @@
+/**
+ * Allocation Matrix Module
+ *
+ * This module loads the allocation matrix from config/allocationMatrix.json.
+ * The matrix is the single definition of the house view: for every risk
+ * category it lists portfolio size bands (in crores) and the percentage of
+ * the portfolio that goes to each investment vehicle in that band. Vehicles
+ * declare their asset class and, for PMS and AIF, the minimum ticket size
+ * (in crores).
+ *
+ * Size bands are ordered by `maxSize`; a band covers sizes above the
+ * previous band's `maxSize` up to and including its own. Only the last band
+ * may omit `maxSize`.
+ *
+ * The config matrix is the default; allocation policies activated through
+ * the admin API (allocationPolicies.js) carry their own matrix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { RISK_CATEGORIES } = require('./riskQuestionnaire');
+require('dotenv').config();
+
+// Matrix configuration
+const MATRIX_CONFIG = {
+  filePath: process.env.ALLOCATION_MATRIX_PATH || path.join(__dirname, '../config/allocationMatrix.json'),
+  // Allowed rounding error when checking that a band's weights add up to 100
+  weightTolerance: 0.01
+};
+
+const vehicleSchema = Joi.object({
+  assetClass: Joi.string().valid('equity', 'debt', 'goldSilver').required(),
+  minTicket: Joi.number().positive()
+});
+
+const bandSchema = Joi.object({
+  maxSize: Joi.number().positive(),
+  weights: Joi.object().pattern(Joi.string(), Joi.number().positive().max(100)).min(1).required()
+});
+
+const matrixSchema = Joi.object({
+  description: Joi.string().allow(''),
+  vehicles: Joi.object().pattern(Joi.string(), vehicleSchema).min(1).required(),
+  strategies: Joi.object(
+    Object.fromEntries(RISK_CATEGORIES.map(category => [category, Joi.array().items(bandSchema).min(1).required()]))
+  ).required()
+});
+
+// The matrix is loaded once, on first use
+let matrix = null;
+
+/**
+ * Load and validate the allocation matrix
+ * @returns {Object} Allocation matrix
+ */
+function getAllocationMatrix() {
+  if (matrix) {
+    return matrix;
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(MATRIX_CONFIG.filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading allocation matrix: ${error.message}`);
+  }
+
+  matrix = validateAllocationMatrix(definition);
+  return matrix;
+}
+
+/**
+ * Validate an allocation matrix definition
+ * Besides the schema, every band's weights must add up to 100, bands must
+ * be in increasing size order without overlaps, weights may only use
+ * declared vehicles, and a vehicle's minimum ticket must be met across
+ * every band that uses it, down to the band's lowest size (the previous
+ * band's maxSize, or 0 for the first band).
+ * @param {Object} definition - Allocation matrix definition
+ * @returns {Object} Validated allocation matrix
+ */
+function validateAllocationMatrix(definition) {
+  const { value, error } = matrixSchema.validate(definition, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid allocation matrix: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  const problems = [];
+
+  for (const [category, bands] of Object.entries(value.strategies)) {
+    bands.forEach((band, index) => {
+      const label = `${category} band ${index + 1}`;
+      const previousMax = index > 0 ? bands[index - 1].maxSize : 0;
+
+      if (band.maxSize === undefined && index !== bands.length - 1) {
+        problems.push(`${label}: only the last band may omit maxSize`);
+      } else if (band.maxSize !== undefined && previousMax !== undefined && !(band.maxSize > previousMax)) {
+        problems.push(`${label}: maxSize ${band.maxSize} overlaps the previous band (up to ${previousMax})`);
+      }
+
+      const total = Object.values(band.weights).reduce((sum, weight) => sum + weight, 0);
+      if (Math.abs(total - 100) > MATRIX_CONFIG.weightTolerance) {
+        problems.push(`${label}: weights add up to ${total}, not 100`);
+      }
+
+      for (const [vehicle, weight] of Object.entries(band.weights)) {
+        const vehicleDefinition = value.vehicles[vehicle];
+        if (!vehicleDefinition) {
+          problems.push(`${label}: unknown vehicle ${vehicle}`);
+        } else if (vehicleDefinition.minTicket && previousMax !== undefined &&
+            previousMax * weight / 100 < vehicleDefinition.minTicket) {
+          problems.push(`${label}: ${vehicle} at ${weight}% is below its minimum ticket of ${vehicleDefinition.minTicket} cr for portfolios of ${previousMax} cr`);
+        }
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid allocation matrix: ${problems.join('; ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Get the size band of a risk category that a portfolio falls in
+ * @param {string} riskCategory - Client risk category
+ * @param {number} portfolioSize - Portfolio size in crores
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
+ * @returns {Object|null} Band ({ minSize, maxSize, weights }), or null for an unknown risk category
+ */
+function getAllocationBand(riskCategory, portfolioSize, matrix = getAllocationMatrix()) {
+  const bands = matrix.strategies[riskCategory];
+  if (!bands) {
+    return null;
+  }
+
+  // Sizes above the last band's maxSize use the last band
+  let index = bands.findIndex(band => band.maxSize === undefined || portfolioSize <= band.maxSize);
+  if (index === -1) {
+    index = bands.length - 1;
+  }
+  const band = bands[index];
+
+  return {
+    minSize: index > 0 ? bands[index - 1].maxSize : 0,
+    maxSize: band.maxSize === undefined ? null : band.maxSize,
+    weights: band.weights
+  };
+}
+
+/**
+ * Get the definition of an investment vehicle
+ * @param {string} vehicle - Vehicle name (e.g. 'Equity PMS')
+ * @param {Object} [matrix] - Allocation matrix (defaults to the config matrix)
+ * @returns {Object|null} { assetClass, minTicket? }, or null for an unknown vehicle
+ */
+function getVehicle(vehicle, matrix = getAllocationMatrix()) {
+  return matrix.vehicles[vehicle] || null;
+}
+
+module.exports = {
+  getAllocationMatrix,
+  validateAllocationMatrix,
+  getAllocationBand,
+  getVehicle
+};
@@ -0,0 +1,242 @@
+/**
+ * Allocation Policies Module
+ *
+ * This module manages the allocation policies set by the investment
+ * committee. A policy is an allocation matrix (see allocationMatrix.js) with
+ * an effective-from date. Policies go through these states:
+ *
+ * - draft: created or edited, not yet reviewed
+ * - approved / rejected: reviewed by someone other than the author
+ * - active: in force from its effective date; never edited or removed, so
+ *   proposals dated before a later policy keep using it
+ *
+ * Every change is recorded in the policy's audit trail with who made it,
+ * the owner of the admin key used (see adminAuth.js). Each state change
+ * is checked and written in one store update, so concurrent reviews of a
+ * policy cannot both succeed.
+ * Allocations use the active policy with the latest effective date on or
+ * before the proposal date, or the matrix in config/allocationMatrix.json
+ * when no policy is in force yet.
+ */
+
+const crypto = require('crypto');
+const storage = require('./storage');
+const allocationMatrix = require('./allocationMatrix');
+
+// States in which a policy can still be edited
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+// Policy fields an edit may change
+const EDITABLE_FIELDS = ['name', 'description', 'effectiveFrom', 'matrix'];
+
+/**
+ * Get the allocation policy store
+ * @returns {Object} Storage adapter for the allocationPolicies collection
+ */
+function getStore() {
+  return storage.createStore('allocationPolicies');
+}
+
+/**
+ * List all allocation policies, latest effective date first
+ * @returns {Promise<Array>} Policy summaries (without matrix or audit trail)
+ */
+async function listPolicies() {
+  const records = await getStore().list();
+
+  return records
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.createdAt.localeCompare(a.createdAt))
+    .map(record => ({
+      id: record.id,
+      name: record.name,
+      effectiveFrom: record.effectiveFrom,
+      status: record.status,
+      createdBy: record.createdBy,
+      createdAt: record.createdAt,
+      activatedAt: record.activatedAt || null
+    }));
+}
+
+/**
+ * Get an allocation policy by id
+ * @param {string} policyId - Policy id
+ * @returns {Promise<Object|null>} Policy record, or null if not found
+ */
+async function getPolicy(policyId) {
+  return getStore().get(policyId);
+}
+
+/**
+ * Create a draft allocation policy
+ * @param {Object} policyData - { name, description?, effectiveFrom, matrix }
+ * @param {string} changedBy - Admin user creating the policy
+ * @returns {Promise<Object>} Created policy record
+ */
+async function createPolicy(policyData, changedBy) {
+  const now = new Date().toISOString();
+
+  const record = {
+    id: crypto.randomUUID(),
+    name: policyData.name,
+    description: policyData.description || '',
+    effectiveFrom: policyData.effectiveFrom,
+    status: 'draft',
+    matrix: allocationMatrix.validateAllocationMatrix(policyData.matrix),
+    createdBy: changedBy,
+    createdAt: now,
+    updatedAt: now,
+    auditTrail: [{ action: 'created', by: changedBy, at: now }]
+  };
+
+  return getStore().create(record);
+}
+
+/**
+ * Edit a draft or rejected policy
+ * The policy goes back to draft and has to be reviewed again.
+ * @param {string} policyId - Policy id
+ * @param {Object} updates - Any of name, description, effectiveFrom, matrix
+ * @param {string} changedBy - Admin user making the change
+ * @returns {Promise<Object|null>} Updated policy record, or null if not found
+ */
+async function updatePolicy(policyId, updates, changedBy) {
+  return getStore().update(policyId, existing => {
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      throw new Error(`An ${existing.status} policy cannot be edited; create a new policy instead`);
+    }
+
+    const changes = EDITABLE_FIELDS.filter(field =>
+      updates[field] !== undefined && JSON.stringify(updates[field]) !== JSON.stringify(existing[field]));
+
+    const now = new Date().toISOString();
+    const updated = { ...existing, status: 'draft', updatedAt: now };
+
+    for (const field of changes) {
+      updated[field] = field === 'matrix' ? allocationMatrix.validateAllocationMatrix(updates.matrix) : updates[field];
+    }
+
+    updated.auditTrail = [...existing.auditTrail, { action: 'updated', by: changedBy, at: now, changes }];
+    return updated;
+  });
+}
+
+/**
+ * Record a review decision on a draft policy
+ * @param {string} policyId - Policy id
+ * @param {Object} review - { decision: 'approve' | 'reject', comment? }
+ * @param {string} changedBy - Admin user reviewing the policy
+ * @returns {Promise<Object|null>} Updated policy record, or null if not found
+ */
+async function reviewPolicy(policyId, review, changedBy) {
+  return getStore().update(policyId, existing => {
+    if (existing.status !== 'draft') {
+      throw new Error(`Only draft policies can be reviewed; this policy is ${existing.status}`);
+    }
+
+    if (review.decision === 'approve' && changedBy === existing.createdBy) {
+      throw new Error('A policy cannot be approved by its author');
+    }
+
+    const now = new Date().toISOString();
+    const action = review.decision === 'approve' ? 'approved' : 'rejected';
+
+    return {
+      ...existing,
+      status: action,
+      updatedAt: now,
+      auditTrail: [...existing.auditTrail, { action, by: changedBy, at: now, comment: review.comment || '' }]
+    };
+  });
+}
+
+/**
+ * Activate an approved policy
+ * Policies cannot be backdated: the effective date must be today or later,
+ * so allocations for earlier proposal dates do not change.
+ * @param {string} policyId - Policy id
+ * @param {string} changedBy - Admin user activating the policy
+ * @returns {Promise<Object|null>} Updated policy record, or null if not found
+ */
+async function activatePolicy(policyId, changedBy) {
+  return getStore().update(policyId, existing => {
+    if (existing.status !== 'approved') {
+      throw new Error(`Only approved policies can be activated; this policy is ${existing.status}`);
+    }
+
+    if (existing.effectiveFrom < today()) {
+      throw new Error(`Effective date ${existing.effectiveFrom} is in the past; set a date from today onwards`);
+    }
+
+    const now = new Date().toISOString();
+
+    return {
+      ...existing,
+      status: 'active',
+      activatedBy: changedBy,
+      activatedAt: now,
+      updatedAt: now,
+      auditTrail: [...existing.auditTrail, { action: 'activated', by: changedBy, at: now }]
+    };
+  });
+}
+
+/**
+ * Get the policy in force on a date
+ * Among active policies with the same effective date, the one activated last wins.
+ * @param {string} [date] - Date as YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Object>} { id, name, effectiveFrom, matrix }; id is 'default' for the config matrix
+ */
+async function getEffectivePolicy(date = today()) {
+  const records = await getStore().list();
+
+  const effective = records
+    .filter(record => record.status === 'active' && record.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.activatedAt.localeCompare(a.activatedAt));
+
+  if (effective.length === 0) {
+    return {
+      id: 'default',
+      name: 'Default allocation matrix',
+      effectiveFrom: null,
+      matrix: allocationMatrix.getAllocationMatrix()
+    };
+  }
+
+  const { id, name, effectiveFrom, matrix } = effective[0];
+  return { id, name, effectiveFrom, matrix };
+}
+
+/**
+ * Express middleware that attaches the allocation policy in force on the
+ * proposal date (req.body.proposalDate, default today) as req.body.allocationPolicy
+ * @returns {Function} Express middleware
+ */
+function attachAllocationPolicy() {
+  return async (req, res, next) => {
+    try {
+      req.body.allocationPolicy = await getEffectivePolicy(req.body.proposalDate || today());
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string} Date
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = {
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  reviewPolicy,
+  activatePolicy,
+  getEffectivePolicy,
+  attachAllocationPolicy
+};
@@ -0,0 +1,258 @@
+/**
+ * Allocation Solver Module
+ *
+ * This module fits a product type allocation (e.g. equity: mutual funds,
+ * PMS, AIF) to minimum ticket sizes. A vehicle's minimum ticket is the
+ * regulatory minimum (PMS ₹50 lakh, AIF ₹1 crore) or, if higher, the
+ * smallest minimum investment among the products offered for it.
+ *
+ * Vehicles whose allocated amount falls short of their minimum ticket are
+ * excluded one at a time, starting with the largest relative shortfall, and
+ * their amount is redistributed to the remaining vehicles in proportion to
+ * their amounts. This can lift another vehicle above its minimum, so the
+ * check is repeated until every remaining vehicle meets its minimum. The
+ * result reports each excluded vehicle, why it was excluded and where its
+ * amount went, so the invested amounts always add up to the asset class total.
+ */
+
+const productMaster = require('./productMaster');
+
+// Minimum ticket per vehicle in INR (same minimums as the PMS/AIF vehicles in config/allocationMatrix.json)
+const MIN_TICKETS = {
+  pms: 5000000,
+  aif: 10000000,
+  unlistedStocks: 10000000
+};
+
+// Vehicle that takes the whole amount when every other vehicle is excluded (no minimum ticket)
+const FALLBACK_VEHICLE = 'mutualFunds';
+
+// Display names used in exclusion reasons
+const VEHICLE_LABELS = {
+  mutualFunds: 'Mutual Funds',
+  etf: 'ETFs',
+  pms: 'PMS',
+  aif: 'AIF',
+  listedStocks: 'Listed Stocks',
+  unlistedStocks: 'Unlisted Stocks',
+  direct: 'Direct Debt',
+  elss: 'ELSS',
+  ppf: 'PPF'
+};
+
+/**
+ * Fit an asset class's product type allocation to minimum tickets
+ * @param {Object} options - Solver inputs
+ * @param {string} options.assetClass - Asset class (e.g. 'equity'), used in the report
+ * @param {number} options.amount - Amount invested in the asset class in INR
+ * @param {Object} options.allocation - Requested percentage of the asset class per vehicle
+ * @param {Object} [options.products] - Candidate products per vehicle
+ * @param {Object} [options.minimumTickets] - Minimum ticket per vehicle in INR
+ * @returns {Object} { allocation, amounts, products, exclusions, productExclusions }
+ */
+function solveVehicleAllocation({ assetClass, amount, allocation, products = {}, minimumTickets = MIN_TICKETS }) {
+  const amounts = {};
+  for (const [vehicle, percentage] of Object.entries(allocation || {})) {
+    if (percentage > 0) {
+      amounts[vehicle] = amount * percentage / 100;
+    }
+  }
+
+  const minimums = {};
+  for (const vehicle of Object.keys(amounts)) {
+    minimums[vehicle] = getVehicleMinimum(vehicle, products[vehicle], minimumTickets);
+  }
+
+  const exclusions = [];
+
+  for (;;) {
+    // Exclude the vehicle furthest below its minimum ticket
+    const shortfalls = Object.keys(amounts)
+      .filter(vehicle => minimums[vehicle].amount > 0 && amounts[vehicle] < minimums[vehicle].amount)
+      .sort((a, b) => amounts[a] / minimums[a].amount - amounts[b] / minimums[b].amount);
+
+    if (shortfalls.length === 0) {
+      break;
+    }
+
+    const vehicle = shortfalls[0];
+    const excludedAmount = amounts[vehicle];
+    delete amounts[vehicle];
+
+    exclusions.push({
+      assetClass,
+      vehicle,
+      requestedAllocation: Math.round(allocation[vehicle] * 100) / 100,
+      allocatedAmount: Math.round(excludedAmount),
+      minimumTicket: minimums[vehicle].amount,
+      reason: describeShortfall(vehicle, excludedAmount, minimums[vehicle]),
+      redistributedTo: redistribute(amounts, excludedAmount, minimums)
+    });
+  }
+
+  const solvedAllocation = {};
+  const solvedProducts = {};
+  const productExclusions = [];
+
+  for (const [vehicle, vehicleAmount] of Object.entries(amounts)) {
+    solvedAllocation[vehicle] = amount > 0 ? Math.round(vehicleAmount / amount * 10000) / 100 : 0;
+    amounts[vehicle] = Math.round(vehicleAmount);
+
+    if (Array.isArray(products[vehicle])) {
+      solvedProducts[vehicle] = [];
+      for (const product of products[vehicle]) {
+        const minimum = getProductMinimum(product);
+        if (minimum !== null && minimum > vehicleAmount) {
+          productExclusions.push({
+            assetClass,
+            vehicle,
+            product: product.name,
+            minimumInvestment: minimum,
+            allocatedAmount: Math.round(vehicleAmount),
+            reason: `Minimum investment of ₹${formatAmount(minimum)} is more than the ₹${formatAmount(vehicleAmount)} allocated to ${VEHICLE_LABELS[vehicle] || vehicle}`
+          });
+        } else {
+          solvedProducts[vehicle].push(product);
+        }
+      }
+    }
+  }
+
+  // Put the rounding difference on the largest vehicle so the percentages add up to the requested total
+  const vehicles = Object.keys(solvedAllocation);
+  if (vehicles.length > 0) {
+    const requestedTotal = Object.values(allocation).reduce((total, value) => total + (value > 0 ? value : 0), 0);
+    const solvedTotal = vehicles.reduce((total, vehicle) => total + solvedAllocation[vehicle], 0);
+    const largest = vehicles.reduce((a, b) => (solvedAllocation[b] > solvedAllocation[a] ? b : a));
+    solvedAllocation[largest] = Math.round((solvedAllocation[largest] + requestedTotal - solvedTotal) * 100) / 100;
+  }
+
+  return {
+    allocation: solvedAllocation,
+    amounts,
+    products: solvedProducts,
+    exclusions,
+    productExclusions
+  };
+}
+
+/**
+ * List the vehicles whose amount is below their minimum ticket, without redistributing
+ * @param {string} assetClass - Asset class (e.g. 'equity'), used in the report
+ * @param {number} amount - Amount invested in the asset class in INR
+ * @param {Object} allocation - Percentage of the asset class per vehicle
+ * @param {Object} [minimumTickets] - Minimum ticket per vehicle in INR
+ * @returns {Array} { assetClass, vehicle, allocatedAmount, minimumTicket, reason } per vehicle short of its minimum
+ */
+function checkMinimumTickets(assetClass, amount, allocation, minimumTickets = MIN_TICKETS) {
+  const shortfalls = [];
+
+  for (const [vehicle, percentage] of Object.entries(allocation || {})) {
+    const vehicleAmount = amount * percentage / 100;
+    const minimum = getVehicleMinimum(vehicle, [], minimumTickets);
+
+    if (percentage > 0 && vehicleAmount < minimum.amount) {
+      shortfalls.push({
+        assetClass,
+        vehicle,
+        allocatedAmount: Math.round(vehicleAmount),
+        minimumTicket: minimum.amount,
+        reason: describeShortfall(vehicle, vehicleAmount, minimum)
+      });
+    }
+  }
+
+  return shortfalls;
+}
+
+/**
+ * Work out a vehicle's minimum ticket
+ * @param {string} vehicle - Vehicle key
+ * @param {Array} [products] - Candidate products for the vehicle
+ * @param {Object} minimumTickets - Minimum ticket per vehicle in INR
+ * @returns {Object} { amount, source } where source is 'regulatory', 'product' or null
+ */
+function getVehicleMinimum(vehicle, products, minimumTickets) {
+  const regulatory = minimumTickets[vehicle] || 0;
+
+  // The cheapest product to get into sets the vehicle's minimum; a product
+  // without a stated minimum accepts any amount
+  const productMinimums = (products || [])
+    .map(getProductMinimum)
+    .filter(minimum => minimum !== null);
+  const product = productMinimums.length === products?.length && productMinimums.length > 0 ?
+    Math.min(...productMinimums) :
+    0;
+
+  if (product > regulatory) {
+    return { amount: product, source: 'product' };
+  }
+  return { amount: regulatory, source: regulatory > 0 ? 'regulatory' : null };
+}
+
+/**
+ * Get a product's minimum investment
+ * @param {Object} product - Product
+ * @returns {number|null} Minimum investment in INR, or null if not given
+ */
+function getProductMinimum(product) {
+  return productMaster.toMasterProduct(product).minInvestment;
+}
+
+/**
+ * Spread an excluded vehicle's amount over the remaining vehicles
+ * Vehicles are credited in proportion to their amounts. If none remain,
+ * the fallback vehicle takes the whole amount, whatever its minimum ticket,
+ * so the loop always ends.
+ * @param {Object} amounts - Remaining amounts per vehicle (updated in place)
+ * @param {number} excludedAmount - Amount to redistribute
+ * @param {Object} minimums - Minimum ticket per vehicle (updated for a new fallback vehicle)
+ * @returns {Array} { vehicle, amount } credited to each vehicle
+ */
+function redistribute(amounts, excludedAmount, minimums) {
+  const remainingTotal = Object.values(amounts).reduce((total, value) => total + value, 0);
+
+  if (remainingTotal <= 0) {
+    amounts[FALLBACK_VEHICLE] = (amounts[FALLBACK_VEHICLE] || 0) + excludedAmount;
+    minimums[FALLBACK_VEHICLE] = { amount: 0, source: null };
+    return [{ vehicle: FALLBACK_VEHICLE, amount: Math.round(excludedAmount) }];
+  }
+
+  return Object.keys(amounts).map(vehicle => {
+    const share = excludedAmount * amounts[vehicle] / remainingTotal;
+    amounts[vehicle] += share;
+    return { vehicle, amount: Math.round(share) };
+  });
+}
+
+/**
+ * Explain why a vehicle was excluded
+ * @param {string} vehicle - Vehicle key
+ * @param {number} allocatedAmount - Amount the vehicle would have received
+ * @param {Object} minimum - { amount, source }
+ * @returns {string} Reason
+ */
+function describeShortfall(vehicle, allocatedAmount, minimum) {
+  const label = VEHICLE_LABELS[vehicle] || vehicle;
+
+  if (minimum.source === 'product') {
+    return `No ${label} product accepts less than ₹${formatAmount(minimum.amount)}; only ₹${formatAmount(allocatedAmount)} would be allocated`;
+  }
+  return `${label} has a minimum ticket of ₹${formatAmount(minimum.amount)}; only ₹${formatAmount(allocatedAmount)} would be allocated`;
+}
+
+/**
+ * Format an INR amount with Indian digit grouping
+ * @param {number} amount - Amount in INR
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount) {
+  return Math.round(amount).toLocaleString('en-IN');
+}
+
+module.exports = {
+  MIN_TICKETS,
+  VEHICLE_LABELS,
+  solveVehicleAllocation,
+  checkMinimumTickets
+};
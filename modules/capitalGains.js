@@ -0,0 +1,358 @@
+/**
+ * Capital Gains Module
+ *
+ * This module estimates the tax and exit load on selling a holding. Units
+ * are sold first in, first out, as Indian tax rules require for mutual fund
+ * units and demat shares, and each lot is taxed as a short or long term
+ * gain according to its holding period:
+ *
+ * - Listed equity, equity funds, equity ETFs and PMS: long term after 12
+ *   months at 12.5% above ₹1.25 lakh a year; short term at 20%
+ * - Unlisted shares and physical gold: long term after 24 months at 12.5%
+ * - Listed bonds and gold ETFs: long term after 12 months at 12.5%
+ * - Debt funds bought before 1 April 2023: long term after 24 months at 12.5%
+ * - Debt funds bought from 1 April 2023: the slab rate however long they are held
+ *
+ * Short term gains outside listed equity are taxed at the client's slab rate,
+ * and cess is added to all tax. Losses are not set off against gains, and
+ * surcharge is left out, so the estimate errs on the high side. AIF units are
+ * not estimated because AIF income is taxed in the fund or passed through.
+ */
+
+// Tax configuration
+const TAX_CONFIG = {
+  // Health and education cess on income tax, in percent
+  cess: 4,
+  // Slab rate used when the client's tax bracket is not known, in percent
+  defaultSlabRate: 30,
+  // Long term gains on listed equity exempt each financial year (section 112A)
+  equityLongTermExemption: 125000,
+  // Debt fund units bought from this date are taxed at the slab rate (section 50AA)
+  specifiedDebtFundDate: '2023-04-01'
+};
+
+// Holding period for a long term gain and rates in percent per tax category; a null rate is the slab rate
+const TAX_RULES = {
+  listedEquity: { label: 'Listed equity', longTermMonths: 12, shortTermRate: 20, longTermRate: 12.5, exemption: true },
+  unlistedEquity: { label: 'Unlisted shares', longTermMonths: 24, shortTermRate: null, longTermRate: 12.5 },
+  debtFund: { label: 'Debt fund (bought before April 2023)', longTermMonths: 24, shortTermRate: null, longTermRate: 12.5 },
+  specifiedDebtFund: { label: 'Debt fund (bought from April 2023)', longTermMonths: null, shortTermRate: null, longTermRate: null },
+  listedDebt: { label: 'Listed bonds', longTermMonths: 12, shortTermRate: null, longTermRate: 12.5 },
+  goldEtf: { label: 'Gold/silver ETF', longTermMonths: 12, shortTermRate: null, longTermRate: 12.5 },
+  physicalGold: { label: 'Physical gold/silver', longTermMonths: 24, shortTermRate: null, longTermRate: 12.5 }
+};
+
+/**
+ * Get the slab rate from the client's tax considerations
+ * @param {Object} [clientProfile] - Client profile
+ * @returns {Object} { slabRate, assumed } where assumed is true when the default slab rate is used
+ */
+function getSlabRate(clientProfile) {
+  const taxBracket = clientProfile?.taxConsiderations?.taxBracket;
+  const rate = typeof taxBracket === 'string' ? parseFloat(taxBracket) : taxBracket;
+
+  if (Number.isFinite(rate)) {
+    return { slabRate: rate, assumed: false };
+  }
+  return { slabRate: TAX_CONFIG.defaultSlabRate, assumed: true };
+}
+
+/**
+ * Estimate the tax and exit load on selling part or all of a holding
+ * The section 112A exemption is not applied here (see applyEquityExemption).
+ * @param {Object} holding - Normalized holding (see holdings.normalizeHoldings)
+ * @param {number} amount - Amount to sell (INR, at the holding's current value)
+ * @param {Object} options - { slabRate, saleDate (YYYY-MM-DD) }
+ * @returns {Object} { taxCategory, amount, units, lots, shortTermGain, longTermGain, exitLoad, tax, totalCost, costKnown, notes }
+ */
+function estimateSale(holding, amount, { slabRate, saleDate }) {
+  const notes = [];
+  const taxCategory = getTaxCategory(holding);
+  const saleAmount = Math.min(amount, holding.value);
+  const exitLoadTiers = parseExitLoad(holding.exitLoad ?? holding.product?.exitLoad);
+
+  if (taxCategory === 'notEstimated') {
+    notes.push('AIF income is taxed in the fund or passed through to investors, so no capital gains tax is estimated');
+  }
+
+  const lots = [];
+  for (const soldLot of sellLots(holding, saleAmount)) {
+    const holdingDays = soldLot.purchaseDate ? daysBetween(soldLot.purchaseDate, saleDate) : null;
+    const lotCategory = taxCategory === 'debtFund' && (!soldLot.purchaseDate || soldLot.purchaseDate >= TAX_CONFIG.specifiedDebtFundDate) ?
+      'specifiedDebtFund' :
+      taxCategory;
+    const taxRule = TAX_RULES[lotCategory];
+
+    const exitLoadRate = getExitLoadRate(exitLoadTiers, holdingDays);
+    const exitLoad = soldLot.proceeds * exitLoadRate / 100;
+
+    let term = null;
+    let rate = null;
+    let gain = null;
+    if (taxRule) {
+      term = isLongTerm(taxRule, soldLot.purchaseDate, saleDate) ? 'long' : 'short';
+      rate = (term === 'long' ? taxRule.longTermRate : taxRule.shortTermRate) ?? slabRate;
+      if (soldLot.cost !== null) {
+        gain = soldLot.proceeds - exitLoad - soldLot.cost;
+      }
+    } else if (taxCategory === null) {
+      gain = 0;
+    }
+
+    lots.push({
+      purchaseDate: soldLot.purchaseDate,
+      units: soldLot.units === null ? null : Math.round(soldLot.units * 1000) / 1000,
+      cost: soldLot.cost === null ? null : round(soldLot.cost),
+      proceeds: round(soldLot.proceeds),
+      exitLoad: round(exitLoad),
+      gain: gain === null ? null : round(gain),
+      holdingDays,
+      term,
+      rate,
+      tax: estimateTax(taxCategory, gain, rate)
+    });
+  }
+
+  if (hasTaxRules(taxCategory) && lots.some(lot => lot.purchaseDate === null)) {
+    notes.push('Purchase dates are not known for some units, so they are treated as short term');
+  }
+  if (hasTaxRules(taxCategory) && lots.some(lot => lot.cost === null)) {
+    notes.push('The cost of some units is not known, so their tax cannot be estimated');
+  }
+  if (exitLoadTiers.length > 0 && lots.some(lot => lot.holdingDays === null)) {
+    notes.push('Purchase dates are not known for some units, so the exit load is assumed to apply');
+  }
+
+  const sumLots = (field, test = () => true) => lots.filter(test).reduce((total, lot) => total + (lot[field] || 0), 0);
+  const costKnown = lots.every(lot => lot.tax !== null);
+  const tax = sumLots('tax');
+  const exitLoad = sumLots('exitLoad');
+
+  return {
+    taxCategory,
+    taxCategoryLabel: TAX_RULES[taxCategory]?.label || (taxCategory === 'notEstimated' ? 'AIF' : 'No capital gains'),
+    amount: round(saleAmount),
+    units: lots.every(lot => lot.units !== null) ? Math.round(sumLots('units') * 1000) / 1000 : null,
+    lots,
+    shortTermGain: round(sumLots('gain', lot => lot.term === 'short')),
+    longTermGain: round(sumLots('gain', lot => lot.term === 'long')),
+    exitLoad: round(exitLoad),
+    tax: round(tax),
+    equityExemptionUsed: 0,
+    totalCost: round(tax + exitLoad),
+    costKnown,
+    notes
+  };
+}
+
+/**
+ * Apply the yearly exemption on long term gains from listed equity to a set of sales
+ * The exemption goes to the sales in the order given, and their tax and total cost are reduced.
+ * @param {Array} estimates - Outputs of estimateSale (updated in place)
+ * @param {number} [exemption] - Exemption still available this financial year (INR)
+ * @returns {number} Exemption used (INR)
+ */
+function applyEquityExemption(estimates, exemption = TAX_CONFIG.equityLongTermExemption) {
+  let available = exemption;
+
+  for (const estimate of estimates) {
+    if (!TAX_RULES[estimate.taxCategory]?.exemption) {
+      continue;
+    }
+    for (const lot of estimate.lots) {
+      if (available <= 0) {
+        return exemption;
+      }
+      if (lot.term === 'long' && lot.gain > 0) {
+        const used = Math.min(available, lot.gain);
+        const saving = round(used * lot.rate / 100 * (1 + TAX_CONFIG.cess / 100));
+        lot.tax = round(lot.tax - saving);
+        estimate.tax = round(estimate.tax - saving);
+        estimate.totalCost = round(estimate.totalCost - saving);
+        estimate.equityExemptionUsed = round(estimate.equityExemptionUsed + used);
+        available -= used;
+      }
+    }
+  }
+
+  return round(exemption - available);
+}
+
+/**
+ * Work out the tax category of a holding
+ * Debt fund units are split by purchase date per lot in estimateSale.
+ * @param {Object} holding - Normalized holding
+ * @returns {string|null} Key of TAX_RULES, 'notEstimated' for AIF units, or null when no capital gains arise
+ */
+function getTaxCategory(holding) {
+  if (holding.productType === 'aif') {
+    return 'notEstimated';
+  }
+
+  switch (holding.assetClass) {
+    case 'equity':
+      return holding.productType === 'unlistedStocks' ? 'unlistedEquity' : 'listedEquity';
+    case 'debt':
+      return holding.productType === 'direct' ? 'listedDebt' : 'debtFund';
+    case 'goldSilver':
+      return holding.productType === 'physical' ? 'physicalGold' : 'goldEtf';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a tax category has capital gains rules
+ * @param {string|null} taxCategory - Tax category
+ * @returns {boolean} True for the categories in TAX_RULES
+ */
+function hasTaxRules(taxCategory) {
+  return Boolean(TAX_RULES[taxCategory]);
+}
+
+/**
+ * Estimate the tax on one lot's gain, including cess
+ * @param {string|null} taxCategory - Tax category of the holding
+ * @param {number|null} gain - Gain after exit load (INR), or null if the cost is not known
+ * @param {number|null} rate - Tax rate in percent
+ * @returns {number|null} Tax (INR), or null if it cannot be estimated
+ */
+function estimateTax(taxCategory, gain, rate) {
+  if (taxCategory === null) {
+    return 0;
+  }
+  if (!hasTaxRules(taxCategory) || gain === null) {
+    return null;
+  }
+  return round(Math.max(0, gain) * rate / 100 * (1 + TAX_CONFIG.cess / 100));
+}
+
+/**
+ * Take the units sold from a holding's lots, first in first out
+ * Without lots the holding is one lot bought on an unknown date at its cost value.
+ * @param {Object} holding - Normalized holding
+ * @param {number} amount - Amount sold (INR)
+ * @returns {Array} { purchaseDate, units, cost, proceeds } per lot sold from
+ */
+function sellLots(holding, amount) {
+  const lots = holding.lots?.length > 0 ?
+    holding.lots :
+    [{ purchaseDate: null, units: holding.units, cost: holding.costValue ?? null }];
+  const totalUnits = lots.every(lot => lot.units > 0) ? lots.reduce((total, lot) => total + lot.units, 0) : null;
+
+  // Without units, sell the same share of every lot, valuing the lots in proportion to their cost
+  if (!totalUnits || !(holding.value > 0)) {
+    const share = holding.value > 0 ? amount / holding.value : 0;
+    const totalCost = lots.every(lot => lot.cost > 0) ? lots.reduce((total, lot) => total + lot.cost, 0) : null;
+    return lots.map(lot => ({
+      purchaseDate: lot.purchaseDate ?? null,
+      units: null,
+      cost: lot.cost === null || lot.cost === undefined ? null : lot.cost * share,
+      proceeds: totalCost ? amount * lot.cost / totalCost : amount / lots.length
+    }));
+  }
+
+  const price = holding.value / totalUnits;
+  let unitsLeft = amount / price;
+  const sold = [];
+
+  for (const lot of lots) {
+    if (unitsLeft <= 1e-9) {
+      break;
+    }
+    const units = Math.min(lot.units, unitsLeft);
+    sold.push({
+      purchaseDate: lot.purchaseDate ?? null,
+      units,
+      cost: lot.cost === null || lot.cost === undefined ? null : lot.cost * units / lot.units,
+      proceeds: units * price
+    });
+    unitsLeft -= units;
+  }
+
+  return sold;
+}
+
+/**
+ * Parse an exit load description into tiers
+ * Understands descriptions such as '1% if redeemed within 1 year', '1 Year: 2%',
+ * '1% within 365 days, 0.5% within 2 years' and 'Nil'. A period without a rate
+ * (e.g. a lock-in) is not an exit load.
+ * @param {string} [description] - Exit load as given in the product data
+ * @returns {Array} { rate, days } sorted by days; a load applies to units held for fewer days
+ */
+function parseExitLoad(description) {
+  if (!description || typeof description !== 'string') {
+    return [];
+  }
+
+  const tiers = [];
+  for (const part of description.split(/[,;]|\band\b/i)) {
+    const rate = part.match(/(\d+(?:\.\d+)?)\s*%/);
+    const period = part.match(/(\d+)\s*(days?|months?|years?)/i);
+    if (rate && period) {
+      const count = Number(period[1]);
+      const unit = period[2].toLowerCase();
+      const days = unit.startsWith('year') ? count * 365 : unit.startsWith('month') ? Math.round(count * 365 / 12) : count;
+      tiers.push({ rate: Number(rate[1]), days });
+    }
+  }
+
+  return tiers.sort((a, b) => a.days - b.days);
+}
+
+/**
+ * Get the exit load rate for units held for a number of days
+ * @param {Array} tiers - Output of parseExitLoad
+ * @param {number|null} holdingDays - Days held, or null if not known (the first tier applies)
+ * @returns {number} Exit load in percent
+ */
+function getExitLoadRate(tiers, holdingDays) {
+  const tier = holdingDays === null ? tiers[0] : tiers.find(candidate => holdingDays < candidate.days);
+  return tier ? tier.rate : 0;
+}
+
+/**
+ * Check whether a lot has been held long enough for a long term gain
+ * Units bought on an unknown date are treated as short term.
+ * @param {Object} taxRule - Entry of TAX_RULES
+ * @param {string|null} purchaseDate - Purchase date (YYYY-MM-DD)
+ * @param {string} saleDate - Sale date (YYYY-MM-DD)
+ * @returns {boolean} True for a long term gain
+ */
+function isLongTerm(taxRule, purchaseDate, saleDate) {
+  if (!taxRule.longTermMonths || !purchaseDate) {
+    return false;
+  }
+  const longTermFrom = new Date(`${purchaseDate}T00:00:00Z`);
+  longTermFrom.setUTCMonth(longTermFrom.getUTCMonth() + taxRule.longTermMonths);
+  return new Date(`${saleDate}T00:00:00Z`) > longTermFrom;
+}
+
+/**
+ * Count the days between two dates
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Days
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  TAX_CONFIG,
+  TAX_RULES,
+  getSlabRate,
+  estimateSale,
+  applyEquityExemption,
+  parseExitLoad
+};
@@ -0,0 +1,391 @@
+/**
+ * CAS Parser Module
+ *
+ * This module reads Consolidated Account Statements (CAS) issued by CAMS and
+ * KFintech into holdings. It understands the detailed statement, in which
+ * every scheme starts with a line holding its name and ISIN and ends with a
+ * "Closing Unit Balance" line giving the units, NAV, cost and market value.
+ * PDF statements are converted to text first with the optional pdf-parse
+ * package; they are usually protected with the investor's PAN.
+ *
+ * Parsed schemes are matched by ISIN to the mutual fund and listed scheme
+ * lists, so their asset class comes from the scheme category, and are then
+ * stored as the client's holdings for the gap analysis (see holdings.js).
+ */
+
+const allProductsList = require('./allProductsList');
+const externalProducts = require('./externalProducts');
+const holdings = require('./holdings');
+const productMaster = require('./productMaster');
+
+// CAS import configuration
+const CAS_CONFIG = {
+  // Largest statement accepted by the upload endpoint
+  maxUploadSize: '10mb',
+  // Page size and most pages fetched from each scheme list for ISIN matching
+  schemePageSize: 500,
+  maxSchemePages: 40
+};
+
+// Month abbreviations used in CAS dates (e.g. 30-Sep-2026)
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Patterns for the lines and values of a detailed CAS
+const CAS_PATTERNS = {
+  folio: /Folio\s*No\s*[.:]+\s*([0-9A-Za-z]+(?:\s*\/\s*[0-9A-Za-z]+)?)/i,
+  isin: /ISIN\s*:\s*([A-Z]{2}[A-Z0-9]{9}[0-9])/i,
+  // Scheme code printed by the registrar before the scheme name (e.g. "B205-")
+  schemeCode: /^(?=[A-Z]*\d)[A-Z0-9]+\s*-\s*/,
+  period: /(\d{1,2}-[A-Za-z]{3}-\d{4})\s+To\s+(\d{1,2}-[A-Za-z]{3}-\d{4})/i,
+  closingUnits: /Closing\s+Unit\s+Balance\s*:\s*(-?[\d,]+(?:\.\d+)?)/i,
+  nav: /NAV\s+on\s+(\d{1,2}-[A-Za-z]{3}-\d{4})\s*:\s*(?:INR|Rs\.?|₹)?\s*([\d,]+(?:\.\d+)?)/i,
+  costValue: /Cost\s+Value\s*:\s*(?:INR|Rs\.?|₹)?\s*([\d,]+(?:\.\d+)?)/i,
+  marketValue: /(?:Market\s+Value|Valuation)\s+on\s+(\d{1,2}-[A-Za-z]{3}-\d{4})\s*:\s*(?:INR|Rs\.?|₹)?\s*([\d,]+(?:\.\d+)?)/i,
+  openingUnits: /Opening\s+Unit\s+Balance\s*:\s*(-?[\d,]+(?:\.\d+)?)/i,
+  // Date, description, amount, units, price and unit balance; redemptions are in brackets
+  transaction: /^(\d{1,2}-[A-Za-z]{3}-\d{4})\s+(.*?)\s+(\(?-?[\d,]+\.\d+\)?)\s+(\(?-?[\d,]+\.\d+\)?)\s+([\d,]+\.\d+)\s+([\d,]+\.\d+)$/
+};
+
+// Allowed difference between the units of the lots and the closing balance
+const UNIT_TOLERANCE = 0.01;
+
+// Scheme category patterns used to work out the asset class of a matched scheme, checked in order
+const CATEGORY_ASSET_CLASSES = [
+  { assetClass: 'goldSilver', pattern: /\b(gold|silver)\b/i },
+  { assetClass: 'debt', pattern: /\b(debt|liquid|overnight|money market|gilt|bond|duration|credit|floater|banking and psu)\b/i },
+  { assetClass: 'equity', pattern: /\b(equity|cap|elss|index|sectoral|thematic|value|contra|focused|dividend yield)\b/i }
+];
+
+/**
+ * Get the text of a CAS upload
+ * @param {Buffer|string} statement - CAS as text, or as a PDF file
+ * @param {string} [password] - PDF password (the PAN for CAMS and KFintech statements)
+ * @returns {Promise<string>} Statement text
+ */
+async function extractText(statement, password) {
+  if (typeof statement === 'string') {
+    return statement;
+  }
+
+  if (statement.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    return statement.toString('utf8');
+  }
+
+  let PDFParse;
+  try {
+    ({ PDFParse } = require('pdf-parse'));
+  } catch (error) {
+    throw new Error('Reading CAS PDFs requires the pdf-parse package (npm install pdf-parse); upload the statement as text instead');
+  }
+
+  const parser = new PDFParse({ data: new Uint8Array(statement), password });
+  try {
+    const result = await parser.getText();
+    return result.text;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw new Error(password ? 'The CAS password is incorrect' : 'The CAS PDF is password protected; send the password in the X-CAS-Password header');
+    }
+    throw new Error(`The CAS PDF could not be read: ${error.message}`);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Parse the text of a detailed CAS
+ * Schemes with a closing balance of zero units (fully redeemed) are left out.
+ * @param {string} text - Statement text
+ * @returns {Object} { asOf, holdings, warnings } where holdings are { folio, schemeName, isin, units, nav, value, costValue, lots? }
+ */
+function parseCasText(text) {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim());
+  const schemes = [];
+  let folio = null;
+  let periodEnd = null;
+  let scheme = null;
+
+  lines.forEach((line, index) => {
+    const period = line.match(CAS_PATTERNS.period);
+    if (period && !periodEnd) {
+      periodEnd = parseCasDate(period[2]);
+    }
+
+    const folioMatch = line.match(CAS_PATTERNS.folio);
+    if (folioMatch) {
+      folio = folioMatch[1].replace(/\s+/g, '');
+      scheme = null;
+      return;
+    }
+
+    const isinMatch = line.match(CAS_PATTERNS.isin);
+    if (isinMatch) {
+      let name = line.slice(0, isinMatch.index).replace(/[\s-]+$/, '');
+      // Long scheme names wrap onto the line before the ISIN
+      const previous = lines[index - 1] || '';
+      if (!name || (previous.endsWith('-') && !CAS_PATTERNS.isin.test(previous) && !CAS_PATTERNS.folio.test(previous))) {
+        name = `${previous} ${name}`.trim().replace(/[\s-]+$/, '');
+      }
+
+      scheme = {
+        folio,
+        schemeName: name.replace(CAS_PATTERNS.schemeCode, '').trim(),
+        isin: isinMatch[1].toUpperCase(),
+        text: '',
+        lines: []
+      };
+      schemes.push(scheme);
+      return;
+    }
+
+    if (scheme) {
+      scheme.text += ` ${line}`;
+      scheme.lines.push(line);
+    }
+  });
+
+  const parsedHoldings = [];
+  const warnings = [];
+  let latestNavDate = null;
+
+  for (const { text: schemeText, lines: schemeLines, ...details } of schemes) {
+    const closingUnits = schemeText.match(CAS_PATTERNS.closingUnits);
+    if (!closingUnits) {
+      warnings.push(`No closing balance found for ${details.schemeName} (${details.isin})`);
+      continue;
+    }
+
+    const units = parseAmount(closingUnits[1]);
+    if (!(units > 0)) {
+      continue;
+    }
+
+    const nav = schemeText.match(CAS_PATTERNS.nav);
+    const marketValue = schemeText.match(CAS_PATTERNS.marketValue);
+    const costValue = schemeText.match(CAS_PATTERNS.costValue);
+
+    if (!nav && !marketValue) {
+      warnings.push(`No NAV or market value found for ${details.schemeName} (${details.isin})`);
+      continue;
+    }
+
+    const valuationDate = parseCasDate((marketValue || nav)[1]);
+    if (valuationDate && (!latestNavDate || valuationDate > latestNavDate)) {
+      latestNavDate = valuationDate;
+    }
+
+    const lots = buildLots(schemeText, schemeLines, units, costValue ? parseAmount(costValue[1]) : null);
+    if (!lots) {
+      warnings.push(`The transactions of ${details.schemeName} (${details.isin}) do not add up to its closing balance, so its purchase dates are not known`);
+    }
+
+    parsedHoldings.push({
+      ...details,
+      units,
+      nav: nav ? parseAmount(nav[2]) : null,
+      value: marketValue ? parseAmount(marketValue[2]) : Math.round(units * parseAmount(nav[2]) * 100) / 100,
+      costValue: costValue ? parseAmount(costValue[1]) : null,
+      ...(lots ? { lots } : {})
+    });
+  }
+
+  return {
+    asOf: periodEnd || latestNavDate,
+    holdings: parsedHoldings,
+    warnings
+  };
+}
+
+/**
+ * Build the purchase lots left in a scheme from its transactions
+ * Purchases, SIP instalments, switches in and reinvestments add a lot; redemptions
+ * and switches out take units from the oldest lots first. Units held at the start
+ * of the statement period form a lot bought on an unknown date, whose cost is
+ * what remains of the total cost value.
+ * @param {string} schemeText - Scheme block as one line
+ * @param {Array} schemeLines - Lines of the scheme block
+ * @param {number} closingUnits - Closing unit balance
+ * @param {number|null} costValue - Total cost value of the closing balance
+ * @returns {Array|null} Lots ({ purchaseDate, units, cost }), or null if they do not add up to the closing balance
+ */
+function buildLots(schemeText, schemeLines, closingUnits, costValue) {
+  const lots = [];
+  const opening = schemeText.match(CAS_PATTERNS.openingUnits);
+  if (opening && parseAmount(opening[1]) > 0) {
+    lots.push({ purchaseDate: null, units: parseAmount(opening[1]), cost: null });
+  }
+
+  for (const line of schemeLines) {
+    const transaction = line.match(CAS_PATTERNS.transaction);
+    if (!transaction) {
+      continue;
+    }
+
+    const amount = parseAmount(transaction[3]);
+    let units = parseAmount(transaction[4]);
+    if (units > 0) {
+      lots.push({ purchaseDate: parseCasDate(transaction[1]), units, cost: Math.abs(amount) });
+      continue;
+    }
+
+    // First in, first out
+    units = -units;
+    while (units > 1e-9 && lots.length > 0) {
+      const taken = Math.min(lots[0].units, units);
+      if (lots[0].cost !== null) {
+        lots[0].cost -= lots[0].cost * taken / lots[0].units;
+      }
+      lots[0].units -= taken;
+      units -= taken;
+      if (lots[0].units <= 1e-9) {
+        lots.shift();
+      }
+    }
+  }
+
+  const lotUnits = lots.reduce((total, lot) => total + lot.units, 0);
+  if (lots.length === 0 || Math.abs(lotUnits - closingUnits) > UNIT_TOLERANCE) {
+    return null;
+  }
+
+  const knownCost = lots.reduce((total, lot) => total + (lot.cost || 0), 0);
+  return lots.map(lot => ({
+    purchaseDate: lot.purchaseDate,
+    units: Math.round(lot.units * 1000) / 1000,
+    cost: lot.cost !== null ?
+      Math.round(lot.cost * 100) / 100 :
+      (costValue !== null && costValue > knownCost ? Math.round((costValue - knownCost) * 100) / 100 : null)
+  }));
+}
+
+/**
+ * Match parsed holdings to the mutual fund and listed scheme lists by ISIN
+ * Both lists are fetched in full, page by page.
+ * @param {Array} casHoldings - Holdings from parseCasText
+ * @returns {Promise<Array>} Holdings with product ({ name, isin, category, assetClass, exitLoad, source }) or null
+ */
+async function matchSchemes(casHoldings) {
+  const paging = { pageSize: CAS_CONFIG.schemePageSize, maxPages: CAS_CONFIG.maxSchemePages };
+  const [mutualFunds, listedStocks] = await Promise.all([
+    allProductsList.fetchMutualFundList({}, paging),
+    externalProducts.fetchListedStockList({}, paging)
+  ]);
+
+  const schemesByIsin = new Map();
+  const addSchemes = (schemes, source) => {
+    for (const scheme of schemes) {
+      if (scheme.isin && !schemesByIsin.has(scheme.isin)) {
+        schemesByIsin.set(scheme.isin, { scheme, source });
+      }
+    }
+  };
+  addSchemes(productMaster.normalizeProducts(mutualFunds, 'catalog', { type: 'mutualFunds' }), 'mutualFunds');
+  addSchemes(productMaster.normalizeProducts(listedStocks, 'listedSchemesApi'), 'listedStocks');
+
+  return casHoldings.map(holding => {
+    const match = schemesByIsin.get(holding.isin);
+    if (!match) {
+      return { ...holding, product: null };
+    }
+
+    return {
+      ...holding,
+      product: {
+        id: match.scheme.id,
+        name: match.scheme.name || holding.schemeName,
+        isin: holding.isin,
+        category: match.scheme.category,
+        assetClass: getCategoryAssetClass(match.scheme.category),
+        exitLoad: match.scheme.fees.exitLoad,
+        source: match.source
+      }
+    };
+  });
+}
+
+/**
+ * Import a CAS as a client's holdings
+ * Holdings from an earlier CAS are replaced; holdings entered another way are kept.
+ * The stored holdings are merged inside the store write, so a holdings save
+ * made at the same time is not lost.
+ * @param {string} clientId - Client id
+ * @param {Buffer|string} statement - CAS as text, or as a PDF file
+ * @param {string} [password] - PDF password
+ * @returns {Promise<Object>} { statement: { asOf, schemes, matched, unmatched, warnings }, holdings }
+ */
+async function importCas(clientId, statement, password) {
+  const parsed = parseCasText(await extractText(statement, password));
+  if (parsed.holdings.length === 0) {
+    throw new Error('No holdings were found in the CAS; upload a detailed statement from CAMS or KFintech');
+  }
+
+  const matched = await matchSchemes(parsed.holdings);
+  const record = await holdings.saveHoldings(clientId, existing => {
+    const otherHoldings = (existing?.holdings || [])
+      .map(holding => ({ ...holding, source: holding.source || existing.source }))
+      .filter(holding => holding.source !== 'cas');
+
+    return {
+      holdings: [...otherHoldings, ...matched.map(holding => ({ ...holding, source: 'cas' }))],
+      asOf: parsed.asOf,
+      source: 'cas'
+    };
+  });
+
+  return {
+    statement: {
+      asOf: parsed.asOf,
+      schemes: matched.length,
+      matched: matched.filter(holding => holding.product).length,
+      unmatched: matched.filter(holding => !holding.product).map(({ schemeName, isin }) => ({ schemeName, isin })),
+      warnings: parsed.warnings
+    },
+    holdings: record
+  };
+}
+
+/**
+ * Work out the asset class of a scheme category
+ * @param {string|null} category - Scheme category (e.g. 'Equity - Large Cap', 'Debt: Liquid')
+ * @returns {string|null} Asset class, or null for hybrid and unknown categories
+ */
+function getCategoryAssetClass(category) {
+  if (!category || /\b(hybrid|balanced|multi asset|arbitrage)\b/i.test(category)) {
+    return null;
+  }
+  const match = CATEGORY_ASSET_CLASSES.find(({ pattern }) => pattern.test(category));
+  return match ? match.assetClass : null;
+}
+
+/**
+ * Parse a CAS date (e.g. 30-Sep-2026)
+ * @param {string} value - Date as printed in the statement
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null if not a date
+ */
+function parseCasDate(value) {
+  const match = String(value || '').match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+  if (month < 0) {
+    return null;
+  }
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Parse an amount printed with thousands separators
+ * @param {string} value - Amount (e.g. '1,23,456.78', or '(5,000.00)' for a negative amount)
+ * @returns {number} Amount
+ */
+function parseAmount(value) {
+  const text = String(value).replace(/,/g, '');
+  const bracketed = text.match(/^\((.*)\)$/);
+  return bracketed ? -Number(bracketed[1]) : Number(text);
+}
+
+module.exports = {
+  CAS_CONFIG,
+  extractText,
+  parseCasText,
+  matchSchemes,
+  importCas
+};
@@ -0,0 +1,201 @@
+/**
+ * Clients Module
+ *
+ * This module manages stored client questionnaires so advisors can refer
+ * to a client by id instead of re-posting the full profile on every call.
+ */
+
+const storage = require('./storage');
+const profiling = require('./profiling');
+
+// Questionnaire sections kept on a client record
+const PROFILE_SECTIONS = [
+  'personalInfo',
+  'financialSituation',
+  'investmentObjectives',
+  'riskTolerance',
+  'liquidityNeeds',
+  'taxConsiderations',
+  'knowledgeAndExperience',
+  'behavioralInsights'
+];
+
+/**
+ * Get the client store
+ * @returns {Object} Storage adapter for the clients collection
+ */
+function getStore() {
+  return storage.createStore('clients');
+}
+
+/**
+ * List all stored clients
+ * @returns {Promise<Array>} Client records
+ */
+async function listClients() {
+  return getStore().list();
+}
+
+/**
+ * Get a stored client by id
+ * @param {string} clientId - Client id (e.g. 'client001')
+ * @returns {Promise<Object|null>} Client record, or null if not found
+ */
+async function getClient(clientId) {
+  return getStore().get(clientId);
+}
+
+/**
+ * Create a new client record
+ * The id is checked or assigned inside the store write, so two creates
+ * cannot take the same id.
+ * @param {Object} clientData - Questionnaire data, optionally with an id
+ * @returns {Promise<Object|null>} Created client record, or null if the id is already taken
+ */
+async function createClient(clientData) {
+  const now = new Date().toISOString();
+  const idTaken = new Error(`Client already exists: ${clientData.id}`);
+
+  try {
+    return await getStore().create(records => {
+      if (clientData.id && records.some(client => client.id === clientData.id)) {
+        throw idTaken;
+      }
+
+      return {
+        id: clientData.id || generateClientId(records),
+        ...pickProfileSections(clientData),
+        createdAt: now,
+        updatedAt: now
+      };
+    });
+  } catch (error) {
+    if (error === idTaken) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a stored client
+ * Sections present in the update are merged into the existing sections
+ * inside the store write, so concurrent updates do not lose each other's changes.
+ * @param {string} clientId - Client id
+ * @param {Object} updates - Questionnaire sections to update
+ * @returns {Promise<Object|null>} Updated client record, or null if not found
+ */
+async function updateClient(clientId, updates) {
+  const sections = pickProfileSections(updates);
+  const now = new Date().toISOString();
+
+  return getStore().update(clientId, existing => {
+    const record = { ...existing };
+    for (const [section, value] of Object.entries(sections)) {
+      record[section] = value && typeof value === 'object' && !Array.isArray(value) ?
+        { ...existing[section], ...value } :
+        value;
+    }
+    record.updatedAt = now;
+    return record;
+  });
+}
+
+/**
+ * Delete a stored client
+ * @param {string} clientId - Client id
+ * @returns {Promise<boolean>} True if the client existed
+ */
+async function deleteClient(clientId) {
+  return getStore().remove(clientId);
+}
+
+/**
+ * Build the processed client profile for a stored client
+ * @param {string} clientId - Client id
+ * @returns {Promise<Object|null>} Client profile as returned by /api/profile, or null if not found
+ */
+async function getClientProfile(clientId) {
+  const client = await getClient(clientId);
+
+  if (!client) {
+    return null;
+  }
+
+  return profiling.processClientProfile(client);
+}
+
+/**
+ * Create an Express middleware that replaces a `clientId` in the request body
+ * with the stored client profile
+ * @param {string|null} target - Body key to receive the profile, or null to merge it into the body
+ * @returns {Function} Express middleware
+ */
+function attachClientProfile(target) {
+  return async (req, res, next) => {
+    const { clientId } = req.body;
+
+    if (!clientId) {
+      return next();
+    }
+
+    try {
+      const clientProfile = await getClientProfile(clientId);
+
+      if (!clientProfile) {
+        return res.status(404).json({ success: false, error: `Client not found: ${clientId}` });
+      }
+
+      if (target) {
+        req.body[target] = clientProfile;
+      } else {
+        req.body = { ...req.body, ...clientProfile };
+      }
+
+      next();
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Pick the questionnaire sections from client data
+ * @param {Object} clientData - Raw client data
+ * @returns {Object} Questionnaire sections only
+ */
+function pickProfileSections(clientData) {
+  const sections = {};
+
+  for (const section of PROFILE_SECTIONS) {
+    if (clientData[section] !== undefined) {
+      sections[section] = clientData[section];
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Generate the next sequential client id (client001, client002, ...)
+ * @param {Array} clients - Existing client records
+ * @returns {string} New client id
+ */
+function generateClientId(clients) {
+  const highest = clients.reduce((max, client) => {
+    const match = /^client(\d+)$/.exec(client.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+
+  return `client${String(highest + 1).padStart(3, '0')}`;
+}
+
+module.exports = {
+  listClients,
+  getClient,
+  createClient,
+  updateClient,
+  deleteClient,
+  getClientProfile,
+  attachClientProfile
+};
@@ -5,10 +5,11 @@
  * - Unlisted Stocks (IVP001)
  * - Alternative Funds (IVP005)
  * - PMS (IVP004)
- * - Listed Stocks (Mutual Fund API)
+ * - Listed Stocks (mutual fund schemes from the Mutual Fund API)
  */
 
 const axios = require('axios');
+const schemeCategories = require('./schemeCategories');
 require('dotenv').config();
 
 // API configuration
@@ -33,7 +34,9 @@ const LISTED_STOCKS_API_CONFIG = {
   apiKey: process.env.LISTED_STOCKS_API_KEY || 'APIKEY-STRFQUJDRDEyMw==',
   timeout: 15000, // 15 seconds timeout
   retries: 2,     // Number of retry attempts
-  retryDelay: 1000 // Delay between retries in ms
+  retryDelay: 1000, // Delay between retries in ms
+  listPageSize: 500, // Page size when fetching the whole list
+  maxListPages: 40   // Pages fetched at most for the whole list
 };
 
 /**
@@ -416,7 +419,8 @@ function formatProductData(rawProducts, productType) {
         name: 'Unknown Product',
         description: 'No description available',
         expectedReturn: 'Variable',
-        risk: 'Moderate',
+        // Left empty when the API gives no grade, so suitability flags the product as not checked
+        risk: null,
         lockInPeriod: 'Variable',
         minimumInvestment: 'Not specified',
         // Include original data for reference
@@ -430,7 +434,7 @@ function formatProductData(rawProducts, productType) {
           formattedProduct.name = product.instrument_name || 'Unknown Debt Instrument';
           formattedProduct.description = product.issuer_description || 'No description available';
           formattedProduct.expectedReturn = product.yield || 'Variable';
-          formattedProduct.risk = product.risk_grade || 'Moderate';
+          formattedProduct.risk = product.risk_grade || null;
           formattedProduct.lockInPeriod = `Until ${product.maturity_date}` || 'Variable';
           formattedProduct.minimumInvestment = product.min_investment ? 
             `₹${product.min_investment.toLocaleString('en-IN')}` : 'Not specified';
@@ -453,7 +457,7 @@ function formatProductData(rawProducts, productType) {
           formattedProduct.description = product.scheme_objective || 'No description available';
           formattedProduct.expectedReturn = product.active_returns_1_month ? 
             `${product.active_returns_1_month}` : 'Variable';
-          formattedProduct.risk = product.scheme_risk_grade || 'Moderate';
+          formattedProduct.risk = product.scheme_risk_grade || null;
           formattedProduct.lockInPeriod = product.scheme_exit_load || 'Variable';
           formattedProduct.minimumInvestment = product.scheme_min_investment ? 
             `${product.scheme_min_investment}` : 'Not specified';
@@ -479,7 +483,7 @@ function formatProductData(rawProducts, productType) {
           formattedProduct.name = product.name || product.scheme_name || product.product_name || 'Unknown Fund';
           formattedProduct.description = product.description || product.scheme_objective || 'No description available';
           formattedProduct.expectedReturn = product.returns || product.active_returns_1_month || 'Variable';
-          formattedProduct.risk = product.risk_level || product.scheme_risk_grade || 'Moderate';
+          formattedProduct.risk = product.risk_level || product.scheme_risk_grade || null;
           formattedProduct.lockInPeriod = product.lock_in_period || product.scheme_exit_load || 'Variable';
           formattedProduct.minimumInvestment = product.minimum_investment || product.scheme_min_investment || 'Not specified';
           formattedProduct.fundManager = product.fund_manager || 'Not specified';
@@ -625,6 +629,30 @@ async function fetchListedStocks(options = {}, retryCount = 0) {
   }
 }
 
+/**
+ * Fetch every listed scheme, page by page
+ * Pages are requested until one comes back short or empty; a page that
+ * fails after its retries ends the list there.
+ * @param {Object} [options] - Options for fetchListedStocks, without paging
+ * @param {Object} [paging] - { pageSize, maxPages }, defaulting to LISTED_STOCKS_API_CONFIG
+ * @returns {Promise<Array>} Array of listed schemes
+ */
+async function fetchListedStockList(options = {}, paging = {}) {
+  const pageSize = paging.pageSize || LISTED_STOCKS_API_CONFIG.listPageSize;
+  const maxPages = paging.maxPages || LISTED_STOCKS_API_CONFIG.maxListPages;
+  const schemes = [];
+
+  for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+    const page = await fetchListedStocks({ ...options, pageNumber, pageSize });
+    schemes.push(...page);
+    if (page.length < pageSize) {
+      break;
+    }
+  }
+
+  return schemes;
+}
+
 /**
  * Format listed stocks data into a standardized format
  * @param {Array} rawStocks - Raw listed stocks data from API
@@ -637,46 +665,20 @@ function formatListedStocksData(rawStocks) {
       return [];
     }
     
-    // Format all listed stocks
+    // The listed schemes are mutual fund schemes; their riskometer and lock-in come from the SEBI category
     return rawStocks.map(stock => {
-      // Map category to risk level
-      let risk = 'Moderate';
-      let expectedReturn = '10-12%';
-      
-      // Determine risk and expected return based on category
-      if (stock.DPCategoryName) {
-        if (stock.DPCategoryName.includes('Large-Cap')) {
-          risk = 'Moderate';
-          expectedReturn = '10-12%';
-        } else if (stock.DPCategoryName.includes('Mid-Cap')) {
-          risk = 'Moderate-High';
-          expectedReturn = '12-15%';
-        } else if (stock.DPCategoryName.includes('Small-Cap')) {
-          risk = 'High';
-          expectedReturn = '15-18%';
-        } else if (stock.DPCategoryName.includes('Multi-Cap') || stock.DPCategoryName.includes('Flexi-Cap')) {
-          risk = 'Moderate-High';
-          expectedReturn = '12-14%';
-        } else if (stock.DPCategoryName.includes('Liquid') || stock.DPCategoryName.includes('Money Market')) {
-          risk = 'Very Low';
-          expectedReturn = '5-7%';
-        } else if (stock.DPCategoryName.includes('Debt')) {
-          risk = 'Low';
-          expectedReturn = '7-9%';
-        }
-      }
-      
-      // Use actual returns if available
-      if (stock.OneYrReturn) {
-        expectedReturn = `${Math.round(stock.OneYrReturn)}%`;
-      }
+      const schemeCategory = schemeCategories.getSchemeCategory(schemeCategories.matchSchemeCategory(stock.DPCategoryName, stock.SchemeName));
+      const lockInMonths = schemeCategory ? schemeCategory.liquidity.lockInMonths : null;
       
       return {
         name: stock.SchemeName || 'Unknown Stock',
         description: `${stock.SchemeType || 'Equity'} fund in ${stock.DPCategoryName || 'Unknown'} category`,
-        expectedReturn: expectedReturn,
-        risk: risk,
+        // Past returns stand in for the expected return
+        expectedReturn: stock.OneYrReturn ? `${Math.round(stock.OneYrReturn)}%` : undefined,
+        risk: stock.Riskometer || schemeCategories.getRiskometerLabel(schemeCategory?.key) || undefined,
+        lockInPeriod: lockInMonths === null ? undefined : lockInMonths === 0 ? 'None' : `${lockInMonths / 12} years`,
         category: stock.DPCategoryName || 'Unknown',
+        sebiCategory: schemeCategory ? schemeCategory.name : null,
         minInvestment: 5000, // Default minimum investment
         dataSource: 'Listed Stocks API',
         isin: stock.ISIN,
@@ -702,5 +704,6 @@ module.exports = {
   fetchDebtPapers,
   formatProductData,
   fetchListedStocks,
+  fetchListedStockList,
   formatListedStocksData
 };
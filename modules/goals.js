@@ -0,0 +1,257 @@
+/**
+ * Goals Module
+ *
+ * This module plans the client's financial goals. For every goal it works
+ * out the inflation-adjusted corpus needed on the target date, earmarks part
+ * of the initial investment and of the monthly contribution for it, computes
+ * the monthly SIP still required and estimates the probability of reaching
+ * the corpus. Each goal gets its own equity/debt bucket based on how far away
+ * it is, and the buckets are blended into the overall asset allocation. Once
+ * that allocation is known, the probabilities are simulated again on its
+ * return and volatility (see estimatePortfolioProbabilities).
+ */
+
+const projection = require('./projection');
+
+// Goal planning assumptions (returns and volatility are annual percentages)
+const GOAL_CONFIG = {
+  defaultInflationRate: 6,
+  expectedReturns: { equity: 12, debt: 7 },
+  volatility: { equity: 18, debt: 5 },
+  equityDebtCorrelation: 0.2,
+  // Equity share of a goal bucket by years to the goal (first matching band wins)
+  horizonBands: [
+    { maxYears: 3, equity: 0 },
+    { maxYears: 5, equity: 30 },
+    { maxYears: 7, equity: 50 },
+    { maxYears: 10, equity: 65 },
+    { equity: 80 }
+  ],
+  // Essential goals take less equity risk
+  priorityEquityAdjustment: { high: -10, medium: 0, low: 0 }
+};
+
+// Goals are funded in this order, then by nearest target date
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Plan the client's goals
+ * @param {Array} goals - Goals: { name, targetAmount, targetDate, inflationRate?, priority? }
+ * @param {Object} options - Planning inputs
+ * @param {number} options.initialInvestment - Lump sum available in INR
+ * @param {number} options.monthlyContribution - Regular monthly contribution in INR
+ * @param {number} options.maxEquity - Highest equity percentage allowed by the risk profile
+ * @param {Date} [options.asOf] - Planning date (defaults to today)
+ * @returns {Object} Goal plan with per-goal results and the blended asset class allocation
+ */
+function planGoals(goals, { initialInvestment = 0, monthlyContribution = 0, maxEquity = 100, asOf = new Date() }) {
+  try {
+    const plannedGoals = goals
+      .map(goal => describeGoal(goal, maxEquity, asOf))
+      .sort((a, b) =>
+        PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) ||
+        a.monthsToGoal - b.monthsToGoal
+      );
+
+    let remainingLumpSum = initialInvestment;
+    let remainingSIP = monthlyContribution;
+
+    for (const goal of plannedGoals) {
+      // Earmark the lump sum needed today to grow into the corpus
+      const presentValueNeeded = goal.requiredCorpus / Math.pow(1 + goal.expectedReturn / 100, goal.yearsToGoal);
+      goal.lumpSumAllocated = Math.round(Math.min(presentValueNeeded, remainingLumpSum));
+      remainingLumpSum -= goal.lumpSumAllocated;
+
+      goal.requiredMonthlySIP = calculateRequiredSIP(goal);
+      goal.monthlySIPAllocated = Math.round(Math.min(goal.requiredMonthlySIP, remainingSIP));
+      goal.sipShortfall = goal.requiredMonthlySIP - goal.monthlySIPAllocated;
+      remainingSIP -= goal.monthlySIPAllocated;
+
+      goal.bucketProbabilityOfSuccess = estimateProbability(goal, goal.expectedReturn, goal.expectedVolatility);
+    }
+
+    return {
+      goals: plannedGoals,
+      totalRequiredMonthlySIP: plannedGoals.reduce((total, goal) => total + goal.requiredMonthlySIP, 0),
+      monthlyContribution,
+      unallocatedLumpSum: Math.round(remainingLumpSum),
+      unallocatedMonthlySIP: Math.round(remainingSIP),
+      equityPercentage: blendEquityPercentage(plannedGoals, initialInvestment, remainingLumpSum, maxEquity),
+      assumptions: {
+        expectedReturns: GOAL_CONFIG.expectedReturns,
+        volatility: GOAL_CONFIG.volatility,
+        simulations: projection.PROJECTION_CONFIG.simulations
+      },
+      notes: [
+        "probabilityOfSuccess is simulated on the recommended portfolio allocation's return and volatility; bucketProbabilityOfSuccess on the goal's own equity/debt bucket"
+      ]
+    };
+  } catch (error) {
+    throw new Error(`Error planning goals: ${error.message}`);
+  }
+}
+
+/**
+ * Work out the corpus, horizon and bucket allocation of a goal
+ * @param {Object} goal - Goal as submitted
+ * @param {number} maxEquity - Highest equity percentage allowed by the risk profile
+ * @param {Date} asOf - Planning date
+ * @returns {Object} Goal with derived values
+ */
+function describeGoal(goal, maxEquity, asOf) {
+  const inflationRate = typeof goal.inflationRate === 'number' ? goal.inflationRate : GOAL_CONFIG.defaultInflationRate;
+  const priority = PRIORITIES.includes(goal.priority) ? goal.priority : 'medium';
+
+  // At least one month, so goals due now still get a (lump sum) plan
+  const monthsToGoal = Math.max(1, monthsBetween(asOf, new Date(goal.targetDate)));
+  const yearsToGoal = monthsToGoal / 12;
+
+  const band = GOAL_CONFIG.horizonBands.find(item => item.maxYears === undefined || yearsToGoal <= item.maxYears);
+  const equity = Math.max(0, Math.min(maxEquity, band.equity + GOAL_CONFIG.priorityEquityAdjustment[priority]));
+  const bucketAllocation = { equity, debt: 100 - equity };
+
+  return {
+    name: goal.name,
+    priority,
+    targetAmount: goal.targetAmount,
+    targetDate: goal.targetDate,
+    inflationRate,
+    monthsToGoal,
+    yearsToGoal: Math.round(yearsToGoal * 10) / 10,
+    requiredCorpus: Math.round(goal.targetAmount * Math.pow(1 + inflationRate / 100, yearsToGoal)),
+    bucketAllocation,
+    expectedReturn: roundPercentage(bucketReturn(bucketAllocation)),
+    expectedVolatility: roundPercentage(bucketVolatility(bucketAllocation))
+  };
+}
+
+/**
+ * Calculate the monthly SIP needed on top of the earmarked lump sum
+ * @param {Object} goal - Goal with requiredCorpus, lumpSumAllocated, expectedReturn and monthsToGoal
+ * @returns {number} Required monthly SIP in INR (0 if the lump sum is enough)
+ */
+function calculateRequiredSIP(goal) {
+  const annualReturn = goal.expectedReturn / 100;
+  const monthlyReturn = Math.pow(1 + annualReturn, 1 / 12) - 1;
+  const lumpSumFutureValue = goal.lumpSumAllocated * Math.pow(1 + annualReturn, goal.monthsToGoal / 12);
+  const gap = goal.requiredCorpus - lumpSumFutureValue;
+
+  if (gap <= 0) {
+    return 0;
+  }
+
+  if (monthlyReturn === 0) {
+    return Math.round(gap / goal.monthsToGoal);
+  }
+
+  return Math.round(gap * monthlyReturn / (Math.pow(1 + monthlyReturn, goal.monthsToGoal) - 1));
+}
+
+/**
+ * Set each goal's probability of success under the portfolio allocation
+ * @param {Object} goalPlan - Output of planGoals (updated in place)
+ * @param {Object} portfolioAssumptions - { expectedReturn, volatility } of the allocation, as given by
+ *   projection.getPortfolioAssumptions
+ * @returns {Object} The goal plan
+ */
+function estimatePortfolioProbabilities(goalPlan, portfolioAssumptions) {
+  const { expectedReturn, volatility } = portfolioAssumptions;
+
+  for (const goal of goalPlan.goals) {
+    goal.probabilityOfSuccess = estimateProbability(goal, expectedReturn, volatility);
+  }
+  goalPlan.assumptions.portfolio = { expectedReturn, volatility };
+
+  return goalPlan;
+}
+
+/**
+ * Estimate the probability of reaching the goal corpus with the earmarked
+ * lump sum and SIP, by simulating monthly returns
+ * @param {Object} goal - Planned goal
+ * @param {number} expectedReturn - Expected annual return as a percentage
+ * @param {number} volatility - Annual volatility as a percentage
+ * @returns {number} Probability as a percentage (0-100)
+ */
+function estimateProbability(goal, expectedReturn, volatility) {
+  const simulated = projection.simulate({
+    initialAmount: goal.lumpSumAllocated,
+    monthlyContribution: goal.monthlySIPAllocated,
+    months: goal.monthsToGoal,
+    expectedReturn,
+    volatility
+  });
+  const finalValues = simulated[simulated.length - 1];
+
+  const successes = finalValues.filter(value => value >= goal.requiredCorpus).length;
+  return Math.round((successes / finalValues.length) * 100);
+}
+
+/**
+ * Blend the goal buckets into one equity percentage, weighted by the lump
+ * sum earmarked for each goal. Money not earmarked for any goal is invested
+ * at the risk profile's equity percentage.
+ * @param {Array} goals - Planned goals
+ * @param {number} initialInvestment - Lump sum available in INR
+ * @param {number} unallocatedLumpSum - Lump sum not earmarked for any goal
+ * @param {number} maxEquity - Equity percentage of the risk profile
+ * @returns {number} Blended equity percentage
+ */
+function blendEquityPercentage(goals, initialInvestment, unallocatedLumpSum, maxEquity) {
+  if (!(initialInvestment > 0)) {
+    return maxEquity;
+  }
+
+  const equityAmount = goals.reduce(
+    (total, goal) => total + goal.lumpSumAllocated * goal.bucketAllocation.equity / 100,
+    unallocatedLumpSum * maxEquity / 100
+  );
+
+  return Math.round((equityAmount / initialInvestment) * 100);
+}
+
+/**
+ * Expected annual return of a bucket
+ * @param {Object} bucketAllocation - { equity, debt } percentages
+ * @returns {number} Expected return as a percentage
+ */
+function bucketReturn(bucketAllocation) {
+  return (bucketAllocation.equity * GOAL_CONFIG.expectedReturns.equity +
+    bucketAllocation.debt * GOAL_CONFIG.expectedReturns.debt) / 100;
+}
+
+/**
+ * Expected annual volatility of a bucket
+ * @param {Object} bucketAllocation - { equity, debt } percentages
+ * @returns {number} Volatility as a percentage
+ */
+function bucketVolatility(bucketAllocation) {
+  const equity = bucketAllocation.equity / 100 * GOAL_CONFIG.volatility.equity;
+  const debt = bucketAllocation.debt / 100 * GOAL_CONFIG.volatility.debt;
+
+  return Math.sqrt(equity * equity + debt * debt + 2 * GOAL_CONFIG.equityDebtCorrelation * equity * debt);
+}
+
+/**
+ * Whole months between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Months (negative if `to` is before `from`)
+ */
+function monthsBetween(from, to) {
+  return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+}
+
+/**
+ * Round a percentage to two decimal places
+ * @param {number} value - Percentage
+ * @returns {number} Rounded percentage
+ */
+function roundPercentage(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  planGoals,
+  estimatePortfolioProbabilities
+};
@@ -0,0 +1,378 @@
+/**
+ * Holdings Module
+ *
+ * This module stores a client's existing investments and compares them with
+ * a target allocation. Each holding is mapped to the investment vehicles
+ * used in `detailedAllocation` (e.g. 'Equity Mutual Funds', 'Direct Debt').
+ * The asset class and product type are used when given; otherwise they are
+ * taken from the matched product master scheme (see casParser.js) or
+ * inferred from the ISIN and scheme name.
+ *
+ * The gap analysis applies the target allocation's vehicle weights to the
+ * whole portfolio (current holdings plus any new investment). For every
+ * vehicle it reports the amount to buy or sell, and it lists holdings that
+ * are also among the recommended products.
+ */
+
+const storage = require('./storage');
+const manualAllocation = require('./manualAllocation');
+const productMaster = require('./productMaster');
+
+// Holdings configuration
+const HOLDINGS_CONFIG = {
+  // Differences smaller than this (INR) are reported as 'hold'
+  minimumTradeAmount: 1000
+};
+
+// Scheme name patterns used to infer the asset class of a holding, checked in order
+const ASSET_CLASS_PATTERNS = [
+  { assetClass: 'goldSilver', pattern: /\b(gold|silver)\b/i },
+  { assetClass: 'cash', pattern: /\b(savings account|cash)\b/i },
+  { assetClass: 'debt', pattern: /\b(liquid|overnight|money market|debt|bonds?|gilt|income|credit|duration|fixed deposit|fd|debentures?|ncds?|treasury|g-?sec)\b/i }
+];
+
+// Scheme name patterns used to infer the product type of a holding, checked in order
+const PRODUCT_TYPE_PATTERNS = [
+  { productType: 'etf', pattern: /\b(etf|bees)\b/i },
+  { productType: 'pms', pattern: /\b(pms|portfolio management)\b/i },
+  { productType: 'aif', pattern: /\b(aif|alternative investment|category (i|ii|iii))\b/i },
+  { productType: 'direct', pattern: /\b(fixed deposit|fd|debentures?|ncds?|g-?sec|t-?bill)\b/i },
+  { productType: 'unlistedStocks', pattern: /\b(unlisted|pre-ipo)\b/i }
+];
+
+// Product type used for an asset class when nothing else matches
+const DEFAULT_PRODUCT_TYPES = {
+  equity: 'mutualFunds',
+  debt: 'mutualFunds',
+  goldSilver: 'etf'
+};
+
+/**
+ * Get the holdings store
+ * @returns {Object} Storage adapter for the holdings collection (one record per client)
+ */
+function getStore() {
+  return storage.createStore('holdings');
+}
+
+/**
+ * Get the stored holdings of a client
+ * @param {string} clientId - Client id
+ * @returns {Promise<Object|null>} Holdings record, or null if none were imported
+ */
+async function getHoldings(clientId) {
+  return getStore().get(clientId);
+}
+
+/**
+ * Replace the stored holdings of a client
+ * The record is created or replaced in one store write. To build the new
+ * holdings from the stored ones, pass a function of the stored record (or
+ * null) that returns the holdings data; it runs inside the write.
+ * @param {string} clientId - Client id
+ * @param {Object|Function} holdingsData - { holdings, asOf?, source? }, or a function returning it
+ * @returns {Promise<Object>} Stored holdings record
+ */
+async function saveHoldings(clientId, holdingsData) {
+  const now = new Date().toISOString();
+
+  return getStore().save(clientId, existing => {
+    const data = typeof holdingsData === 'function' ? holdingsData(existing) : holdingsData;
+
+    return {
+      id: clientId,
+      clientId,
+      asOf: data.asOf || now.slice(0, 10),
+      source: data.source || 'manual',
+      holdings: normalizeHoldings(data.holdings, data.source),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+  });
+}
+
+/**
+ * Map holdings to investment vehicles
+ * Holdings that were normalized before (e.g. stored ones) keep their classification.
+ * @param {Array} holdings - Holdings ({ schemeName, folio?, isin?, units?, nav?, value?, costValue?, lots?, exitLoad?, assetClass?, productType?, product? })
+ * @param {string} [source] - Where the holdings come from ('manual', 'cas', ...), unless a holding says otherwise
+ * @returns {Array} Holdings with value, assetClass, productType, vehicle and how they were classified
+ */
+function normalizeHoldings(holdings = [], source = 'manual') {
+  return holdings.map(holding => {
+    const isin = holding.isin ? holding.isin.toUpperCase() : null;
+    const product = holding.product || null;
+    const assetClass = holding.assetClass || product?.assetClass || inferAssetClass(holding.schemeName, isin);
+    const productType = assetClass === 'cash' ?
+      null :
+      holding.productType || inferProductType(holding.schemeName, isin, assetClass);
+
+    return {
+      schemeName: holding.schemeName,
+      folio: holding.folio ?? null,
+      isin,
+      units: holding.units ?? null,
+      nav: holding.nav ?? null,
+      value: round(holding.value ?? holding.units * holding.nav),
+      costValue: holding.costValue ?? null,
+      lots: normalizeLots(holding.lots),
+      exitLoad: holding.exitLoad ?? null,
+      assetClass,
+      productType,
+      vehicle: getVehicleName(assetClass, productType),
+      classification: {
+        assetClass: holding.classification?.assetClass || (holding.assetClass ? 'given' : product?.assetClass ? 'product' : 'inferred'),
+        productType: holding.classification?.productType || (holding.productType ? 'given' : 'inferred')
+      },
+      source: holding.source || source,
+      product
+    };
+  });
+}
+
+/**
+ * Order a holding's purchase lots, oldest first
+ * Lots bought on an unknown date (e.g. before a statement period) come first.
+ * @param {Array} [lots] - Lots ({ purchaseDate?, units, cost?, nav? })
+ * @returns {Array|null} Lots ({ purchaseDate, units, cost }), or null if none were given
+ */
+function normalizeLots(lots) {
+  if (!Array.isArray(lots) || lots.length === 0) {
+    return null;
+  }
+
+  return lots
+    .map(lot => ({
+      purchaseDate: lot.purchaseDate ?? null,
+      units: lot.units,
+      cost: lot.cost ?? (lot.nav !== undefined && lot.nav !== null ? round(lot.units * lot.nav) : null)
+    }))
+    .sort((a, b) => (a.purchaseDate || '').localeCompare(b.purchaseDate || ''));
+}
+
+/**
+ * Compare holdings with a target allocation
+ * @param {Object} options - Inputs
+ * @param {Array} options.holdings - Normalized holdings (see normalizeHoldings)
+ * @param {Object} options.assetAllocation - Target allocation with detailedAllocation (crores, with Total)
+ * @param {number} [options.newInvestment] - New money to invest alongside the holdings (INR)
+ * @param {Object} [options.productRecommendations] - Output of products.recommendProducts
+ * @returns {Object} { currentValue, newInvestment, totalValue, assetClasses, vehicles, totals, overlaps }
+ */
+function analyzeGaps({ holdings, assetAllocation, newInvestment = 0, productRecommendations }) {
+  const currentValue = holdings.reduce((total, holding) => total + holding.value, 0);
+  const totalValue = currentValue + newInvestment;
+
+  const current = {};
+  for (const holding of holdings) {
+    current[holding.vehicle] = (current[holding.vehicle] || 0) + holding.value;
+  }
+
+  const target = {};
+  const detailedAllocation = assetAllocation?.detailedAllocation || {};
+  const targetTotal = Number(detailedAllocation.Total) || 0;
+  for (const [vehicle, value] of Object.entries(detailedAllocation)) {
+    if (vehicle !== 'Total' && vehicle !== 'error' && targetTotal > 0) {
+      target[vehicle] = totalValue * Number(value) / targetTotal;
+    }
+  }
+
+  const vehicles = [...new Set([...Object.keys(target), ...Object.keys(current)])].map(vehicle => ({
+    vehicle,
+    assetClass: getVehicleAssetClass(vehicle),
+    ...compareAmounts(current[vehicle] || 0, target[vehicle] || 0, totalValue)
+  }));
+
+  const assetClasses = Object.keys(manualAllocation.ASSET_CLASS_NAMES)
+    .map(assetClass => {
+      const rows = vehicles.filter(row => row.assetClass === assetClass);
+      const currentAmount = rows.reduce((total, row) => total + row.currentAmount, 0);
+      const targetAmount = rows.reduce((total, row) => total + row.targetAmount, 0);
+      return { assetClass, name: manualAllocation.ASSET_CLASS_NAMES[assetClass], ...compareAmounts(currentAmount, targetAmount, totalValue) };
+    })
+    .filter(row => row.currentAmount > 0 || row.targetAmount > 0);
+
+  return {
+    currentValue: round(currentValue),
+    newInvestment: round(newInvestment),
+    totalValue: round(totalValue),
+    assetClasses,
+    vehicles,
+    totals: {
+      buy: round(vehicles.filter(row => row.action === 'buy').reduce((total, row) => total + row.tradeAmount, 0)),
+      sell: round(vehicles.filter(row => row.action === 'sell').reduce((total, row) => total + row.tradeAmount, 0))
+    },
+    overlaps: findOverlaps(holdings, productRecommendations)
+  };
+}
+
+/**
+ * Compare a current and a target amount
+ * @param {number} currentAmount - Current amount (INR)
+ * @param {number} targetAmount - Target amount (INR)
+ * @param {number} totalValue - Portfolio value the percentages are based on (INR)
+ * @returns {Object} Amounts, percentages, difference and the resulting action
+ */
+function compareAmounts(currentAmount, targetAmount, totalValue) {
+  const difference = targetAmount - currentAmount;
+  let action = 'hold';
+  if (difference >= HOLDINGS_CONFIG.minimumTradeAmount) {
+    action = 'buy';
+  } else if (difference <= -HOLDINGS_CONFIG.minimumTradeAmount) {
+    action = 'sell';
+  }
+
+  return {
+    currentAmount: round(currentAmount),
+    currentPercentage: totalValue > 0 ? round(currentAmount / totalValue * 100) : 0,
+    targetAmount: round(targetAmount),
+    targetPercentage: totalValue > 0 ? round(targetAmount / totalValue * 100) : 0,
+    difference: round(difference),
+    action,
+    tradeAmount: action === 'hold' ? 0 : round(Math.abs(difference))
+  };
+}
+
+/**
+ * Find holdings that are also recommended products
+ * Products are matched by ISIN when both sides have one, otherwise by scheme name.
+ * @param {Array} holdings - Normalized holdings
+ * @param {Object} [productRecommendations] - Output of products.recommendProducts
+ * @returns {Array} { schemeName, isin, vehicle, product, recommendedIn, matchedBy }
+ */
+function findOverlaps(holdings, productRecommendations) {
+  const recommended = [];
+  for (const [assetClass, productTypes] of Object.entries(productRecommendations?.recommendations || {})) {
+    for (const [productType, recommendation] of Object.entries(productTypes || {})) {
+      for (const product of recommendation?.products || []) {
+        recommended.push({ product: productMaster.toMasterProduct(product, { assetClass, type: productType }), recommendedIn: `${assetClass}.${productType}` });
+      }
+    }
+  }
+
+  const overlaps = [];
+  for (const holding of holdings) {
+    const name = normalizeName(holding.schemeName);
+    const match = recommended.find(({ product }) => holding.isin && product.isin === holding.isin) ||
+      recommended.find(({ product }) => name !== '' && normalizeName(product.name) === name);
+
+    if (match) {
+      overlaps.push({
+        schemeName: holding.schemeName,
+        isin: holding.isin,
+        vehicle: holding.vehicle,
+        product: match.product.name,
+        recommendedIn: match.recommendedIn,
+        matchedBy: holding.isin && match.product.isin === holding.isin ? 'isin' : 'name'
+      });
+    }
+  }
+
+  return overlaps;
+}
+
+/**
+ * Infer the asset class of a holding
+ * @param {string} schemeName - Scheme or instrument name
+ * @param {string|null} isin - ISIN
+ * @returns {string} Asset class
+ */
+function inferAssetClass(schemeName, isin) {
+  const match = ASSET_CLASS_PATTERNS.find(({ pattern }) => pattern.test(schemeName));
+  if (match) {
+    return match.assetClass;
+  }
+
+  // Government securities have ISINs starting with IN0
+  return isin && isin.startsWith('IN0') ? 'debt' : 'equity';
+}
+
+/**
+ * Infer the product type of a holding within its asset class
+ * @param {string} schemeName - Scheme or instrument name
+ * @param {string|null} isin - ISIN
+ * @param {string} assetClass - Asset class of the holding
+ * @returns {string} Product type
+ */
+function inferProductType(schemeName, isin, assetClass) {
+  const allowed = Object.keys(manualAllocation.VEHICLE_NAMES[assetClass] || {});
+
+  const match = PRODUCT_TYPE_PATTERNS.find(({ productType, pattern }) => allowed.includes(productType) && pattern.test(schemeName));
+  if (match) {
+    return match.productType;
+  }
+
+  // Mutual fund units have ISINs starting with INF; other Indian ISINs are shares or bonds
+  if (isin && !isin.startsWith('INF')) {
+    if (assetClass === 'equity') {
+      return 'listedStocks';
+    }
+    if (assetClass === 'debt') {
+      return 'direct';
+    }
+  }
+
+  return DEFAULT_PRODUCT_TYPES[assetClass];
+}
+
+/**
+ * Get the investment vehicle name for an asset class and product type
+ * @param {string} assetClass - Asset class
+ * @param {string|null} productType - Product type
+ * @returns {string} Vehicle name as used in detailedAllocation
+ */
+function getVehicleName(assetClass, productType) {
+  const assetClassName = manualAllocation.ASSET_CLASS_NAMES[assetClass] || assetClass;
+  if (!productType) {
+    return assetClassName;
+  }
+  return manualAllocation.VEHICLE_NAMES[assetClass]?.[productType] || `${assetClassName} ${productType}`;
+}
+
+/**
+ * Get the asset class of an investment vehicle name
+ * @param {string} vehicle - Vehicle name as used in detailedAllocation
+ * @returns {string|null} Asset class, or null if the name is not recognised
+ */
+function getVehicleAssetClass(vehicle) {
+  for (const [assetClass, names] of Object.entries(manualAllocation.VEHICLE_NAMES)) {
+    if (Object.values(names).includes(vehicle)) {
+      return assetClass;
+    }
+  }
+
+  const byName = Object.entries(manualAllocation.ASSET_CLASS_NAMES)
+    .find(([, name]) => vehicle === name || vehicle.startsWith(`${name} `));
+  return byName ? byName[0] : null;
+}
+
+/**
+ * Normalize a scheme name for matching
+ * Plan and option suffixes (direct, regular, growth, IDCW, ...) are ignored.
+ * @param {string} name - Scheme name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\b(direct|regular|plan|growth|option|idcw|dividend|payout|reinvestment)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  HOLDINGS_CONFIG,
+  getHoldings,
+  saveHoldings,
+  normalizeHoldings,
+  analyzeGaps,
+  getVehicleAssetClass
+};
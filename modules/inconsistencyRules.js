@@ -0,0 +1,312 @@
+/**
+ * Inconsistency Rules Module
+ *
+ * This module checks a client's risk profile (and, when available, the
+ * proposed asset allocation) against a set of suitability rules. Every rule
+ * that fires produces a finding with a severity:
+ *
+ * - info: worth mentioning to the client, no action required
+ * - warn: the advisor should review before presenting the proposal
+ * - block: the proposal PDF cannot be generated without an advisor override
+ */
+
+const profiling = require('./profiling');
+
+// Finding severities, from least to most severe
+const SEVERITIES = ['info', 'warn', 'block'];
+
+// Risk categories that take on high equity risk
+const HIGH_RISK_CATEGORIES = ['Aggressive', 'Ultra-Aggressive'];
+
+// Emergency fund statuses that mean the client has no usable emergency fund
+const NO_EMERGENCY_FUND_STATUS = /^(none|no|inadequate|insufficient|not adequate)$/i;
+
+// Emergency fund below this many months of expenses is treated as missing
+const MIN_EMERGENCY_FUND_MONTHS = 3;
+
+/**
+ * Suitability rules
+ * Each rule returns null when it does not apply, or { severity, message }.
+ * Rules that need the asset allocation return null when it is not available.
+ */
+const RULES = [
+  {
+    id: 'risk_style_mismatch',
+    evaluate: ({ riskCategory, clientProfile }) => {
+      const style = clientProfile.riskTolerance?.preferredPortfolioStyle;
+
+      if (HIGH_RISK_CATEGORIES.includes(riskCategory) &&
+          (style === 'conservative' || style === 'moderately_conservative')) {
+        return { severity: 'warn', message: `Risk score indicates ${riskCategory} profile, but preferred portfolio style is Conservative` };
+      }
+      if (riskCategory === 'Conservative' &&
+          (style === 'aggressive' || style === 'moderately_aggressive')) {
+        return { severity: 'warn', message: 'Risk score indicates Conservative profile, but preferred portfolio style is Aggressive' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'horizon_risk_mismatch',
+    evaluate: ({ riskCategory, clientProfile }) => {
+      if (clientProfile.investmentObjectives?.investmentHorizon !== 'short_term') return null;
+
+      switch (riskCategory) {
+        case 'Ultra-Aggressive':
+          return { severity: 'block', message: 'Ultra-Aggressive risk profile with short-term investment horizon is not suitable' };
+        case 'Aggressive':
+          return { severity: 'warn', message: 'Aggressive risk profile with short-term investment horizon may not be suitable' };
+        case 'Moderate':
+          return { severity: 'info', message: 'Moderate risk profile with short-term investment horizon; equity returns may be volatile over this period' };
+        default:
+          return null;
+      }
+    }
+  },
+  {
+    id: 'loss_tolerance_mismatch',
+    evaluate: ({ riskCategory, clientProfile }) => {
+      const maxAcceptableLoss = clientProfile.riskTolerance?.maxAcceptableLoss;
+      if (typeof maxAcceptableLoss !== 'number') return null;
+
+      if (HIGH_RISK_CATEGORIES.includes(riskCategory) && maxAcceptableLoss <= 10) {
+        return { severity: 'warn', message: `Risk score indicates ${riskCategory} profile, but maximum acceptable loss is low` };
+      }
+      if (riskCategory === 'Moderate' && maxAcceptableLoss <= 5) {
+        return { severity: 'info', message: 'Risk score indicates Moderate profile, but maximum acceptable loss is very low' };
+      }
+      if (riskCategory === 'Conservative' && maxAcceptableLoss >= 20) {
+        return { severity: 'warn', message: 'Risk score indicates Conservative profile, but maximum acceptable loss is high' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'knowledge_risk_mismatch',
+    evaluate: ({ riskCategory, clientProfile }) => {
+      if (clientProfile.knowledgeAndExperience?.investmentKnowledge !== 'beginner') return null;
+
+      if (riskCategory === 'Ultra-Aggressive') {
+        return { severity: 'block', message: 'Beginner investment knowledge with an Ultra-Aggressive risk profile is not suitable' };
+      }
+      if (riskCategory === 'Aggressive') {
+        return { severity: 'warn', message: 'Beginner investment knowledge with an Aggressive risk profile; confirm the client understands the risks' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'age_risk_mismatch',
+    evaluate: ({ riskCategory, age }) => {
+      if (age >= 60 && riskCategory === 'Ultra-Aggressive') {
+        return { severity: 'warn', message: `Ultra-Aggressive risk profile for a client aged ${age}` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'liquidity_need_mismatch',
+    evaluate: ({ riskCategory, clientProfile }) => {
+      if (clientProfile.liquidityNeeds?.shortTermLiquidity === true && riskCategory === 'Ultra-Aggressive') {
+        return { severity: 'warn', message: 'Client needs short-term liquidity but has an Ultra-Aggressive risk profile' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'capacity_limited',
+    evaluate: ({ riskProfile }) => {
+      if (riskProfile?.bindingConstraint === 'capacity' && riskProfile.riskTolerance) {
+        return {
+          severity: 'info',
+          message: `Risk tolerance indicates ${riskProfile.riskTolerance.category}, but financial capacity limits the profile to ${riskProfile.riskCategory}`
+        };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'capacity_data_missing',
+    evaluate: ({ riskProfile }) => {
+      const missingMetrics = riskProfile?.riskCapacity?.missingMetrics || [];
+      if (missingMetrics.length > 0) {
+        return {
+          severity: 'warn',
+          message: `Risk capacity could not be checked for ${missingMetrics.join(', ')}; collect the client's financial situation before relying on the risk category`
+        };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'no_emergency_fund',
+    evaluate: ({ hasEmergencyFund, illiquidVehicles }) => {
+      if (hasEmergencyFund !== false) return null;
+
+      if (illiquidVehicles && illiquidVehicles.length > 0) {
+        return { severity: 'block', message: `Client has no adequate emergency fund but the allocation includes illiquid products (${illiquidVehicles.join(', ')})` };
+      }
+      return { severity: 'info', message: `Client has less than ${MIN_EMERGENCY_FUND_MONTHS} months of expenses as an emergency fund` };
+    }
+  },
+  {
+    id: 'horizon_illiquid_allocation',
+    evaluate: ({ clientProfile, illiquidVehicles }) => {
+      if (!illiquidVehicles || illiquidVehicles.length === 0) return null;
+      const horizon = clientProfile.investmentObjectives?.investmentHorizon;
+
+      if (horizon === 'short_term') {
+        return { severity: 'block', message: `Short-term investment horizon with PMS/AIF allocation (${illiquidVehicles.join(', ')})` };
+      }
+      if (horizon === 'medium_term' && illiquidVehicles.some(vehicle => vehicle.includes('AIF'))) {
+        return { severity: 'info', message: 'AIF lock-in periods may extend beyond a medium-term investment horizon' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'age_equity_concentration',
+    evaluate: ({ age, equityPercentage }) => {
+      if (!(age >= 60) || typeof equityPercentage !== 'number') return null;
+
+      if (equityPercentage >= 100) {
+        return { severity: 'block', message: `100% equity allocation for a client aged ${age}` };
+      }
+      if (equityPercentage >= 80) {
+        return { severity: 'warn', message: `${equityPercentage}% equity allocation for a client aged ${age}` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'allocation_risk_mismatch',
+    evaluate: ({ riskCategory, equityPercentage }) => {
+      if (typeof equityPercentage !== 'number') return null;
+
+      if (riskCategory === 'Conservative' && equityPercentage >= 60) {
+        return { severity: 'warn', message: `${equityPercentage}% equity allocation is high for a Conservative risk profile` };
+      }
+      if (riskCategory === 'Moderate' && equityPercentage >= 90) {
+        return { severity: 'warn', message: `${equityPercentage}% equity allocation is high for a Moderate risk profile` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'illiquid_share_mismatch',
+    evaluate: ({ clientProfile, illiquidPercentage }) => {
+      const accessible = clientProfile.liquidityNeeds?.accessiblePortfolioPercentage;
+      if (typeof illiquidPercentage !== 'number' || typeof accessible !== 'number') return null;
+
+      if (100 - illiquidPercentage < accessible) {
+        return {
+          severity: 'warn',
+          message: `Client needs ${accessible}% of the portfolio accessible, but ${illiquidPercentage}% is allocated to PMS/AIF`
+        };
+      }
+      return null;
+    }
+  }
+];
+
+/**
+ * Evaluate every rule against a client
+ * @param {Object} context - Inputs to check
+ * @param {Object} context.clientProfile - Processed client profile data
+ * @param {Object} context.riskProfile - Risk profile (at least riskCategory)
+ * @param {Object} [context.assetAllocation] - Proposed asset allocation
+ * @returns {Array} Findings: { type, severity, message }, most severe first
+ */
+function evaluateInconsistencies({ clientProfile, riskProfile, assetAllocation }) {
+  const ruleContext = buildRuleContext(clientProfile || {}, riskProfile || {}, assetAllocation);
+  const findings = [];
+
+  for (const rule of RULES) {
+    const result = rule.evaluate(ruleContext);
+    if (result) {
+      findings.push({ type: rule.id, severity: result.severity, message: result.message });
+    }
+  }
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+}
+
+/**
+ * Get the findings that block proposal generation
+ * @param {Array} findings - Output of evaluateInconsistencies
+ * @returns {Array} Findings with block severity
+ */
+function getBlockingFindings(findings) {
+  return (findings || []).filter(finding => finding.severity === 'block');
+}
+
+/**
+ * Derive the values the rules check from the raw inputs
+ * @param {Object} clientProfile - Processed client profile data
+ * @param {Object} riskProfile - Risk profile
+ * @param {Object} [assetAllocation] - Proposed asset allocation
+ * @returns {Object} Rule context
+ */
+function buildRuleContext(clientProfile, riskProfile, assetAllocation) {
+  const age = profiling.getClientAge(clientProfile.personalInfo?.age);
+  const context = {
+    clientProfile,
+    riskProfile,
+    riskCategory: riskProfile.riskCategory,
+    age: Number.isFinite(age) ? age : null,
+    hasEmergencyFund: hasEmergencyFund(clientProfile, riskProfile),
+    equityPercentage: null,
+    illiquidVehicles: null,
+    illiquidPercentage: null
+  };
+
+  if (!assetAllocation) {
+    return context;
+  }
+
+  if (typeof assetAllocation.assetClassAllocation?.equity === 'number') {
+    context.equityPercentage = assetAllocation.assetClassAllocation.equity;
+  }
+
+  const detailedAllocation = assetAllocation.detailedAllocation || {};
+  const vehicles = Object.entries(detailedAllocation)
+    .filter(([vehicle, value]) => vehicle !== 'Total' && vehicle !== 'error' && Number(value) > 0);
+  const illiquid = vehicles.filter(([vehicle]) => vehicle.includes('AIF') || vehicle.includes('PMS'));
+
+  context.illiquidVehicles = illiquid.map(([vehicle]) => vehicle);
+
+  const total = Number(detailedAllocation.Total) || vehicles.reduce((sum, [, value]) => sum + Number(value), 0);
+  if (total > 0) {
+    const illiquidTotal = illiquid.reduce((sum, [, value]) => sum + Number(value), 0);
+    context.illiquidPercentage = Math.round((illiquidTotal / total) * 100);
+  }
+
+  return context;
+}
+
+/**
+ * Determine whether the client has an adequate emergency fund
+ * @param {Object} clientProfile - Processed client profile data
+ * @param {Object} riskProfile - Risk profile (may carry risk capacity metrics)
+ * @returns {boolean|null} True or false, or null if unknown
+ */
+function hasEmergencyFund(clientProfile, riskProfile) {
+  const financialSituation = clientProfile.financialSituation || {};
+
+  if (typeof financialSituation.emergencyFundStatus === 'string' && financialSituation.emergencyFundStatus.trim()) {
+    return !NO_EMERGENCY_FUND_STATUS.test(financialSituation.emergencyFundStatus.trim());
+  }
+
+  let months = riskProfile.riskCapacity?.metrics?.emergencyFundMonths;
+  if (typeof months !== 'number' && typeof financialSituation.savings === 'number' && financialSituation.monthlyExpenses > 0) {
+    months = financialSituation.savings / financialSituation.monthlyExpenses;
+  }
+
+  return typeof months === 'number' ? months >= MIN_EMERGENCY_FUND_MONTHS : null;
+}
+
+module.exports = {
+  SEVERITIES,
+  evaluateInconsistencies,
+  getBlockingFindings
+};
@@ -0,0 +1,276 @@
+/**
+ * Manual Allocation Module
+ *
+ * This module handles asset allocations set by the advisor instead of the
+ * allocation matrix. The advisor's asset class split is kept as given, and
+ * so is the product type split within an asset class when one is given.
+ * Asset classes without a product type split use the model's split for that
+ * asset class, fitted to the minimum tickets (see allocationSolver.js).
+ *
+ * The result is compared with the model allocation for the risk category the
+ * manual allocation implies, so the response and the proposal can show how
+ * far the advisor moved away from the house view.
+ */
+
+const allocation = require('./allocation');
+const allocationSolver = require('./allocationSolver');
+const products = require('./products');
+
+// Manual allocation configuration
+const MANUAL_ALLOCATION_CONFIG = {
+  // Allowed rounding error when checking that percentages add up to 100
+  sumTolerance: 0.01
+};
+
+// Asset class names used in messages, the proposal and detailedAllocation
+const ASSET_CLASS_NAMES = {
+  equity: 'Equity',
+  debt: 'Debt',
+  goldSilver: 'Gold/Silver',
+  cash: 'Cash'
+};
+
+// Asset classes whose product type split comes from the allocation matrix
+const MODEL_SPLIT_ASSET_CLASSES = ['equity', 'debt'];
+
+// Investment vehicle names in detailedAllocation per asset class and product type
+// (the equity and debt names match the allocation matrix vehicles)
+const VEHICLE_NAMES = {
+  equity: {
+    mutualFunds: 'Equity Mutual Funds',
+    etf: 'Equity ETFs',
+    pms: 'Equity PMS',
+    aif: 'Equity AIF',
+    listedStocks: 'Equity Listed Stocks',
+    unlistedStocks: 'Equity Unlisted Stocks'
+  },
+  debt: {
+    mutualFunds: 'Debt Mutual Funds',
+    direct: 'Direct Debt',
+    aif: 'Debt AIF'
+  },
+  goldSilver: {
+    etf: 'Gold/Silver ETFs',
+    physical: 'Physical Gold/Silver'
+  }
+};
+
+/**
+ * Check a manual allocation
+ * Asset class percentages must add up to 100, as must each given product
+ * type split of an asset class that is invested in. Every vehicle in a given
+ * split must meet its minimum ticket.
+ * @param {Object} assetAllocation - { assetClassAllocation, productTypeAllocation? }
+ * @param {number} portfolioSize - Portfolio size in INR
+ * @returns {Array} Violations ({ field, message, type }); empty when the allocation is valid
+ */
+function validateManualAllocation(assetAllocation, portfolioSize) {
+  const errors = [];
+  const assetClassAllocation = assetAllocation.assetClassAllocation || {};
+
+  const total = sumPercentages(assetClassAllocation);
+  if (Math.abs(total - 100) > MANUAL_ALLOCATION_CONFIG.sumTolerance) {
+    errors.push({
+      field: 'assetAllocation.assetClassAllocation',
+      message: `Asset class percentages add up to ${round(total)}, not 100`,
+      type: 'allocation.sum'
+    });
+  }
+
+  for (const [assetClass, split] of Object.entries(assetAllocation.productTypeAllocation || {})) {
+    const classPercentage = assetClassAllocation[assetClass] || 0;
+    if (classPercentage <= 0) {
+      continue;
+    }
+
+    const field = `assetAllocation.productTypeAllocation.${assetClass}`;
+    const splitTotal = sumPercentages(split);
+    if (Math.abs(splitTotal - 100) > MANUAL_ALLOCATION_CONFIG.sumTolerance) {
+      errors.push({
+        field,
+        message: `${ASSET_CLASS_NAMES[assetClass] || assetClass} product type percentages add up to ${round(splitTotal)}, not 100`,
+        type: 'allocation.sum'
+      });
+    }
+
+    const classAmount = portfolioSize * classPercentage / 100;
+    for (const shortfall of allocationSolver.checkMinimumTickets(assetClass, classAmount, split)) {
+      errors.push({
+        field: `${field}.${shortfall.vehicle}`,
+        message: shortfall.reason,
+        type: 'allocation.minimumTicket'
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the asset allocation for a validated manual allocation
+ * @param {Object} options - Inputs
+ * @param {Object} options.assetAllocation - { assetClassAllocation, productTypeAllocation? } set by the advisor
+ * @param {Object} options.clientProfile - Client profile
+ * @param {Object} options.riskProfile - Risk profile implied by the manual allocation
+ * @param {number} options.portfolioSize - Portfolio size in INR
+ * @param {Object} [options.allocationPolicy] - Allocation policy in force (defaults to the config matrix)
+ * @param {string} [options.proposalDate] - Proposal date (YYYY-MM-DD), for the model allocation's goal plan
+ * @returns {Object} Asset allocation with mode 'manual' and a modelComparison
+ */
+function buildManualAllocation({ assetAllocation, clientProfile, riskProfile, portfolioSize, allocationPolicy, proposalDate }) {
+  const modelAllocation = allocation.generateAssetAllocation({
+    clientProfile: {
+      ...clientProfile,
+      investmentObjectives: { ...clientProfile?.investmentObjectives, initialInvestmentAmount: portfolioSize }
+    },
+    riskProfile,
+    allocationPolicy,
+    proposalDate
+  });
+
+  const assetClassAllocation = { ...assetAllocation.assetClassAllocation };
+  const productTypeAllocation = {};
+  const detailedAllocation = {};
+  const vehicleWeights = {};
+
+  for (const [assetClass, percentage] of Object.entries(assetClassAllocation)) {
+    if (!(percentage > 0)) {
+      continue;
+    }
+
+    const classAmount = portfolioSize * percentage / 100;
+    let split = assetAllocation.productTypeAllocation?.[assetClass];
+
+    // Without a split from the advisor, use the model's split, dropping vehicles this amount cannot reach
+    if (!split && MODEL_SPLIT_ASSET_CLASSES.includes(assetClass)) {
+      const solved = allocationSolver.solveVehicleAllocation({
+        assetClass,
+        amount: classAmount,
+        allocation: products.getVehicleAllocation(modelAllocation, assetClass)
+      });
+      split = Object.keys(solved.allocation).length > 0 ? solved.allocation : { mutualFunds: 100 };
+    }
+
+    if (split) {
+      productTypeAllocation[assetClass] = split;
+      for (const [vehicle, vehiclePercentage] of Object.entries(split)) {
+        if (vehiclePercentage > 0) {
+          const name = VEHICLE_NAMES[assetClass]?.[vehicle] || `${ASSET_CLASS_NAMES[assetClass] || assetClass} ${vehicle}`;
+          detailedAllocation[name] = toCrores(classAmount * vehiclePercentage / 100);
+          vehicleWeights[name] = percentage * vehiclePercentage / 100;
+        }
+      }
+    } else {
+      detailedAllocation[ASSET_CLASS_NAMES[assetClass] || assetClass] = toCrores(classAmount);
+      vehicleWeights[ASSET_CLASS_NAMES[assetClass] || assetClass] = percentage;
+    }
+  }
+
+  detailedAllocation.Total = toCrores(portfolioSize);
+
+  const modelComparison = compareWithModel({ assetClassAllocation, detailedAllocation }, modelAllocation, riskProfile.riskCategory);
+  const largest = modelComparison.assetClasses.find(row => Math.abs(row.deviation) === modelComparison.maxAssetClassDeviation);
+
+  return {
+    mode: 'manual',
+    portfolioSize,
+    portfolioSizeInCrores: portfolioSize / 10000000,
+    riskCategory: riskProfile.riskCategory,
+    assetClassAllocation,
+    detailedAllocation,
+    vehicleWeights,
+    productTypeAllocation,
+    allocationPolicy: modelAllocation.allocationPolicy,
+    modelComparison,
+    allocationExplanation: modelComparison.maxAssetClassDeviation > 0 ?
+      `This allocation has been set by your advisor. Its largest difference from the model allocation for the ${riskProfile.riskCategory} risk profile is ${modelComparison.maxAssetClassDeviation} percentage points in ${largest.name}.` :
+      `This allocation has been set by your advisor and has the same asset class split as the model allocation for the ${riskProfile.riskCategory} risk profile.`
+  };
+}
+
+/**
+ * Compare a manual allocation with the model allocation
+ * Deviations are in percentage points of the whole portfolio (manual minus model).
+ * @param {Object} manualAllocation - { assetClassAllocation, detailedAllocation }
+ * @param {Object} modelAllocation - Output of allocation.generateAssetAllocation
+ * @param {string} riskCategory - Risk category of the model allocation
+ * @returns {Object} { riskCategory, assetClasses, vehicles, maxAssetClassDeviation }
+ */
+function compareWithModel(manualAllocation, modelAllocation, riskCategory) {
+  const compare = (manual, model) => {
+    const keys = [...new Set([...Object.keys(manual), ...Object.keys(model)])];
+    return keys.map(key => ({
+      key,
+      manual: round(manual[key] || 0),
+      model: round(model[key] || 0),
+      deviation: round((manual[key] || 0) - (model[key] || 0))
+    }));
+  };
+
+  const assetClasses = compare(manualAllocation.assetClassAllocation, modelAllocation.assetClassAllocation)
+    .map(({ key, ...row }) => ({ assetClass: key, name: ASSET_CLASS_NAMES[key] || key, ...row }));
+
+  const vehicles = compare(
+    toPortfolioPercentages(manualAllocation.detailedAllocation),
+    toPortfolioPercentages(modelAllocation.detailedAllocation)
+  ).map(({ key, ...row }) => ({ vehicle: key, ...row }));
+
+  return {
+    riskCategory,
+    assetClasses,
+    vehicles,
+    maxAssetClassDeviation: Math.max(0, ...assetClasses.map(row => Math.abs(row.deviation)))
+  };
+}
+
+/**
+ * Convert a detailed allocation (crores) to percentages of the portfolio
+ * @param {Object} detailedAllocation - Amount per vehicle in crores, with Total
+ * @returns {Object} Percentage of the portfolio per vehicle
+ */
+function toPortfolioPercentages(detailedAllocation = {}) {
+  const total = Number(detailedAllocation.Total) || 0;
+  const percentages = {};
+
+  for (const [vehicle, value] of Object.entries(detailedAllocation)) {
+    if (vehicle !== 'Total' && vehicle !== 'error' && total > 0) {
+      percentages[vehicle] = Number(value) / total * 100;
+    }
+  }
+
+  return percentages;
+}
+
+/**
+ * Add up percentages
+ * @param {Object} percentages - Percentage per key
+ * @returns {number} Total
+ */
+function sumPercentages(percentages = {}) {
+  return Object.values(percentages).reduce((total, value) => total + (Number(value) || 0), 0);
+}
+
+/**
+ * Convert an amount in INR to crores (4 decimal places, as in the allocation matrix output)
+ * @param {number} amount - Amount in INR
+ * @returns {number} Amount in crores
+ */
+function toCrores(amount) {
+  return Math.round(amount / 10000000 * 10000) / 10000;
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  ASSET_CLASS_NAMES,
+  VEHICLE_NAMES,
+  validateManualAllocation,
+  buildManualAllocation
+};
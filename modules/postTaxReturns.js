@@ -0,0 +1,258 @@
+/**
+ * Post-Tax Returns Module
+ *
+ * This module works out the expected return of recommended products after
+ * tax. Each product's expected return is read from its product master
+ * expected return range (e.g. '10-12%', or a debt paper's yield) or its
+ * past returns, and falls back to the projection assumptions for its
+ * investment vehicle. The return is then taxed according to how the
+ * product type is taxed:
+ *
+ * - Capital gains (equity, gold, debt funds): the gain is taxed once, on
+ *   exit at the end of the client's investment horizon, at the short or long
+ *   term rate from the capital gains rules
+ * - Interest (bonds, NCDs, debt AIFs): the return is taxed every year at the
+ *   client's slab rate
+ * - Tax-free (PPF): no tax
+ *
+ * Cess is added to the tax. The yearly exemption on long term equity gains
+ * is left out, as it is shared by the whole portfolio.
+ */
+
+const capitalGains = require('./capitalGains');
+const projection = require('./projection');
+const productMaster = require('./productMaster');
+
+// How each product type is taxed: a key of capitalGains.TAX_RULES, 'interest' or 'taxFree'
+const TAX_TREATMENTS = {
+  equity: {
+    mutualFunds: 'listedEquity',
+    etf: 'listedEquity',
+    elss: 'listedEquity',
+    pms: 'listedEquity',
+    listedStocks: 'listedEquity',
+    aif: 'unlistedEquity',
+    unlistedStocks: 'unlistedEquity'
+  },
+  debt: {
+    mutualFunds: 'specifiedDebtFund',
+    direct: 'interest',
+    aif: 'interest',
+    ppf: 'taxFree'
+  },
+  goldSilver: {
+    etf: 'goldEtf',
+    physical: 'physicalGold'
+  }
+};
+
+// Projection vehicles whose assumed return is used for products without one
+const ASSUMPTION_VEHICLES = {
+  equity: { mutualFunds: 'Equity Mutual Funds', elss: 'Equity Mutual Funds', pms: 'Equity PMS', aif: 'Equity AIF' },
+  debt: { mutualFunds: 'Debt Mutual Funds', direct: 'Direct Debt', aif: 'Debt AIF' }
+};
+
+// Product types not listed above are taxed like these
+const DEFAULT_TAX_TREATMENTS = {
+  equity: 'listedEquity',
+  debt: 'interest',
+  goldSilver: 'goldEtf'
+};
+
+/**
+ * Add pre-tax and post-tax expected returns to the recommended products
+ * The slab rate comes from the client's tax bracket and the holding period
+ * from their investment horizon. The products are copied, so shared product
+ * lists are not changed.
+ * @param {Object} recommendations - Recommendations by asset class and product type (updated in place)
+ * @param {Object} [clientProfile] - Client profile
+ * @returns {Object} { slabRate, slabRateAssumed, holdingYears, portfolio: { preTax, postTax } } where the
+ *   portfolio returns are weighted by the recommended amounts (null when no amounts are known)
+ */
+function addPostTaxReturns(recommendations, clientProfile) {
+  const { slabRate, assumed } = capitalGains.getSlabRate(clientProfile);
+  const holdingYears = projection.getHorizonYears(clientProfile?.investmentObjectives?.investmentHorizon);
+  let weightedAmount = 0;
+  let weightedPreTax = 0;
+  let weightedPostTax = 0;
+
+  for (const [assetClass, productTypes] of Object.entries(recommendations)) {
+    for (const [productType, recommendation] of Object.entries(productTypes || {})) {
+      if (!Array.isArray(recommendation?.products)) {
+        continue;
+      }
+
+      recommendation.products = recommendation.products.map(product => {
+        const masterProduct = productMaster.toMasterProduct(product, { assetClass, type: productType });
+        return {
+          ...masterProduct,
+          postTaxReturn: estimatePostTaxReturn(masterProduct, { assetClass, productType, slabRate, holdingYears })
+        };
+      });
+
+      // The product type's return is the average of its products' mid-points
+      const returns = recommendation.products.map(product => product.postTaxReturn);
+      if (recommendation.amount > 0 && returns.length > 0) {
+        weightedAmount += recommendation.amount;
+        weightedPreTax += recommendation.amount * average(returns.map(productReturn => midPoint(productReturn.preTax)));
+        weightedPostTax += recommendation.amount * average(returns.map(productReturn => midPoint(productReturn.postTax)));
+      }
+    }
+  }
+
+  return {
+    slabRate,
+    slabRateAssumed: assumed,
+    holdingYears,
+    portfolio: {
+      preTax: weightedAmount > 0 ? round(weightedPreTax / weightedAmount) : null,
+      postTax: weightedAmount > 0 ? round(weightedPostTax / weightedAmount) : null
+    }
+  };
+}
+
+/**
+ * Estimate a product's expected return before and after tax
+ * @param {Object} product - Recommended product
+ * @param {Object} options - Product and tax inputs
+ * @param {string} options.assetClass - Asset class of the recommendation
+ * @param {string} options.productType - Product type key (mutualFunds, pms, direct, ...)
+ * @param {number} options.slabRate - Client's slab rate in percent
+ * @param {number} options.holdingYears - Years the product is expected to be held
+ * @returns {Object} { preTax: { low, high }, postTax: { low, high }, source, taxTreatment, taxTreatmentLabel }
+ */
+function estimatePostTaxReturn(product, { assetClass, productType, slabRate, holdingYears }) {
+  const { range, source } = getExpectedReturn(product, assetClass, productType);
+  const taxTreatment = getTaxTreatment(product, assetClass, productType);
+  const { rate, label } = getTaxRate(taxTreatment, slabRate, holdingYears);
+  const afterTax = value => round(applyTax(value, taxTreatment, rate, holdingYears));
+
+  return {
+    preTax: range,
+    postTax: { low: afterTax(range.low), high: afterTax(range.high) },
+    source,
+    taxTreatment,
+    taxTreatmentLabel: label
+  };
+}
+
+/**
+ * Find a product's expected return
+ * @param {Object} product - Recommended product (in the product master schema)
+ * @param {string} assetClass - Asset class of the recommendation
+ * @param {string} productType - Product type key
+ * @returns {Object} { range: { low, high }, source } where source is 'expectedReturn', 'pastReturns' or 'assumption'
+ */
+function getExpectedReturn(product, assetClass, productType) {
+  const pastReturn = product.returns?.['5yr'] ?? product.returns?.['3yr'];
+  const candidates = [
+    { range: product.expectedReturnRange, source: 'expectedReturn' },
+    { range: productMaster.parseReturnRange(pastReturn), source: 'pastReturns' }
+  ];
+  const found = candidates.find(candidate => candidate.range);
+  if (found) {
+    return found;
+  }
+
+  const vehicle = ASSUMPTION_VEHICLES[assetClass]?.[productType];
+  const assumption = projection.PROJECTION_CONFIG.vehicleAssumptions[vehicle] ||
+    projection.PROJECTION_CONFIG.assetClassAssumptions[assetClass] ||
+    projection.PROJECTION_CONFIG.assetClassAssumptions.equity;
+  return { range: { low: assumption.expectedReturn, high: assumption.expectedReturn }, source: 'assumption' };
+}
+
+/**
+ * Work out how a product is taxed
+ * The product's own asset class and type come first, so debt papers pay
+ * interest whatever list they are recommended in.
+ * @param {Object} product - Recommended product (in the product master schema)
+ * @param {string} assetClass - Asset class of the recommendation
+ * @param {string} productType - Product type key
+ * @returns {string} Key of capitalGains.TAX_RULES, 'interest' or 'taxFree'
+ */
+function getTaxTreatment(product, assetClass, productType) {
+  return TAX_TREATMENTS[product.assetClass]?.[product.type] ||
+    TAX_TREATMENTS[assetClass]?.[productType] ||
+    DEFAULT_TAX_TREATMENTS[assetClass] ||
+    'listedEquity';
+}
+
+/**
+ * Get the tax rate for a tax treatment and holding period
+ * @param {string} taxTreatment - Output of getTaxTreatment
+ * @param {number} slabRate - Client's slab rate in percent
+ * @param {number} holdingYears - Years held
+ * @returns {Object} { rate, label } with the rate in percent before cess
+ */
+function getTaxRate(taxTreatment, slabRate, holdingYears) {
+  if (taxTreatment === 'taxFree') {
+    return { rate: 0, label: 'Tax-free' };
+  }
+  if (taxTreatment === 'interest') {
+    return { rate: slabRate, label: `Interest taxed every year at your ${slabRate}% slab` };
+  }
+
+  const taxRule = capitalGains.TAX_RULES[taxTreatment];
+  const longTerm = Boolean(taxRule.longTermMonths) && holdingYears * 12 > taxRule.longTermMonths;
+  const ruleRate = longTerm ? taxRule.longTermRate : taxRule.shortTermRate;
+  const term = taxRule.longTermMonths ? (longTerm ? 'Long term capital gains' : 'Short term capital gains') : 'Gains';
+
+  if (ruleRate === null) {
+    return { rate: slabRate, label: `${term} taxed at your ${slabRate}% slab on exit` };
+  }
+  return { rate: ruleRate, label: `${term} taxed at ${ruleRate}% on exit` };
+}
+
+/**
+ * Apply tax to a yearly return
+ * @param {number} value - Pre-tax return in percent a year
+ * @param {string} taxTreatment - Output of getTaxTreatment
+ * @param {number} rate - Tax rate in percent before cess
+ * @param {number} holdingYears - Years held
+ * @returns {number} Post-tax return in percent a year
+ */
+function applyTax(value, taxTreatment, rate, holdingYears) {
+  const taxRate = rate / 100 * (1 + capitalGains.TAX_CONFIG.cess / 100);
+
+  if (taxTreatment === 'interest' || taxTreatment === 'taxFree') {
+    return value > 0 ? value * (1 - taxRate) : value;
+  }
+
+  // Tax the whole gain once at the end of the holding period and annualise what is left
+  const growth = Math.pow(1 + value / 100, holdingYears);
+  const tax = Math.max(0, growth - 1) * taxRate;
+  return (Math.pow(growth - tax, 1 / holdingYears) - 1) * 100;
+}
+
+/**
+ * Get the mid-point of a return range
+ * @param {Object} range - { low, high }
+ * @returns {number} Mid-point in percent
+ */
+function midPoint(range) {
+  return (range.low + range.high) / 2;
+}
+
+/**
+ * Average a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Average
+ */
+function average(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+/**
+ * Round a percentage to two decimals
+ * @param {number} value - Percentage
+ * @returns {number} Rounded percentage
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  TAX_TREATMENTS,
+  addPostTaxReturns,
+  estimatePostTaxReturn
+};
@@ -0,0 +1,224 @@
+/**
+ * Product Catalogue Module
+ *
+ * This module serves the product shelf: the products of the catalogue in
+ * allProductsList.js, in the product master schema, filtered, sorted and
+ * split into pages. Pages are linked by cursors that hold the sort position
+ * of the last product on the page, so the next page starts after that
+ * product even if the catalogue changed in between.
+ */
+
+const allProductsList = require('./allProductsList');
+const productMaster = require('./productMaster');
+
+// Catalogue configuration
+const PRODUCT_CATALOG_CONFIG = {
+  defaultLimit: 20,
+  maxLimit: 100,
+  // Returns period used to sort by returns when none is given
+  defaultReturnsPeriod: '1yr'
+};
+
+// Catalogue categories (as named by allProductsList.getAllProducts) and the product type of their products
+const CATALOG_CATEGORIES = {
+  mutualFunds: 'mutualFunds',
+  unlistedStocks: 'unlistedStocks',
+  pms: 'pms',
+  alternativeFunds: 'aif',
+  debtPapers: 'direct'
+};
+
+// Sort fields and how to read them from a product
+const SORT_FIELDS = {
+  name: product => product.name ? product.name.toLowerCase() : null,
+  minInvestment: product => product.minInvestment,
+  returns: (product, returnsPeriod) => product.returns[returnsPeriod] ?? null,
+  lockInMonths: product => product.lockInMonths,
+  expenseRatio: product => product.fees.expenseRatio
+};
+
+/**
+ * List catalogue products
+ * @param {Object} query - Validated query (see validation.schemas.productCatalog)
+ * @param {Object|null} cursor - Output of decodeCursor for the query's cursor
+ * @returns {Promise<Object>} { products, pagination: { limit, total, nextCursor } }
+ */
+async function listProducts(query, cursor) {
+  const categories = query.category || Object.keys(CATALOG_CATEGORIES);
+  const byCategory = await allProductsList.getAllProducts(categories.length === 1 ? categories[0] : null);
+  return pageProducts(filterProducts(normalizeCatalog(byCategory, categories), query), query, cursor);
+}
+
+/**
+ * Search catalogue products by name, manager, category and description
+ * @param {Object} query - Validated query with the search term in `q` (see validation.schemas.productSearch)
+ * @param {Object|null} cursor - Output of decodeCursor for the query's cursor
+ * @returns {Promise<Object>} { products, pagination: { limit, total, nextCursor } }
+ */
+async function searchCatalog(query, cursor) {
+  const categories = query.category || Object.keys(CATALOG_CATEGORIES);
+  const byCategory = await allProductsList.searchProducts(query.q, categories);
+  return pageProducts(filterProducts(normalizeCatalog(byCategory, categories), query), query, cursor);
+}
+
+/**
+ * Map catalogue products onto the product master schema
+ * @param {Object} byCategory - Products by catalogue category
+ * @param {Array} categories - Categories to keep
+ * @returns {Array} Products in the master schema
+ */
+function normalizeCatalog(byCategory, categories) {
+  const lastRefreshed = new Date().toISOString();
+
+  return categories.flatMap(category => {
+    // getAllProducts names the PMS list pmsSchemes when it fetches every category
+    const products = byCategory[category] || (category === 'pms' ? byCategory.pmsSchemes : null);
+    return productMaster.normalizeProducts(products, 'catalog', { type: CATALOG_CATEGORIES[category], lastRefreshed });
+  });
+}
+
+/**
+ * Apply the query's filters
+ * Products that do not state a filtered field are left out, except that
+ * products without a minimum investment pass the minimum investment filter.
+ * @param {Array} products - Products in the master schema
+ * @param {Object} query - Validated query
+ * @returns {Array} Matching products
+ */
+function filterProducts(products, query) {
+  const riskGrades = toLowerCaseSet(query.riskGrade);
+  const ratings = toLowerCaseSet(query.rating);
+  const manufacturer = query.manufacturer ? query.manufacturer.toLowerCase() : null;
+
+  return products.filter(product => {
+    if (query.assetClass && !query.assetClass.includes(product.assetClass)) {
+      return false;
+    }
+    if (riskGrades && !riskGrades.has(String(product.riskGrade).toLowerCase())) {
+      return false;
+    }
+    if (ratings && !ratings.has(String(product.rating).toLowerCase())) {
+      return false;
+    }
+    if (manufacturer && !(product.manufacturer || '').toLowerCase().includes(manufacturer)) {
+      return false;
+    }
+    if (query.maxMinInvestment !== undefined && product.minInvestment > query.maxMinInvestment) {
+      return false;
+    }
+    if (query.returnsPeriod) {
+      const productReturn = product.returns[query.returnsPeriod];
+      if (productReturn === undefined || (query.minReturn !== undefined && productReturn < query.minReturn)) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Sort products and cut out the page after the cursor
+ * Products without a value for the sort field come last in either order.
+ * @param {Array} products - Filtered products
+ * @param {Object} query - Validated query with sort, order and limit
+ * @param {Object|null} cursor - Sort position of the last product on the previous page
+ * @returns {Object} { products, pagination: { limit, total, nextCursor } }
+ */
+function pageProducts(products, query, cursor) {
+  const limit = Math.min(query.limit || PRODUCT_CATALOG_CONFIG.defaultLimit, PRODUCT_CATALOG_CONFIG.maxLimit);
+  const { sort = 'name', order = 'asc' } = query;
+  const returnsPeriod = query.returnsPeriod || PRODUCT_CATALOG_CONFIG.defaultReturnsPeriod;
+
+  const sorted = products
+    .map(product => ({ product, key: { value: SORT_FIELDS[sort](product, returnsPeriod), id: product.id } }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  const start = cursor ? sorted.findIndex(item => compareKeys(item.key, cursor, order) > 0) : 0;
+  const page = start < 0 ? [] : sorted.slice(start, start + limit);
+  const hasMore = start >= 0 && start + limit < sorted.length;
+
+  return {
+    products: page.map(item => item.product),
+    pagination: {
+      limit,
+      total: sorted.length,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].key, query) : null
+    }
+  };
+}
+
+/**
+ * Compare two sort positions
+ * @param {Object} a - { value, id }
+ * @param {Object} b - { value, id }
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+function compareKeys(a, b, order) {
+  const aMissing = a.value === null || a.value === undefined;
+  const bMissing = b.value === null || b.value === undefined;
+
+  if (aMissing !== bMissing) {
+    return aMissing ? 1 : -1;
+  }
+  if (!aMissing && a.value !== b.value) {
+    const difference = a.value < b.value ? -1 : 1;
+    return order === 'desc' ? -difference : difference;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Encode the sort position of a product as a cursor
+ * @param {Object} key - { value, id }
+ * @param {Object} query - Query the page was made for
+ * @returns {string} Cursor
+ */
+function encodeCursor(key, query) {
+  const cursor = { sort: query.sort || 'name', order: query.order || 'asc', returnsPeriod: query.returnsPeriod || null, ...key };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a cursor for a query
+ * @param {string} [value] - Cursor from the query
+ * @param {Object} query - Validated query
+ * @returns {Object|null|false} { value, id }, null when there is no cursor, or false when the
+ *   cursor is not valid or was made for another sort order
+ */
+function decodeCursor(value, query) {
+  if (!value) {
+    return null;
+  }
+
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch (error) {
+    return false;
+  }
+
+  const matchesQuery = cursor && typeof cursor.id === 'string' &&
+    cursor.sort === (query.sort || 'name') &&
+    cursor.order === (query.order || 'asc') &&
+    cursor.returnsPeriod === (query.returnsPeriod || null);
+  return matchesQuery ? { value: cursor.value, id: cursor.id } : false;
+}
+
+/**
+ * Make a lower case set of filter values
+ * @param {Array} [values] - Filter values
+ * @returns {Set|null} Set of values, or null when the filter is not used
+ */
+function toLowerCaseSet(values) {
+  return values && values.length > 0 ? new Set(values.map(value => String(value).toLowerCase())) : null;
+}
+
+module.exports = {
+  PRODUCT_CATALOG_CONFIG,
+  CATALOG_CATEGORIES,
+  SORT_FIELDS,
+  listProducts,
+  searchCatalog,
+  decodeCursor
+};
@@ -0,0 +1,717 @@
+/**
+ * Product Master Module
+ *
+ * This module maps products from every source onto one schema, so the rest
+ * of the code reads the same fields whatever the product came from. The
+ * sources are the built-in product database (products.js), data/products.json,
+ * the products API (PMS, AIFs, unlisted stocks and debt papers, as formatted
+ * by externalProducts.formatProductData), the listed schemes API
+ * (externalProducts.formatListedStocksData), the mutual fund basket and
+ * scheme list APIs, and the product catalogue in allProductsList.js. Each
+ * source has an adapter that maps its records onto the master fields:
+ *
+ * - id: unique id, made of the source and the source's own id, ISIN or name
+ * - isin: ISIN in upper case, or null
+ * - name, description
+ * - type: product type key (mutualFunds, pms, aif, direct, unlistedStocks, ...)
+ * - assetClass: equity, debt, goldSilver or insurance
+ * - category: scheme category, strategy, sector or instrument type, or null
+ * - schemeCategory: SEBI scheme category of a mutual fund scheme or ETF (key
+ *   of schemeCategories.SCHEME_CATEGORIES), or null
+ * - manufacturer: AMC, fund house or issuer, or null
+ * - riskGrade: risk grade as given by the source (e.g. 'Moderate-High'), the
+ *   scheme category's riskometer when the source gives none, or null
+ * - rating: star rating (1-5) for funds or credit rating (e.g. 'AA+') for debt, or null
+ * - minInvestment: minimum investment in INR, or null when not given
+ * - lockInMonths: lock-in in months, 0 for none, or null when not known or variable;
+ *   the scheme category's lock-in when the source does not say
+ * - expectedReturnRange: { low, high } expected return in percent a year, or null
+ * - returns: past returns in percent by period ('1m', '1yr', '3yr', '5yr', '10yr', 'sinceInception')
+ * - fees: { expenseRatio, exitLoad }
+ * - aum: assets under management in INR crores, or null
+ * - benchmark: { name, returns } with the benchmark's past returns by period, or null
+ * - managerTenureYears: years the current fund manager has run the scheme, or null
+ * - source: key of PRODUCT_SOURCES
+ * - lastRefreshed: when the source data was fetched or loaded (ISO timestamp),
+ *   or null for the built-in product database
+ *
+ * The master fields are added to the product, so the display fields
+ * (expectedReturn, risk, lockInPeriod, minimumInvestment) and originalData
+ * are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const schemeCategories = require('./schemeCategories');
+require('dotenv').config();
+
+// Master configuration
+const PRODUCT_MASTER_CONFIG = {
+  productsFilePath: process.env.PRODUCTS_FILE_PATH || path.join(__dirname, '../data/products.json')
+};
+
+// Product types whose products are mutual fund schemes or ETFs
+const SCHEME_TYPES = ['mutualFunds', 'listedStocks', 'elss', 'etf'];
+
+// Product sources and their labels
+const PRODUCT_SOURCES = {
+  productDatabase: 'Product database',
+  productsFile: 'Products file',
+  productsApi: 'Products API',
+  listedSchemesApi: 'Listed schemes API',
+  basketApi: 'Mutual fund basket API',
+  schemeListApi: 'Mutual fund scheme list API',
+  catalog: 'Product catalogue'
+};
+
+// Amount units used in minimum investments (e.g. '50 Lakhs', '1 Crore')
+const AMOUNT_UNITS = [
+  { pattern: /^(crores?|cr)$/i, multiplier: 10000000 },
+  { pattern: /^(lakhs?|lacs?|l)$/i, multiplier: 100000 },
+  { pattern: /^(thousands?|k)$/i, multiplier: 1000 }
+];
+
+// Lock-in descriptions that mean there is no lock-in
+const NO_LOCK_IN = /^(none|nil|no lock-?in|not applicable|n\/a)$/i;
+
+// Adapters mapping a source record onto the master fields
+const ADAPTERS = {
+  productDatabase: adaptDatabaseProduct,
+  productsFile: adaptDatabaseProduct,
+  productsApi: adaptProductsApiProduct,
+  listedSchemesApi: adaptListedScheme,
+  basketApi: adaptBasketScheme,
+  schemeListApi: adaptSchemeListEntry,
+  catalog: adaptCatalogProduct
+};
+
+// data/products.json is loaded once, on first use
+let fileProducts = null;
+
+/**
+ * Map a product onto the master schema
+ * @param {Object} product - Product record from the source
+ * @param {string} source - Key of PRODUCT_SOURCES
+ * @param {Object} [context] - What the source does not say about the product
+ * @param {string} [context.assetClass] - Asset class of the list the product comes from
+ * @param {string} [context.type] - Product type of the list the product comes from
+ * @param {string|null} [context.lastRefreshed] - When the source data was fetched (defaults to now)
+ * @returns {Object} Product with the master fields
+ */
+function normalizeProduct(product, source, context = {}) {
+  const adapter = ADAPTERS[source];
+  if (!adapter) {
+    throw new Error(`Unknown product source: ${source}`);
+  }
+
+  const fields = adapter(product || {}, context);
+  const isin = fields.isin ? String(fields.isin).toUpperCase() : null;
+  const lastRefreshed = context.lastRefreshed !== undefined ? context.lastRefreshed : getDefaultLastRefreshed(source);
+  const schemeCategory = SCHEME_TYPES.includes(fields.type) ? schemeCategories.matchSchemeCategory(fields.category, fields.name) : null;
+  const lockInMonths = fields.lockInMonths !== undefined ? fields.lockInMonths : parseLockInMonths(fields.lockInPeriod);
+
+  return {
+    ...product,
+    id: `${source}:${fields.sourceId || isin || `${fields.type}:${slugify(fields.name)}`}`,
+    isin,
+    name: fields.name ?? null,
+    description: fields.description ?? null,
+    type: fields.type,
+    assetClass: fields.assetClass,
+    category: fields.category ?? null,
+    schemeCategory,
+    manufacturer: fields.manufacturer ?? null,
+    riskGrade: fields.riskGrade ?? schemeCategories.getRiskometerLabel(schemeCategory),
+    rating: fields.rating ?? null,
+    minInvestment: parseAmount(fields.minInvestment),
+    lockInMonths: lockInMonths ?? schemeCategories.getSchemeCategory(schemeCategory)?.liquidity.lockInMonths ?? null,
+    expectedReturnRange: parseReturnRange(fields.expectedReturn),
+    returns: normalizeReturns(fields.returns),
+    fees: {
+      expenseRatio: toNumber(fields.expenseRatio),
+      exitLoad: fields.exitLoad || null
+    },
+    aum: toNumber(fields.aum),
+    benchmark: fields.benchmarkName || fields.benchmarkReturns
+      ? { name: fields.benchmarkName || null, returns: normalizeReturns(fields.benchmarkReturns) }
+      : null,
+    managerTenureYears: toNumber(fields.managerTenureYears),
+    source,
+    lastRefreshed
+  };
+}
+
+/**
+ * Map a list of products from one source onto the master schema
+ * @param {Array} products - Product records from the source
+ * @param {string} source - Key of PRODUCT_SOURCES
+ * @param {Object} [context] - See normalizeProduct
+ * @returns {Array} Products with the master fields
+ */
+function normalizeProducts(products, source, context = {}) {
+  const lastRefreshed = context.lastRefreshed !== undefined ? context.lastRefreshed : getDefaultLastRefreshed(source);
+  return (Array.isArray(products) ? products : []).map(product => normalizeProduct(product, source, { ...context, lastRefreshed }));
+}
+
+/**
+ * Map a product database (asset class > product type > risk level > products,
+ * or asset class > product type > products) onto the master schema
+ * @param {Object} database - Product database
+ * @param {string} source - Key of PRODUCT_SOURCES
+ * @param {string|null} [lastRefreshed] - When the database was loaded
+ * @returns {Object} Database of the same shape with master products
+ */
+function normalizeProductDatabase(database, source, lastRefreshed) {
+  const normalizeList = (products, assetClass, type) => normalizeProducts(products, source, { assetClass, type, lastRefreshed });
+
+  return Object.fromEntries(Object.entries(database).map(([assetClass, productTypes]) => [
+    assetClass,
+    Object.fromEntries(Object.entries(productTypes).map(([type, lists]) => [
+      type,
+      Array.isArray(lists) ?
+        normalizeList(lists, assetClass, type) :
+        Object.fromEntries(Object.entries(lists).map(([riskLevel, products]) => [riskLevel, normalizeList(products, assetClass, type)]))
+    ]))
+  ]));
+}
+
+/**
+ * Get a product in the master schema, whatever its source
+ * Products that already have the master fields are returned as they are.
+ * Others (e.g. recommendations sent back by a client) are mapped with the
+ * adapter of the source they look like.
+ * @param {Object} product - Product record
+ * @param {Object} [context] - See normalizeProduct
+ * @returns {Object} Product with the master fields
+ */
+function toMasterProduct(product, context = {}) {
+  if (isMasterProduct(product)) {
+    return product;
+  }
+  return normalizeProduct(product, detectSource(product), context);
+}
+
+/**
+ * Map every product in a set of recommendations onto the master schema
+ * The product lists are copied, so shared product lists are not changed.
+ * @param {Object} recommendations - Recommendations by asset class and product type (updated in place)
+ * @returns {Object} The recommendations
+ */
+function normalizeRecommendations(recommendations) {
+  for (const [assetClass, productTypes] of Object.entries(recommendations || {})) {
+    for (const [type, recommendation] of Object.entries(productTypes || {})) {
+      if (Array.isArray(recommendation?.products)) {
+        recommendation.products = recommendation.products.map(product => toMasterProduct(product, { assetClass, type }));
+      }
+    }
+  }
+  return recommendations;
+}
+
+/**
+ * Get the products in data/products.json
+ * @returns {Object} Products by asset class, product type and risk level, in the master schema
+ */
+function getFileProducts() {
+  if (fileProducts) {
+    return fileProducts;
+  }
+
+  let definition;
+  let lastRefreshed;
+  try {
+    definition = JSON.parse(fs.readFileSync(PRODUCT_MASTER_CONFIG.productsFilePath, 'utf8'));
+    lastRefreshed = fs.statSync(PRODUCT_MASTER_CONFIG.productsFilePath).mtime.toISOString();
+  } catch (error) {
+    throw new Error(`Error reading products file: ${error.message}`);
+  }
+
+  fileProducts = normalizeProductDatabase(definition, 'productsFile', lastRefreshed);
+  return fileProducts;
+}
+
+/**
+ * Check whether a product already has the master fields
+ * @param {Object} product - Product record
+ * @returns {boolean} True for products mapped by normalizeProduct
+ */
+function isMasterProduct(product) {
+  return typeof product?.id === 'string' && Boolean(PRODUCT_SOURCES[product.source]) && 'lockInMonths' in product;
+}
+
+/**
+ * Work out which source a product record comes from by its fields
+ * @param {Object} product - Product record
+ * @returns {string} Key of PRODUCT_SOURCES
+ */
+function detectSource(product) {
+  if (!product) {
+    return 'productDatabase';
+  }
+  if (product.originalData || product.scheme_name || product.script_name || product.instrument_name) {
+    return 'productsApi';
+  }
+  if (product.dataSource === 'Listed Stocks API') {
+    return 'listedSchemesApi';
+  }
+  if ('bseSchemeCode' in product) {
+    return 'basketApi';
+  }
+  if (product.SchemeName && !product.name) {
+    return 'schemeListApi';
+  }
+  if (product.schemeCode || product.scriptId || product.schemeId || product.fundId || product.instrumentId) {
+    return 'catalog';
+  }
+  return 'productDatabase';
+}
+
+/**
+ * Adapter for the product database and data/products.json
+ * @param {Object} product - { name, description, expectedReturn, risk, lockInPeriod, minimumInvestment }, plus
+ *   optional scoring data (expenseRatio, aum, benchmark, benchmarkReturns, managerTenureYears)
+ * @param {Object} context - Asset class and product type of the list
+ * @returns {Object} Master fields before parsing
+ */
+function adaptDatabaseProduct(product, context) {
+  return {
+    sourceId: null,
+    isin: product.isin,
+    name: product.name,
+    description: product.description,
+    type: context.type || null,
+    assetClass: context.assetClass || null,
+    category: product.category,
+    riskGrade: product.risk,
+    rating: product.rating,
+    minInvestment: product.minimumInvestment,
+    lockInPeriod: product.lockInPeriod,
+    expectedReturn: product.expectedReturn,
+    returns: product.returns,
+    expenseRatio: product.expenseRatio,
+    aum: product.aum,
+    benchmarkName: product.benchmark,
+    benchmarkReturns: product.benchmarkReturns,
+    managerTenureYears: product.managerTenureYears
+  };
+}
+
+/**
+ * Adapter for the products API, formatted or raw
+ * Debt papers and unlisted stocks are recognised by their fields; PMS and
+ * AIF schemes share one layout, so the context says which one it is. The
+ * API's active_returns_* figures are not percentages and are not read as
+ * returns. An AIF's exit load is its lock-in when no lock-in is given.
+ * @param {Object} product - Output of externalProducts.formatProductData, or a raw API record
+ * @param {Object} context - Asset class and product type of the list
+ * @returns {Object} Master fields before parsing
+ */
+function adaptProductsApiProduct(product, context) {
+  const record = product.originalData || product;
+
+  if (record.instrument_name) {
+    return {
+      sourceId: record._id,
+      isin: record.isin,
+      name: record.instrument_name,
+      description: record.issuer_description,
+      type: 'direct',
+      assetClass: 'debt',
+      category: record.instrument_type,
+      manufacturer: record.manufacturer_id?.manufacturer_name || record.issuer,
+      riskGrade: record.risk_grade,
+      rating: record.rating,
+      minInvestment: record.min_investment,
+      lockInMonths: monthsUntil(record.maturity_date),
+      expectedReturn: record.yield
+    };
+  }
+
+  if (record.script_name) {
+    return {
+      sourceId: record._id,
+      isin: record.isin_number,
+      name: record.script_name,
+      description: product.description,
+      type: 'unlistedStocks',
+      assetClass: 'equity',
+      category: record.sector_name,
+      riskGrade: product.risk || 'High',
+      lockInPeriod: product.lockInPeriod
+    };
+  }
+
+  const type = context.type || 'pms';
+  return {
+    sourceId: record._id || record.scheme_code,
+    isin: record.isin,
+    name: record.scheme_name || record.name || record.product_name || product.name,
+    description: record.scheme_objective || record.description || product.description,
+    type,
+    assetClass: context.assetClass || 'equity',
+    category: record.scheme_classification || record.strategy,
+    manufacturer: record.manufacturer_id?.manufacturer_name || record.fund_manager,
+    riskGrade: record.scheme_risk_grade || record.risk_level,
+    minInvestment: record.scheme_min_investment ?? record.minimum_investment,
+    lockInPeriod: record.lock_in_period || (type === 'aif' ? record.scheme_exit_load : undefined),
+    expectedReturn: typeof record.returns === 'string' ? record.returns : undefined,
+    expenseRatio: record.scheme_expense_ratio,
+    exitLoad: type === 'aif' && !record.lock_in_period ? undefined : record.scheme_exit_load,
+    benchmarkName: record.scheme_benchmark_name || product.benchmark
+  };
+}
+
+/**
+ * Adapter for the listed schemes API (mutual fund schemes)
+ * @param {Object} scheme - Output of externalProducts.formatListedStocksData, or a raw API record
+ * @param {Object} context - Asset class and product type of the list
+ * @returns {Object} Master fields before parsing
+ */
+function adaptListedScheme(scheme, context) {
+  const formatted = scheme.dataSource === 'Listed Stocks API';
+
+  return {
+    sourceId: null,
+    isin: scheme.isin || scheme.ISIN,
+    name: formatted ? scheme.name : scheme.SchemeName,
+    description: scheme.description,
+    type: context.type || 'listedStocks',
+    assetClass: context.assetClass || 'equity',
+    category: formatted ? scheme.category : scheme.DPCategoryName,
+    manufacturer: scheme.AMCName ?? scheme.amcName,
+    riskGrade: scheme.risk,
+    rating: formatted ? scheme.rating : scheme.MRRatingOverall,
+    minInvestment: scheme.minInvestment,
+    lockInPeriod: scheme.lockInPeriod,
+    expectedReturn: scheme.expectedReturn,
+    returns: {
+      '1yr': formatted ? scheme.oneYearReturn : scheme.OneYrReturn,
+      '3yr': formatted ? scheme.threeYearReturn : scheme.ThreeYrReturn
+    },
+    expenseRatio: scheme.expenseRatio ?? scheme.ExpenseRatio,
+    exitLoad: scheme.exitLoad ?? scheme.ExitLoad,
+    aum: formatted ? scheme.fundSize : scheme.FundSize
+  };
+}
+
+/**
+ * Adapter for the mutual fund basket API
+ * @param {Object} scheme - Basket scheme as mapped by products.fetchMutualFundsFromBasket
+ * @param {Object} context - Asset class and product type of the list
+ * @returns {Object} Master fields before parsing
+ */
+function adaptBasketScheme(scheme, context) {
+  return {
+    sourceId: scheme.bseSchemeCode,
+    isin: scheme.isin,
+    name: scheme.name,
+    description: scheme.description,
+    type: context.type || 'mutualFunds',
+    assetClass: context.assetClass || 'debt',
+    category: scheme.category,
+    riskGrade: scheme.risk,
+    rating: scheme.rating,
+    lockInPeriod: scheme.lockInPeriod,
+    expectedReturn: scheme.expectedReturn,
+    returns: scheme.returns
+  };
+}
+
+/**
+ * Adapter for the mutual fund scheme list API
+ * @param {Object} scheme - { SchemeName, CategoryName, SchemeType, Rating }
+ * @param {Object} context - Asset class and product type of the list
+ * @returns {Object} Master fields before parsing
+ */
+function adaptSchemeListEntry(scheme, context) {
+  return {
+    sourceId: null,
+    isin: scheme.ISIN,
+    name: scheme.SchemeName,
+    description: [scheme.SchemeType, scheme.CategoryName].filter(Boolean).join(' - ') || null,
+    type: context.type || 'mutualFunds',
+    assetClass: context.assetClass || 'debt',
+    category: scheme.CategoryName,
+    rating: scheme.Rating
+  };
+}
+
+/**
+ * Adapter for the product catalogue in allProductsList.js
+ * Mutual funds, unlisted stocks, PMS schemes, alternative funds and debt
+ * papers are recognised by their id fields.
+ * @param {Object} product - Catalogue record
+ * @param {Object} context - Asset class and product type of the list
+ * @returns {Object} Master fields before parsing
+ */
+function adaptCatalogProduct(product, context) {
+  if (product.scriptId) {
+    return {
+      sourceId: product.scriptId,
+      isin: product.isin,
+      name: product.scriptName,
+      description: product.companyDescription,
+      type: 'unlistedStocks',
+      assetClass: 'equity',
+      category: product.sector,
+      riskGrade: product.riskGrade,
+      lockInMonths: null
+    };
+  }
+
+  if (product.schemeId) {
+    return {
+      sourceId: product.schemeId,
+      name: product.schemeName,
+      description: product.schemeObjective,
+      type: 'pms',
+      assetClass: 'equity',
+      category: product.strategy,
+      manufacturer: product.fundManager,
+      riskGrade: product.riskGrade,
+      minInvestment: product.minInvestment,
+      lockInMonths: null,
+      returns: product.returns,
+      exitLoad: product.exitLoad,
+      benchmarkName: product.benchmarkName,
+      benchmarkReturns: product.benchmarkReturns,
+      managerTenureYears: product.managerTenureYears
+    };
+  }
+
+  if (product.fundId) {
+    return {
+      sourceId: product.fundId,
+      name: product.fundName,
+      description: product.fundObjective,
+      type: 'aif',
+      assetClass: context.assetClass || 'equity',
+      category: product.category,
+      manufacturer: product.fundManager,
+      riskGrade: product.riskGrade,
+      minInvestment: product.minInvestment,
+      lockInPeriod: product.lockInPeriod,
+      returns: product.returns
+    };
+  }
+
+  if (product.instrumentId) {
+    return {
+      sourceId: product.instrumentId,
+      isin: product.isin,
+      name: product.instrumentName,
+      description: product.issuerDescription,
+      type: 'direct',
+      assetClass: 'debt',
+      category: product.instrumentType,
+      manufacturer: product.issuer,
+      riskGrade: product.riskGrade,
+      rating: product.rating,
+      minInvestment: product.minInvestment,
+      lockInMonths: monthsUntil(product.maturityDate),
+      expectedReturn: product.yield
+    };
+  }
+
+  // Mutual funds, in the catalogue's mock layout or the scheme list API's
+  const category = product.category || product.CategoryName;
+  const schemeCategory = schemeCategories.getSchemeCategory(schemeCategories.matchSchemeCategory(category, product.schemeName || product.SchemeName));
+  const categoryAssetClass = ['equity', 'debt'].includes(schemeCategory?.assetClass) ? schemeCategory.assetClass : null;
+  return {
+    sourceId: product.schemeCode || product.SchemeCode,
+    isin: product.ISIN || product.isin || product.isinNo,
+    name: product.schemeName || product.SchemeName,
+    description: null,
+    type: 'mutualFunds',
+    assetClass: categoryAssetClass || (/^debt/i.test(category || '') ? 'debt' : context.assetClass || 'equity'),
+    category,
+    manufacturer: product.amcName || product.AMCName,
+    riskGrade: product.riskometer || product.Riskometer,
+    rating: product.rating ?? product.Rating,
+    minInvestment: product.sipMinimumAmount,
+    returns: product.returns,
+    expenseRatio: product.expenseRatio ?? product.ExpenseRatio,
+    exitLoad: product.exitLoad ?? product.ExitLoad,
+    aum: product.aum,
+    benchmarkName: product.benchmarkName,
+    benchmarkReturns: product.benchmarkReturns,
+    managerTenureYears: product.managerTenureYears
+  };
+}
+
+/**
+ * Parse an amount such as 5000000, '50 Lakhs', '1 Crore' or '₹2,00,000'
+ * @param {number|string} value - Amount
+ * @returns {number|null} Amount in INR, or null when there is no figure (e.g. 'Not specified')
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.replace(/[₹,]/g, '').match(/(\d+(?:\.\d+)?)\s*([a-z]+)?/i);
+  if (!match) {
+    return null;
+  }
+
+  const unit = match[2] ? AMOUNT_UNITS.find(({ pattern }) => pattern.test(match[2])) : null;
+  const amount = Math.round(Number(match[1]) * (unit ? unit.multiplier : 1));
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Parse a lock-in period such as 'None', '3 years', '7-8 Years', '6 months' or 'Until 15 Apr 2026'
+ * Ranges give the longer period.
+ * @param {string} value - Lock-in period
+ * @returns {number|null} Lock-in in months, or null when not known or variable
+ */
+function parseLockInMonths(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (NO_LOCK_IN.test(text)) {
+    return 0;
+  }
+
+  const until = text.match(/^until\s+(.+)$/i);
+  if (until) {
+    return monthsUntil(until[1]);
+  }
+
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(years?|yrs?|months?)\b/i);
+  if (!match) {
+    return null;
+  }
+
+  const count = Number(match[2] ?? match[1]);
+  return Math.round(/^m/i.test(match[3]) ? count : count * 12);
+}
+
+/**
+ * Parse an expected return such as '10-12%', '8.75%', '10 to 12% p.a.' or 9.25
+ * @param {string|number} value - Expected return
+ * @returns {Object|null} { low, high } in percent, or null when there is no figure (e.g. 'Variable')
+ */
+function parseReturnRange(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { low: value, high: value } : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.match(/(-?\d+(?:\.\d+)?)\s*%?(?:\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?))?/i);
+  if (!match) {
+    return null;
+  }
+
+  const low = Number(match[1]);
+  const high = match[2] === undefined ? low : Number(match[2]);
+  return { low: Math.min(low, high), high: Math.max(low, high) };
+}
+
+/**
+ * Map past returns onto the master periods
+ * Keys such as '1Y', '1yr', '1 Year', '3 Months' and 'Since Inception' are understood.
+ * @param {Object} returns - Past returns by period, as numbers or strings like '12.5%'
+ * @returns {Object} Returns in percent keyed by '1m', '1yr', ..., 'sinceInception'
+ */
+function normalizeReturns(returns) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(returns || {})) {
+    const figure = toNumber(typeof value === 'string' ? value.replace('%', '') : value);
+    const period = getReturnPeriod(key);
+    if (figure !== null && period && !(period in result)) {
+      result[period] = figure;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the master period of a past return key
+ * @param {string} key - Period as named by the source
+ * @returns {string|null} '1m', '1yr', ..., 'sinceInception', or null if not understood
+ */
+function getReturnPeriod(key) {
+  const text = String(key).trim().toLowerCase();
+  if (/^since\s*inception$/.test(text)) {
+    return 'sinceInception';
+  }
+
+  const match = text.match(/^(\d+)\s*(m|months?|y|yrs?|years?)$/);
+  if (!match) {
+    return null;
+  }
+  return match[2].startsWith('m') ? `${match[1]}m` : `${match[1]}yr`;
+}
+
+/**
+ * Count the whole months from today until a date
+ * @param {string} value - Date (e.g. '15 Apr 2026' or '2026-04-15')
+ * @returns {number|null} Months until the date (0 once it has passed), or null if not a date
+ */
+function monthsUntil(value) {
+  // Only full dates count, so 'age 60' is not read as the year 60
+  const date = /\b\d{4}\b/.test(value || '') ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  const today = new Date();
+  const months = (date.getFullYear() - today.getFullYear()) * 12 + date.getMonth() - today.getMonth() -
+    (date.getDate() < today.getDate() ? 1 : 0);
+  return Math.max(0, months);
+}
+
+/**
+ * Convert a value to a finite number
+ * @param {*} value - Value
+ * @returns {number|null} The number, or null if the value is not one
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Get the refresh time of products that do not say when they were fetched
+ * @param {string} source - Key of PRODUCT_SOURCES
+ * @returns {string|null} Now, or null for the built-in product database
+ */
+function getDefaultLastRefreshed(source) {
+  return source === 'productDatabase' ? null : new Date().toISOString();
+}
+
+/**
+ * Turn a name into an id fragment
+ * @param {string} name - Product name
+ * @returns {string} Lower case name with dashes
+ */
+function slugify(name) {
+  return String(name || 'unnamed').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+module.exports = {
+  PRODUCT_MASTER_CONFIG,
+  PRODUCT_SOURCES,
+  normalizeProduct,
+  normalizeProducts,
+  normalizeProductDatabase,
+  normalizeRecommendations,
+  toMasterProduct,
+  getFileProducts,
+  parseAmount,
+  parseLockInMonths,
+  parseReturnRange
+};
@@ -0,0 +1,392 @@
+/**
+ * Product Scoring Module
+ *
+ * This module ranks the candidate products of each recommended vehicle and
+ * keeps the best few. Every product is scored from 0 to 100 on the factors
+ * in config/productScoring.json:
+ *
+ * - returnsVsBenchmark: average excess of the product's trailing returns
+ *   over its benchmark's (or, without benchmark returns, over the median of
+ *   the other candidates) across the configured periods. The sources give
+ *   point-to-point trailing returns only, not rolling returns.
+ * - consistency: share of those periods in which the product beat the benchmark
+ * - expenseRatio: lower is better, down to zero at the configured ratio
+ * - aum: assets under management on a log scale, full at the configured crores
+ * - managerTenure: years the fund manager has run the scheme, full at the configured years
+ * - rating: star rating (1-5) or credit rating (AAA down to BBB-)
+ * - riskGradeFit: how close the product's riskometer level is to the target
+ *   level for the client's risk category in the product's asset class
+ *
+ * The total is the weighted average of every factor, with factors the
+ * product has no data for listed as missing and scored at the configured
+ * neutral score, so a product strong on the one factor it has data for does
+ * not outrank products with a full record. The coverage is the share of the
+ * weight that has data. Products without any factor keep their order, after
+ * the scored ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { RISK_CATEGORIES } = require('./riskQuestionnaire');
+const suitability = require('./suitability');
+require('dotenv').config();
+
+// Scoring configuration
+const SCORING_CONFIG = {
+  filePath: process.env.PRODUCT_SCORING_PATH || path.join(__dirname, '../config/productScoring.json')
+};
+
+// Credit ratings from best to worst; each notch below AAA costs 10 points
+const CREDIT_RATINGS = ['AAA', 'AA+', 'AA', 'AA-', 'A+', 'A', 'A-', 'BBB+', 'BBB', 'BBB-'];
+
+const factorSchema = Joi.object({
+  weight: Joi.number().min(0).required(),
+  pointsPerPercent: Joi.number().positive(),
+  pointsPerLevel: Joi.number().positive(),
+  zeroScoreAt: Joi.number().positive(),
+  fullScoreAt: Joi.number().positive()
+});
+
+const configSchema = Joi.object({
+  description: Joi.string().allow(''),
+  topN: Joi.object({
+    default: Joi.number().integer().min(1).required()
+  }).pattern(/^[a-zA-Z]+\.[a-zA-Z]+$/, Joi.number().integer().min(1)).required(),
+  returnPeriods: Joi.array().items(Joi.string().pattern(/^\d+(m|yr)$/)).min(1).required(),
+  missingFactorScore: Joi.number().min(0).max(100).required(),
+  factors: Joi.object({
+    returnsVsBenchmark: factorSchema.keys({ pointsPerPercent: Joi.number().positive().required() }).required(),
+    consistency: factorSchema.required(),
+    expenseRatio: factorSchema.keys({ zeroScoreAt: Joi.number().positive().required() }).required(),
+    aum: factorSchema.keys({ fullScoreAt: Joi.number().greater(1).required() }).required(),
+    managerTenure: factorSchema.keys({ fullScoreAt: Joi.number().positive().required() }).required(),
+    rating: factorSchema.required(),
+    riskGradeFit: factorSchema.keys({ pointsPerLevel: Joi.number().positive().required() }).required()
+  }).required(),
+  targetRiskLevels: Joi.object().pattern(
+    Joi.string(),
+    Joi.object(Object.fromEntries(RISK_CATEGORIES.map(category => [category, Joi.number().min(1).max(6).required()])))
+  ).required()
+});
+
+// How each factor is scored: (product, context) => { value, score } or null without data
+const FACTOR_SCORERS = {
+  returnsVsBenchmark: scoreReturnsVsBenchmark,
+  consistency: scoreConsistency,
+  expenseRatio: scoreExpenseRatio,
+  aum: scoreAum,
+  managerTenure: scoreManagerTenure,
+  rating: scoreRating,
+  riskGradeFit: scoreRiskGradeFit
+};
+
+// The configuration is loaded once, on first use
+let scoringConfig = null;
+
+/**
+ * Load and validate the scoring configuration
+ * @returns {Object} Scoring configuration
+ */
+function getScoringConfig() {
+  if (scoringConfig) {
+    return scoringConfig;
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(SCORING_CONFIG.filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading product scoring config: ${error.message}`);
+  }
+
+  const { value, error } = configSchema.validate(definition, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid product scoring config: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  scoringConfig = value;
+  return scoringConfig;
+}
+
+/**
+ * Rank the products of every recommended vehicle and keep the top N
+ * Each kept product gets its score, and each vehicle says how many
+ * candidates it was chosen from.
+ * @param {Object} recommendations - Recommendations by asset class and product type, with products in the
+ *   product master schema (updated in place)
+ * @param {string} riskCategory - Client's risk category
+ * @returns {Object} The recommendations
+ */
+function rankRecommendations(recommendations, riskCategory) {
+  const config = getScoringConfig();
+
+  for (const [assetClass, productTypes] of Object.entries(recommendations || {})) {
+    for (const [productType, recommendation] of Object.entries(productTypes || {})) {
+      if (!Array.isArray(recommendation?.products) || recommendation.products.length === 0) {
+        continue;
+      }
+
+      const topN = config.topN[`${assetClass}.${productType}`] || config.topN.default;
+      const ranked = rankProducts(recommendation.products, { assetClass, riskCategory });
+      recommendation.products = ranked.slice(0, topN);
+      recommendation.ranking = { candidates: ranked.length, shown: recommendation.products.length };
+    }
+  }
+
+  return recommendations;
+}
+
+/**
+ * Score and sort the candidate products of one vehicle
+ * @param {Array} products - Candidate products in the product master schema
+ * @param {Object} options - Scoring inputs
+ * @param {string} options.assetClass - Asset class of the vehicle
+ * @param {string} options.riskCategory - Client's risk category
+ * @returns {Array} Copies of the products with a score ({ total, coverage, rank, components, missingFactors }), best first
+ */
+function rankProducts(products, { assetClass, riskCategory }) {
+  const config = getScoringConfig();
+  const context = {
+    config,
+    peerReturns: getPeerReturns(products, config.returnPeriods),
+    targetRiskLevel: config.targetRiskLevels[assetClass]?.[riskCategory] ?? null
+  };
+
+  const scored = products.map(product => ({ ...product, score: scoreProduct(product, context) }));
+  // Array.prototype.sort is stable, so unscored products keep their order
+  scored.sort((a, b) => (b.score.total ?? -1) - (a.score.total ?? -1));
+  scored.forEach((product, index) => {
+    product.score.rank = index + 1;
+  });
+
+  return scored;
+}
+
+/**
+ * Score a product on every configured factor
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - { config, peerReturns, targetRiskLevel }
+ * @returns {Object} { total, coverage, components, missingFactors } where total is null when no factor has data
+ *   and coverage is the percentage of the factor weight with data
+ */
+function scoreProduct(product, context) {
+  const components = {};
+  const missingFactors = [];
+  let weightedScore = 0;
+  let totalWeight = 0;
+  let coveredWeight = 0;
+
+  for (const [factor, { weight }] of Object.entries(context.config.factors)) {
+    const result = weight > 0 ? FACTOR_SCORERS[factor](product, context) : null;
+    totalWeight += weight;
+    if (!result) {
+      missingFactors.push(factor);
+      weightedScore += context.config.missingFactorScore * weight;
+      continue;
+    }
+
+    const score = round(clamp(result.score));
+    components[factor] = { ...result, score, weight };
+    weightedScore += score * weight;
+    coveredWeight += weight;
+  }
+
+  return {
+    total: coveredWeight > 0 ? round(weightedScore / totalWeight) : null,
+    coverage: totalWeight > 0 ? round(coveredWeight / totalWeight * 100) : 0,
+    components,
+    missingFactors
+  };
+}
+
+/**
+ * Work out the product's excess return in each configured period
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { excess: [numbers], reference: 'benchmark' or 'peerMedian' }, or null without data
+ */
+function getExcessReturns(product, { config, peerReturns }) {
+  const benchmarkReturns = product.benchmark?.returns || {};
+  const hasBenchmark = config.returnPeriods.some(period => period in benchmarkReturns);
+  const reference = hasBenchmark ? benchmarkReturns : peerReturns;
+
+  const excess = config.returnPeriods
+    .filter(period => typeof product.returns?.[period] === 'number' && typeof reference[period] === 'number')
+    .map(period => product.returns[period] - reference[period]);
+
+  return excess.length > 0 ? { excess, reference: hasBenchmark ? 'benchmark' : 'peerMedian' } : null;
+}
+
+/**
+ * Score the average excess return over the benchmark or the peers
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { value, reference, score } with the value in percent a year
+ */
+function scoreReturnsVsBenchmark(product, context) {
+  const excessReturns = getExcessReturns(product, context);
+  if (!excessReturns) {
+    return null;
+  }
+
+  const value = round(average(excessReturns.excess));
+  const { pointsPerPercent } = context.config.factors.returnsVsBenchmark;
+  return { value, reference: excessReturns.reference, score: 50 + value * pointsPerPercent };
+}
+
+/**
+ * Score the share of periods in which the product beat the benchmark or the peers
+ * At least two periods are needed.
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { value, reference, score } with the value in percent of periods
+ */
+function scoreConsistency(product, context) {
+  const excessReturns = getExcessReturns(product, context);
+  if (!excessReturns || excessReturns.excess.length < 2) {
+    return null;
+  }
+
+  const value = round(excessReturns.excess.filter(excess => excess > 0).length / excessReturns.excess.length * 100);
+  return { value, reference: excessReturns.reference, score: value };
+}
+
+/**
+ * Score the expense ratio
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { value, score } with the value in percent
+ */
+function scoreExpenseRatio(product, { config }) {
+  const value = product.fees?.expenseRatio;
+  if (typeof value !== 'number') {
+    return null;
+  }
+  return { value, score: 100 - value / config.factors.expenseRatio.zeroScoreAt * 100 };
+}
+
+/**
+ * Score the assets under management on a log scale
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { value, score } with the value in crores
+ */
+function scoreAum(product, { config }) {
+  const value = product.aum;
+  if (typeof value !== 'number' || value <= 0) {
+    return null;
+  }
+  return { value, score: Math.log10(Math.max(value, 1)) / Math.log10(config.factors.aum.fullScoreAt) * 100 };
+}
+
+/**
+ * Score the fund manager's tenure
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { value, score } with the value in years
+ */
+function scoreManagerTenure(product, { config }) {
+  const value = product.managerTenureYears;
+  if (typeof value !== 'number') {
+    return null;
+  }
+  return { value, score: value / config.factors.managerTenure.fullScoreAt * 100 };
+}
+
+/**
+ * Score a star rating (1-5) or a credit rating
+ * @param {Object} product - Product in the product master schema
+ * @returns {Object|null} { value, score }
+ */
+function scoreRating(product) {
+  const value = product.rating;
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const stars = Number(value);
+  if (Number.isFinite(stars)) {
+    return stars >= 1 && stars <= 5 ? { value: stars, score: (stars - 1) / 4 * 100 } : null;
+  }
+
+  // Agency prefixes and suffixes such as 'CRISIL AA+' or 'AA(SO)' are ignored
+  const match = String(value).toUpperCase().match(/(?:^|[^A-Z])(AAA|AA|A|BBB|BB|B|C|D)([+-]?)(?![A-Z])/);
+  if (!match) {
+    return null;
+  }
+  const notch = CREDIT_RATINGS.indexOf(`${match[1]}${match[2]}`);
+  return { value, score: notch === -1 ? 0 : 100 - notch * 10 };
+}
+
+/**
+ * Score how close the product's risk level is to the client's target level
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} context - Scoring context
+ * @returns {Object|null} { value, target, score } with the value and target on the 1-6 riskometer scale
+ */
+function scoreRiskGradeFit(product, { config, targetRiskLevel }) {
+  const value = suitability.getRiskLevel(product.riskGrade);
+  if (value === null || targetRiskLevel === null) {
+    return null;
+  }
+  return { value, target: targetRiskLevel, score: 100 - Math.abs(value - targetRiskLevel) * config.factors.riskGradeFit.pointsPerLevel };
+}
+
+/**
+ * Get the median return of the candidates in each period
+ * A period needs at least two candidates with a return.
+ * @param {Array} products - Candidate products
+ * @param {Array} periods - Return periods
+ * @returns {Object} Median returns by period
+ */
+function getPeerReturns(products, periods) {
+  const peerReturns = {};
+
+  for (const period of periods) {
+    const values = products
+      .map(product => product.returns?.[period])
+      .filter(value => typeof value === 'number')
+      .sort((a, b) => a - b);
+    if (values.length >= 2) {
+      const middle = Math.floor(values.length / 2);
+      peerReturns[period] = values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    }
+  }
+
+  return peerReturns;
+}
+
+/**
+ * Average a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Average
+ */
+function average(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+/**
+ * Limit a score to 0-100
+ * @param {number} value - Score
+ * @returns {number} Score between 0 and 100
+ */
+function clamp(value) {
+  return Math.min(100, Math.max(0, value));
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  SCORING_CONFIG,
+  getScoringConfig,
+  rankRecommendations,
+  rankProducts
+};
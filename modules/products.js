@@ -11,9 +11,17 @@ require('dotenv').config();
 // Import external products module
 const externalProducts = require('./externalProducts');
 const stockCategories = require('./stockCategories');
+const allocationSolver = require('./allocationSolver');
+const taxPlanning = require('./taxPlanning');
+const postTaxReturns = require('./postTaxReturns');
+const productMaster = require('./productMaster');
+const productScoring = require('./productScoring');
+const suitability = require('./suitability');
+const schemeCategories = require('./schemeCategories');
 
 // Sample product database - in a real implementation, this would be loaded from a database
-const productDatabase = {
+// The products are mapped onto the product master schema when the module loads
+const productDatabase = productMaster.normalizeProductDatabase({
   equity: {
     mutualFunds: {
       conservative: [
@@ -51,7 +59,11 @@ const productDatabase = {
       aggressive: [
         { name: 'Long-Short AIF M', description: 'Long-short strategy to capture market opportunities', expectedReturn: '18-22%', risk: 'Very High', lockInPeriod: '3 years', minimumInvestment: '1 Crore' }
       ]
-    }
+    },
+    elss: [
+      { name: 'ELSS Tax Saver Fund Z', description: 'Diversified equity fund qualifying for the Section 80C deduction', expectedReturn: '12-14%', risk: 'Moderate-High', lockInPeriod: '3 years' },
+      { name: 'ELSS Tax Saver Index Fund AA', description: 'Low-cost ELSS tracking a broad market index', expectedReturn: '11-13%', risk: 'Moderate-High', lockInPeriod: '3 years' }
+    ]
   },
   debt: {
     mutualFunds: {
@@ -89,7 +101,10 @@ const productDatabase = {
       aggressive: [
         { name: 'High Yield Debt AIF Y', description: 'Higher yield debt instruments', expectedReturn: '13-15%', risk: 'High', lockInPeriod: '3 years', minimumInvestment: '1 Crore' }
       ]
-    }
+    },
+    ppf: [
+      { name: 'Public Provident Fund', description: 'Government-backed savings scheme with tax-free interest, qualifying for the Section 80C deduction', expectedReturn: '7-7.5%', risk: 'Very Low', lockInPeriod: '15 years' }
+    ]
   },
   goldSilver: {
     etf: [
@@ -103,6 +118,26 @@ const productDatabase = {
       { name: 'Silver Coins/Bars', description: 'Investment in physical silver', expectedReturn: 'Variable', risk: 'Moderate-High', lockInPeriod: 'None' }
     ]
   }
+}, 'productDatabase');
+
+// Product type keys for the allocation matrix vehicles (see config/allocationMatrix.json)
+const MATRIX_VEHICLES = {
+  equity: {
+    'Equity Mutual Funds': 'mutualFunds',
+    'Equity PMS': 'pms',
+    'Equity AIF': 'aif'
+  },
+  debt: {
+    'Debt Mutual Funds': 'mutualFunds',
+    'Direct Debt': 'direct',
+    'Debt AIF': 'aif'
+  }
+};
+
+// Product type keys understood by the recommendation generators
+const PRODUCT_TYPE_KEYS = {
+  equity: ['mutualFunds', 'etf', 'pms', 'aif', 'listedStocks', 'unlistedStocks'],
+  debt: ['mutualFunds', 'direct', 'aif']
 };
 
 /**
@@ -135,10 +170,11 @@ async function recommendProducts(clientData) {
     
     // Generate recommendations for each asset class
     let equityRecommendations, debtRecommendations, goldSilverRecommendations;
+    const exclusionReport = { excludedVehicles: [], excludedProducts: [] };
     
     try {
       console.log('Generating equity recommendations...');
-      equityRecommendations = await generateEquityRecommendations(riskLevel, assetAllocation, portfolioSize);
+      equityRecommendations = await generateEquityRecommendations(riskLevel, assetAllocation, portfolioSize, exclusionReport);
     } catch (equityError) {
       console.error('Error generating equity recommendations:', equityError);
       equityRecommendations = { 
@@ -151,7 +187,7 @@ async function recommendProducts(clientData) {
     
     try {
       console.log('Generating debt recommendations...');
-      debtRecommendations = await generateDebtRecommendations(riskLevel, assetAllocation, portfolioSize);
+      debtRecommendations = await generateDebtRecommendations(riskLevel, assetAllocation, portfolioSize, exclusionReport);
     } catch (debtError) {
       console.error('Error generating debt recommendations:', debtError);
       debtRecommendations = { 
@@ -177,14 +213,37 @@ async function recommendProducts(clientData) {
       goldSilver: goldSilverRecommendations
     };
     
+    // Carve the Section 80C investments out of the vehicles that fund them
+    const taxSavingPlan = assetAllocation.taxSavingPlan ?? taxPlanning.planTaxSaving(clientProfile, { ...assetAllocation, portfolioSize });
+    if (taxSavingPlan) {
+      applyTaxSavingPlan(recommendations, taxSavingPlan);
+    }
+    
+    // Give every product the product master fields, whichever source it came from
+    productMaster.normalizeRecommendations(recommendations);
+    
+    // Leave out the products outside the client's risk range, then keep the best-scoring candidates of each vehicle
+    const suitabilityReport = suitability.applySuitability(recommendations, clientProfile, riskProfile.riskCategory);
+    exclusionReport.excludedProducts.push(...suitabilityReport.excludedProducts);
+    exclusionReport.excludedVehicles.push(...suitabilityReport.excludedVehicles);
+    productScoring.rankRecommendations(recommendations, riskProfile.riskCategory);
+    
+    // Compare the expected returns before and after tax for the client's bracket and horizon
+    const returnComparison = postTaxReturns.addPostTaxReturns(recommendations, clientProfile);
+    
     // Generate recommendation summary
-    const recommendationSummary = generateRecommendationSummary(recommendations, riskProfile.riskCategory || 'Moderate');
+    const recommendationSummary = generateRecommendationSummary(recommendations, riskProfile.riskCategory || 'Moderate', exclusionReport.excludedVehicles);
     
     console.log('Product recommendations generated successfully');
     
     return {
       recommendations,
-      recommendationSummary
+      recommendationSummary,
+      excludedVehicles: exclusionReport.excludedVehicles,
+      excludedProducts: exclusionReport.excludedProducts,
+      suitability: describeSuitability(suitabilityReport),
+      taxSaving: taxSavingPlan || null,
+      postTaxReturns: returnComparison
     };
   } catch (error) {
     console.error('Error in recommendProducts:', error);
@@ -207,13 +266,34 @@ async function recommendProducts(clientData) {
       goldSilver: {}
     };
     
+    // The default products are checked like any others; an error here fails the request
+    productMaster.normalizeRecommendations(fallbackRecommendations);
+    const suitabilityReport = suitability.applySuitability(fallbackRecommendations, clientData?.clientProfile, clientData?.riskProfile?.riskCategory);
+    
     return {
       recommendations: fallbackRecommendations,
-      recommendationSummary: "Based on your risk profile, we've prepared a basic set of investment recommendations. These are default recommendations as we encountered an error processing your specific profile."
+      recommendationSummary: "Based on your risk profile, we've prepared a basic set of investment recommendations. These are default recommendations as we encountered an error processing your specific profile.",
+      excludedVehicles: suitabilityReport.excludedVehicles,
+      excludedProducts: suitabilityReport.excludedProducts,
+      suitability: describeSuitability(suitabilityReport)
     };
   }
 }
 
+/**
+ * Pick the fields of a suitability report that go into the recommendations response
+ * @param {Object} suitabilityReport - Output of suitability.applySuitability
+ * @returns {Object} { riskCategory, investmentKnowledge, maxRiskLevel, flaggedProducts }
+ */
+function describeSuitability(suitabilityReport) {
+  return {
+    riskCategory: suitabilityReport.riskCategory,
+    investmentKnowledge: suitabilityReport.investmentKnowledge,
+    maxRiskLevel: suitabilityReport.maxRiskLevel,
+    flaggedProducts: suitabilityReport.flaggedProducts
+  };
+}
+
 /**
  * Map risk category to risk level
  * @param {string} riskCategory - Risk category
@@ -237,9 +317,10 @@ function mapRiskCategoryToLevel(riskCategory) {
  * @param {string} riskLevel - Client risk level
  * @param {Object} assetAllocation - Asset allocation data
  * @param {number} portfolioSize - Portfolio size in INR
+ * @param {Object} exclusionReport - Collects the vehicles and products excluded for minimum tickets
  * @returns {Object} Equity product recommendations
  */
-async function generateEquityRecommendations(riskLevel, assetAllocation, portfolioSize) {
+async function generateEquityRecommendations(riskLevel, assetAllocation, portfolioSize, exclusionReport) {
   console.log('generateEquityRecommendations - Input:', JSON.stringify({
     riskLevel,
     assetAllocation,
@@ -292,286 +373,87 @@ async function generateEquityRecommendations(riskLevel, assetAllocation, portfol
     }
     
     // Normal flow when productTypeAllocation exists
-    const productTypeAllocation = assetAllocation.productTypeAllocation.equity;
+    const requestedAllocation = getVehicleAllocation(assetAllocation, 'equity');
     
     // Calculate amount allocated to equity
     const equityAmount = (portfolioSize * equityAllocation) / 100;
     
+    // Fetch every vehicle's products first so the solver can check their minimum investments
+    // (mutual funds are always listed, as they take the amount of excluded vehicles when nothing else is left)
+    const candidateProducts = {
+      mutualFunds: productDatabase.equity.mutualFunds[riskLevel] || productDatabase.equity.mutualFunds.moderate
+    };
+    if (requestedAllocation.pms > 0) {
+      candidateProducts.pms = await fetchPmsProducts(riskLevel);
+    }
+    if (requestedAllocation.aif > 0) {
+      candidateProducts.aif = await fetchAifProducts(riskLevel);
+    }
+    if (requestedAllocation.listedStocks > 0) {
+      candidateProducts.listedStocks = await fetchListedStockProducts(riskLevel);
+    }
+    if (requestedAllocation.unlistedStocks > 0) {
+      candidateProducts.unlistedStocks = await fetchUnlistedStockProducts();
+    }
+    
+    // Drop vehicles below their minimum ticket and move their amount to the other vehicles
+    const solved = allocationSolver.solveVehicleAllocation({
+      assetClass: 'equity',
+      amount: equityAmount,
+      allocation: requestedAllocation,
+      products: candidateProducts
+    });
+    exclusionReport.excludedVehicles.push(...solved.exclusions);
+    exclusionReport.excludedProducts.push(...solved.productExclusions);
+    
+    const productTypeAllocation = solved.allocation;
+    
     // Mutual Funds
     if (productTypeAllocation.mutualFunds > 0) {
-      const mutualFundAmount = (equityAmount * productTypeAllocation.mutualFunds) / 100;
       recommendations.mutualFunds = {
         allocation: productTypeAllocation.mutualFunds,
-        amount: mutualFundAmount,
-        products: productDatabase.equity.mutualFunds[riskLevel] || productDatabase.equity.mutualFunds.moderate
+        amount: solved.amounts.mutualFunds,
+        products: solved.products.mutualFunds
       };
     }
     
     // PMS
-    if (productTypeAllocation.pms > 0 && portfolioSize >= 5000000) { // 50 Lakhs minimum
-      const pmsAmount = (equityAmount * productTypeAllocation.pms) / 100;
-      
-      // Fetch PMS products from external API
-      try {
-        console.log('Fetching PMS products from external API...');
-        const pmsProducts = await externalProducts.fetchPMS('1 Month');
-        const formattedPmsProducts = externalProducts.formatProductData(pmsProducts, 'pms');
-        
-        recommendations.pms = {
-          allocation: productTypeAllocation.pms,
-          amount: pmsAmount,
-          products: formattedPmsProducts.length > 0 ? 
-            formattedPmsProducts : 
-            productDatabase.equity.pms[riskLevel] || productDatabase.equity.pms.moderate
-        };
-        
-        console.log(`Fetched ${formattedPmsProducts.length} PMS products from API`);
-      } catch (error) {
-        console.error('Error fetching PMS products:', error);
-        recommendations.pms = {
-          allocation: productTypeAllocation.pms,
-          amount: pmsAmount,
-          products: productDatabase.equity.pms[riskLevel] || productDatabase.equity.pms.moderate
-        };
-      }
+    if (productTypeAllocation.pms > 0) {
+      recommendations.pms = {
+        allocation: productTypeAllocation.pms,
+        amount: solved.amounts.pms,
+        products: solved.products.pms
+      };
     }
     
     // AIF
-    if (productTypeAllocation.aif > 0 && portfolioSize >= 10000000) { // 1 Crore minimum
-      const aifAmount = (equityAmount * productTypeAllocation.aif) / 100;
-      
-      // Fetch Alternative Funds products from external API
-      try {
-        console.log('Fetching Alternative Funds products from external API...');
-        const alternativeFunds = await externalProducts.fetchAlternativeFunds('1 Month');
-        const formattedAlternativeFunds = externalProducts.formatProductData(alternativeFunds, 'alternativeFunds');
-        
-        recommendations.aif = {
-          allocation: productTypeAllocation.aif,
-          amount: aifAmount,
-          products: formattedAlternativeFunds.length > 0 ? 
-            formattedAlternativeFunds : 
-            productDatabase.equity.aif[riskLevel] || productDatabase.equity.aif.moderate
-        };
-        
-        console.log(`Fetched ${formattedAlternativeFunds.length} Alternative Funds products from API`);
-      } catch (error) {
-        console.error('Error fetching Alternative Funds products:', error);
-        recommendations.aif = {
-          allocation: productTypeAllocation.aif,
-          amount: aifAmount,
-          products: productDatabase.equity.aif[riskLevel] || productDatabase.equity.aif.moderate
-        };
-      }
+    if (productTypeAllocation.aif > 0) {
+      recommendations.aif = {
+        allocation: productTypeAllocation.aif,
+        amount: solved.amounts.aif,
+        products: solved.products.aif
+      };
     }
     
-    // Listed Stocks (fetch from API)
+    // Listed Stocks
     if (productTypeAllocation.listedStocks > 0) {
-      const listedStocksAmount = (equityAmount * productTypeAllocation.listedStocks) / 100;
-      
-      try {
-        console.log('Fetching Listed Stocks from API...');
-        
-        // Fetch listed stocks from the API with different categories based on risk level
-        let categoryFilter = '';
-        let pageSize = 10;
-        
-        switch(riskLevel) {
-          case 'conservative':
-            categoryFilter = 'Large-Cap';
-            break;
-          case 'moderate':
-            categoryFilter = 'Multi-Cap';
-            break;
-          case 'aggressive':
-            categoryFilter = 'Small-Cap';
-            break;
-          default:
-            categoryFilter = '';
-        }
-        
-        // Fetch listed stocks from API
-        const listedStocksData = await externalProducts.fetchListedStocks({
-          category: categoryFilter,
-          pageSize: pageSize,
-          returnInYr: 5
-        });
-        
-        if (listedStocksData && listedStocksData.length > 0) {
-          // Format the listed stocks data
-          const formattedListedStocks = externalProducts.formatListedStocksData(listedStocksData);
-          
-          recommendations.listedStocks = {
-            allocation: productTypeAllocation.listedStocks || 10,
-            amount: listedStocksAmount,
-            products: formattedListedStocks,
-            dataSource: 'Listed Stocks API'
-          };
-          
-          console.log(`Successfully fetched and formatted ${formattedListedStocks.length} listed stocks from API`);
-        } else {
-          console.warn('No Listed Stocks data returned from API, falling back to stock categories');
-          
-          // Fall back to stock categories if no listed stocks data
-          const stockCategoriesData = await stockCategories.fetchStockCategories();
-          const formattedStockCategories = stockCategories.formatStockCategories(stockCategoriesData);
-          
-          if (formattedStockCategories.length > 0) {
-            // Create stock category products based on fetched stock categories
-            const stockCategoryProducts = formattedStockCategories.map(category => ({
-              name: `${category.name} Stock`,
-              description: `Listed equity in ${category.name} category`,
-              expectedReturn: category.code === 'LACAP' ? '10-12%' : 
-                            category.code === 'MIDCAP' ? '12-15%' : 
-                            category.code === 'SMCAP' ? '15-18%' : '18-22%',
-              risk: category.code === 'LACAP' ? 'Moderate' : 
-                   category.code === 'MIDCAP' ? 'Moderate-High' : 
-                   category.code === 'SMCAP' ? 'High' : 'Very High',
-              category: category.name,
-              dataSource: 'Stock Categories API'
-            }));
-            
-            recommendations.listedStocks = {
-              allocation: productTypeAllocation.listedStocks || 10,
-              amount: listedStocksAmount,
-              products: stockCategoryProducts
-            };
-            
-            console.log(`Created ${stockCategoryProducts.length} Listed Stocks products from stock categories as fallback`);
-          } else {
-            // Last resort fallback to hardcoded data
-            console.warn('No Stock Categories returned from API, using hardcoded fallback data');
-            recommendations.listedStocks = {
-              allocation: productTypeAllocation.listedStocks || 10,
-              amount: listedStocksAmount,
-              products: [
-                { 
-                  name: "Large Cap Stock", 
-                  description: "Listed equity in large cap category",
-                  expectedReturn: "10-12%",
-                  risk: "Moderate",
-                  category: "Large Cap",
-                  dataSource: "Fallback Data"
-                },
-                { 
-                  name: "Mid Cap Stock", 
-                  description: "Listed equity in mid cap category",
-                  expectedReturn: "12-15%",
-                  risk: "Moderate-High",
-                  category: "Mid Cap",
-                  dataSource: "Fallback Data"
-                },
-                { 
-                  name: "Small Cap Stock", 
-                  description: "Listed equity in small cap category",
-                  expectedReturn: "15-18%",
-                  risk: "High",
-                  category: "Small Cap",
-                  dataSource: "Fallback Data"
-                }
-              ]
-            };
-          }
-        }
-      } catch (error) {
-        console.error('Error fetching Listed Stocks:', error);
-        recommendations.listedStocks = {
-          allocation: productTypeAllocation.listedStocks || 10,
-          amount: listedStocksAmount,
-          products: [
-            { 
-              name: "Large Cap Stock", 
-              description: "Listed equity in large cap category",
-              expectedReturn: "10-12%",
-              risk: "Moderate",
-              category: "Large Cap",
-              dataSource: "Fallback Data"
-            },
-            { 
-              name: "Mid Cap Stock", 
-              description: "Listed equity in mid cap category",
-              expectedReturn: "12-15%",
-              risk: "Moderate-High",
-              category: "Mid Cap",
-              dataSource: "Fallback Data"
-            },
-            { 
-              name: "Small Cap Stock", 
-              description: "Listed equity in small cap category",
-              expectedReturn: "15-18%",
-              risk: "High",
-              category: "Small Cap",
-              dataSource: "Fallback Data"
-            }
-          ]
-        };
+      recommendations.listedStocks = {
+        allocation: productTypeAllocation.listedStocks,
+        amount: solved.amounts.listedStocks,
+        products: solved.products.listedStocks
+      };
+      if (solved.products.listedStocks.some(product => product.dataSource === 'Listed Stocks API')) {
+        recommendations.listedStocks.dataSource = 'Listed Stocks API';
       }
     }
     
-    // Unlisted Stocks (if portfolio size is sufficient)
-    if (portfolioSize >= 10000000 && productTypeAllocation.unlistedStocks > 0) { // 1 Crore minimum
-      const unlistedStocksAmount = (equityAmount * productTypeAllocation.unlistedStocks) / 100;
-      
-      // Fetch Unlisted Stocks products from external API
-      try {
-        console.log('Fetching Unlisted Stocks products from external API...');
-        const unlistedStocks = await externalProducts.fetchUnlistedStocks('1 Month');
-        const formattedUnlistedStocks = externalProducts.formatProductData(unlistedStocks, 'unlistedStocks');
-        
-        if (formattedUnlistedStocks.length > 0) {
-          recommendations.unlistedStocks = {
-            allocation: productTypeAllocation.unlistedStocks || 5, // Default 5% if not specified
-            amount: unlistedStocksAmount,
-            products: formattedUnlistedStocks
-          };
-          
-          console.log(`Fetched ${formattedUnlistedStocks.length} Unlisted Stocks products from API`);
-        } else {
-          console.warn('No Unlisted Stocks products returned from API');
-          recommendations.unlistedStocks = {
-            allocation: productTypeAllocation.unlistedStocks || 5,
-            amount: unlistedStocksAmount,
-            products: [
-              { 
-                name: "Unlisted Company A", 
-                description: "Pre-IPO opportunity in technology sector",
-                expectedReturn: "15-20% p.a.",
-                risk: "High",
-                lockInPeriod: "Variable"
-              },
-              { 
-                name: "Unlisted Company B", 
-                description: "Growth stage company in financial services",
-                expectedReturn: "18-25% p.a.",
-                risk: "Very High",
-                lockInPeriod: "Variable"
-              }
-            ]
-          };
-        }
-      } catch (error) {
-        console.error('Error fetching Unlisted Stocks products:', error);
-        recommendations.unlistedStocks = {
-          allocation: productTypeAllocation.unlistedStocks || 5,
-          amount: unlistedStocksAmount,
-          products: [
-            { 
-              name: "Unlisted Company A", 
-              description: "Pre-IPO opportunity in technology sector",
-              expectedReturn: "15-20% p.a.",
-              risk: "High",
-              lockInPeriod: "Variable"
-            },
-            { 
-              name: "Unlisted Company B", 
-              description: "Growth stage company in financial services",
-              expectedReturn: "18-25% p.a.",
-              risk: "Very High",
-              lockInPeriod: "Variable"
-            }
-          ]
-        };
-      }
+    // Unlisted Stocks
+    if (productTypeAllocation.unlistedStocks > 0) {
+      recommendations.unlistedStocks = {
+        allocation: productTypeAllocation.unlistedStocks,
+        amount: solved.amounts.unlistedStocks,
+        products: solved.products.unlistedStocks
+      };
     }
     
     // ETF (add default if only mutual funds are present)
@@ -601,9 +483,10 @@ async function generateEquityRecommendations(riskLevel, assetAllocation, portfol
  * @param {string} riskLevel - Client risk level
  * @param {Object} assetAllocation - Asset allocation data
  * @param {number} portfolioSize - Portfolio size in INR
+ * @param {Object} exclusionReport - Collects the vehicles and products excluded for minimum tickets
  * @returns {Object} Debt product recommendations
  */
-async function generateDebtRecommendations(riskLevel, assetAllocation, portfolioSize) {
+async function generateDebtRecommendations(riskLevel, assetAllocation, portfolioSize, exclusionReport) {
   console.log('generateDebtRecommendations - Input:', JSON.stringify({
     riskLevel,
     assetAllocation,
@@ -680,98 +563,68 @@ async function generateDebtRecommendations(riskLevel, assetAllocation, portfolio
     }
     
     // Normal flow when productTypeAllocation exists
-    const productTypeAllocation = assetAllocation.productTypeAllocation.debt;
+    const requestedAllocation = getVehicleAllocation(assetAllocation, 'debt');
     
     // Calculate amount allocated to debt
     const debtAmount = (portfolioSize * debtAllocation) / 100;
     
+    // Fetch every vehicle's products first so the solver can check their minimum investments
+    // (mutual funds are always listed, as they take the amount of excluded vehicles when nothing else is left)
+    const candidateProducts = {
+      mutualFunds: await fetchDebtMutualFundProducts(riskLevel)
+    };
+    if (requestedAllocation.direct > 0) {
+      candidateProducts.direct = productDatabase.debt.direct[riskLevel] || productDatabase.debt.direct.moderate;
+    }
+    if (requestedAllocation.aif > 0) {
+      candidateProducts.aif = productDatabase.debt.aif[riskLevel] || productDatabase.debt.aif.moderate;
+    }
+    
+    // Drop vehicles below their minimum ticket and move their amount to the other vehicles
+    const solved = allocationSolver.solveVehicleAllocation({
+      assetClass: 'debt',
+      amount: debtAmount,
+      allocation: requestedAllocation,
+      products: candidateProducts
+    });
+    exclusionReport.excludedVehicles.push(...solved.exclusions);
+    exclusionReport.excludedProducts.push(...solved.productExclusions);
+    
+    const productTypeAllocation = solved.allocation;
+    
     // Mutual Funds
     if (productTypeAllocation.mutualFunds > 0) {
-      const mutualFundAmount = (debtAmount * productTypeAllocation.mutualFunds) / 100;
-      
-      // Fetch Mutual Funds from API based on risk level basket
-      let basketName;
-      switch(riskLevel) {
-        case 'conservative':
-          basketName = 'Edu Omega';
-          break;
-        case 'moderate':
-          basketName = 'Edu Sigma';
-          break;
-        case 'aggressive':
-          basketName = 'Edu Alpha';
-          break;
-        default:
-          basketName = 'Edu Sigma';
-      }
-      
-      // Try to get funds from the basket first
-      let mutualFundProducts = await fetchMutualFundsFromBasket(basketName);
-      
-      // If basket fetch fails, try the regular API
-      if (mutualFundProducts.length === 0) {
-        console.log(`Basket ${basketName} fetch failed, trying regular API`);
-        mutualFundProducts = await fetchMutualFundsBasedOnRisk(riskLevel);
-      }
-      
       recommendations.mutualFunds = {
         allocation: productTypeAllocation.mutualFunds,
-        amount: mutualFundAmount,
-        products: mutualFundProducts.length > 0 ? mutualFundProducts : productDatabase.debt.mutualFunds[riskLevel] || productDatabase.debt.mutualFunds.moderate
+        amount: solved.amounts.mutualFunds,
+        products: solved.products.mutualFunds
       };
     }
     
     // Direct Debt
     if (productTypeAllocation.direct > 0) {
-      const directAmount = (debtAmount * productTypeAllocation.direct) / 100;
       recommendations.direct = {
         allocation: productTypeAllocation.direct,
-        amount: directAmount,
-        products: productDatabase.debt.direct[riskLevel] || productDatabase.debt.direct.moderate
+        amount: solved.amounts.direct,
+        products: solved.products.direct
       };
     }
     
     // AIF
-    if (productTypeAllocation.aif > 0 && portfolioSize >= 50000000) { // 5 Crores for debt AIF
-      const aifAmount = (debtAmount * productTypeAllocation.aif) / 100;
+    if (productTypeAllocation.aif > 0) {
       recommendations.aif = {
         allocation: productTypeAllocation.aif,
-        amount: aifAmount,
-        products: productDatabase.debt.aif[riskLevel] || productDatabase.debt.aif.moderate
+        amount: solved.amounts.aif,
+        products: solved.products.aif
       };
     }
     
     // Add default if no recommendations were generated
     if (!recommendations.mutualFunds && !recommendations.direct && !recommendations.aif) {
-      // Fetch Mutual Funds from API based on risk level basket
-      let basketName;
-      switch(riskLevel) {
-        case 'conservative':
-          basketName = 'Edu Omega';
-          break;
-        case 'moderate':
-          basketName = 'Edu Sigma';
-          break;
-        case 'aggressive':
-          basketName = 'Edu Alpha';
-          break;
-        default:
-          basketName = 'Edu Sigma';
-      }
-      
-      // Try to get funds from the basket first
-      let mutualFundProducts = await fetchMutualFundsFromBasket(basketName);
-      
-      // If basket fetch fails, try the regular API
-      if (mutualFundProducts.length === 0) {
-        console.log(`Basket ${basketName} fetch failed, trying regular API`);
-        mutualFundProducts = await fetchMutualFundsBasedOnRisk(riskLevel);
-      }
-      
       recommendations.mutualFunds = {
         allocation: 100,
         amount: debtAmount,
-        products: mutualFundProducts.length > 0 ? mutualFundProducts : productDatabase.debt.mutualFunds[riskLevel] || productDatabase.debt.mutualFunds.moderate
+        products: candidateProducts.mutualFunds
       };
     }
     
@@ -788,6 +641,311 @@ async function generateDebtRecommendations(riskLevel, assetAllocation, portfolio
   }
 }
 
+/**
+ * Move the ELSS and PPF amounts of a tax-saving plan out of the vehicles that fund them
+ * ELSS comes out of equity mutual funds and PPF out of direct debt (or debt
+ * mutual funds). Each becomes its own product type with its share of the
+ * asset class; the amount is limited to what the funding vehicle holds.
+ * @param {Object} recommendations - Recommendations by asset class (updated in place)
+ * @param {Object} taxSavingPlan - Output of taxPlanning.planTaxSaving
+ */
+function applyTaxSavingPlan(recommendations, taxSavingPlan) {
+  for (const key of ['elss', 'ppf']) {
+    const instrument = taxSavingPlan[key];
+    if (!instrument) {
+      continue;
+    }
+    
+    const { assetClass } = instrument;
+    const assetClassRecommendations = recommendations[assetClass] || (recommendations[assetClass] = {});
+    const sourceKey = [MATRIX_VEHICLES[assetClass][instrument.vehicle], 'mutualFunds'].find(productType => assetClassRecommendations[productType]?.amount > 0);
+    const source = assetClassRecommendations[sourceKey];
+    
+    let amount = instrument.amount;
+    let allocation = null;
+    if (source) {
+      amount = Math.min(amount, source.amount);
+      allocation = Math.round(source.allocation * amount / source.amount * 100) / 100;
+      source.allocation = Math.round((source.allocation - allocation) * 100) / 100;
+      source.amount -= amount;
+    }
+    
+    assetClassRecommendations[key] = {
+      allocation,
+      amount,
+      products: productDatabase[assetClass][key],
+      lockInPeriod: instrument.lockInPeriod,
+      taxSection: instrument.section,
+      fundedFrom: sourceKey || null
+    };
+  }
+}
+
+/**
+ * Get the vehicle percentages within an asset class
+ * Uses productTypeAllocation when it is keyed by vehicle (mutualFunds, pms,
+ * aif, ...); otherwise derives the percentages from the allocation matrix
+ * vehicles in detailedAllocation.
+ * @param {Object} assetAllocation - Asset allocation data
+ * @param {string} assetClass - 'equity' or 'debt'
+ * @returns {Object} Percentage of the asset class per vehicle
+ */
+function getVehicleAllocation(assetAllocation, assetClass) {
+  const productTypes = assetAllocation.productTypeAllocation?.[assetClass] || {};
+  if (Object.keys(productTypes).some(key => PRODUCT_TYPE_KEYS[assetClass].includes(key))) {
+    return productTypes;
+  }
+  
+  const detailedAllocation = assetAllocation.detailedAllocation || {};
+  const vehicleAllocation = {};
+  let total = 0;
+  
+  for (const [vehicle, key] of Object.entries(MATRIX_VEHICLES[assetClass])) {
+    const amount = Number(detailedAllocation[vehicle]) || 0;
+    if (amount > 0) {
+      vehicleAllocation[key] = amount;
+      total += amount;
+    }
+  }
+  
+  for (const key of Object.keys(vehicleAllocation)) {
+    vehicleAllocation[key] = vehicleAllocation[key] / total * 100;
+  }
+  
+  return vehicleAllocation;
+}
+
+/**
+ * Fetch PMS products, falling back to the product database
+ * @param {string} riskLevel - Client risk level
+ * @returns {Array} PMS products
+ */
+async function fetchPmsProducts(riskLevel) {
+  try {
+    console.log('Fetching PMS products from external API...');
+    const pmsProducts = await externalProducts.fetchPMS('1 Month');
+    const formattedPmsProducts = productMaster.normalizeProducts(
+      externalProducts.formatProductData(pmsProducts, 'pms'),
+      'productsApi',
+      { assetClass: 'equity', type: 'pms' }
+    );
+    
+    console.log(`Fetched ${formattedPmsProducts.length} PMS products from API`);
+    return formattedPmsProducts.length > 0 ?
+      formattedPmsProducts :
+      productDatabase.equity.pms[riskLevel] || productDatabase.equity.pms.moderate;
+  } catch (error) {
+    console.error('Error fetching PMS products:', error);
+    return productDatabase.equity.pms[riskLevel] || productDatabase.equity.pms.moderate;
+  }
+}
+
+/**
+ * Fetch Alternative Funds (AIF) products, falling back to the product database
+ * @param {string} riskLevel - Client risk level
+ * @returns {Array} AIF products
+ */
+async function fetchAifProducts(riskLevel) {
+  try {
+    console.log('Fetching Alternative Funds products from external API...');
+    const alternativeFunds = await externalProducts.fetchAlternativeFunds('1 Month');
+    const formattedAlternativeFunds = productMaster.normalizeProducts(
+      externalProducts.formatProductData(alternativeFunds, 'alternativeFunds'),
+      'productsApi',
+      { assetClass: 'equity', type: 'aif' }
+    );
+    
+    console.log(`Fetched ${formattedAlternativeFunds.length} Alternative Funds products from API`);
+    return formattedAlternativeFunds.length > 0 ?
+      formattedAlternativeFunds :
+      productDatabase.equity.aif[riskLevel] || productDatabase.equity.aif.moderate;
+  } catch (error) {
+    console.error('Error fetching Alternative Funds products:', error);
+    return productDatabase.equity.aif[riskLevel] || productDatabase.equity.aif.moderate;
+  }
+}
+
+/**
+ * Fetch listed schemes from the API, falling back to stock categories and then to sample categories
+ * @param {string} riskLevel - Client risk level
+ * @returns {Array} Listed Stocks products
+ */
+async function fetchListedStockProducts(riskLevel) {
+  const fallbackProducts = [
+    { 
+      name: "Large Cap Stock", 
+      description: "Listed equity in large cap category",
+      expectedReturn: "10-12%",
+      risk: "Moderate",
+      category: "Large Cap",
+      dataSource: "Fallback Data"
+    },
+    { 
+      name: "Mid Cap Stock", 
+      description: "Listed equity in mid cap category",
+      expectedReturn: "12-15%",
+      risk: "Moderate-High",
+      category: "Mid Cap",
+      dataSource: "Fallback Data"
+    },
+    { 
+      name: "Small Cap Stock", 
+      description: "Listed equity in small cap category",
+      expectedReturn: "15-18%",
+      risk: "High",
+      category: "Small Cap",
+      dataSource: "Fallback Data"
+    }
+  ];
+  
+  try {
+    console.log('Fetching Listed Stocks from API...');
+    
+    // Fetch listed stocks from the API with different categories based on risk level
+    let categoryFilter = '';
+    
+    switch(riskLevel) {
+      case 'conservative':
+        categoryFilter = 'Large-Cap';
+        break;
+      case 'moderate':
+        categoryFilter = 'Multi-Cap';
+        break;
+      case 'aggressive':
+        categoryFilter = 'Small-Cap';
+        break;
+      default:
+        categoryFilter = '';
+    }
+    
+    const listedStocksData = await externalProducts.fetchListedStocks({
+      category: categoryFilter,
+      pageSize: 10,
+      returnInYr: 5
+    });
+    
+    // The API lists mutual fund schemes; keep those whose SEBI category holds equity
+    const formattedListedStocks = productMaster.normalizeProducts(
+      externalProducts.formatListedStocksData(listedStocksData),
+      'listedSchemesApi',
+      { assetClass: 'equity', type: 'listedStocks' }
+    ).filter(product => schemeCategories.fitsAssetClass(product.schemeCategory, 'equity', product.name));
+    
+    if (formattedListedStocks.length > 0) {
+      console.log(`Successfully fetched and formatted ${formattedListedStocks.length} listed stocks from API`);
+      return formattedListedStocks;
+    }
+    
+    console.warn('No equity schemes returned from Listed Stocks API, falling back to stock categories');
+    
+    // Fall back to stock categories if no listed stocks data
+    const stockCategoriesData = await stockCategories.fetchStockCategories();
+    const formattedStockCategories = stockCategories.formatStockCategories(stockCategoriesData);
+    
+    if (formattedStockCategories.length > 0) {
+      console.log(`Created ${formattedStockCategories.length} Listed Stocks products from stock categories as fallback`);
+      return formattedStockCategories.map(category => ({
+        name: `${category.name} Stock`,
+        description: `Listed equity in ${category.name} category`,
+        expectedReturn: category.code === 'LACAP' ? '10-12%' : 
+                      category.code === 'MIDCAP' ? '12-15%' : 
+                      category.code === 'SMCAP' ? '15-18%' : '18-22%',
+        risk: category.code === 'LACAP' ? 'Moderate' : 
+             category.code === 'MIDCAP' ? 'Moderate-High' : 
+             category.code === 'SMCAP' ? 'High' : 'Very High',
+        category: category.name,
+        dataSource: 'Stock Categories API'
+      }));
+    }
+    
+    // Last resort fallback to hardcoded data
+    console.warn('No Stock Categories returned from API, using hardcoded fallback data');
+    return fallbackProducts;
+  } catch (error) {
+    console.error('Error fetching Listed Stocks:', error);
+    return fallbackProducts;
+  }
+}
+
+/**
+ * Fetch Unlisted Stocks products, falling back to sample companies
+ * @returns {Array} Unlisted Stocks products
+ */
+async function fetchUnlistedStockProducts() {
+  const fallbackProducts = productMaster.normalizeProducts([
+    { 
+      name: "Unlisted Company A", 
+      description: "Pre-IPO opportunity in technology sector",
+      expectedReturn: "15-20% p.a.",
+      risk: "High",
+      lockInPeriod: "Variable"
+    },
+    { 
+      name: "Unlisted Company B", 
+      description: "Growth stage company in financial services",
+      expectedReturn: "18-25% p.a.",
+      risk: "Very High",
+      lockInPeriod: "Variable"
+    }
+  ], 'productDatabase', { assetClass: 'equity', type: 'unlistedStocks' });
+  
+  try {
+    console.log('Fetching Unlisted Stocks products from external API...');
+    const unlistedStocks = await externalProducts.fetchUnlistedStocks('1 Month');
+    const formattedUnlistedStocks = productMaster.normalizeProducts(
+      externalProducts.formatProductData(unlistedStocks, 'unlistedStocks'),
+      'productsApi',
+      { assetClass: 'equity', type: 'unlistedStocks' }
+    );
+    
+    if (formattedUnlistedStocks.length > 0) {
+      console.log(`Fetched ${formattedUnlistedStocks.length} Unlisted Stocks products from API`);
+      return formattedUnlistedStocks;
+    }
+    
+    console.warn('No Unlisted Stocks products returned from API');
+    return fallbackProducts;
+  } catch (error) {
+    console.error('Error fetching Unlisted Stocks products:', error);
+    return fallbackProducts;
+  }
+}
+
+/**
+ * Fetch debt mutual funds from the risk level's basket, then the scheme list API, falling back to the product database
+ * @param {string} riskLevel - Client risk level
+ * @returns {Array} Debt mutual fund products
+ */
+async function fetchDebtMutualFundProducts(riskLevel) {
+  let basketName;
+  switch(riskLevel) {
+    case 'conservative':
+      basketName = 'Edu Omega';
+      break;
+    case 'moderate':
+      basketName = 'Edu Sigma';
+      break;
+    case 'aggressive':
+      basketName = 'Edu Alpha';
+      break;
+    default:
+      basketName = 'Edu Sigma';
+  }
+  
+  // Try to get funds from the basket first
+  let mutualFundProducts = await fetchMutualFundsFromBasket(basketName);
+  
+  // If basket fetch fails, try the regular API
+  if (mutualFundProducts.length === 0) {
+    console.log(`Basket ${basketName} fetch failed, trying regular API`);
+    mutualFundProducts = await fetchMutualFundsBasedOnRisk(riskLevel);
+  }
+  
+  return mutualFundProducts.length > 0 ?
+    mutualFundProducts :
+    productDatabase.debt.mutualFunds[riskLevel] || productDatabase.debt.mutualFunds.moderate;
+}
+
 /**
  * Fetch mutual funds from API based on risk level
  * @param {string} riskLevel - Client risk level (conservative, moderate, aggressive)
@@ -846,12 +1004,14 @@ async function fetchMutualFundsBasedOnRisk(riskLevel) {
     // Check if response is valid
     if (response.status === 200 && response.data && Array.isArray(response.data.data)) {
       // Map API response to the desired format
-      return response.data.data.map(fund => ({
+      const funds = response.data.data.map(fund => ({
         SchemeName: fund.SchemeName,
         CategoryName: fund.CategoryName,
         SchemeType: fund.SchemeType,
         Rating: fund.Rating
       }));
+      return productMaster.normalizeProducts(funds, 'schemeListApi', { assetClass: 'debt', type: 'mutualFunds' })
+        .filter(product => schemeCategories.fitsAssetClass(product.schemeCategory, 'debt', product.name));
     } else {
       console.warn('Invalid response from mutual fund API, using fallback data');
       return [];
@@ -909,11 +1069,11 @@ async function fetchMutualFundsFromBasket(basketName) {
           console.log(`Using ${filteredSchemes.length} filtered schemes from basket '${basketName}'`);
           
           // Map basket schemes to our product format
-          return filteredSchemes.map(scheme => ({
+          const schemes = filteredSchemes.map(scheme => ({
             name: scheme.SchemeName || 'Mutual Fund',
             description: `${scheme.CategoryName || 'Investment'} fund - ${basketName} basket`,
             expectedReturn: scheme['5YrReturn'] ? `${scheme['5YrReturn']}%` : '8-10%',
-            risk: mapRatingToRiskLevel(scheme.Rating),
+            risk: schemeCategories.getRiskometerLabel(schemeCategories.matchSchemeCategory(scheme.CategoryName)) || mapRatingToRiskLevel(scheme.Rating),
             lockInPeriod: 'None',
             isin: scheme.ISIN,
             bseSchemeCode: scheme.BSESchemeCode,
@@ -928,6 +1088,9 @@ async function fetchMutualFundsFromBasket(basketName) {
               '10yr': scheme['10YrReturn']
             }
           }));
+          // Baskets mix equity and debt schemes; only debt and hybrid categories belong in the debt allocation
+          return productMaster.normalizeProducts(schemes, 'basketApi', { assetClass: 'debt', type: 'mutualFunds' })
+            .filter(product => schemeCategories.fitsAssetClass(product.schemeCategory, 'debt', product.name));
         } else {
           console.log(`No suitable schemes found in basket '${basketName}' after filtering`);
         }
@@ -1078,42 +1241,51 @@ async function generateGoldSilverRecommendations(assetAllocation, portfolioSize)
  * Generate summary of product recommendations
  * @param {Object} recommendations - Product recommendations
  * @param {string} riskCategory - Client risk category
+ * @param {Array} [excludedVehicles] - Vehicles left out because of minimum tickets or because no product suits the client
  * @returns {string} Summary of recommendations
  */
-function generateRecommendationSummary(recommendations, riskCategory) {
+function generateRecommendationSummary(recommendations, riskCategory, excludedVehicles = []) {
+  // Risk categories are capitalised ('Conservative'); Ultra-Aggressive is described like Aggressive
+  const riskLevel = String(riskCategory).toLowerCase();
   let summary = `Based on your ${riskCategory} risk profile, we have recommended a diversified portfolio of investment products.`;
   
   // Add equity summary
   if (recommendations.equity && Object.keys(recommendations.equity).length > 0) {
     summary += '\n\nFor equity allocation:';
     if (recommendations.equity.mutualFunds) {
-      summary += `\n- Equity mutual funds focused on ${riskCategory === 'conservative' ? 'large-cap and dividend-yielding' : riskCategory === 'moderate' ? 'multi-cap and focused' : 'mid-cap, small-cap, and sectoral'} stocks.`;
+      summary += `\n- Equity mutual funds focused on ${riskLevel === 'conservative' ? 'large-cap and dividend-yielding' : riskLevel === 'moderate' ? 'multi-cap and focused' : 'mid-cap, small-cap, and sectoral'} stocks.`;
     }
     if (recommendations.equity.listedStocks) {
       summary += `\n- Listed Stocks across market capitalizations (${recommendations.equity.listedStocks.products.map(p => p.category).join(', ')}) for direct equity exposure.`;
     }
     if (recommendations.equity.pms) {
-      summary += `\n- Portfolio Management Services (PMS) with a ${riskCategory === 'conservative' ? 'blue-chip' : riskCategory === 'moderate' ? 'multi-strategy' : 'concentrated growth'} approach.`;
+      summary += `\n- Portfolio Management Services (PMS) with a ${riskLevel === 'conservative' ? 'blue-chip' : riskLevel === 'moderate' ? 'multi-strategy' : 'concentrated growth'} approach.`;
     }
     if (recommendations.equity.aif) {
-      summary += `\n- Alternative Investment Funds (AIF) with ${riskCategory === 'conservative' ? 'long-only value' : riskCategory === 'moderate' ? 'special situations' : 'long-short'} strategies.`;
+      summary += `\n- Alternative Investment Funds (AIF) with ${riskLevel === 'conservative' ? 'long-only value' : riskLevel === 'moderate' ? 'special situations' : 'long-short'} strategies.`;
     }
     if (recommendations.equity.unlistedStocks) {
       summary += `\n- Unlisted Stocks with high growth potential and pre-IPO opportunities for higher returns.`;
     }
+    if (recommendations.equity.elss) {
+      summary += `\n- ELSS tax-saving funds for the Section 80C deduction, each investment locked in for 3 years.`;
+    }
   }
   
   // Add debt summary
   if (recommendations.debt && Object.keys(recommendations.debt).length > 0) {
     summary += '\n\nFor debt allocation:';
     if (recommendations.debt.mutualFunds) {
-      summary += `\n- Debt mutual funds with ${riskCategory === 'conservative' ? 'liquid and ultra-short duration' : riskCategory === 'moderate' ? 'short duration and corporate bond' : 'credit risk and dynamic bond'} strategies.`;
+      summary += `\n- Debt mutual funds with ${riskLevel === 'conservative' ? 'liquid and ultra-short duration' : riskLevel === 'moderate' ? 'short duration and corporate bond' : 'credit risk and dynamic bond'} strategies.`;
     }
     if (recommendations.debt.direct) {
-      summary += `\n- Direct debt investments in ${riskCategory === 'conservative' ? 'government securities' : riskCategory === 'moderate' ? 'AAA-rated corporate bonds' : 'AA-rated corporate bonds'}.`;
+      summary += `\n- Direct debt investments in ${riskLevel === 'conservative' ? 'government securities' : riskLevel === 'moderate' ? 'AAA-rated corporate bonds' : 'AA-rated corporate bonds'}.`;
     }
     if (recommendations.debt.aif) {
-      summary += `\n- Debt AIFs focused on ${riskCategory === 'conservative' ? 'structured credit' : riskCategory === 'moderate' ? 'real estate debt' : 'distressed assets'}.`;
+      summary += `\n- Debt AIFs focused on ${riskLevel === 'conservative' ? 'structured credit' : riskLevel === 'moderate' ? 'real estate debt' : 'distressed assets'}.`;
+    }
+    if (recommendations.debt.ppf) {
+      summary += `\n- Public Provident Fund for the Section 80C deduction, with tax-free interest and a 15-year lock-in.`;
     }
   }
   
@@ -1128,9 +1300,44 @@ function generateRecommendationSummary(recommendations, riskCategory) {
     }
   }
   
+  // Explain vehicles left out because the allocation is below their minimum ticket
+  const ticketExclusions = excludedVehicles.filter(exclusion => exclusion.minimumTicket !== undefined);
+  if (ticketExclusions.length > 0) {
+    summary += '\n\nNot recommended because of minimum investment sizes:';
+    for (const exclusion of ticketExclusions) {
+      summary += `\n- ${exclusion.assetClass === 'debt' ? 'Debt' : 'Equity'}: ${exclusion.reason}. ${describeRedistribution(exclusion)}`;
+    }
+  }
+  
+  // Explain vehicles left out because none of their products suits the client
+  const suitabilityExclusions = excludedVehicles.filter(exclusion => exclusion.minimumTicket === undefined);
+  if (suitabilityExclusions.length > 0) {
+    summary += '\n\nNot recommended because no product suits your risk profile:';
+    for (const exclusion of suitabilityExclusions) {
+      const label = allocationSolver.VEHICLE_LABELS[exclusion.vehicle] || exclusion.vehicle;
+      summary += `\n- ${exclusion.assetClass === 'debt' ? 'Debt' : 'Equity'} ${label}: ${exclusion.reason}. ${describeRedistribution(exclusion)}`;
+    }
+  }
+  
   return summary;
 }
 
+/**
+ * Say where the amount of an excluded vehicle went
+ * @param {Object} exclusion - Excluded vehicle, with redistributedTo
+ * @returns {string} Sentence for the recommendation summary
+ */
+function describeRedistribution(exclusion) {
+  if (exclusion.redistributedTo.length === 0) {
+    return 'No other vehicle in this asset class is left, so your advisor will place this amount.';
+  }
+  const movedTo = exclusion.redistributedTo
+    .map(share => allocationSolver.VEHICLE_LABELS[share.vehicle] || share.vehicle)
+    .join(', ');
+  return `This amount has been moved to ${movedTo}.`;
+}
+
 module.exports = {
-  recommendProducts
+  recommendProducts,
+  getVehicleAllocation
 };
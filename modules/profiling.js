@@ -100,6 +100,7 @@ function extractInvestmentObjectives(clientData) {
   
   return {
     primaryGoals: investmentObjectives.primaryGoals,
+    goals: investmentObjectives.goals,
     investmentHorizon: investmentObjectives.investmentHorizon,
     preferredStyle: investmentObjectives.preferredStyle,
     initialInvestmentAmount: investmentObjectives.initialInvestmentAmount,
@@ -155,12 +156,14 @@ function extractTaxConsiderations(clientData) {
   if (!taxConsiderations) {
     return {
       taxSavingInvestmentsRequired: false,
+      existing80CInvestments: null,
       taxBracket: null
     };
   }
   
   return {
     taxSavingInvestmentsRequired: taxConsiderations.taxSavingInvestmentsRequired,
+    existing80CInvestments: taxConsiderations.existing80CInvestments ?? null,
     taxBracket: taxConsiderations.taxBracket
   };
 }
@@ -207,6 +210,28 @@ function extractBehavioralInsights(clientData) {
   };
 }
 
+/**
+ * Get the client's age in years
+ * @param {number|string} age - Age in years, or date of birth string (personalInfo.age after processing)
+ * @returns {number} Age in years, or NaN if not provided or invalid
+ */
+function getClientAge(age) {
+  if (typeof age === 'number') return age;
+  if (!age) return NaN;
+  
+  const dobDate = new Date(age);
+  const today = new Date();
+  let years = today.getFullYear() - dobDate.getFullYear();
+  const monthDiff = today.getMonth() - dobDate.getMonth();
+  
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dobDate.getDate())) {
+    years--;
+  }
+  
+  return years;
+}
+
 module.exports = {
-  processClientProfile
+  processClientProfile,
+  getClientAge
 };
@@ -0,0 +1,363 @@
+/**
+ * Projection Module
+ *
+ * This module projects how a portfolio may grow over the investment horizon.
+ * It combines the assumed return and volatility of every investment vehicle
+ * in the allocation into portfolio-level assumptions, then runs a
+ * deterministic projection at the expected return and a Monte Carlo
+ * simulation that gives P10/P50/P90 percentile bands.
+ */
+
+// Labels for asset classes projected without a vehicle breakdown
+const ASSET_CLASS_LABELS = {
+  equity: 'Equity',
+  debt: 'Debt',
+  goldSilver: 'Gold/Silver',
+  cash: 'Cash'
+};
+
+// Projection assumptions (annual percentages)
+const PROJECTION_CONFIG = {
+  // Assumed return and volatility per investment vehicle (detailedAllocation keys)
+  vehicleAssumptions: {
+    'Equity Mutual Funds': { assetClass: 'equity', expectedReturn: 12, volatility: 18 },
+    'Mutual Funds': { assetClass: 'equity', expectedReturn: 12, volatility: 18 },
+    'Equity PMS': { assetClass: 'equity', expectedReturn: 14, volatility: 22 },
+    'PMS': { assetClass: 'equity', expectedReturn: 14, volatility: 22 },
+    'Equity AIF': { assetClass: 'equity', expectedReturn: 15, volatility: 24 },
+    'AIF': { assetClass: 'equity', expectedReturn: 15, volatility: 24 },
+    'Debt Mutual Funds': { assetClass: 'debt', expectedReturn: 7, volatility: 3 },
+    'Direct Debt': { assetClass: 'debt', expectedReturn: 7.5, volatility: 2 },
+    'Debt AIF': { assetClass: 'debt', expectedReturn: 10, volatility: 6 },
+    'Gold/Silver': { assetClass: 'goldSilver', expectedReturn: 8, volatility: 15 }
+  },
+  // Used for vehicles not listed above and for allocations without vehicles
+  assetClassAssumptions: {
+    equity: { expectedReturn: 12, volatility: 18 },
+    debt: { expectedReturn: 7, volatility: 4 },
+    goldSilver: { expectedReturn: 8, volatility: 15 },
+    cash: { expectedReturn: 4, volatility: 1 }
+  },
+  // Correlation between vehicles of the same asset class, and between asset classes
+  correlations: {
+    sameAssetClass: { equity: 0.85, debt: 0.6, goldSilver: 1, cash: 1 },
+    'equity|debt': 0.2,
+    default: 0.1
+  },
+  // Projection horizon in years by investment horizon
+  horizonYears: { short_term: 3, medium_term: 5, long_term: 10 },
+  simulations: 1000,
+  // Fixed seed so the same inputs always give the same bands
+  seed: 20240601
+};
+
+/**
+ * Project a portfolio over the investment horizon
+ * @param {Object} options - Projection inputs
+ * @param {Object} options.assetAllocation - Output of allocation.generateAssetAllocation
+ * @param {number} options.initialAmount - Initial investment in INR
+ * @param {number} [options.monthlyContribution] - Monthly SIP in INR
+ * @param {number} options.years - Projection horizon in years
+ * @returns {Object} Assumptions, deterministic and Monte Carlo projections, and a chart series
+ */
+function projectPortfolio({ assetAllocation, initialAmount, monthlyContribution = 0, years }) {
+  try {
+    const assumptions = getPortfolioAssumptions(assetAllocation);
+    const months = years * 12;
+
+    const deterministic = [];
+    const monthlyReturn = Math.pow(1 + assumptions.expectedReturn / 100, 1 / 12) - 1;
+    let value = initialAmount;
+    for (let month = 0; month <= months; month++) {
+      if (month > 0) {
+        value = value * (1 + monthlyReturn) + monthlyContribution;
+      }
+      if (month % 12 === 0) {
+        deterministic.push({
+          year: month / 12,
+          invested: initialAmount + monthlyContribution * month,
+          value: Math.round(value)
+        });
+      }
+    }
+
+    // Values of every simulation at the end of each year
+    const yearlyValues = simulate({
+      initialAmount,
+      monthlyContribution,
+      months,
+      expectedReturn: assumptions.expectedReturn,
+      volatility: assumptions.volatility,
+      recordEvery: 12
+    });
+
+    const percentiles = yearlyValues.map((values, year) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return {
+        year,
+        p10: Math.round(percentile(sorted, 10)),
+        p50: Math.round(percentile(sorted, 50)),
+        p90: Math.round(percentile(sorted, 90))
+      };
+    });
+
+    const final = percentiles[percentiles.length - 1];
+
+    return {
+      years,
+      initialAmount,
+      monthlyContribution,
+      assumptions,
+      deterministic,
+      monteCarlo: {
+        simulations: PROJECTION_CONFIG.simulations,
+        percentiles
+      },
+      summary: {
+        invested: deterministic[deterministic.length - 1].invested,
+        expectedValue: deterministic[deterministic.length - 1].value,
+        p10: final.p10,
+        p50: final.p50,
+        p90: final.p90
+      },
+      chart: {
+        labels: deterministic.map(point => `Year ${point.year}`),
+        series: [
+          { name: 'Amount Invested', data: deterministic.map(point => point.invested) },
+          { name: 'Expected', data: deterministic.map(point => point.value) },
+          { name: 'P10', data: percentiles.map(point => point.p10) },
+          { name: 'P50', data: percentiles.map(point => point.p50) },
+          { name: 'P90', data: percentiles.map(point => point.p90) }
+        ]
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error projecting portfolio: ${error.message}`);
+  }
+}
+
+/**
+ * Get the projection horizon for an investment horizon
+ * @param {string} investmentHorizon - 'short_term', 'medium_term' or 'long_term'
+ * @returns {number} Years
+ */
+function getHorizonYears(investmentHorizon) {
+  return PROJECTION_CONFIG.horizonYears[investmentHorizon] || PROJECTION_CONFIG.horizonYears.medium_term;
+}
+
+/**
+ * Combine the vehicle assumptions into portfolio-level return and volatility
+ * Weights come from detailedAllocation; asset classes in assetClassAllocation
+ * without vehicles (such as gold/silver) are added on top.
+ * @param {Object} assetAllocation - Output of allocation.generateAssetAllocation
+ * @returns {Object} { expectedReturn, volatility, vehicles }
+ */
+function getPortfolioAssumptions(assetAllocation) {
+  const holdings = getHoldings(assetAllocation);
+
+  if (holdings.length === 0) {
+    throw new Error('Asset allocation has no holdings to project');
+  }
+
+  const expectedReturn = holdings.reduce((total, holding) => total + holding.weight * holding.expectedReturn, 0);
+
+  let variance = 0;
+  for (const a of holdings) {
+    for (const b of holdings) {
+      variance += a.weight * b.weight * a.volatility * b.volatility * correlation(a, b);
+    }
+  }
+
+  return {
+    expectedReturn: roundPercentage(expectedReturn),
+    volatility: roundPercentage(Math.sqrt(variance)),
+    vehicles: holdings.map(holding => ({
+      vehicle: holding.vehicle,
+      assetClass: holding.assetClass,
+      weight: roundPercentage(holding.weight * 100),
+      expectedReturn: holding.expectedReturn,
+      volatility: holding.volatility
+    }))
+  };
+}
+
+/**
+ * Turn an asset allocation into weighted holdings with their assumptions
+ * @param {Object} assetAllocation - Asset allocation
+ * @returns {Array} { vehicle, assetClass, weight (0-1), expectedReturn, volatility }
+ */
+function getHoldings(assetAllocation) {
+  const assetClassAllocation = assetAllocation?.assetClassAllocation || {};
+  const detailedAllocation = assetAllocation?.detailedAllocation || {};
+
+  const vehicles = Object.entries(detailedAllocation)
+    .filter(([vehicle, value]) => vehicle !== 'Total' && vehicle !== 'error' && Number(value) > 0);
+  const vehicleTotal = vehicles.reduce((total, [, value]) => total + Number(value), 0);
+
+  const holdings = [];
+
+  // Asset classes the vehicles do not cover keep their own weight
+  const vehicleClasses = new Set(vehicles.map(([vehicle]) => getVehicleAssumptions(vehicle).assetClass));
+  let uncoveredWeight = 0;
+  for (const [assetClass, percentage] of Object.entries(assetClassAllocation)) {
+    if (vehicleTotal > 0 && vehicleClasses.has(assetClass)) continue;
+    if (!(percentage > 0) || !PROJECTION_CONFIG.assetClassAssumptions[assetClass]) continue;
+
+    uncoveredWeight += percentage / 100;
+    holdings.push({
+      vehicle: ASSET_CLASS_LABELS[assetClass],
+      assetClass,
+      weight: percentage / 100,
+      ...PROJECTION_CONFIG.assetClassAssumptions[assetClass]
+    });
+  }
+
+  if (vehicleTotal > 0) {
+    const vehicleWeight = Math.max(0, 1 - uncoveredWeight);
+    for (const [vehicle, value] of vehicles) {
+      const assumptions = getVehicleAssumptions(vehicle);
+      holdings.push({
+        vehicle,
+        assetClass: assumptions.assetClass,
+        weight: Number(value) / vehicleTotal * vehicleWeight,
+        expectedReturn: assumptions.expectedReturn,
+        volatility: assumptions.volatility
+      });
+    }
+  }
+
+  // Normalise in case the asset class percentages do not add up to 100
+  const totalWeight = holdings.reduce((total, holding) => total + holding.weight, 0);
+  return holdings.map(holding => ({ ...holding, weight: holding.weight / totalWeight }));
+}
+
+/**
+ * Get the assumptions for an investment vehicle
+ * @param {string} vehicle - detailedAllocation key
+ * @returns {Object} { assetClass, expectedReturn, volatility }
+ */
+function getVehicleAssumptions(vehicle) {
+  if (PROJECTION_CONFIG.vehicleAssumptions[vehicle]) {
+    return PROJECTION_CONFIG.vehicleAssumptions[vehicle];
+  }
+
+  const assetClass = vehicle.includes('Debt') ? 'debt' : 'equity';
+  return { assetClass, ...PROJECTION_CONFIG.assetClassAssumptions[assetClass] };
+}
+
+/**
+ * Correlation between two holdings
+ * @param {Object} a - Holding
+ * @param {Object} b - Holding
+ * @returns {number} Correlation coefficient
+ */
+function correlation(a, b) {
+  if (a === b) return 1;
+
+  const { correlations } = PROJECTION_CONFIG;
+  if (a.assetClass === b.assetClass) {
+    return correlations.sameAssetClass[a.assetClass] ?? 1;
+  }
+
+  return correlations[`${a.assetClass}|${b.assetClass}`] ??
+    correlations[`${b.assetClass}|${a.assetClass}`] ??
+    correlations.default;
+}
+
+/**
+ * Simulate portfolio values with log-normal monthly returns
+ * Contributions are added at the end of every month.
+ * @param {Object} options - Simulation inputs
+ * @param {number} options.initialAmount - Starting value
+ * @param {number} options.monthlyContribution - Monthly contribution
+ * @param {number} options.months - Number of months to simulate
+ * @param {number} options.expectedReturn - Expected annual return (%)
+ * @param {number} options.volatility - Annual volatility (%)
+ * @param {number} [options.recordEvery] - Record values every N months (defaults to only the final month)
+ * @returns {Array} For each recorded point (starting at month 0), the values of all simulations
+ */
+function simulate({ initialAmount, monthlyContribution, months, expectedReturn, volatility, recordEvery = months }) {
+  const annualReturn = expectedReturn / 100;
+  const annualVolatility = volatility / 100;
+
+  // Log-normal annual returns with the given mean and volatility
+  const variance = Math.log(1 + Math.pow(annualVolatility / (1 + annualReturn), 2));
+  const monthlyMean = (Math.log(1 + annualReturn) - variance / 2) / 12;
+  const monthlyDeviation = Math.sqrt(variance / 12);
+
+  const points = Math.floor(months / recordEvery) + 1;
+  const recorded = Array.from({ length: points }, () => new Array(PROJECTION_CONFIG.simulations));
+  const random = createRandom(PROJECTION_CONFIG.seed);
+
+  for (let simulation = 0; simulation < PROJECTION_CONFIG.simulations; simulation++) {
+    let value = initialAmount;
+    recorded[0][simulation] = value;
+
+    for (let month = 1; month <= months; month++) {
+      value = value * Math.exp(monthlyMean + monthlyDeviation * normalRandom(random)) + monthlyContribution;
+      if (month % recordEvery === 0) {
+        recorded[month / recordEvery][simulation] = value;
+      }
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Percentile of sorted values (linear interpolation)
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Round a percentage to two decimal places
+ * @param {number} value - Percentage
+ * @returns {number} Rounded percentage
+ */
+function roundPercentage(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a standard normal value (Box-Muller)
+ * @param {Function} random - Uniform random generator
+ * @returns {number} Standard normal value
+ */
+function normalRandom(random) {
+  const u1 = random() || Number.MIN_VALUE;
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+module.exports = {
+  PROJECTION_CONFIG,
+  projectPortfolio,
+  getHorizonYears,
+  getPortfolioAssumptions,
+  simulate
+};
@@ -10,6 +10,15 @@ const fs = require('fs');
 const path = require('path');
 const markdownpdf = require('markdown-pdf');
 const os = require('os');
+const projection = require('./projection');
+const rebalancing = require('./rebalancing');
+const allocationSolver = require('./allocationSolver');
+const productMaster = require('./productMaster');
+const schemeCategories = require('./schemeCategories');
+const suitability = require('./suitability');
+
+// Product types whose recommended products are mutual fund schemes
+const SCHEME_PRODUCT_TYPES = ['mutualFunds', 'listedStocks', 'elss'];
 
 /**
  * Generate an investment proposal based on client profile, risk assessment, asset allocation, and product recommendations
@@ -40,7 +49,9 @@ function generateProposal(clientData) {
         // Generate fresh allocation
         const freshAllocation = allocation.generateAssetAllocation({
             clientProfile,
-            riskProfile
+            riskProfile,
+            allocationPolicy: clientData.allocationPolicy,
+            proposalDate: clientData.proposalDate
         });
         
         console.log('Regenerated allocation:', JSON.stringify(freshAllocation, null, 2));
@@ -73,10 +84,18 @@ function generateProposal(clientData) {
             title: 'Asset Allocation',
             content: generateAssetAllocationContent(clientData.assetAllocation, initialInvestment)
         },
+        portfolioProjection: {
+            title: 'Portfolio Projection',
+            content: generatePortfolioProjectionContent(clientData.assetAllocation, initialInvestment, regularContribution, investmentHorizon)
+        },
         productDetails: {
             title: 'Investment Products',
             content: generateProductRecommendationsContent(productRecommendations, initialInvestment, clientData.assetAllocation)
         },
+        taxPlanning: {
+            title: 'Tax Planning',
+            content: generateTaxPlanningContent(productRecommendations?.taxSaving || clientData.assetAllocation?.taxSavingPlan)
+        },
         implementationPlan: {
             title: 'Implementation Plan',
             content: generateImplementationPlanContent(clientProfile, riskProfile)
@@ -179,8 +198,120 @@ ${investmentObjectives.regularContributionAmount ? `- **Regular Monthly Contribu
 ## Risk Profile
 - **Risk Category**: ${riskProfile.riskCategory || 'N/A'}
 - **Risk Score**: ${riskProfile.riskScore || 'N/A'}
+${generateRiskCapacityContent(riskProfile)}
 
 ${riskProfile.riskAssessmentDetails?.riskCategoryDescription || ''}
+${generateRiskScoreBreakdownContent('How Your Risk Score Was Calculated', riskProfile?.scoreBreakdown)}
+${generateRiskScoreBreakdownContent('How Your Risk Capacity Was Calculated', riskProfile?.riskCapacity?.scoreBreakdown)}
+    `;
+}
+
+/**
+ * Generate the risk tolerance and risk capacity lines for the client profile section
+ * @param {Object} riskProfile - Risk profile with riskTolerance and riskCapacity (see risk.assessRiskProfile)
+ * @returns {String} - Markdown list items, or an empty string if no capacity was assessed
+ */
+function generateRiskCapacityContent(riskProfile) {
+    const { riskTolerance, riskCapacity, bindingConstraint } = riskProfile || {};
+    
+    if (!riskTolerance || !riskCapacity) {
+        return '';
+    }
+    
+    const boundBy = {
+        tolerance: 'your risk tolerance',
+        capacity: 'your financial capacity to take risk',
+        both: 'both your risk tolerance and your financial capacity to take risk'
+    };
+    
+    return `- **Risk Tolerance**: ${riskTolerance.category} (score ${riskTolerance.score} of ${riskTolerance.maxScore})
+- **Risk Capacity**: ${riskCapacity.category} (score ${riskCapacity.score} of ${riskCapacity.maxScore})
+- **Determined By**: ${boundBy[bindingConstraint] || 'N/A'}`;
+}
+
+/**
+ * Generate a risk score breakdown table for the client profile section
+ * @param {String} title - Table heading
+ * @param {Array} scoreBreakdown - Per-question scores (see risk.assessRiskProfile)
+ * @returns {String} - Markdown table, or an empty string if no breakdown is available
+ */
+function generateRiskScoreBreakdownContent(title, scoreBreakdown) {
+    if (!Array.isArray(scoreBreakdown) || scoreBreakdown.length === 0) {
+        return '';
+    }
+    
+    const formatAnswer = (answer) => String(answer).replace(/_/g, ' ');
+    
+    const rows = scoreBreakdown.map(item => {
+        const answer = item.defaultApplied !== null && item.defaultApplied !== undefined ?
+            `Not answered (assumed ${formatAnswer(item.defaultApplied)})` :
+            formatAnswer(item.answer);
+        return `| ${item.dimension} | ${answer} | ${item.points} | ${item.maxPoints} |`;
+    });
+    
+    const totalPoints = scoreBreakdown.reduce((total, item) => total + item.points, 0);
+    const totalMaxPoints = scoreBreakdown.reduce((total, item) => total + item.maxPoints, 0);
+    
+    return `
+### ${title}
+
+<div class="asset-allocation-table">
+
+| Question | Your Answer | Points | Maximum |
+|----------|-------------|--------|---------|
+${rows.join('\n')}
+| **Total** | | **${totalPoints}** | **${totalMaxPoints}** |
+
+</div>
+`;
+}
+
+/**
+ * Generate portfolio projection content for the proposal
+ * @param {Object} assetAllocation - Asset allocation data
+ * @param {Number} initialInvestment - Initial investment amount
+ * @param {Number} regularContribution - Monthly contribution amount
+ * @param {String} investmentHorizon - Investment horizon ('short_term', 'medium_term' or 'long_term')
+ * @returns {String} - Markdown content for the portfolio projection section
+ */
+function generatePortfolioProjectionContent(assetAllocation, initialInvestment, regularContribution, investmentHorizon) {
+    if (!assetAllocation || !(initialInvestment > 0 || regularContribution > 0)) {
+        return '';
+    }
+    
+    let result;
+    try {
+        result = projection.projectPortfolio({
+            assetAllocation,
+            initialAmount: initialInvestment,
+            monthlyContribution: regularContribution,
+            years: projection.getHorizonYears(investmentHorizon)
+        });
+    } catch (error) {
+        console.error('Error generating portfolio projection:', error);
+        return '';
+    }
+    
+    // Show every year for short horizons, otherwise every fifth year and the final year
+    const rows = result.deterministic
+        .filter(point => point.year > 0 && (result.years <= 10 || point.year % 5 === 0 || point.year === result.years))
+        .map(point => {
+            const band = result.monteCarlo.percentiles[point.year];
+            return `| ${point.year} | ₹${formatCurrency(point.invested)} | ₹${formatCurrency(point.value)} | ₹${formatCurrency(band.p10)} | ₹${formatCurrency(band.p50)} | ₹${formatCurrency(band.p90)} |`;
+        });
+    
+    return `
+The table below shows how your portfolio could grow over the next ${result.years} years${regularContribution > 0 ? `, including your monthly contribution of ₹${formatCurrency(regularContribution)}` : ''}. The expected value assumes a steady return of ${result.assumptions.expectedReturn}% a year. The ranges come from ${result.monteCarlo.simulations} simulated market scenarios with ${result.assumptions.volatility}% annual volatility: in 10% of scenarios the portfolio ends below the pessimistic value, and in 10% it ends above the optimistic value.
+
+<div class="asset-allocation-table">
+
+| Year | Amount Invested | Expected | Pessimistic (P10) | Median (P50) | Optimistic (P90) |
+|------|-----------------|----------|-------------------|--------------|------------------|
+${rows.join('\n')}
+
+</div>
+
+*Projections are illustrative, based on assumed returns and volatility for each investment vehicle, and are not guaranteed. Actual returns will vary.*
     `;
 }
 
@@ -362,7 +493,9 @@ ${rows.join('\n')}
     return `
 ## Asset Allocation Strategy
 
-Based on your risk profile (${assetAllocation.riskCategory || 'Moderate'}), we recommend the following asset allocation:
+${assetAllocation.mode === 'manual' ?
+    `Your advisor has set the following asset allocation, which corresponds to the ${assetAllocation.riskCategory} risk profile:` :
+    `Based on your risk profile (${assetAllocation.riskCategory || 'Moderate'}), we recommend the following asset allocation:`}
 
 <div class="asset-allocation-table">
 
@@ -371,17 +504,48 @@ Based on your risk profile (${assetAllocation.riskCategory || 'Moderate'}), we r
 | Equity | ${allocation.equity || 0}% |
 | Debt | ${allocation.debt || 0}% |
 | Gold/Silver | ${allocation.goldSilver || 0}% |
-
+${allocation.cash ? `| Cash | ${allocation.cash}% |\n` : ''}
 </div>
 
 ${detailedTable}
 
 ${assetAllocation.allocationExplanation || ''}
+${assetAllocation.modelComparison ? generateAllocationDeviationContent(assetAllocation.modelComparison) : ''}
 
 This asset allocation is designed to balance your need for growth, income, and capital preservation while aligning with your risk tolerance and investment horizon.
     `;
 }
 
+/**
+ * Generate the comparison of a manual allocation with the model allocation
+ * @param {Object} modelComparison - Comparison from manualAllocation.buildManualAllocation
+ * @returns {String} - Markdown content for the deviation table
+ */
+function generateAllocationDeviationContent(modelComparison) {
+    const formatDeviation = deviation => `${deviation > 0 ? '+' : ''}${deviation}`;
+    
+    const rows = [
+        ...modelComparison.assetClasses.map(row =>
+            `| **${row.name}** | ${row.manual}% | ${row.model}% | ${formatDeviation(row.deviation)} |`),
+        ...modelComparison.vehicles.map(row =>
+            `| ${row.vehicle} | ${row.manual}% | ${row.model}% | ${formatDeviation(row.deviation)} |`)
+    ];
+    
+    return `
+## Deviation from Model Allocation
+
+The table compares this allocation with the model allocation for the ${modelComparison.riskCategory} risk profile. Deviations are in percentage points of the total portfolio.
+
+<div class="asset-allocation-table">
+
+| Allocation | This Proposal | Model | Deviation (pp) |
+|------------|---------------|-------|----------------|
+${rows.join('\n')}
+
+</div>
+`;
+}
+
 /**
  * Generate product recommendations content for the proposal
  * @param {Object} productRecommendations - Product recommendations data
@@ -403,8 +567,17 @@ function generateProductRecommendationsContent(productRecommendations, initialIn
     const etfAmount = Math.round(equityAmount * 0.3);
     const fixedIncomeAmount = Math.round(debtAmount);
     
+    // Recommended schemes, shown with their SEBI category and riskometer
+    const equitySchemes = getRecommendedSchemes(recommendations, 'equity');
+    const debtSchemes = getRecommendedSchemes(recommendations, 'debt');
+    const equitySchemeRows = equitySchemes.length > 0
+        ? equitySchemes.map(scheme => `| ${scheme.name} | ${scheme.category} | ${scheme.riskometer} |`)
+        : [['Multi Cap Fund C', 'multiCap'], ['Focused Equity Fund D', 'focused']].map(([name, key]) =>
+            `| ${name} | ${schemeCategories.getSchemeCategory(key).name} | ${schemeCategories.getRiskometerLabel(key)} |`);
+    
     let content = `
 ${productRecommendations?.recommendationSummary || ''}
+${generateReturnComparisonContent(productRecommendations)}
 
 ### 1) Mutual Fund: (Target: ₹${formatCurrency(mutualFundAmount)})
 
@@ -415,10 +588,9 @@ ${productRecommendations?.recommendationSummary || ''}
 
 <div class="investment-products-table">
 
-| Fund Name | Category |
-|-----------|----------|
-| Multi Cap Fund C | Hybrid |
-| Focused Equity Fund D | Large Cap |
+| Fund Name | Category | Riskometer |
+|-----------|----------|------------|
+${equitySchemeRows.join('\n')}
 
 </div>
 
@@ -452,6 +624,7 @@ The investment strategy is to invest across high quality Fixed Income Instrument
 | Corporate Bonds | AAA-Rated |
 | Government Securities | Sovereign |
 | Fixed Deposits | Banking |
+${debtSchemes.map(scheme => `| ${scheme.name} | ${scheme.category} |`).join('\n')}
 
 </div>
 
@@ -460,6 +633,113 @@ The investment strategy is to invest across high quality Fixed Income Instrument
     return content;
 }
 
+/**
+ * Get the recommended mutual fund schemes of an asset class with their SEBI category and riskometer
+ * @param {Object} recommendations - Recommendations by asset class and product type
+ * @param {string} assetClass - Asset class (equity or debt)
+ * @returns {Array} - [{ name, category, riskometer }], with the source's category when the scheme's SEBI category is not known
+ */
+function getRecommendedSchemes(recommendations, assetClass) {
+    const schemes = [];
+    for (const productType of SCHEME_PRODUCT_TYPES) {
+        for (const product of recommendations?.[assetClass]?.[productType]?.products || []) {
+            const master = productMaster.toMasterProduct(product, { assetClass, type: productType });
+            const schemeCategory = schemeCategories.getSchemeCategory(master.schemeCategory ?? schemeCategories.matchSchemeCategory(master.category, master.name));
+            const riskLevel = suitability.getRiskLevel(master.riskGrade);
+            schemes.push({
+                name: master.name,
+                category: schemeCategory ? schemeCategory.name : master.category || '-',
+                riskometer: riskLevel ? suitability.RISK_LEVEL_LABELS[riskLevel - 1] : (schemeCategory && schemeCategories.getRiskometerLabel(schemeCategory.key)) || '-'
+            });
+        }
+    }
+    return schemes;
+}
+
+/**
+ * Generate the table comparing the recommended products' expected returns before and after tax
+ * @param {Object} productRecommendations - Product recommendations data, with postTaxReturns
+ * @returns {String} - Markdown table, or '' when the products have no post-tax returns
+ */
+function generateReturnComparisonContent(productRecommendations) {
+    const comparison = productRecommendations?.postTaxReturns;
+    const assetClassLabels = { equity: 'Equity', debt: 'Debt', goldSilver: 'Gold/Silver' };
+    const formatRange = range => range.low === range.high ? `${range.low}%` : `${range.low}-${range.high}%`;
+    
+    const rows = [];
+    let assumed = false;
+    for (const [assetClass, productTypes] of Object.entries(productRecommendations?.recommendations || {})) {
+        for (const [productType, recommendation] of Object.entries(productTypes || {})) {
+            const assetClassLabel = assetClassLabels[assetClass] || assetClass;
+            const productTypeLabel = allocationSolver.VEHICLE_LABELS[productType] || productType;
+            const category = productTypeLabel.includes(assetClassLabel) ? productTypeLabel : `${assetClassLabel} ${productTypeLabel}`;
+            
+            for (const product of recommendation?.products || []) {
+                const returns = product.postTaxReturn;
+                if (returns) {
+                    const { name } = productMaster.toMasterProduct(product, { assetClass, type: productType });
+                    assumed = assumed || returns.source === 'assumption';
+                    rows.push(`| ${name} | ${category} | ${formatRange(returns.preTax)}${returns.source === 'assumption' ? '\\*' : ''} | ${formatRange(returns.postTax)} | ${returns.taxTreatmentLabel} |`);
+                }
+            }
+        }
+    }
+    
+    if (!comparison || rows.length === 0) {
+        return '';
+    }
+    
+    return `
+### Expected Returns Before and After Tax
+
+Expected yearly returns after tax at your ${comparison.slabRate}% tax slab${comparison.slabRateAssumed ? ' (assumed)' : ''}, for investments held for ${comparison.holdingYears} years.${comparison.portfolio.postTax !== null ? ` Across the recommended amounts, the portfolio is expected to return ${comparison.portfolio.preTax}% a year before tax and ${comparison.portfolio.postTax}% after tax.` : ''}
+
+<div class="investment-products-table">
+
+| Product | Category | Expected Return | After Tax | Tax Treatment |
+|---------|----------|-----------------|-----------|---------------|
+${rows.join('\n')}
+
+</div>
+
+*${assumed ? 'Returns marked \\* are our assumptions for the product type. ' : ''}After-tax returns include cess and leave out the yearly exemption on long term equity gains.*
+`;
+}
+
+/**
+ * Generate tax planning content for the proposal
+ * @param {Object} [taxSavingPlan] - Output of taxPlanning.planTaxSaving
+ * @returns {String} - HTML content for tax planning section, or '' when the client needs no tax-saving investments
+ */
+function generateTaxPlanningContent(taxSavingPlan) {
+    if (!taxSavingPlan) {
+        return '';
+    }
+    
+    const rows = [taxSavingPlan.elss, taxSavingPlan.ppf, taxSavingPlan.nps]
+        .filter(Boolean)
+        .map(instrument => `| ${instrument.name}${instrument.optional ? ' (optional)' : ''} | ${instrument.section} | ₹${formatCurrency(instrument.amount)} | ${instrument.lockInPeriod} | ₹${formatCurrency(instrument.estimatedTaxSaving)} |`);
+    
+    return `
+You have asked for investments that save tax under Section 80C of the Income Tax Act. The Section 80C limit is ₹${formatCurrency(taxSavingPlan.section80CLimit)} a year${taxSavingPlan.existingInvestments > 0 ? `, of which your existing investments already use ₹${formatCurrency(taxSavingPlan.existingInvestments)}` : ''}, leaving ₹${formatCurrency(taxSavingPlan.headroom)} to invest.
+
+${taxSavingPlan.deduction > 0 ? `We have set aside ₹${formatCurrency(taxSavingPlan.deduction)} of the portfolio for tax-saving investments: the ELSS amount comes out of the equity mutual fund allocation and the PPF amount out of the debt allocation, so your overall asset allocation is unchanged. At your ${taxSavingPlan.slabRate}% tax slab this saves an estimated ₹${formatCurrency(taxSavingPlan.estimatedTaxSaving)} in tax this year.` : ''}
+
+<div class="investment-products-table">
+
+| Investment | Section | Amount | Lock-in | Estimated Tax Saving |
+|------------|---------|--------|---------|----------------------|
+${rows.join('\n')}
+
+</div>
+
+- **ELSS** funds invest in equities and have the shortest lock-in of the Section 80C options; every investment, including each SIP instalment, is locked in for 3 years.
+- **PPF** offers government-backed, tax-free returns; the account runs for 15 years, with partial withdrawals allowed from the seventh year.
+- **NPS** contributions of up to ₹50,000 qualify for an additional deduction under Section 80CCD(1B), over and above the Section 80C limit, but stay invested until retirement.
+${taxSavingPlan.notes.map(note => `- ${note}.`).join('\n')}
+    `;
+}
+
 /**
  * Generate implementation plan content for the proposal
  * @param {Object} clientProfile - Client profile data
@@ -496,7 +776,7 @@ ${regularContribution > 0
 We recommend regular portfolio reviews to ensure your investments remain aligned with your goals and risk profile:
 
 - Quarterly performance review
-- Semi-annual rebalancing (if required)
+- Semi-annual rebalancing when an asset class drifts more than ${rebalancing.REBALANCING_CONFIG.driftBands.assetClass.default} percentage points, or an investment vehicle more than ${rebalancing.REBALANCING_CONFIG.driftBands.vehicle.default}, from its target
 - Annual comprehensive review of investment strategy and goals
     `;
 }
@@ -600,8 +880,11 @@ function generateMarkdownFromProposal(proposal) {
                 proposal.marketOverview,
                 proposal.clientProfileRecap,
                 proposal.assetAllocationSummary,
+                proposal.portfolioProjection,
                 proposal.productDetails,
+                proposal.taxPlanning,
                 proposal.implementationPlan,
+                proposal.whatChanged,
                 proposal.disclaimers
             ];
             
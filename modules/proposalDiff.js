@@ -0,0 +1,282 @@
+/**
+ * Proposal Diff Module
+ *
+ * This module compares two stored proposals and explains what moved between
+ * them: risk category, asset class percentages, crore values per investment
+ * vehicle and recommended products.
+ */
+
+const { formatCurrency } = require('./proposal');
+const productMaster = require('./productMaster');
+
+// Labels for the asset class keys used in assetClassAllocation
+const ASSET_CLASS_LABELS = {
+  equity: 'Equity',
+  debt: 'Debt',
+  goldSilver: 'Gold/Silver',
+  cash: 'Cash'
+};
+
+/**
+ * Compare two stored proposals
+ * @param {Object} fromRecord - Earlier stored proposal (see proposalStore)
+ * @param {Object} toRecord - Later stored proposal
+ * @returns {Object} Differences between the two proposals
+ */
+function diffProposals(fromRecord, toRecord) {
+  const fromInputs = fromRecord.inputs || {};
+  const toInputs = toRecord.inputs || {};
+
+  const riskProfile = diffRiskProfile(fromInputs.riskProfile, toInputs.riskProfile);
+  const portfolioSize = diffValue(
+    fromInputs.assetAllocation?.portfolioSize || 0,
+    toInputs.assetAllocation?.portfolioSize || 0
+  );
+  const assetClassAllocation = diffAllocationTable(
+    fromInputs.assetAllocation?.assetClassAllocation,
+    toInputs.assetAllocation?.assetClassAllocation,
+    'assetClass'
+  );
+  const detailedAllocation = diffAllocationTable(
+    fromInputs.assetAllocation?.detailedAllocation,
+    toInputs.assetAllocation?.detailedAllocation,
+    'vehicle'
+  );
+  const products = diffProducts(fromInputs.productRecommendations, toInputs.productRecommendations);
+
+  const hasChanges = riskProfile.categoryChanged ||
+    riskProfile.scoreChange !== 0 ||
+    portfolioSize.change !== 0 ||
+    assetClassAllocation.some(row => row.change !== 0) ||
+    detailedAllocation.some(row => row.change !== 0) ||
+    products.added.length > 0 ||
+    products.removed.length > 0;
+
+  return {
+    from: summarizeRecord(fromRecord),
+    to: summarizeRecord(toRecord),
+    hasChanges,
+    riskProfile,
+    portfolioSize,
+    assetClassAllocation,
+    detailedAllocation,
+    products
+  };
+}
+
+/**
+ * Summarize a stored proposal for the diff header
+ * @param {Object} record - Stored proposal
+ * @returns {Object} Id, version and generation timestamp
+ */
+function summarizeRecord(record) {
+  return {
+    id: record.id,
+    clientId: record.clientId,
+    version: record.version,
+    generatedAt: record.generatedAt
+  };
+}
+
+/**
+ * Compare two numbers
+ * @param {number} from - Previous value
+ * @param {number} to - Current value
+ * @returns {Object} { from, to, change }
+ */
+function diffValue(from, to) {
+  return { from, to, change: roundValue(to - from) };
+}
+
+/**
+ * Compare risk profiles
+ * @param {Object} fromRisk - Previous risk profile
+ * @param {Object} toRisk - Current risk profile
+ * @returns {Object} Risk category and score changes
+ */
+function diffRiskProfile(fromRisk = {}, toRisk = {}) {
+  const fromScore = typeof fromRisk?.riskScore === 'number' ? fromRisk.riskScore : null;
+  const toScore = typeof toRisk?.riskScore === 'number' ? toRisk.riskScore : null;
+
+  return {
+    from: { riskCategory: fromRisk?.riskCategory || null, riskScore: fromScore },
+    to: { riskCategory: toRisk?.riskCategory || null, riskScore: toScore },
+    categoryChanged: (fromRisk?.riskCategory || null) !== (toRisk?.riskCategory || null),
+    scoreChange: fromScore !== null && toScore !== null ? toScore - fromScore : 0
+  };
+}
+
+/**
+ * Compare two flat allocation maps (percentages or crore values)
+ * Keys missing on one side are treated as 0.
+ * @param {Object} fromAllocation - Previous allocation
+ * @param {Object} toAllocation - Current allocation
+ * @param {string} keyName - Name of the key field in each row
+ * @returns {Array} One row per key: { [keyName], from, to, change }
+ */
+function diffAllocationTable(fromAllocation = {}, toAllocation = {}, keyName) {
+  const keys = new Set([
+    ...Object.keys(fromAllocation || {}),
+    ...Object.keys(toAllocation || {})
+  ]);
+
+  const rows = [];
+  for (const key of keys) {
+    if (key === 'Total' || key === 'error') continue;
+
+    const from = roundValue(Number(fromAllocation?.[key]) || 0);
+    const to = roundValue(Number(toAllocation?.[key]) || 0);
+
+    rows.push({ [keyName]: key, from, to, change: roundValue(to - from) });
+  }
+
+  return rows;
+}
+
+/**
+ * Compare recommended products
+ * @param {Object} fromRecommendations - Previous product recommendations
+ * @param {Object} toRecommendations - Current product recommendations
+ * @returns {Object} { added, removed } lists of products
+ */
+function diffProducts(fromRecommendations, toRecommendations) {
+  const fromProducts = flattenProducts(fromRecommendations);
+  const toProducts = flattenProducts(toRecommendations);
+
+  return {
+    added: [...toProducts.entries()]
+      .filter(([key]) => !fromProducts.has(key))
+      .map(([, product]) => product),
+    removed: [...fromProducts.entries()]
+      .filter(([key]) => !toProducts.has(key))
+      .map(([, product]) => product)
+  };
+}
+
+/**
+ * Flatten product recommendations into a map keyed by asset class, vehicle and name
+ * @param {Object} productRecommendations - Output of products.recommendProducts
+ * @returns {Map} Product key to { assetClass, vehicle, name }
+ */
+function flattenProducts(productRecommendations) {
+  const products = new Map();
+  const recommendations = productRecommendations?.recommendations || {};
+
+  for (const [assetClass, vehicles] of Object.entries(recommendations)) {
+    for (const [vehicle, recommendation] of Object.entries(vehicles || {})) {
+      for (const product of recommendation?.products || []) {
+        const { name } = productMaster.toMasterProduct(product, { assetClass, type: vehicle });
+        if (!name) continue;
+
+        products.set(`${assetClass}|${vehicle}|${name}`, { assetClass, vehicle, name });
+      }
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Round a value to remove floating point noise
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to 4 decimal places
+ */
+function roundValue(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Format a signed change for display
+ * @param {number} change - Change value
+ * @param {Function} formatter - Formats the absolute value
+ * @returns {string} Change with a leading + or -
+ */
+function formatChange(change, formatter) {
+  if (change === 0) return '-';
+  return `${change > 0 ? '+' : '-'}${formatter(Math.abs(change))}`;
+}
+
+/**
+ * Generate the "What Changed" section for a proposal
+ * @param {Object} diff - Output of diffProposals
+ * @returns {String} - Markdown content for the What Changed section
+ */
+function generateWhatChangedContent(diff) {
+  const previousDate = diff.from.generatedAt ? new Date(diff.from.generatedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }) : 'an earlier date';
+
+  if (!diff.hasChanges) {
+    return `
+Compared with proposal version ${diff.from.version} (generated ${previousDate}), there are no changes to your risk profile, asset allocation or recommended products.
+    `;
+  }
+
+  const rupees = value => `₹${formatCurrency(value)}`;
+  const croresToRupees = value => `₹${formatCurrency(value * 10000000)}`;
+
+  const summary = [];
+  if (diff.riskProfile.categoryChanged || diff.riskProfile.scoreChange !== 0) {
+    const scores = diff.riskProfile.from.riskScore !== null && diff.riskProfile.to.riskScore !== null ?
+      ` (score ${diff.riskProfile.from.riskScore} → ${diff.riskProfile.to.riskScore})` : '';
+    summary.push(`- **Risk Category**: ${diff.riskProfile.from.riskCategory || 'N/A'} → ${diff.riskProfile.to.riskCategory || 'N/A'}${scores}`);
+  }
+  if (diff.portfolioSize.change !== 0) {
+    summary.push(`- **Portfolio Size**: ${rupees(diff.portfolioSize.from)} → ${rupees(diff.portfolioSize.to)}`);
+  }
+
+  const assetClassRows = diff.assetClassAllocation
+    .filter(row => row.change !== 0)
+    .map(row => `| ${ASSET_CLASS_LABELS[row.assetClass] || row.assetClass} | ${row.from}% | ${row.to}% | ${formatChange(row.change, value => `${value}%`)} |`);
+
+  const vehicleRows = diff.detailedAllocation
+    .filter(row => row.change !== 0)
+    .map(row => `| ${row.vehicle} | ${croresToRupees(row.from)} | ${croresToRupees(row.to)} | ${formatChange(row.change, croresToRupees)} |`);
+
+  let content = `
+Compared with proposal version ${diff.from.version} (generated ${previousDate}):
+
+${summary.join('\n')}
+`;
+
+  if (assetClassRows.length > 0) {
+    content += `
+### Asset Allocation
+
+<div class="asset-allocation-table">
+
+| Asset Class | Previous (%) | Current (%) | Change |
+|-------------|--------------|-------------|--------|
+${assetClassRows.join('\n')}
+
+</div>
+`;
+  }
+
+  if (vehicleRows.length > 0) {
+    content += `
+### Investment Vehicles
+
+<div class="asset-allocation-table">
+
+| Investment Vehicle | Previous (₹) | Current (₹) | Change (₹) |
+|--------------------|--------------|-------------|------------|
+${vehicleRows.join('\n')}
+
+</div>
+`;
+  }
+
+  if (diff.products.added.length > 0 || diff.products.removed.length > 0) {
+    content += `
+### Recommended Products
+${diff.products.added.map(product => `- **Added**: ${product.name}`).join('\n')}
+${diff.products.removed.map(product => `- **Removed**: ${product.name}`).join('\n')}
+`;
+  }
+
+  return content;
+}
+
+module.exports = {
+  diffProposals,
+  generateWhatChangedContent
+};
@@ -0,0 +1,99 @@
+/**
+ * Proposal Store Module
+ *
+ * This module persists every generated proposal together with the exact
+ * inputs that produced it, so a proposal can be retrieved and re-rendered
+ * exactly as the client was shown it.
+ */
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+/**
+ * Get the proposal store
+ * @returns {Object} Storage adapter for the proposals collection
+ */
+function getStore() {
+  return storage.createStore('proposals');
+}
+
+/**
+ * Persist a generated proposal
+ * Proposals for the same client are numbered 1, 2, 3, ... in generation order.
+ * @param {Object} clientData - Inputs used to generate the proposal
+ * @param {Object} investmentProposal - Proposal returned by proposal.generateProposal
+ * @returns {Promise<Object>} Stored proposal record
+ */
+async function saveProposal(clientData, investmentProposal) {
+  const clientId = clientData.clientId || null;
+
+  // The version is worked out inside the store's write, so concurrent proposals for a client get different versions
+  return getStore().create(records => ({
+    id: crypto.randomUUID(),
+    clientId,
+    version: getNextVersion(records, clientId),
+    generatedAt: new Date().toISOString(),
+    inputs: {
+      clientProfile: clientData.clientProfile || null,
+      riskProfile: clientData.riskProfile || null,
+      assetAllocation: clientData.assetAllocation || null,
+      productRecommendations: clientData.productRecommendations || null
+    },
+    inconsistencies: clientData.inconsistencies || [],
+    advisorOverride: clientData.advisorOverride ?
+      { ...clientData.advisorOverride, overriddenAt: new Date().toISOString() } :
+      null,
+    proposal: investmentProposal
+  }));
+}
+
+/**
+ * Get the version number of a client's next proposal
+ * @param {Array} records - Stored proposal records
+ * @param {string|null} clientId - Client id
+ * @returns {number} One more than the client's latest version, or 1
+ */
+function getNextVersion(records, clientId) {
+  if (!clientId) {
+    return 1;
+  }
+  return records
+    .filter(record => record.clientId === clientId)
+    .reduce((max, record) => Math.max(max, record.version), 0) + 1;
+}
+
+/**
+ * Get a stored proposal by id
+ * @param {string} proposalId - Proposal id
+ * @returns {Promise<Object|null>} Stored proposal record, or null if not found
+ */
+async function getProposal(proposalId) {
+  return getStore().get(proposalId);
+}
+
+/**
+ * List the stored proposals for a client, oldest version first
+ * @param {string} clientId - Client id
+ * @returns {Promise<Array>} Proposal summaries (without inputs or content)
+ */
+async function listClientProposals(clientId) {
+  const records = await getStore().list();
+
+  return records
+    .filter(record => record.clientId === clientId)
+    .sort((a, b) => a.version - b.version)
+    .map(record => ({
+      id: record.id,
+      clientId: record.clientId,
+      version: record.version,
+      generatedAt: record.generatedAt,
+      title: record.proposal?.title,
+      riskCategory: record.inputs?.riskProfile?.riskCategory || null
+    }));
+}
+
+module.exports = {
+  saveProposal,
+  getProposal,
+  listClientProposals
+};
@@ -0,0 +1,580 @@
+/**
+ * Rebalancing Module
+ *
+ * This module works out the trades that bring a client's holdings back to
+ * the target allocation. Drift is measured per asset class and per
+ * investment vehicle (the `detailedAllocation` names) in percentage points
+ * of the portfolio. Only positions outside their drift band are rebalanced,
+ * and they are brought back to target, so positions inside their bands are
+ * left alone unless money is needed to fund a purchase.
+ *
+ * New money (a lump sum and the SIP inflows expected before the next
+ * review) always goes to underweight vehicles first. When new money is
+ * preferred, nothing is sold unless a position is still outside its band
+ * once the new money has been invested. Sells come from the holdings that
+ * cost the least in capital gains tax and exit load (see capitalGains.js).
+ */
+
+const capitalGains = require('./capitalGains');
+const holdings = require('./holdings');
+const manualAllocation = require('./manualAllocation');
+const productMaster = require('./productMaster');
+
+// Rebalancing configuration
+const REBALANCING_CONFIG = {
+  // Drift bands in percentage points of the portfolio, with per asset class or vehicle overrides
+  driftBands: {
+    assetClass: { default: 5 },
+    vehicle: { default: 3 }
+  },
+  // Months between portfolio reviews; SIP inflows over this period count as new money
+  reviewIntervalMonths: 6
+};
+
+/**
+ * Plan the rebalancing of a client's holdings
+ * @param {Object} options - Inputs
+ * @param {Array} options.holdings - Normalized holdings (see holdings.normalizeHoldings)
+ * @param {Object} options.assetAllocation - Target allocation with vehicleWeights or detailedAllocation (crores, with Total)
+ * @param {number} [options.newInvestment] - Lump sum invested now (INR)
+ * @param {number} [options.monthlyContribution] - Monthly SIP (INR)
+ * @param {number} [options.sipMonths] - Months of SIP inflows to count (defaults to the review interval)
+ * @param {boolean} [options.preferNewMoney] - Rebalance with new money before selling anything
+ * @param {Object} [options.driftBands] - { assetClass: { default?, [assetClass]: band }, vehicle: { default?, [vehicle]: band } }
+ * @param {Object} [options.productRecommendations] - Output of products.recommendProducts, used for purchases in new vehicles
+ * @param {Object} [options.taxProfile] - { slabRate, assumed } (see capitalGains.getSlabRate)
+ * @param {string} [options.saleDate] - Date the sells are estimated for (YYYY-MM-DD, defaults to today)
+ * @returns {Object} { currentValue, newInvestment, sip, totalValue, driftBands, drift, rebalancingRequired, strategy, trades, sipAllocation, totals, tax, afterRebalancing }
+ */
+function planRebalancing({
+  holdings: clientHoldings,
+  assetAllocation,
+  newInvestment = 0,
+  monthlyContribution = 0,
+  sipMonths = REBALANCING_CONFIG.reviewIntervalMonths,
+  preferNewMoney = false,
+  driftBands,
+  productRecommendations,
+  taxProfile = capitalGains.getSlabRate(),
+  saleDate = new Date().toISOString().slice(0, 10)
+}) {
+  const bands = resolveDriftBands(driftBands);
+  const weights = getTargetWeights(assetAllocation);
+  const positions = {};
+  for (const holding of clientHoldings) {
+    positions[holding.vehicle] = (positions[holding.vehicle] || 0) + holding.value;
+  }
+  for (const vehicle of Object.keys(weights)) {
+    positions[vehicle] = positions[vehicle] || 0;
+  }
+
+  const currentValue = sum(positions);
+  const sipTotal = monthlyContribution * sipMonths;
+  const totalValue = currentValue + newInvestment + sipTotal;
+  const drift = measureDrift(positions, weights, bands);
+  const outside = getVehiclesOutsideBands(drift);
+
+  let sells = {};
+  let buys = {};
+  let sipBuys = {};
+
+  if (preferNewMoney && newInvestment + sipTotal > 0) {
+    // Invest the lump sum now and direct the SIP to what is still underweight, then sell only what is still outside its band
+    buys = allocateToShortfalls(positions, weights, newInvestment, sipTotal);
+    const afterLumpSum = addAmounts(positions, buys);
+    sipBuys = allocateToShortfalls(afterLumpSum, weights, sipTotal, 0);
+    const afterNewMoney = addAmounts(afterLumpSum, sipBuys);
+
+    const remaining = getVehiclesOutsideBands(measureDrift(afterNewMoney, weights, bands));
+    if (remaining.size > 0) {
+      const trades = rebalanceVehicles(afterNewMoney, weights, 0, remaining);
+      sells = trades.sells;
+      buys = addAmounts(buys, trades.buys);
+    }
+  } else {
+    const trades = rebalanceVehicles(positions, weights, newInvestment, outside);
+    sells = trades.sells;
+    buys = trades.buys;
+    // The positions are on target after the trades, so SIP inflows follow the target weights
+    for (const [vehicle, weight] of Object.entries(weights)) {
+      if (weight > 0 && sipTotal > 0) {
+        sipBuys[vehicle] = sipTotal * weight;
+      }
+    }
+  }
+
+  const netBuys = {};
+  const netSells = {};
+  for (const vehicle of new Set([...Object.keys(buys), ...Object.keys(sells)])) {
+    const net = (buys[vehicle] || 0) - (sells[vehicle] || 0);
+    if (net > 0.005) {
+      netBuys[vehicle] = net;
+    } else if (net < -0.005) {
+      netSells[vehicle] = -net;
+    }
+  }
+
+  const taxOptions = { slabRate: taxProfile.slabRate, saleDate };
+  const sellTrades = Object.entries(netSells).flatMap(([vehicle, amount]) => splitSale(vehicle, amount, clientHoldings, taxOptions));
+  const taxEstimates = sellTrades.map(trade => trade.taxEstimate);
+  const equityExemptionUsed = capitalGains.applyEquityExemption(taxEstimates);
+
+  const trades = [
+    ...sellTrades,
+    ...Object.entries(netBuys).flatMap(([vehicle, amount]) => splitPurchase(vehicle, amount, clientHoldings, productRecommendations))
+  ];
+
+  const sipAllocation = Object.entries(sipBuys)
+    .filter(([, amount]) => amount > 0.005)
+    .map(([vehicle, amount]) => ({
+      vehicle,
+      assetClass: holdings.getVehicleAssetClass(vehicle),
+      monthlyAmount: round(amount / sipMonths)
+    }));
+
+  const after = addAmounts(addAmounts(positions, netBuys), sipBuys);
+  for (const [vehicle, amount] of Object.entries(netSells)) {
+    after[vehicle] -= amount;
+  }
+
+  const totalSold = sum(netSells);
+  let strategy = 'none';
+  if (totalSold > 0) {
+    strategy = newInvestment + sipTotal > 0 ? 'newMoneyAndSales' : 'sales';
+  } else if (newInvestment + sipTotal > 0) {
+    strategy = 'newMoneyOnly';
+  }
+
+  return {
+    currentValue: round(currentValue),
+    newInvestment: round(newInvestment),
+    sip: { monthlyContribution: round(monthlyContribution), months: sipMonths, total: round(sipTotal) },
+    totalValue: round(totalValue),
+    driftBands: bands,
+    drift,
+    rebalancingRequired: outside.size > 0,
+    strategy,
+    trades,
+    sipAllocation,
+    totals: {
+      sell: round(totalSold),
+      buy: round(sum(netBuys)),
+      estimatedTax: round(taxEstimates.reduce((total, estimate) => total + estimate.tax, 0)),
+      estimatedExitLoad: round(taxEstimates.reduce((total, estimate) => total + estimate.exitLoad, 0))
+    },
+    tax: {
+      slabRate: taxProfile.slabRate,
+      slabRateAssumed: taxProfile.assumed,
+      saleDate,
+      equityExemptionUsed,
+      costKnown: taxEstimates.every(estimate => estimate.costKnown)
+    },
+    afterRebalancing: {
+      vehicles: Object.entries(after)
+        .filter(([vehicle, amount]) => amount > 0.005 || weights[vehicle] > 0)
+        .map(([vehicle, amount]) => ({
+          vehicle,
+          amount: round(amount),
+          percentage: totalValue > 0 ? round(amount / totalValue * 100) : 0,
+          targetPercentage: round((weights[vehicle] || 0) * 100),
+          drift: totalValue > 0 ? round(amount / totalValue * 100 - (weights[vehicle] || 0) * 100) : 0
+        }))
+    }
+  };
+}
+
+/**
+ * Merge requested drift bands with the configured ones
+ * @param {Object} [driftBands] - Requested bands ({ assetClass, vehicle })
+ * @returns {Object} { assetClass, vehicle } with a default band in each
+ */
+function resolveDriftBands(driftBands = {}) {
+  return {
+    assetClass: { ...REBALANCING_CONFIG.driftBands.assetClass, ...driftBands.assetClass },
+    vehicle: { ...REBALANCING_CONFIG.driftBands.vehicle, ...driftBands.vehicle }
+  };
+}
+
+/**
+ * Get the target weight of each vehicle
+ * The unrounded vehicleWeights are used when the allocation has them; the
+ * crore values in detailedAllocation are rounded, which skews the weights of
+ * small portfolios.
+ * @param {Object} assetAllocation - Allocation with vehicleWeights (percentages) or detailedAllocation (crores, with Total)
+ * @returns {Object} Weight (0-1) per vehicle
+ */
+function getTargetWeights(assetAllocation) {
+  const vehicleWeights = assetAllocation?.vehicleWeights;
+  const amounts = vehicleWeights || assetAllocation?.detailedAllocation || {};
+  const total = vehicleWeights ? sum(vehicleWeights) : Number(amounts.Total) || 0;
+  const weights = {};
+
+  for (const [vehicle, value] of Object.entries(amounts)) {
+    if (vehicle !== 'Total' && vehicle !== 'error' && total > 0) {
+      weights[vehicle] = Number(value) / total;
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Measure drift from target per asset class and vehicle
+ * @param {Object} positions - Amount per vehicle (INR)
+ * @param {Object} weights - Target weight per vehicle
+ * @param {Object} bands - Resolved drift bands
+ * @returns {Object} { assetClasses, vehicles } with current and target percentages, drift, band and outsideBand
+ */
+function measureDrift(positions, weights, bands) {
+  const total = sum(positions);
+  const percentage = amount => (total > 0 ? amount / total * 100 : 0);
+
+  const vehicles = [...new Set([...Object.keys(positions), ...Object.keys(weights)])]
+    .filter(vehicle => positions[vehicle] > 0 || weights[vehicle] > 0)
+    .map(vehicle => {
+      const currentPercentage = percentage(positions[vehicle] || 0);
+      const targetPercentage = (weights[vehicle] || 0) * 100;
+      return describeDrift(
+        { vehicle, assetClass: holdings.getVehicleAssetClass(vehicle) },
+        currentPercentage,
+        targetPercentage,
+        total > 0 ? bands.vehicle[vehicle] ?? bands.vehicle.default : Infinity
+      );
+    });
+
+  const assetClasses = Object.keys(manualAllocation.ASSET_CLASS_NAMES)
+    .map(assetClass => {
+      const rows = vehicles.filter(row => row.assetClass === assetClass);
+      return describeDrift(
+        { assetClass, name: manualAllocation.ASSET_CLASS_NAMES[assetClass] },
+        rows.reduce((subtotal, row) => subtotal + row.exactCurrent, 0),
+        rows.reduce((subtotal, row) => subtotal + row.exactTarget, 0),
+        total > 0 ? bands.assetClass[assetClass] ?? bands.assetClass.default : Infinity
+      );
+    })
+    .filter(row => row.currentPercentage > 0 || row.targetPercentage > 0);
+
+  // A vehicle drifting the same way as an asset class outside its band is rebalanced with it
+  for (const row of vehicles) {
+    const assetClassRow = assetClasses.find(candidate => candidate.assetClass === row.assetClass);
+    if (assetClassRow?.outsideBand && Math.sign(row.exactDrift) === Math.sign(assetClassRow.exactDrift) && row.exactDrift !== 0) {
+      row.outsideBand = true;
+    }
+  }
+
+  const strip = ({ exactCurrent, exactTarget, exactDrift, ...row }) => row;
+  return {
+    assetClasses: assetClasses.map(strip),
+    vehicles: vehicles.map(strip)
+  };
+}
+
+/**
+ * Describe the drift of one asset class or vehicle
+ * The exact values are kept for the calculation and removed before the drift is returned.
+ * @param {Object} key - Identifying fields of the row
+ * @param {number} currentPercentage - Current percentage of the portfolio
+ * @param {number} targetPercentage - Target percentage of the portfolio
+ * @param {number} band - Drift band in percentage points
+ * @returns {Object} Drift row
+ */
+function describeDrift(key, currentPercentage, targetPercentage, band) {
+  const drift = currentPercentage - targetPercentage;
+  return {
+    ...key,
+    currentPercentage: round(currentPercentage),
+    targetPercentage: round(targetPercentage),
+    drift: round(drift),
+    band: Number.isFinite(band) ? band : null,
+    outsideBand: Math.abs(drift) > band,
+    exactCurrent: currentPercentage,
+    exactTarget: targetPercentage,
+    exactDrift: drift
+  };
+}
+
+/**
+ * Get the vehicles outside their drift bands
+ * @param {Object} drift - Output of measureDrift
+ * @returns {Set} Vehicle names
+ */
+function getVehiclesOutsideBands(drift) {
+  return new Set(drift.vehicles.filter(row => row.outsideBand).map(row => row.vehicle));
+}
+
+/**
+ * Bring the vehicles outside their bands back to target
+ * Overweight vehicles outside their bands are sold down to target. The
+ * proceeds and the new money buy the underweight vehicles outside their
+ * bands first, then the other underweight vehicles. If that is not enough
+ * to bring the underweight vehicles outside their bands to target, the
+ * other overweight vehicles are sold down in proportion to their excess.
+ * @param {Object} positions - Amount per vehicle (INR)
+ * @param {Object} weights - Target weight per vehicle
+ * @param {number} newMoney - New money invested now (INR)
+ * @param {Set} outside - Vehicles outside their bands
+ * @returns {Object} { sells, buys } amount per vehicle (INR)
+ */
+function rebalanceVehicles(positions, weights, newMoney, outside) {
+  const total = sum(positions) + newMoney;
+  const target = vehicle => (weights[vehicle] || 0) * total;
+  const sells = {};
+
+  for (const vehicle of outside) {
+    if (positions[vehicle] > target(vehicle)) {
+      sells[vehicle] = positions[vehicle] - target(vehicle);
+    }
+  }
+
+  const shortfalls = {};
+  for (const vehicle of Object.keys(weights)) {
+    if (!sells[vehicle] && target(vehicle) > (positions[vehicle] || 0)) {
+      shortfalls[vehicle] = target(vehicle) - (positions[vehicle] || 0);
+    }
+  }
+
+  const priority = pick(shortfalls, vehicle => outside.has(vehicle));
+  const others = pick(shortfalls, vehicle => !outside.has(vehicle));
+  let cash = newMoney + sum(sells);
+
+  // Fund the vehicles outside their bands from the other overweight vehicles if needed
+  const needed = sum(priority) - cash;
+  if (needed > 0) {
+    const excess = {};
+    for (const [vehicle, amount] of Object.entries(positions)) {
+      if (!sells[vehicle] && amount > target(vehicle)) {
+        excess[vehicle] = amount - target(vehicle);
+      }
+    }
+    const available = sum(excess);
+    const raised = Math.min(needed, available);
+    for (const [vehicle, amount] of Object.entries(excess)) {
+      sells[vehicle] = raised * amount / available;
+    }
+    cash += raised;
+  }
+
+  const buys = fill(priority, cash);
+  return { sells, buys: addAmounts(buys, fill(others, cash - sum(buys))) };
+}
+
+/**
+ * Invest new money in the underweight vehicles without selling anything
+ * Shortfalls are measured against the target for the whole portfolio,
+ * including any money still to come. Money left once every vehicle is at
+ * target follows the target weights.
+ * @param {Object} positions - Amount per vehicle (INR)
+ * @param {Object} weights - Target weight per vehicle
+ * @param {number} amount - New money to invest (INR)
+ * @param {number} laterMoney - New money invested later (INR)
+ * @returns {Object} Amount bought per vehicle (INR)
+ */
+function allocateToShortfalls(positions, weights, amount, laterMoney) {
+  const total = sum(positions) + amount + laterMoney;
+  const shortfalls = {};
+  for (const [vehicle, weight] of Object.entries(weights)) {
+    const gap = weight * total - (positions[vehicle] || 0);
+    if (gap > 0) {
+      shortfalls[vehicle] = gap;
+    }
+  }
+
+  const buys = fill(shortfalls, amount);
+  const left = amount - sum(buys);
+  if (left > 0.005) {
+    for (const [vehicle, weight] of Object.entries(weights)) {
+      if (weight > 0) {
+        buys[vehicle] = (buys[vehicle] || 0) + left * weight;
+      }
+    }
+  }
+  return buys;
+}
+
+/**
+ * Spread an amount over shortfalls in proportion to their size, up to each shortfall
+ * @param {Object} shortfalls - Shortfall per vehicle (INR)
+ * @param {number} amount - Amount available (INR)
+ * @returns {Object} Amount per vehicle (INR)
+ */
+function fill(shortfalls, amount) {
+  const total = sum(shortfalls);
+  const share = total > 0 ? Math.min(1, Math.max(0, amount) / total) : 0;
+  const amounts = {};
+  for (const [vehicle, shortfall] of Object.entries(shortfalls)) {
+    if (share > 0) {
+      amounts[vehicle] = shortfall * share;
+    }
+  }
+  return amounts;
+}
+
+/**
+ * Split a vehicle's sale over its holdings, cheapest to sell first
+ * Holdings are sold in order of their estimated tax and exit load per rupee
+ * sold, with holdings whose cost is not known last. If the cost of none of
+ * them is known, the sale is split in proportion to their value. Each sell
+ * carries its tax estimate; lots within a holding are sold first in, first out.
+ * @param {string} vehicle - Vehicle name
+ * @param {number} amount - Amount to sell (INR)
+ * @param {Array} clientHoldings - Normalized holdings
+ * @param {Object} taxOptions - { slabRate, saleDate } (see capitalGains.estimateSale)
+ * @returns {Array} Sell trades
+ */
+function splitSale(vehicle, amount, clientHoldings, taxOptions) {
+  const vehicleHoldings = clientHoldings.filter(holding => holding.vehicle === vehicle && holding.value > 0);
+  const vehicleValue = vehicleHoldings.reduce((total, holding) => total + holding.value, 0);
+  let sales;
+
+  if (vehicleHoldings.some(holding => holding.lots?.length > 0 || holding.costValue !== null)) {
+    const costRate = holding => {
+      const estimate = capitalGains.estimateSale(holding, Math.min(amount, holding.value), taxOptions);
+      return estimate.costKnown && estimate.amount > 0 ? estimate.totalCost / estimate.amount : Infinity;
+    };
+    const ordered = vehicleHoldings
+      .map(holding => ({ holding, rate: costRate(holding) }))
+      .sort((a, b) => a.rate - b.rate);
+
+    let left = amount;
+    sales = [];
+    for (const { holding } of ordered) {
+      if (left <= 0.005) {
+        break;
+      }
+      const saleAmount = Math.min(left, holding.value);
+      sales.push({ holding, amount: saleAmount });
+      left -= saleAmount;
+    }
+  } else {
+    sales = vehicleHoldings.map(holding => ({ holding, amount: amount * holding.value / vehicleValue }));
+  }
+
+  return sales.map(({ holding, amount: tradeAmount }) => ({
+    action: 'sell',
+    vehicle,
+    assetClass: holding.assetClass,
+    schemeName: holding.schemeName,
+    isin: holding.isin,
+    folio: holding.folio ?? null,
+    amount: round(tradeAmount),
+    units: holding.nav > 0 ? Math.round(tradeAmount / holding.nav * 1000) / 1000 : null,
+    taxEstimate: capitalGains.estimateSale(holding, tradeAmount, taxOptions)
+  }));
+}
+
+/**
+ * Split a vehicle's purchase over products
+ * Existing holdings in the vehicle are topped up in proportion to their
+ * value; otherwise the amount is split evenly over the recommended products.
+ * Products whose minimum investment is above their share are left out,
+ * largest minimum first, and their share goes to the others. If every
+ * product is left out, the purchase is a single buy without a product for
+ * the advisor to place.
+ * @param {string} vehicle - Vehicle name
+ * @param {number} amount - Amount to buy (INR)
+ * @param {Array} clientHoldings - Normalized holdings
+ * @param {Object} [productRecommendations] - Output of products.recommendProducts
+ * @returns {Array} Buy trades
+ */
+function splitPurchase(vehicle, amount, clientHoldings, productRecommendations) {
+  const assetClass = holdings.getVehicleAssetClass(vehicle);
+  const vehicleHoldings = clientHoldings.filter(holding => holding.vehicle === vehicle && holding.value > 0);
+
+  if (vehicleHoldings.length > 0) {
+    const vehicleValue = vehicleHoldings.reduce((total, holding) => total + holding.value, 0);
+    return vehicleHoldings.map(holding => ({
+      action: 'buy',
+      vehicle,
+      assetClass,
+      schemeName: holding.schemeName,
+      isin: holding.isin,
+      folio: holding.folio ?? null,
+      amount: round(amount * holding.value / vehicleValue)
+    }));
+  }
+
+  const productType = Object.entries(manualAllocation.VEHICLE_NAMES[assetClass] || {})
+    .find(([, name]) => name === vehicle)?.[0];
+  const recommended = (productRecommendations?.recommendations?.[assetClass]?.[productType]?.products || [])
+    .map(product => productMaster.toMasterProduct(product, { assetClass, type: productType }));
+  const unplaced = { action: 'buy', vehicle, assetClass, schemeName: null, isin: null, folio: null, amount: round(amount) };
+
+  if (recommended.length === 0) {
+    return [unplaced];
+  }
+
+  let eligible = recommended;
+  while (eligible.length > 0) {
+    const tooLarge = eligible.filter(product => product.minInvestment > amount / eligible.length);
+    if (tooLarge.length === 0) {
+      break;
+    }
+    const largest = tooLarge.reduce((a, b) => (b.minInvestment > a.minInvestment ? b : a));
+    eligible = eligible.filter(product => product !== largest);
+  }
+
+  if (eligible.length === 0) {
+    const lowest = Math.min(...recommended.map(product => product.minInvestment));
+    return [{
+      ...unplaced,
+      note: `No recommended product accepts ₹${Math.round(amount).toLocaleString('en-IN')} (lowest minimum ₹${lowest.toLocaleString('en-IN')})`
+    }];
+  }
+
+  return eligible.map(product => ({
+    action: 'buy',
+    vehicle,
+    assetClass,
+    schemeName: product.name,
+    isin: product.isin,
+    folio: null,
+    amount: round(amount / eligible.length)
+  }));
+}
+
+/**
+ * Add two sets of amounts per vehicle
+ * @param {Object} a - Amount per vehicle
+ * @param {Object} b - Amount per vehicle
+ * @returns {Object} Sum per vehicle
+ */
+function addAmounts(a, b) {
+  const result = { ...a };
+  for (const [vehicle, amount] of Object.entries(b)) {
+    result[vehicle] = (result[vehicle] || 0) + amount;
+  }
+  return result;
+}
+
+/**
+ * Keep the entries whose key passes a test
+ * @param {Object} amounts - Amount per vehicle
+ * @param {Function} test - Called with the vehicle name
+ * @returns {Object} Matching entries
+ */
+function pick(amounts, test) {
+  return Object.fromEntries(Object.entries(amounts).filter(([vehicle]) => test(vehicle)));
+}
+
+/**
+ * Add up amounts
+ * @param {Object} amounts - Amount per key
+ * @returns {number} Total
+ */
+function sum(amounts) {
+  return Object.values(amounts).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  REBALANCING_CONFIG,
+  planRebalancing
+};
@@ -5,27 +5,71 @@
  * questionnaire responses.
  */
 
+const riskQuestionnaire = require('./riskQuestionnaire');
+const profiling = require('./profiling');
+const inconsistencyRules = require('./inconsistencyRules');
+
 /**
  * Assess client risk profile based on questionnaire responses
+ * The final category is the lower of the risk tolerance category (from the
+ * questionnaire answers) and the risk capacity limit (from the financial
+ * situation), when the questionnaire defines a capacity section. Missing
+ * capacity data never lowers the category (see assessRiskCapacity).
  * @param {Object} clientProfile - Processed client profile data
+ * @param {string} [questionnaireVersion] - Questionnaire version to score against (defaults to the active one)
  * @returns {Object} Risk assessment results
  */
-function assessRiskProfile(clientProfile) {
+function assessRiskProfile(clientProfile, questionnaireVersion) {
   try {
-    // Calculate risk score based on client responses
-    const riskScore = calculateRiskScore(clientProfile);
+    const questionnaire = riskQuestionnaire.getQuestionnaire(questionnaireVersion);
+    
+    // Score each question, then total the points
+    const scoreBreakdown = calculateScoreBreakdown(clientProfile, questionnaire.questions);
+    const riskScore = sumPoints(scoreBreakdown, 'points');
+    const maxRiskScore = sumPoints(scoreBreakdown, 'maxPoints');
+    
+    // Determine risk tolerance category based on score
+    const toleranceCategory = determineRiskCategory(riskScore, questionnaire.categories);
+    
+    // Score the financial capacity to take risk
+    const riskCapacity = assessRiskCapacity(clientProfile, questionnaire);
+    
+    // The lower of tolerance and capacity decides the final category
+    let riskCategory = toleranceCategory;
+    let bindingConstraint = 'tolerance';
+    if (riskCapacity) {
+      const comparison = compareRiskCategories(riskCapacity.limitCategory, toleranceCategory);
+      if (comparison < 0) {
+        riskCategory = riskCapacity.limitCategory;
+        bindingConstraint = 'capacity';
+      } else if (comparison === 0 && riskCapacity.missingMetrics.length === 0) {
+        bindingConstraint = 'both';
+      }
+    }
     
-    // Determine risk category based on score
-    const riskCategory = determineRiskCategory(riskScore);
+    const riskTolerance = {
+      score: riskScore,
+      maxScore: maxRiskScore,
+      category: toleranceCategory
+    };
     
     // Check for inconsistencies in risk profile
-    const inconsistencies = checkForInconsistencies(clientProfile, riskCategory);
+    const inconsistencies = inconsistencyRules.evaluateInconsistencies({
+      clientProfile,
+      riskProfile: { riskCategory, riskTolerance, riskCapacity, bindingConstraint }
+    });
     
     return {
       riskScore,
       riskCategory,
+      maxRiskScore,
+      questionnaireVersion: questionnaire.version,
+      scoreBreakdown,
+      riskTolerance,
+      riskCapacity,
+      bindingConstraint,
       inconsistencies,
-      riskAssessmentDetails: generateRiskAssessmentDetails(clientProfile, riskScore, riskCategory)
+      riskAssessmentDetails: generateRiskAssessmentDetails(clientProfile, riskCategory, riskTolerance, riskCapacity, bindingConstraint, questionnaire)
     };
   } catch (error) {
     throw new Error(`Error assessing risk profile: ${error.message}`);
@@ -33,252 +77,244 @@ function assessRiskProfile(clientProfile) {
 }
 
 /**
- * Calculate risk score based on client responses
+ * Assess the client's financial capacity to take risk
+ * The score and category count missing metrics at their default answers.
+ * The limit category, which the final category is capped at, counts them at
+ * their best points instead, so only the data the client gave can lower the
+ * category; without any capacity data the limit is the highest category.
  * @param {Object} clientProfile - Processed client profile data
- * @returns {number} Calculated risk score
+ * @param {Object} questionnaire - Questionnaire definition
+ * @returns {Object|null} { score, maxScore, category, limitCategory, missingMetrics, metrics, scoreBreakdown },
+ *   or null if the questionnaire has no capacity section
  */
-function calculateRiskScore(clientProfile) {
-  let score = 0;
-  
-  // Risk tolerance scoring
-  const { riskTolerance } = clientProfile;
-  
-  // Market drop reaction (1-5 points)
-  switch (riskTolerance.marketDropReaction) {
-    case 'sell_all':
-      score += 1;
-      break;
-    case 'sell_some':
-      score += 2;
-      break;
-    case 'do_nothing':
-      score += 3;
-      break;
-    case 'buy_some':
-      score += 4;
-      break;
-    case 'buy_more':
-      score += 5;
-      break;
-    default:
-      score += 3; // Default to moderate
+function assessRiskCapacity(clientProfile, questionnaire) {
+  if (!questionnaire.capacity) {
+    return null;
   }
   
-  // Maximum acceptable loss (1-5 points)
-  if (riskTolerance.maxAcceptableLoss <= 5) {
-    score += 1;
-  } else if (riskTolerance.maxAcceptableLoss <= 10) {
-    score += 2;
-  } else if (riskTolerance.maxAcceptableLoss <= 15) {
-    score += 3;
-  } else if (riskTolerance.maxAcceptableLoss <= 25) {
-    score += 4;
-  } else {
-    score += 5;
-  }
+  const metrics = calculateCapacityMetrics(clientProfile);
+  const scoreBreakdown = calculateScoreBreakdown(metrics, questionnaire.capacity.questions);
+  const score = sumPoints(scoreBreakdown, 'points');
+  const missing = scoreBreakdown.filter(item => item.defaultApplied !== null);
+  const limitScore = score + missing.reduce((total, item) => total + item.maxPoints - item.points, 0);
   
-  // Returns vs stability preference (1-5 points)
-  switch (riskTolerance.returnsVsStabilityPreference) {
-    case 'stability':
-      score += 1;
-      break;
-    case 'mostly_stability':
-      score += 2;
-      break;
-    case 'balanced':
-      score += 3;
-      break;
-    case 'mostly_returns':
-      score += 4;
-      break;
-    case 'returns':
-      score += 5;
-      break;
-    default:
-      score += 3; // Default to balanced
-  }
+  return {
+    score,
+    maxScore: sumPoints(scoreBreakdown, 'maxPoints'),
+    category: determineRiskCategory(score, questionnaire.capacity.categories),
+    limitCategory: determineRiskCategory(limitScore, questionnaire.capacity.categories),
+    missingMetrics: missing.map(item => item.questionId),
+    metrics,
+    scoreBreakdown
+  };
+}
+
+/**
+ * Derive the risk capacity metrics from the client's financial situation
+ * Metrics that cannot be derived from the available data are left null.
+ * @param {Object} clientProfile - Processed client profile data
+ * @returns {Object} { netWorth, debtToIncome, emergencyFundMonths, dependents }
+ */
+function calculateCapacityMetrics(clientProfile) {
+  const financialSituation = clientProfile.financialSituation || {};
+  const personalInfo = clientProfile.personalInfo || {};
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
   
-  // Preferred portfolio style (1-5 points)
-  switch (riskTolerance.preferredPortfolioStyle) {
-    case 'conservative':
-      score += 1;
-      break;
-    case 'moderately_conservative':
-      score += 2;
-      break;
-    case 'balanced':
-      score += 3;
-      break;
-    case 'moderately_aggressive':
-      score += 4;
-      break;
-    case 'aggressive':
-      score += 5;
-      break;
-    default:
-      score += 3; // Default to balanced
-  }
+  const assets = [
+    financialSituation.currentInvestments,
+    financialSituation.realEstateHoldings,
+    financialSituation.savings
+  ].filter(isNumber);
   
-  // Investment horizon scoring (1-3 points)
-  const { investmentObjectives } = clientProfile;
-  switch (investmentObjectives.investmentHorizon) {
-    case 'short_term': // <3 years
-      score += 1;
-      break;
-    case 'medium_term': // 3-7 years
-      score += 2;
-      break;
-    case 'long_term': // 7+ years
-      score += 3;
-      break;
-    default:
-      score += 2; // Default to medium term
-  }
+  const netWorth = assets.length > 0 ?
+    assets.reduce((total, value) => total + value, 0) - (financialSituation.liabilities || 0) :
+    null;
   
-  // Knowledge and experience scoring (1-3 points)
-  const { knowledgeAndExperience } = clientProfile;
-  if (knowledgeAndExperience) {
-    switch (knowledgeAndExperience.investmentKnowledge) {
-      case 'beginner':
-        score += 1;
-        break;
-      case 'intermediate':
-        score += 2;
-        break;
-      case 'advanced':
-        score += 3;
-        break;
-      default:
-        score += 1; // Default to beginner
-    }
-  } else {
-    score += 1; // Default to beginner if not provided
+  // No liabilities is no debt, whatever the income
+  let debtToIncome = null;
+  if (financialSituation.liabilities === 0) {
+    debtToIncome = 0;
+  } else if (isNumber(financialSituation.liabilities) && personalInfo.annualIncome > 0) {
+    debtToIncome = Math.round((financialSituation.liabilities / personalInfo.annualIncome) * 1000) / 10;
   }
   
-  // Age-based scoring (1-3 points)
-  const { personalInfo } = clientProfile;
-  const age = typeof personalInfo.age === 'number' ? personalInfo.age : calculateAgeFromDOB(personalInfo.age);
-  
-  if (age >= 60) {
-    score += 1;
-  } else if (age >= 40) {
-    score += 2;
-  } else {
-    score += 3;
-  }
+  const emergencyFundMonths = isNumber(financialSituation.savings) && financialSituation.monthlyExpenses > 0 ?
+    Math.round((financialSituation.savings / financialSituation.monthlyExpenses) * 10) / 10 :
+    null;
   
-  return score;
+  return {
+    netWorth,
+    debtToIncome,
+    emergencyFundMonths,
+    dependents: isNumber(personalInfo.dependents) ? personalInfo.dependents : null
+  };
 }
 
 /**
- * Calculate age from date of birth string
- * @param {string} dob - Date of birth string
- * @returns {number} Age in years
+ * Compare two risk categories
+ * @param {string} a - Risk category
+ * @param {string} b - Risk category
+ * @returns {number} Negative if a is lower risk than b, 0 if equal, positive if higher
  */
-function calculateAgeFromDOB(dob) {
-  if (!dob) return 40; // Default age if not provided
-  
-  try {
-    const dobDate = new Date(dob);
-    const today = new Date();
-    let age = today.getFullYear() - dobDate.getFullYear();
-    const monthDiff = today.getMonth() - dobDate.getMonth();
-    
-    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dobDate.getDate())) {
-      age--;
+function compareRiskCategories(a, b) {
+  return riskQuestionnaire.RISK_CATEGORIES.indexOf(a) - riskQuestionnaire.RISK_CATEGORIES.indexOf(b);
+}
+
+/**
+ * Total a field of a score breakdown
+ * @param {Array} scoreBreakdown - Output of calculateScoreBreakdown
+ * @param {string} field - 'points' or 'maxPoints'
+ * @returns {number} Total
+ */
+function sumPoints(scoreBreakdown, field) {
+  return scoreBreakdown.reduce((total, item) => total + item[field], 0);
+}
+
+/**
+ * Score a list of questions
+ * Points and maximum points are weighted. Missing or unrecognised answers
+ * score the question's default answer, which is reported in defaultApplied.
+ * @param {Object} answers - Object the question fields are read from (client profile or capacity metrics)
+ * @param {Array} questions - Question definitions (see riskQuestionnaire)
+ * @returns {Array} One entry per question: { questionId, dimension, answer, points, maxPoints, weight, defaultApplied }
+ */
+function calculateScoreBreakdown(answers, questions) {
+  return questions.map(question => {
+    const answer = getAnswer(answers, question.field);
+    let points = scoreAnswer(question, answer);
+    let defaultApplied = null;
+
+    if (points === null) {
+      points = scoreAnswer(question, question.defaultAnswer);
+      defaultApplied = question.defaultAnswer;
     }
-    
-    return age;
-  } catch (error) {
-    return 40; // Default age if calculation fails
+
+    return {
+      questionId: question.id,
+      dimension: question.label,
+      answer: answer === undefined ? null : answer,
+      points: points * question.weight,
+      maxPoints: getMaxPoints(question) * question.weight,
+      weight: question.weight,
+      defaultApplied
+    };
+  });
+}
+
+/**
+ * Get the answer to a question
+ * @param {Object} answers - Client profile or capacity metrics
+ * @param {string} field - Dotted path to the answer (e.g. 'riskTolerance.marketDropReaction')
+ * @returns {*} Answer, or undefined if not provided
+ */
+function getAnswer(answers, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), answers);
+}
+
+/**
+ * Score an answer to a single question
+ * @param {Object} question - Question definition
+ * @param {*} answer - Client's answer
+ * @returns {number|null} Points for the answer (before weighting), or null if missing or unrecognised
+ */
+function scoreAnswer(question, answer) {
+  switch (question.type) {
+    case 'choice': {
+      const points = question.options[answer];
+      return typeof points === 'number' ? points : null;
+    }
+    case 'range':
+      return scoreBands(question, typeof answer === 'number' ? answer : NaN);
+    case 'age':
+      return scoreBands(question, profiling.getClientAge(answer));
+    default:
+      return null;
   }
 }
 
+/**
+ * Score a numeric answer against a question's bands
+ * The first band whose min/max contain the value wins.
+ * @param {Object} question - Question definition with bands
+ * @param {number} value - Numeric answer
+ * @returns {number|null} Points for the answer, or null if no band matches
+ */
+function scoreBands(question, value) {
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+
+  const band = question.bands.find(item =>
+    (item.min === undefined || value >= item.min) &&
+    (item.max === undefined || value <= item.max)
+  );
+
+  return band ? band.points : null;
+}
+
+/**
+ * Get the maximum points a question can award (before weighting)
+ * @param {Object} question - Question definition
+ * @returns {number} Maximum points
+ */
+function getMaxPoints(question) {
+  const points = question.type === 'choice' ?
+    Object.values(question.options) :
+    question.bands.map(band => band.points);
+
+  return Math.max(...points);
+}
+
 /**
  * Determine risk category based on risk score
  * @param {number} riskScore - Calculated risk score
+ * @param {Array} categories - Category bands, lowest first
  * @returns {string} Risk category
  */
-function determineRiskCategory(riskScore) {
-  if (riskScore <= 12) {
-    return 'Conservative'; // Low Risk (8-12 Points)
-  } else if (riskScore <= 17) {
-    return 'Moderate'; // Balanced Risk (13-17 Points)
-  } else if (riskScore <= 22) {
-    return 'Aggressive'; // High Risk (18-22 Points)
-  } else {
-    return 'Ultra-Aggressive'; // Very High Risk (23+ Points)
-  }
+function determineRiskCategory(riskScore, categories) {
+  const band = categories.find(item => item.maxScore === undefined || riskScore <= item.maxScore);
+  return (band || categories[categories.length - 1]).category;
 }
 
 /**
- * Check for inconsistencies in risk profile
- * @param {Object} clientProfile - Processed client profile data
- * @param {string} riskCategory - Determined risk category
- * @returns {Array} List of inconsistencies, if any
+ * Format the score range of a risk category for display
+ * @param {string} riskCategory - Risk category
+ * @param {Array} categories - Category bands
+ * @returns {string} Score range (e.g. '13-17 points' or '23+ points')
  */
-function checkForInconsistencies(clientProfile, riskCategory) {
-  const inconsistencies = [];
-  const { riskTolerance, investmentObjectives } = clientProfile;
-  
-  // Check for inconsistency between risk category and preferred portfolio style
-  if (riskCategory === 'Aggressive' && 
-      (riskTolerance.preferredPortfolioStyle === 'conservative' || 
-       riskTolerance.preferredPortfolioStyle === 'moderately_conservative')) {
-    inconsistencies.push({
-      type: 'risk_style_mismatch',
-      message: 'Risk score indicates Aggressive profile, but preferred portfolio style is Conservative'
-    });
-  }
-  
-  if (riskCategory === 'Conservative' && 
-      (riskTolerance.preferredPortfolioStyle === 'aggressive' || 
-       riskTolerance.preferredPortfolioStyle === 'moderately_aggressive')) {
-    inconsistencies.push({
-      type: 'risk_style_mismatch',
-      message: 'Risk score indicates Conservative profile, but preferred portfolio style is Aggressive'
-    });
-  }
+function formatCategoryScoreRange(riskCategory, categories) {
+  const band = categories.find(item => item.category === riskCategory);
+  if (!band) return '';
   
-  // Check for inconsistency between risk category and investment horizon
-  if (riskCategory === 'Aggressive' && investmentObjectives.investmentHorizon === 'short_term') {
-    inconsistencies.push({
-      type: 'horizon_risk_mismatch',
-      message: 'Aggressive risk profile with short-term investment horizon may not be suitable'
-    });
-  }
-  
-  // Check for inconsistency between max acceptable loss and risk category
-  if (riskCategory === 'Aggressive' && riskTolerance.maxAcceptableLoss <= 10) {
-    inconsistencies.push({
-      type: 'loss_tolerance_mismatch',
-      message: 'Risk score indicates Aggressive profile, but maximum acceptable loss is low'
-    });
-  }
-  
-  if (riskCategory === 'Conservative' && riskTolerance.maxAcceptableLoss >= 20) {
-    inconsistencies.push({
-      type: 'loss_tolerance_mismatch',
-      message: 'Risk score indicates Conservative profile, but maximum acceptable loss is high'
-    });
-  }
-  
-  return inconsistencies;
+  return band.maxScore === undefined ?
+    `${band.minScore}+ points` :
+    `${band.minScore}-${band.maxScore} points`;
 }
 
 /**
  * Generate detailed risk assessment explanation
  * @param {Object} clientProfile - Processed client profile data
- * @param {number} riskScore - Calculated risk score
- * @param {string} riskCategory - Determined risk category
+ * @param {string} riskCategory - Final risk category
+ * @param {Object} riskTolerance - Risk tolerance score and category
+ * @param {Object|null} riskCapacity - Risk capacity score and category
+ * @param {string} bindingConstraint - 'tolerance', 'capacity' or 'both'
+ * @param {Object} questionnaire - Questionnaire definition used for scoring
  * @returns {Object} Detailed risk assessment
  */
-function generateRiskAssessmentDetails(clientProfile, riskScore, riskCategory) {
+function generateRiskAssessmentDetails(clientProfile, riskCategory, riskTolerance, riskCapacity, bindingConstraint, questionnaire) {
+  const boundByCapacity = bindingConstraint === 'capacity';
+  const riskScore = boundByCapacity ? riskCapacity.score : riskTolerance.score;
+  const scoreRange = boundByCapacity ?
+    `capacity score ${formatCategoryScoreRange(riskCategory, questionnaire.capacity.categories)}` :
+    formatCategoryScoreRange(riskCategory, questionnaire.categories);
+  
   // Get risk category description
-  const riskCategoryDescription = getRiskCategoryDescription(riskCategory);
+  const riskCategoryDescription = getRiskCategoryDescription(riskCategory, scoreRange);
   
   // Generate risk score explanation
-  const riskScoreExplanation = `Your risk score of ${riskScore} places you in the ${riskCategory.toLowerCase()} risk category. ${getRiskScoreExplanation(riskScore, riskCategory)}`;
+  const riskScoreExplanation = boundByCapacity ?
+    `Your risk tolerance score of ${riskTolerance.score} indicates ${/^[AEIOU]/.test(riskTolerance.category) ? 'an' : 'a'} ${riskTolerance.category.toLowerCase()} profile, but your financial capacity to take risk (score ${riskCapacity.score} of ${riskCapacity.maxScore}) limits you to the ${riskCategory.toLowerCase()} risk category. ${getRiskScoreExplanation(riskScore, riskCategory)}` :
+    `Your risk score of ${riskScore} places you in the ${riskCategory.toLowerCase()} risk category. ${getRiskScoreExplanation(riskScore, riskCategory)}`;
   
   return {
     riskCategoryDescription,
@@ -310,18 +346,19 @@ function getRiskScoreExplanation(riskScore, riskCategory) {
 /**
  * Get description for risk category
  * @param {string} riskCategory - Risk category
+ * @param {string} scoreRange - Score range of the category (e.g. '13-17 points')
  * @returns {string} Description of risk category
  */
-function getRiskCategoryDescription(riskCategory) {
+function getRiskCategoryDescription(riskCategory, scoreRange) {
   switch (riskCategory) {
     case 'Conservative':
-      return 'A conservative risk profile (8-12 points) prioritizes capital preservation and income over growth. This portfolio has a higher allocation to fixed-income investments and alternative assets, with a smaller allocation to equities to provide some growth potential.';
+      return `A conservative risk profile (${scoreRange}) prioritizes capital preservation and income over growth. This portfolio has a higher allocation to fixed-income investments and alternative assets, with a smaller allocation to equities to provide some growth potential.`;
     case 'Moderate':
-      return 'A moderate risk profile (13-17 points) balances growth potential with stability. This portfolio has a meaningful allocation to equities for growth, combined with fixed-income investments to provide income and reduce overall volatility.';
+      return `A moderate risk profile (${scoreRange}) balances growth potential with stability. This portfolio has a meaningful allocation to equities for growth, combined with fixed-income investments to provide income and reduce overall volatility.`;
     case 'Aggressive':
-      return 'An aggressive risk profile (18-22 points) indicates a willingness to accept higher volatility in exchange for potentially higher returns. This portfolio has a significant allocation to equity investments, which can experience substantial short-term fluctuations but historically offer better long-term growth potential.';
+      return `An aggressive risk profile (${scoreRange}) indicates a willingness to accept higher volatility in exchange for potentially higher returns. This portfolio has a significant allocation to equity investments, which can experience substantial short-term fluctuations but historically offer better long-term growth potential.`;
     case 'Ultra-Aggressive':
-      return 'An ultra-aggressive risk profile (23+ points) maximizes growth potential with very high tolerance for volatility. This portfolio has a dominant allocation to equity investments, potentially including higher-risk sectors, emerging markets, and alternative investments. Suitable for investors with very long time horizons and high risk tolerance.';
+      return `An ultra-aggressive risk profile (${scoreRange}) maximizes growth potential with very high tolerance for volatility. This portfolio has a dominant allocation to equity investments, potentially including higher-risk sectors, emerging markets, and alternative investments. Suitable for investors with very long time horizons and high risk tolerance.`;
     default:
       return 'Risk profile description not available.';
   }
@@ -339,7 +376,7 @@ function assessRiskFromAllocation(assetAllocation) {
     // Check if we have assetClassAllocation structure
     if (assetAllocation.assetClassAllocation) {
       // Extract allocation percentages from assetClassAllocation
-      const { equity = 0, debt = 0 } = assetAllocation.assetClassAllocation;
+      const { equity = 0, debt = 0, goldSilver = 0 } = assetAllocation.assetClassAllocation;
       console.log(`Risk Assessment - Extracted values: equity=${equity}, debt=${debt}`);
       
       // Determine risk category based on equity allocation
@@ -369,7 +406,7 @@ function assessRiskFromAllocation(assetAllocation) {
     } else {
       // Direct structure - legacy format
       // Extract allocation percentages
-      const { equity = 0, debt = 0 } = assetAllocation;
+      const { equity = 0, debt = 0, goldSilver = 0 } = assetAllocation;
       console.log(`Risk Assessment - Legacy format: equity=${equity}, debt=${debt}`);
       
       // Determine risk category based on equity allocation
@@ -410,10 +447,11 @@ function assessRiskFromAllocation(assetAllocation) {
  * Generate risk assessment details based on manual asset allocation
  * @param {number} equity - Equity allocation percentage
  * @param {number} debt - Debt allocation percentage
+ * @param {number} goldSilver - Gold/silver allocation percentage
  * @param {string} riskCategory - Determined risk category
  * @returns {Object} Risk assessment details
  */
-function generateRiskAssessmentDetailsFromAllocation(equity, debt, riskCategory) {
+function generateRiskAssessmentDetailsFromAllocation(equity, debt, goldSilver, riskCategory) {
   const descriptions = {
     'Ultra-Aggressive': {
       description: 'An ultra-aggressive risk profile (23+ points) maximizes growth potential with very high tolerance for volatility. This portfolio has a dominant allocation to equity investments, potentially including higher-risk sectors, emerging markets, and alternative investments.',
@@ -464,7 +502,7 @@ ${descriptions[riskCategory].characteristics.map(c => `- ${c}`).join('\n')}
 
 ### Your Asset Allocation
 - **Equity**: ${equity}%
-- **Fixed Income**: ${debt}%
+- **Fixed Income**: ${debt}%${goldSilver > 0 ? `\n- **Gold/Silver**: ${goldSilver}%` : ''}
 
 This risk profile is determined based on your manual asset allocation, particularly your ${equity}% allocation to equity investments.
     `
@@ -0,0 +1,194 @@
+/**
+ * Risk Questionnaire Module
+ *
+ * This module loads the versioned risk-scoring questionnaire definitions
+ * from config/riskQuestionnaires. Each definition lists the questions, the
+ * points for each answer, question weights and the score bands for each risk
+ * category; risk.js interprets the active definition to score a client.
+ *
+ * Question types:
+ * - choice: answer is looked up in `options` (answer -> points)
+ * - range: numeric answer is matched against `bands` ({ min?, max?, points })
+ * - age: like range, but the answer may be an age or a date of birth
+ *
+ * The optional `capacity` section scores the client's financial capacity to
+ * take risk. Its questions are range questions over metrics that risk.js
+ * derives from the financial situation: netWorth, debtToIncome (liabilities
+ * as a % of annual income), emergencyFundMonths and dependents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+require('dotenv').config();
+
+// Risk categories, from lowest to highest risk
+const RISK_CATEGORIES = ['Conservative', 'Moderate', 'Aggressive', 'Ultra-Aggressive'];
+
+// Questionnaire configuration
+const QUESTIONNAIRE_CONFIG = {
+  directory: process.env.RISK_QUESTIONNAIRE_DIR || path.join(__dirname, '../config/riskQuestionnaires'),
+  // Pin a version instead of using the latest effective definition
+  version: process.env.RISK_QUESTIONNAIRE_VERSION || null
+};
+
+const bandSchema = Joi.object({
+  min: Joi.number(),
+  max: Joi.number(),
+  points: Joi.number().min(0).required()
+});
+
+const questionSchema = Joi.object({
+  id: Joi.string().required(),
+  label: Joi.string().required(),
+  field: Joi.string().pattern(/^[A-Za-z]+(\.[A-Za-z]+)*$/).required(),
+  type: Joi.string().valid('choice', 'range', 'age').required(),
+  weight: Joi.number().positive().default(1),
+  options: Joi.object().pattern(Joi.string(), Joi.number().min(0)).min(1)
+    .when('type', { is: 'choice', then: Joi.required(), otherwise: Joi.forbidden() }),
+  bands: Joi.array().items(bandSchema).min(1)
+    .when('type', { is: 'choice', then: Joi.forbidden(), otherwise: Joi.required() }),
+  // Answer assumed when the client did not answer (or gave an unrecognised answer)
+  defaultAnswer: Joi.when('type', {
+    is: 'choice',
+    then: Joi.string().required(),
+    otherwise: Joi.number().required()
+  })
+});
+
+const categoryBandSchema = Joi.object({
+  category: Joi.string().valid(...RISK_CATEGORIES).required(),
+  minScore: Joi.number().required(),
+  maxScore: Joi.number()
+});
+
+const questionnaireSchema = Joi.object({
+  version: Joi.string().required(),
+  effectiveFrom: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  description: Joi.string().allow(''),
+  questions: Joi.array().items(questionSchema).min(1).unique('id').required(),
+  // Ordered from lowest to highest; only the last band may be open-ended
+  categories: Joi.array().items(categoryBandSchema).min(1).unique('category').required(),
+  capacity: Joi.object({
+    description: Joi.string().allow(''),
+    questions: Joi.array().items(questionSchema.keys({ type: Joi.string().valid('range').required() }))
+      .min(1).unique('id').required(),
+    categories: Joi.array().items(categoryBandSchema).min(1).unique('category').required()
+  })
+});
+
+// Definitions are loaded once, on first use
+let questionnaires = null;
+
+/**
+ * Load and validate every questionnaire definition in the config directory
+ * @returns {Array} Questionnaire definitions, oldest effective date first
+ */
+function loadQuestionnaires() {
+  if (questionnaires) {
+    return questionnaires;
+  }
+
+  const files = fs.readdirSync(QUESTIONNAIRE_CONFIG.directory)
+    .filter(file => file.endsWith('.json'));
+
+  const loaded = files.map(file => {
+    const filePath = path.join(QUESTIONNAIRE_CONFIG.directory, file);
+    let definition;
+
+    try {
+      definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Error reading risk questionnaire ${file}: ${error.message}`);
+    }
+
+    const { value, error } = questionnaireSchema.validate(definition, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid risk questionnaire ${file}: ${error.details.map(detail => detail.message).join('; ')}`);
+    }
+
+    value.questions.forEach(question => {
+      if (question.type === 'choice' && question.options[question.defaultAnswer] === undefined) {
+        throw new Error(`Invalid risk questionnaire ${file}: default answer of ${question.id} is not one of its options`);
+      }
+    });
+
+    for (const categories of [value.categories, value.capacity?.categories || []]) {
+      categories.forEach((band, index) => {
+        if (band.maxScore === undefined && index !== categories.length - 1) {
+          throw new Error(`Invalid risk questionnaire ${file}: only the last category band may omit maxScore`);
+        }
+      });
+    }
+
+    return value;
+  });
+
+  if (loaded.length === 0) {
+    throw new Error(`No risk questionnaire definitions found in ${QUESTIONNAIRE_CONFIG.directory}`);
+  }
+
+  const versions = new Set();
+  for (const definition of loaded) {
+    if (versions.has(definition.version)) {
+      throw new Error(`Duplicate risk questionnaire version: ${definition.version}`);
+    }
+    versions.add(definition.version);
+  }
+
+  questionnaires = loaded.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  return questionnaires;
+}
+
+/**
+ * Get a questionnaire definition
+ * Without a version, the configured version is used, otherwise the latest
+ * definition whose effective date has been reached.
+ * @param {string} [version] - Questionnaire version
+ * @returns {Object} Questionnaire definition
+ */
+function getQuestionnaire(version = QUESTIONNAIRE_CONFIG.version) {
+  const definitions = loadQuestionnaires();
+
+  if (version) {
+    const definition = definitions.find(item => item.version === version);
+    if (!definition) {
+      throw new Error(`Unknown risk questionnaire version: ${version}`);
+    }
+    return definition;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const effective = definitions.filter(item => item.effectiveFrom <= today);
+
+  return effective.length > 0 ? effective[effective.length - 1] : definitions[0];
+}
+
+/**
+ * List the available questionnaire versions
+ * @returns {Array} { version, effectiveFrom, description } for each definition
+ */
+function listQuestionnaires() {
+  return loadQuestionnaires().map(({ version, effectiveFrom, description }) => ({
+    version,
+    effectiveFrom,
+    description
+  }));
+}
+
+/**
+ * Get the accepted answers for a choice question of the active questionnaire
+ * @param {string} questionId - Question id (e.g. 'marketDropReaction')
+ * @returns {Array} Answer values, or an empty array if the question is not a choice question
+ */
+function getAnswerOptions(questionId) {
+  const question = getQuestionnaire().questions.find(item => item.id === questionId);
+  return question && question.options ? Object.keys(question.options) : [];
+}
+
+module.exports = {
+  RISK_CATEGORIES,
+  getQuestionnaire,
+  listQuestionnaires,
+  getAnswerOptions
+};
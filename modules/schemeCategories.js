@@ -0,0 +1,220 @@
+/**
+ * Scheme Categories Module
+ *
+ * This module holds SEBI's mutual fund scheme categories (the 36 of the
+ * October 2017 categorisation circular, with Balanced and Aggressive Hybrid
+ * listed separately and Flexi Cap, added in 2020) and maps the category
+ * names used by the scheme APIs onto them. Names such as 'Large-Cap',
+ * 'Equity - Large Cap', 'Conservative Allocation' or 'ELSS (Tax Savings)'
+ * are understood, and scheme names are used when a scheme has no category.
+ *
+ * Each category has:
+ * - name: SEBI category name
+ * - group: equity, debt, hybrid, solutionOriented or other
+ * - assetClass: equity or debt for the recommendation slot the category
+ *   belongs to, hybrid when it fits either (arbitrage and equity savings
+ *   funds, which are held as debt alternatives), or null when it depends on
+ *   the scheme (index funds, ETFs, fund of funds). Hybrids that may hold
+ *   most of their assets in equity, and the solution oriented schemes, are
+ *   equity.
+ * - riskometer: typical riskometer level from 1 (Low) to 6 (Very High), or
+ *   null when it depends on the scheme. A scheme's own riskometer, when
+ *   given, comes first.
+ * - liquidity: { redemptionDays, lockInMonths } with the working days until
+ *   redemption proceeds are paid and the lock-in, before any exit load
+ */
+
+const suitability = require('./suitability');
+
+const EQUITY_LIQUIDITY = { redemptionDays: 3, lockInMonths: 0 };
+const DEBT_LIQUIDITY = { redemptionDays: 2, lockInMonths: 0 };
+const NEXT_DAY_LIQUIDITY = { redemptionDays: 1, lockInMonths: 0 };
+
+// SEBI scheme categories
+const SCHEME_CATEGORIES = {
+  // Equity schemes
+  multiCap: { name: 'Multi Cap Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  flexiCap: { name: 'Flexi Cap Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  largeCap: { name: 'Large Cap Fund', group: 'equity', assetClass: 'equity', riskometer: 5, liquidity: EQUITY_LIQUIDITY },
+  largeMidCap: { name: 'Large & Mid Cap Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  midCap: { name: 'Mid Cap Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  smallCap: { name: 'Small Cap Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  dividendYield: { name: 'Dividend Yield Fund', group: 'equity', assetClass: 'equity', riskometer: 5, liquidity: EQUITY_LIQUIDITY },
+  valueContra: { name: 'Value Fund / Contra Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  focused: { name: 'Focused Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  sectoralThematic: { name: 'Sectoral / Thematic Fund', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  elss: { name: 'Equity Linked Savings Scheme (ELSS)', group: 'equity', assetClass: 'equity', riskometer: 6, liquidity: { redemptionDays: 3, lockInMonths: 36 } },
+
+  // Debt schemes
+  overnight: { name: 'Overnight Fund', group: 'debt', assetClass: 'debt', riskometer: 1, liquidity: NEXT_DAY_LIQUIDITY },
+  liquid: { name: 'Liquid Fund', group: 'debt', assetClass: 'debt', riskometer: 2, liquidity: NEXT_DAY_LIQUIDITY },
+  ultraShortDuration: { name: 'Ultra Short Duration Fund', group: 'debt', assetClass: 'debt', riskometer: 2, liquidity: NEXT_DAY_LIQUIDITY },
+  lowDuration: { name: 'Low Duration Fund', group: 'debt', assetClass: 'debt', riskometer: 2, liquidity: NEXT_DAY_LIQUIDITY },
+  moneyMarket: { name: 'Money Market Fund', group: 'debt', assetClass: 'debt', riskometer: 2, liquidity: NEXT_DAY_LIQUIDITY },
+  shortDuration: { name: 'Short Duration Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  mediumDuration: { name: 'Medium Duration Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  mediumToLongDuration: { name: 'Medium to Long Duration Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  longDuration: { name: 'Long Duration Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  dynamicBond: { name: 'Dynamic Bond Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  corporateBond: { name: 'Corporate Bond Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  creditRisk: { name: 'Credit Risk Fund', group: 'debt', assetClass: 'debt', riskometer: 5, liquidity: DEBT_LIQUIDITY },
+  bankingPsu: { name: 'Banking and PSU Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  gilt: { name: 'Gilt Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  giltConstantDuration: { name: 'Gilt Fund with 10 year constant duration', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+  floater: { name: 'Floater Fund', group: 'debt', assetClass: 'debt', riskometer: 3, liquidity: DEBT_LIQUIDITY },
+
+  // Hybrid schemes
+  conservativeHybrid: { name: 'Conservative Hybrid Fund', group: 'hybrid', assetClass: 'debt', riskometer: 4, liquidity: DEBT_LIQUIDITY },
+  balancedHybrid: { name: 'Balanced Hybrid Fund', group: 'hybrid', assetClass: 'equity', riskometer: 5, liquidity: EQUITY_LIQUIDITY },
+  aggressiveHybrid: { name: 'Aggressive Hybrid Fund', group: 'hybrid', assetClass: 'equity', riskometer: 6, liquidity: EQUITY_LIQUIDITY },
+  balancedAdvantage: { name: 'Dynamic Asset Allocation / Balanced Advantage Fund', group: 'hybrid', assetClass: 'equity', riskometer: 5, liquidity: EQUITY_LIQUIDITY },
+  multiAssetAllocation: { name: 'Multi Asset Allocation Fund', group: 'hybrid', assetClass: 'equity', riskometer: 5, liquidity: EQUITY_LIQUIDITY },
+  arbitrage: { name: 'Arbitrage Fund', group: 'hybrid', assetClass: 'hybrid', riskometer: 1, liquidity: EQUITY_LIQUIDITY },
+  equitySavings: { name: 'Equity Savings Fund', group: 'hybrid', assetClass: 'hybrid', riskometer: 4, liquidity: EQUITY_LIQUIDITY },
+
+  // Solution oriented schemes
+  retirement: { name: 'Retirement Fund', group: 'solutionOriented', assetClass: 'equity', riskometer: 6, liquidity: { redemptionDays: 3, lockInMonths: 60 } },
+  childrens: { name: "Children's Fund", group: 'solutionOriented', assetClass: 'equity', riskometer: 6, liquidity: { redemptionDays: 3, lockInMonths: 60 } },
+
+  // Other schemes
+  indexFundEtf: { name: 'Index Fund / ETF', group: 'other', assetClass: null, riskometer: null, liquidity: EQUITY_LIQUIDITY },
+  fundOfFunds: { name: 'Fund of Funds', group: 'other', assetClass: null, riskometer: null, liquidity: { redemptionDays: 5, lockInMonths: 0 } }
+};
+
+// Patterns for the category names used by the APIs, most specific first (matched against normaliseName output)
+const CATEGORY_PATTERNS = [
+  ['elss', /\belss\b|tax sav/],
+  ['retirement', /\bretirement\b/],
+  ['childrens', /\bchild(ren)?s?\b/],
+  ['fundOfFunds', /\bfund of funds?\b|\bfof\b/],
+  ['indexFundEtf', /\bindex\b|\betfs?\b|exchange traded/],
+  ['arbitrage', /\barbitrage\b/],
+  ['equitySavings', /\bequity savings\b/],
+  ['multiAssetAllocation', /\bmulti asset\b/],
+  ['balancedAdvantage', /\bdynamic asset allocation\b|\bbalanced advantage\b/],
+  ['conservativeHybrid', /\bconservative (hybrid|allocation)\b|\bhybrid conservative\b|\bmonthly income\b/],
+  ['aggressiveHybrid', /\baggressive (hybrid|allocation)\b|\bhybrid aggressive\b/],
+  ['balancedHybrid', /\bbalanced (hybrid|allocation)\b|\bhybrid balanced\b/],
+  ['overnight', /\bovernight\b/],
+  ['liquid', /\bliquid\b/],
+  ['ultraShortDuration', /\bultra short\b/],
+  ['lowDuration', /\blow duration\b/],
+  ['moneyMarket', /\bmoney market\b/],
+  ['mediumToLongDuration', /\bmedium to long\b/],
+  ['shortDuration', /\bshort (duration|term)\b/],
+  ['mediumDuration', /\bmedium (duration|term)\b/],
+  ['longDuration', /\blong duration\b/],
+  ['dynamicBond', /\bdynamic bond\b/],
+  ['corporateBond', /\bcorporate bond\b/],
+  ['creditRisk', /\bcredit risk\b/],
+  ['bankingPsu', /\bbanking and psu\b|\bpsu (debt|bond)\b/],
+  ['giltConstantDuration', /\bgilt\b.*\b10 ?(yr|year)|\b10 ?(yr|year)\b.*\b(gilt|government bond)\b|\bconstant (maturity|duration)\b/],
+  ['gilt', /\bgilt\b|\bgovernment (securities|bond)\b/],
+  ['floater', /\bfloater\b|\bfloating rate\b/],
+  ['largeMidCap', /\blarge and mid ?cap\b/],
+  ['multiCap', /\bmulti ?cap\b/],
+  ['flexiCap', /\bflexi ?cap\b/],
+  ['largeCap', /\blarge ?cap\b|\bblue ?chip\b/],
+  ['midCap', /\bmid ?cap\b/],
+  ['smallCap', /\bsmall ?cap\b/],
+  ['dividendYield', /\bdividend yield\b/],
+  ['valueContra', /\bvalue\b|\bcontra\b/],
+  ['focused', /\bfocused\b/],
+  ['sectoralThematic', /\bsector(al)?\b|\bthematic\b/]
+];
+
+// Patterns for the asset class of index funds, ETFs and fund of funds, by scheme name (matched against normaliseName output)
+const NAME_ASSET_CLASS_PATTERNS = [
+  ['goldSilver', /\bgold\b|\bsilver\b|\bprecious metals?\b|\bcommodit(y|ies)\b/],
+  ['debt', /\bdebt\b|\bbonds?\b|\bgilt\b|\bg ?secs?\b|\bsdl\b|\bibx\b|\bliquid\b|\bmoney market\b|\bovernight\b|\btreasury\b|\bt ?bills?\b|\btarget maturity\b/]
+];
+
+/**
+ * Map a category or scheme name onto a SEBI scheme category
+ * @param {...string} names - Category name, then fallbacks such as the scheme name; the first that maps wins
+ * @returns {string|null} Key of SCHEME_CATEGORIES, or null if none of the names maps
+ */
+function matchSchemeCategory(...names) {
+  for (const name of names) {
+    if (typeof name !== 'string' || !name.trim()) {
+      continue;
+    }
+    const normalisedName = normaliseName(name);
+    const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(normalisedName));
+    if (match) {
+      return match[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a scheme category
+ * @param {string|null} key - Key of SCHEME_CATEGORIES
+ * @returns {Object|null} Category with its key, or null for an unknown key
+ */
+function getSchemeCategory(key) {
+  return SCHEME_CATEGORIES[key] ? { key, ...SCHEME_CATEGORIES[key] } : null;
+}
+
+/**
+ * Get the riskometer label of a scheme category
+ * @param {string|null} key - Key of SCHEME_CATEGORIES
+ * @returns {string|null} Riskometer label (e.g. 'Moderately High'), or null when the category has no typical level
+ */
+function getRiskometerLabel(key) {
+  const riskometer = SCHEME_CATEGORIES[key]?.riskometer;
+  return riskometer ? suitability.RISK_LEVEL_LABELS[riskometer - 1] : null;
+}
+
+/**
+ * Check whether a scheme category belongs in an asset class's recommendations
+ * Hybrid categories and schemes without a known category fit either asset class.
+ * Index funds, ETFs and fund of funds are placed by their scheme name, and
+ * left out when there is none.
+ * @param {string|null} key - Key of SCHEME_CATEGORIES
+ * @param {string} assetClass - equity or debt
+ * @param {string} [schemeName] - Scheme name
+ * @returns {boolean} True if the scheme may be recommended for the asset class
+ */
+function fitsAssetClass(key, assetClass, schemeName) {
+  const category = SCHEME_CATEGORIES[key];
+  if (!category) {
+    return true;
+  }
+  if (category.assetClass === null) {
+    return getNameAssetClass(schemeName) === assetClass;
+  }
+  return category.assetClass === 'hybrid' || category.assetClass === assetClass;
+}
+
+/**
+ * Get the asset class of an index fund, ETF or fund of funds from its name
+ * @param {string} [schemeName] - Scheme name (e.g. 'Bharat Bond ETF - April 2030')
+ * @returns {string|null} equity, debt or goldSilver, or null without a name
+ */
+function getNameAssetClass(schemeName) {
+  if (typeof schemeName !== 'string' || !schemeName.trim()) {
+    return null;
+  }
+  const normalisedName = normaliseName(schemeName);
+  const match = NAME_ASSET_CLASS_PATTERNS.find(([, pattern]) => pattern.test(normalisedName));
+  return match ? match[0] : 'equity';
+}
+
+/**
+ * Normalise a category name for matching
+ * @param {string} name - Category name (e.g. 'Equity: Large & Mid-Cap')
+ * @returns {string} Lower case words separated by single spaces (e.g. 'equity large and mid cap')
+ */
+function normaliseName(name) {
+  return name.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+module.exports = {
+  SCHEME_CATEGORIES,
+  matchSchemeCategory,
+  getSchemeCategory,
+  getRiskometerLabel,
+  fitsAssetClass
+};
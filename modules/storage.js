@@ -0,0 +1,273 @@
+/**
+ * Storage Module
+ *
+ * This module provides pluggable storage adapters for persisted records
+ * such as clients. Every collection is a list of JSON records keyed by `id`.
+ *
+ * Adapters:
+ * - json (default): one file per collection in the data directory (e.g. data/clients.json)
+ * - sqlite: one table per collection in a SQLite database (requires better-sqlite3)
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Storage configuration
+const STORAGE_CONFIG = {
+  adapter: process.env.STORAGE_ADAPTER || 'json',
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '../data'),
+  sqlitePath: process.env.SQLITE_PATH || path.join(__dirname, '../data/store.sqlite')
+};
+
+// Stores are created once per collection and reused
+const stores = {};
+
+// Shared SQLite connection (opened lazily)
+let sqliteDatabase = null;
+
+/**
+ * Get the store for a collection using the configured adapter
+ * `create` also takes a function of the current records that returns the
+ * record to add, and `update` a function of the current record that returns
+ * the updated one. `save` creates or replaces a record; its function gets
+ * the current record, or null when there is none. The function runs inside
+ * the store's write, so values worked out from the stored records (ids,
+ * version numbers, status transitions) cannot race with another write.
+ * @param {string} collection - Collection name (e.g. 'clients')
+ * @returns {Object} Store with list, get, create, update, save and remove methods
+ */
+function createStore(collection) {
+  if (stores[collection]) {
+    return stores[collection];
+  }
+
+  switch (STORAGE_CONFIG.adapter) {
+    case 'json':
+      stores[collection] = createJsonFileAdapter(collection);
+      break;
+    case 'sqlite':
+      stores[collection] = createSqliteAdapter(collection);
+      break;
+    default:
+      throw new Error(`Unknown storage adapter: ${STORAGE_CONFIG.adapter}`);
+  }
+
+  return stores[collection];
+}
+
+/**
+ * Create a store that keeps a collection in a JSON file
+ * The file has the shape { "<collection>": [ ...records ] }
+ * @param {string} collection - Collection name
+ * @returns {Object} Store
+ */
+function createJsonFileAdapter(collection) {
+  const filePath = path.join(STORAGE_CONFIG.dataDir, `${collection}.json`);
+
+  // Writes are chained so concurrent requests cannot overwrite each other
+  let writeQueue = Promise.resolve();
+
+  const enqueue = (operation) => {
+    const result = writeQueue.then(operation);
+    writeQueue = result.catch(() => {});
+    return result;
+  };
+
+  const readRecords = async () => {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed[collection]) ? parsed[collection] : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Error reading ${collection} store: ${error.message}`);
+    }
+  };
+
+  const writeRecords = async (records) => {
+    // Write to a temporary file first so a crash never leaves a truncated store
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({ [collection]: records }, null, 2) + '\n');
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  return {
+    async list() {
+      return readRecords();
+    },
+
+    async get(id) {
+      const records = await readRecords();
+      return records.find(record => record.id === id) || null;
+    },
+
+    create(recordOrBuilder) {
+      return enqueue(async () => {
+        const records = await readRecords();
+        const record = typeof recordOrBuilder === 'function' ? await recordOrBuilder(records) : recordOrBuilder;
+        if (records.some(existing => existing.id === record.id)) {
+          throw new Error(`Record already exists in ${collection}: ${record.id}`);
+        }
+        records.push(record);
+        await writeRecords(records);
+        return record;
+      });
+    },
+
+    update(id, recordOrUpdater) {
+      return enqueue(async () => {
+        const records = await readRecords();
+        const index = records.findIndex(existing => existing.id === id);
+        if (index === -1) {
+          return null;
+        }
+        const record = typeof recordOrUpdater === 'function' ? await recordOrUpdater(records[index]) : recordOrUpdater;
+        records[index] = { ...record, id };
+        await writeRecords(records);
+        return records[index];
+      });
+    },
+
+    save(id, recordOrUpdater) {
+      return enqueue(async () => {
+        const records = await readRecords();
+        const index = records.findIndex(existing => existing.id === id);
+        const record = typeof recordOrUpdater === 'function' ?
+          await recordOrUpdater(index === -1 ? null : records[index]) :
+          recordOrUpdater;
+        const saved = { ...record, id };
+        if (index === -1) {
+          records.push(saved);
+        } else {
+          records[index] = saved;
+        }
+        await writeRecords(records);
+        return saved;
+      });
+    },
+
+    remove(id) {
+      return enqueue(async () => {
+        const records = await readRecords();
+        const remaining = records.filter(record => record.id !== id);
+        if (remaining.length === records.length) {
+          return false;
+        }
+        await writeRecords(remaining);
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * Open the shared SQLite database
+ * @returns {Object} better-sqlite3 database
+ */
+function getSqliteDatabase() {
+  if (sqliteDatabase) {
+    return sqliteDatabase;
+  }
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(STORAGE_CONFIG.sqlitePath), { recursive: true });
+  sqliteDatabase = new Database(STORAGE_CONFIG.sqlitePath);
+  return sqliteDatabase;
+}
+
+/**
+ * Create a store that keeps a collection in a SQLite table
+ * Each row holds the record id and the record serialized as JSON
+ * @param {string} collection - Collection name
+ * @returns {Object} Store
+ */
+function createSqliteAdapter(collection) {
+  const db = getSqliteDatabase();
+  const table = collection.replace(/[^A-Za-z0-9_]/g, '_');
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`).run();
+
+  const statements = {
+    list: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+    get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+    insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+    update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+    remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+  };
+
+  return {
+    async list() {
+      return statements.list.all().map(row => JSON.parse(row.data));
+    },
+
+    async get(id) {
+      const row = statements.get.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    // better-sqlite3 is synchronous, so a builder or updater runs in the same transaction as the write
+    async create(recordOrBuilder) {
+      return db.transaction(() => {
+        const record = typeof recordOrBuilder === 'function' ?
+          recordOrBuilder(statements.list.all().map(row => JSON.parse(row.data))) :
+          recordOrBuilder;
+        try {
+          statements.insert.run(record.id, JSON.stringify(record));
+        } catch (error) {
+          if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+            throw new Error(`Record already exists in ${collection}: ${record.id}`);
+          }
+          throw error;
+        }
+        return record;
+      })();
+    },
+
+    async update(id, recordOrUpdater) {
+      return db.transaction(() => {
+        const row = statements.get.get(id);
+        if (!row) {
+          return null;
+        }
+        const record = typeof recordOrUpdater === 'function' ? recordOrUpdater(JSON.parse(row.data)) : recordOrUpdater;
+        const updated = { ...record, id };
+        statements.update.run(JSON.stringify(updated), id);
+        return updated;
+      })();
+    },
+
+    async save(id, recordOrUpdater) {
+      return db.transaction(() => {
+        const row = statements.get.get(id);
+        const record = typeof recordOrUpdater === 'function' ?
+          recordOrUpdater(row ? JSON.parse(row.data) : null) :
+          recordOrUpdater;
+        const saved = { ...record, id };
+        if (row) {
+          statements.update.run(JSON.stringify(saved), id);
+        } else {
+          statements.insert.run(id, JSON.stringify(saved));
+        }
+        return saved;
+      })();
+    },
+
+    async remove(id) {
+      return statements.remove.run(id).changes > 0;
+    }
+  };
+}
+
+module.exports = {
+  createStore
+};
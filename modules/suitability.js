@@ -0,0 +1,256 @@
+/**
+ * Suitability Module
+ *
+ * This module checks recommended products against the client's risk
+ * category and investment knowledge. Product risk grades ('Moderate-High',
+ * 'Aggressive', 'Very High', ...) are mapped onto the six riskometer levels,
+ * from 1 (Low) to 6 (Very High). Each risk category has a highest level it
+ * may hold, and limited investment knowledge lowers it. Lower risk is always
+ * suitable: the debt of an aggressive portfolio is meant to be low risk.
+ *
+ * Products above the client's highest level are left out of their vehicle.
+ * A vehicle left without products is dropped and its amount moves to the
+ * asset class's other vehicles in proportion to their amounts, the way the
+ * allocation solver moves the amount of a vehicle below its minimum ticket.
+ * Products without a risk grade stay and are flagged as not checked. Every
+ * product records why it is or is not suitable.
+ */
+
+// Riskometer levels, from 1 to 6
+const RISK_LEVEL_LABELS = ['Low', 'Low to Moderate', 'Moderate', 'Moderately High', 'High', 'Very High'];
+
+// Riskometer levels of the risk grades used by the product sources (see getRiskLevel for the key format)
+const RISK_LEVELS = {
+  'very low': 1,
+  low: 1,
+  'low moderate': 2,
+  'moderate low': 2,
+  'moderately low': 2,
+  moderate: 3,
+  'moderate high': 4,
+  'moderately high': 4,
+  'moderately aggressive': 4,
+  high: 5,
+  aggressive: 5,
+  'very high': 6,
+  'very aggressive': 6
+};
+
+// Suitability rules
+const SUITABILITY_CONFIG = {
+  // Highest riskometer level each risk category may hold
+  maxRiskLevels: {
+    Conservative: 3,
+    Moderate: 5,
+    Aggressive: 6,
+    'Ultra-Aggressive': 6
+  },
+  // Highest riskometer level for each investment knowledge answer
+  knowledgeCaps: {
+    beginner: 5,
+    intermediate: 6,
+    advanced: 6
+  },
+  // Limit used when the risk category is not known
+  defaultRiskCategory: 'Moderate'
+};
+
+/**
+ * Leave out the recommended products that do not suit the client
+ * @param {Object} recommendations - Recommendations by asset class and product type, with products in the
+ *   product master schema (updated in place)
+ * @param {Object} [clientProfile] - Client profile, for the investment knowledge
+ * @param {string} riskCategory - Client's risk category
+ * @returns {Object} { riskCategory, investmentKnowledge, maxRiskLevel, excludedProducts, excludedVehicles,
+ *   flaggedProducts } where excludedVehicles has the same fields as the allocation solver's exclusions
+ */
+function applySuitability(recommendations, clientProfile, riskCategory) {
+  const investmentKnowledge = clientProfile?.knowledgeAndExperience?.investmentKnowledge || null;
+  const riskLimit = getRiskLimit(riskCategory, investmentKnowledge);
+  const excludedProducts = [];
+  const excludedVehicles = [];
+  const flaggedProducts = [];
+
+  for (const [assetClass, productTypes] of Object.entries(recommendations || {})) {
+    const emptiedVehicles = [];
+
+    for (const [productType, recommendation] of Object.entries(productTypes || {})) {
+      if (!Array.isArray(recommendation?.products) || recommendation.products.length === 0) {
+        continue;
+      }
+
+      const assessed = recommendation.products.map(product => ({
+        ...product,
+        suitability: assessProduct(product, riskLimit)
+      }));
+      recommendation.products = assessed.filter(product => product.suitability.suitable !== false);
+
+      excludedProducts.push(...assessed.filter(product => product.suitability.suitable === false).map(product => ({
+        assetClass,
+        vehicle: productType,
+        product: product.name,
+        riskGrade: product.riskGrade,
+        reason: product.suitability.rationale
+      })));
+      flaggedProducts.push(...recommendation.products.filter(product => product.suitability.suitable === null).map(product => ({
+        assetClass,
+        vehicle: productType,
+        product: product.name,
+        riskGrade: product.riskGrade,
+        reason: product.suitability.rationale
+      })));
+
+      if (recommendation.products.length === 0) {
+        emptiedVehicles.push(productType);
+      }
+    }
+
+    for (const productType of emptiedVehicles) {
+      excludedVehicles.push(dropVehicle(productTypes, productType, assetClass, riskLimit));
+    }
+  }
+
+  return {
+    riskCategory: riskLimit.riskCategory,
+    investmentKnowledge,
+    maxRiskLevel: riskLimit.max,
+    excludedProducts,
+    excludedVehicles,
+    flaggedProducts
+  };
+}
+
+/**
+ * Drop a vehicle without suitable products and spread its amount over the asset class's other vehicles
+ * Vehicles are credited in proportion to their amounts. When no other
+ * vehicle has products, the amount is left for the advisor to place.
+ * @param {Object} productTypes - Recommendations of the asset class by product type (updated in place)
+ * @param {string} productType - Vehicle to drop
+ * @param {string} assetClass - Asset class, used in the report
+ * @param {Object} riskLimit - Output of getRiskLimit
+ * @returns {Object} { assetClass, vehicle, requestedAllocation, allocatedAmount, reason, redistributedTo }
+ */
+function dropVehicle(productTypes, productType, assetClass, riskLimit) {
+  const { allocation = 0, amount = 0 } = productTypes[productType];
+  delete productTypes[productType];
+
+  const remaining = Object.keys(productTypes).filter(key => productTypes[key]?.products?.length > 0 && productTypes[key].amount > 0);
+  const remainingTotal = remaining.reduce((total, key) => total + productTypes[key].amount, 0);
+  const redistributedTo = remaining.map(key => {
+    const recommendation = productTypes[key];
+    const share = recommendation.amount / remainingTotal;
+    recommendation.amount += amount * share;
+    recommendation.allocation = Math.round(((recommendation.allocation || 0) + allocation * share) * 100) / 100;
+    return { vehicle: key, amount: Math.round(amount * share) };
+  });
+
+  return {
+    assetClass,
+    vehicle: productType,
+    requestedAllocation: allocation,
+    allocatedAmount: Math.round(amount),
+    reason: `None of its products is suitable for ${describeClient(riskLimit)}, who may hold up to ${describeLevel(riskLimit.max)} risk`,
+    redistributedTo
+  };
+}
+
+/**
+ * Get the highest riskometer level a client may hold
+ * @param {string} riskCategory - Client's risk category
+ * @param {string|null} [investmentKnowledge] - Client's investment knowledge answer
+ * @returns {Object} { max, riskCategory, limitedByKnowledge, investmentKnowledge } where limitedByKnowledge
+ *   says the knowledge cap lowered the category's level
+ */
+function getRiskLimit(riskCategory, investmentKnowledge) {
+  const category = SUITABILITY_CONFIG.maxRiskLevels[riskCategory] ? riskCategory : SUITABILITY_CONFIG.defaultRiskCategory;
+  const max = SUITABILITY_CONFIG.maxRiskLevels[category];
+  const knowledgeCap = SUITABILITY_CONFIG.knowledgeCaps[investmentKnowledge] ?? max;
+
+  return {
+    max: Math.min(max, knowledgeCap),
+    riskCategory: category,
+    limitedByKnowledge: knowledgeCap < max,
+    investmentKnowledge: investmentKnowledge || null
+  };
+}
+
+/**
+ * Check a product's risk grade against the client's highest level
+ * @param {Object} product - Product in the product master schema
+ * @param {Object} riskLimit - Output of getRiskLimit
+ * @returns {Object} { suitable, riskLevel, riskLabel, maxRiskLevel, rationale } where suitable is null when
+ *   the product has no risk grade
+ */
+function assessProduct(product, riskLimit) {
+  const riskLevel = getRiskLevel(product.riskGrade);
+  const client = describeClient(riskLimit);
+
+  if (riskLevel === null) {
+    return {
+      suitable: null,
+      riskLevel: null,
+      riskLabel: null,
+      maxRiskLevel: riskLimit.max,
+      rationale: product.riskGrade
+        ? `Risk grade "${product.riskGrade}" is not on the riskometer scale; check its suitability for ${client}`
+        : `No risk grade is given; check its suitability for ${client}`
+    };
+  }
+
+  const suitable = riskLevel <= riskLimit.max;
+  return {
+    suitable,
+    riskLevel,
+    riskLabel: RISK_LEVEL_LABELS[riskLevel - 1],
+    maxRiskLevel: riskLimit.max,
+    rationale: suitable
+      ? `${describeLevel(riskLevel)} risk is within ${describeLevel(riskLimit.max)}, the highest risk for ${client}`
+      : `${describeLevel(riskLevel)} risk is above ${describeLevel(riskLimit.max)}, the highest risk for ${client}`
+  };
+}
+
+/**
+ * Describe a client for the suitability rationales
+ * @param {Object} riskLimit - Output of getRiskLimit
+ * @returns {string} e.g. 'an Aggressive client with beginner investment knowledge'
+ */
+function describeClient(riskLimit) {
+  const article = /^[AEIOU]/.test(riskLimit.riskCategory) ? 'an' : 'a';
+  return riskLimit.limitedByKnowledge
+    ? `${article} ${riskLimit.riskCategory} client with ${riskLimit.investmentKnowledge} investment knowledge`
+    : `${article} ${riskLimit.riskCategory} client`;
+}
+
+/**
+ * Describe a riskometer level
+ * @param {number} level - Level from 1 to 6
+ * @returns {string} e.g. 'High (level 5)'
+ */
+function describeLevel(level) {
+  return `${RISK_LEVEL_LABELS[level - 1]} (level ${level})`;
+}
+
+/**
+ * Get the riskometer level of a risk grade
+ * Case, dashes and 'to' are ignored, so 'Moderate-High', 'moderate high'
+ * and 'Low to Moderate' are all understood.
+ * @param {string} riskGrade - Risk grade
+ * @returns {number|null} Level from 1 (Low) to 6 (Very High), or null if not understood
+ */
+function getRiskLevel(riskGrade) {
+  if (typeof riskGrade !== 'string') {
+    return null;
+  }
+  const key = riskGrade.toLowerCase().replace(/\s+to\s+|[-–_/]/g, ' ').replace(/\s+/g, ' ').trim();
+  return RISK_LEVELS[key] ?? null;
+}
+
+module.exports = {
+  RISK_LEVEL_LABELS,
+  RISK_LEVELS,
+  SUITABILITY_CONFIG,
+  applySuitability,
+  getRiskLimit,
+  assessProduct,
+  getRiskLevel
+};
@@ -0,0 +1,175 @@
+/**
+ * Tax Planning Module
+ *
+ * This module plans the tax-saving investments for clients who need Section
+ * 80C deductions. The 80C headroom left after the client's existing 80C
+ * investments is split between ELSS, carved out of the equity mutual fund
+ * allocation, and PPF, carved out of the debt allocation, in the same ratio
+ * as equity and debt in the asset allocation. NPS is suggested on top of
+ * that for the additional Section 80CCD(1B) deduction. The deductions are
+ * only available under the old tax regime.
+ */
+
+const capitalGains = require('./capitalGains');
+
+// Tax-saving limits and instrument details
+const TAX_SAVING_CONFIG = {
+  // Yearly limit on Section 80C deductions (INR)
+  section80CLimit: 150000,
+  // Additional yearly deduction for NPS contributions under Section 80CCD(1B) (INR)
+  npsAdditionalLimit: 50000,
+  // NPS contributions are locked in until this age
+  npsLockInAge: 60,
+  instruments: {
+    elss: { name: 'Equity Linked Savings Scheme (ELSS)', section: '80C', assetClass: 'equity', vehicles: ['Equity Mutual Funds'], lockInYears: 3 },
+    ppf: { name: 'Public Provident Fund (PPF)', section: '80C', assetClass: 'debt', vehicles: ['Direct Debt', 'Debt Mutual Funds'], lockInYears: 15 }
+  }
+};
+
+/**
+ * Plan the client's tax-saving investments
+ * @param {Object} clientProfile - Client profile
+ * @param {Object} assetAllocation - Asset allocation with assetClassAllocation and, when available, detailedAllocation (crores)
+ * @returns {Object|null} Tax-saving plan, or null when the client does not need tax-saving investments
+ */
+function planTaxSaving(clientProfile, assetAllocation) {
+  const taxConsiderations = clientProfile?.taxConsiderations;
+  if (!taxConsiderations?.taxSavingInvestmentsRequired) {
+    return null;
+  }
+
+  const notes = [];
+  const existingInvestments = Math.min(taxConsiderations.existing80CInvestments || 0, TAX_SAVING_CONFIG.section80CLimit);
+  const headroom = TAX_SAVING_CONFIG.section80CLimit - existingInvestments;
+  const portfolioSize = assetAllocation.portfolioSize ?? Math.round((assetAllocation.detailedAllocation?.Total || 0) * 10000000);
+
+  // Share the headroom between equity and debt as the asset allocation does
+  const assetClassAllocation = assetAllocation.assetClassAllocation || {};
+  const equity = assetClassAllocation.equity || 0;
+  const debt = assetClassAllocation.debt || 0;
+  const equityShare = equity + debt > 0 ? equity / (equity + debt) : 1;
+
+  const available = {
+    elss: getAvailableAmount(TAX_SAVING_CONFIG.instruments.elss, assetAllocation, portfolioSize),
+    ppf: getAvailableAmount(TAX_SAVING_CONFIG.instruments.ppf, assetAllocation, portfolioSize)
+  };
+  let elss = Math.min(Math.round(headroom * equityShare), available.elss.amount);
+  const ppf = Math.min(headroom - elss, available.ppf.amount);
+  // Whatever PPF cannot take goes to ELSS, and the other way round
+  elss = Math.min(headroom - ppf, available.elss.amount);
+
+  const deduction = elss + ppf;
+  const { slabRate, assumed } = capitalGains.getSlabRate(clientProfile);
+
+  if (headroom === 0) {
+    notes.push('The Section 80C limit is already used by existing investments');
+  } else if (deduction < headroom) {
+    notes.push(`The allocation leaves room for ₹${deduction.toLocaleString('en-IN')} of the ₹${headroom.toLocaleString('en-IN')} Section 80C headroom`);
+  }
+  if (assumed) {
+    notes.push(`The tax bracket is not known, so the tax saving assumes the ${slabRate}% slab`);
+  }
+  if (clientProfile.liquidityNeeds?.shortTermLiquidity && deduction > 0) {
+    notes.push('The tax-saving investments are locked in and cannot meet short-term liquidity needs');
+  }
+  notes.push('The deductions apply under the old tax regime and renew every financial year');
+
+  return {
+    section80CLimit: TAX_SAVING_CONFIG.section80CLimit,
+    existingInvestments,
+    headroom,
+    elss: elss > 0 ? describeInstrument('elss', elss, available.elss.vehicle, slabRate) : null,
+    ppf: ppf > 0 ? describeInstrument('ppf', ppf, available.ppf.vehicle, slabRate) : null,
+    nps: suggestNps(clientProfile, slabRate),
+    deduction,
+    estimatedTaxSaving: estimateTaxSaving(deduction, slabRate),
+    slabRate,
+    slabRateAssumed: assumed,
+    notes
+  };
+}
+
+/**
+ * Find the amount an instrument can be carved out of
+ * @param {Object} instrument - Entry of TAX_SAVING_CONFIG.instruments
+ * @param {Object} assetAllocation - Asset allocation
+ * @param {number} portfolioSize - Portfolio size in INR
+ * @returns {Object} { vehicle, amount } for the first of the instrument's vehicles in the allocation,
+ *   or the whole asset class when there is no detailed allocation
+ */
+function getAvailableAmount(instrument, assetAllocation, portfolioSize) {
+  const detailedAllocation = assetAllocation.detailedAllocation;
+
+  if (detailedAllocation && detailedAllocation.Total > 0) {
+    for (const vehicle of instrument.vehicles) {
+      const amount = Math.round((Number(detailedAllocation[vehicle]) || 0) * 10000000);
+      if (amount > 0) {
+        return { vehicle, amount };
+      }
+    }
+    return { vehicle: null, amount: 0 };
+  }
+
+  const percentage = assetAllocation.assetClassAllocation?.[instrument.assetClass] || 0;
+  return { vehicle: instrument.vehicles[0], amount: Math.round(portfolioSize * percentage / 100) };
+}
+
+/**
+ * Describe a tax-saving instrument in the plan
+ * @param {string} key - Key of TAX_SAVING_CONFIG.instruments
+ * @param {number} amount - Amount invested (INR)
+ * @param {string} vehicle - Allocation vehicle the amount is carved out of
+ * @param {number} slabRate - Client's slab rate in percent
+ * @returns {Object} Instrument with its amount, lock-in and tax saving
+ */
+function describeInstrument(key, amount, vehicle, slabRate) {
+  const { name, section, assetClass, lockInYears } = TAX_SAVING_CONFIG.instruments[key];
+
+  return {
+    name,
+    section,
+    assetClass,
+    vehicle,
+    amount,
+    lockInPeriod: `${lockInYears} years`,
+    estimatedTaxSaving: estimateTaxSaving(amount, slabRate)
+  };
+}
+
+/**
+ * Suggest an NPS contribution for the additional Section 80CCD(1B) deduction
+ * The contribution is on top of the allocation, as NPS is locked in until retirement.
+ * @param {Object} clientProfile - Client profile
+ * @param {number} slabRate - Client's slab rate in percent
+ * @returns {Object|null} Optional NPS suggestion, or null when the client is past the lock-in age
+ */
+function suggestNps(clientProfile, slabRate) {
+  const age = clientProfile.personalInfo?.age;
+  if (typeof age === 'number' && age >= TAX_SAVING_CONFIG.npsLockInAge) {
+    return null;
+  }
+
+  return {
+    name: 'National Pension System (NPS) Tier I',
+    section: '80CCD(1B)',
+    amount: TAX_SAVING_CONFIG.npsAdditionalLimit,
+    optional: true,
+    lockInPeriod: `Until age ${TAX_SAVING_CONFIG.npsLockInAge}`,
+    estimatedTaxSaving: estimateTaxSaving(TAX_SAVING_CONFIG.npsAdditionalLimit, slabRate)
+  };
+}
+
+/**
+ * Estimate the income tax saved by a deduction, including cess
+ * @param {number} deduction - Deduction claimed (INR)
+ * @param {number} slabRate - Slab rate in percent
+ * @returns {number} Tax saved (INR)
+ */
+function estimateTaxSaving(deduction, slabRate) {
+  return Math.round(deduction * slabRate / 100 * (1 + capitalGains.TAX_CONFIG.cess / 100));
+}
+
+module.exports = {
+  TAX_SAVING_CONFIG,
+  planTaxSaving
+};
@@ -0,0 +1,484 @@
+/**
+ * Request Validation Module
+ *
+ * This module defines the joi schemas for every /api request body and
+ * provides an Express middleware that rejects invalid requests with a
+ * structured list of field-level violations.
+ */
+
+const Joi = require('joi');
+const riskQuestionnaire = require('./riskQuestionnaire');
+
+// Allowed values for questionnaire answers (taken from the active risk questionnaire)
+const RISK_CATEGORIES = riskQuestionnaire.RISK_CATEGORIES;
+const MARKET_DROP_REACTIONS = riskQuestionnaire.getAnswerOptions('marketDropReaction');
+const RETURNS_VS_STABILITY = riskQuestionnaire.getAnswerOptions('returnsVsStabilityPreference');
+const PORTFOLIO_STYLES = riskQuestionnaire.getAnswerOptions('preferredPortfolioStyle');
+const INVESTMENT_HORIZONS = riskQuestionnaire.getAnswerOptions('investmentHorizon');
+const INVESTMENT_KNOWLEDGE = riskQuestionnaire.getAnswerOptions('investmentKnowledge');
+
+/**
+ * Schema for a questionnaire answer
+ * Any string is accepted when the active questionnaire no longer asks the question.
+ * @param {Array} options - Accepted answers
+ * @returns {Object} Joi schema
+ */
+const answer = options => (options.length > 0 ? Joi.string().valid(...options) : Joi.string()).allow(null);
+
+// Percentage value between 0 and 100
+const percentage = Joi.number().min(0).max(100);
+
+// Non-negative amount in INR
+const amount = Joi.number().min(0);
+
+// Calendar date as YYYY-MM-DD
+const calendarDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD date');
+
+const personalInfoSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  age: Joi.alternatives().try(
+    Joi.number().integer().min(18).max(120),
+    Joi.string().isoDate()
+  ),
+  dateOfBirth: Joi.string().isoDate(),
+  maritalStatus: Joi.string().allow('', null),
+  dependents: Joi.number().integer().min(0).max(20).allow(null),
+  occupation: Joi.string().allow('', null),
+  annualIncome: amount.allow(null),
+  contactDetails: Joi.object({
+    email: Joi.string().email({ tlds: { allow: false } }).allow('', null),
+    phone: Joi.string().allow('', null),
+    address: Joi.string().allow('', null)
+  }).unknown(true).allow(null)
+}).unknown(true);
+
+const financialSituationSchema = Joi.object({
+  currentInvestments: amount.allow(null),
+  liabilities: amount.allow(null),
+  realEstateHoldings: amount.allow(null),
+  savings: amount.allow(null),
+  emergencyFundStatus: Joi.string().allow('', null),
+  monthlyExpenses: amount.allow(null),
+  existingInvestmentProducts: Joi.array().items(Joi.string()).allow(null)
+}).unknown(true);
+
+// Furthest a goal's target date may be, in years from today
+const MAX_GOAL_YEARS = 50;
+
+// Financial goal for goal-based planning (see goals.js)
+const goalSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  targetAmount: Joi.number().positive().required(),
+  targetDate: calendarDate.required().custom((targetDate, helpers) => {
+    const limit = new Date();
+    limit.setFullYear(limit.getFullYear() + MAX_GOAL_YEARS);
+    if (new Date(targetDate) > limit) {
+      return helpers.message(`{{#label}} must be within ${MAX_GOAL_YEARS} years of today`);
+    }
+    return targetDate;
+  }),
+  inflationRate: Joi.number().min(0).max(30),
+  priority: Joi.string().valid('high', 'medium', 'low')
+}).unknown(true);
+
+const investmentObjectivesSchema = Joi.object({
+  primaryGoals: Joi.array().items(Joi.string()).allow(null),
+  goals: Joi.array().items(goalSchema).max(20).allow(null),
+  investmentHorizon: answer(INVESTMENT_HORIZONS),
+  preferredStyle: Joi.string().allow('', null),
+  initialInvestmentAmount: Joi.number().positive(),
+  regularContributionAmount: amount.allow(null)
+}).unknown(true);
+
+const riskToleranceSchema = Joi.object({
+  marketDropReaction: answer(MARKET_DROP_REACTIONS),
+  maxAcceptableLoss: percentage.allow(null),
+  returnsVsStabilityPreference: answer(RETURNS_VS_STABILITY),
+  preferredPortfolioStyle: answer(PORTFOLIO_STYLES)
+}).unknown(true);
+
+const liquidityNeedsSchema = Joi.object({
+  shortTermLiquidity: Joi.boolean().allow(null),
+  accessiblePortfolioPercentage: percentage.allow(null)
+}).unknown(true);
+
+const taxConsiderationsSchema = Joi.object({
+  taxSavingInvestmentsRequired: Joi.boolean().allow(null),
+  // Section 80C investments already made this financial year (EPF, insurance premiums, ...)
+  existing80CInvestments: amount.allow(null),
+  taxBracket: Joi.alternatives().try(
+    Joi.number().min(0).max(50),
+    Joi.string().pattern(/^\d{1,2}(\.\d+)?%$/)
+  ).allow(null)
+}).unknown(true);
+
+const knowledgeAndExperienceSchema = Joi.object({
+  investmentKnowledge: answer(INVESTMENT_KNOWLEDGE),
+  decisionMakingApproach: Joi.string().allow('', null)
+}).unknown(true);
+
+const behavioralInsightsSchema = Joi.object({
+  emotionalReaction: Joi.string().allow('', null),
+  managementPreference: Joi.string().allow('', null)
+}).unknown(true);
+
+// Client profile as produced by /api/profile and echoed back by the frontend
+const clientProfileSchema = Joi.object({
+  personalInfo: personalInfoSchema,
+  financialSituation: financialSituationSchema,
+  investmentObjectives: investmentObjectivesSchema,
+  riskTolerance: riskToleranceSchema,
+  liquidityNeeds: liquidityNeedsSchema.allow(null),
+  taxConsiderations: taxConsiderationsSchema.allow(null),
+  knowledgeAndExperience: knowledgeAndExperienceSchema.allow(null),
+  behavioralInsights: behavioralInsightsSchema.allow(null)
+}).unknown(true);
+
+const riskProfileSchema = Joi.object({
+  riskCategory: Joi.string().valid(...RISK_CATEGORIES).required(),
+  riskScore: Joi.number().min(0)
+}).unknown(true);
+
+const assetClassAllocationSchema = Joi.object({
+  equity: percentage,
+  debt: percentage,
+  goldSilver: percentage,
+  cash: percentage
+}).unknown(true);
+
+const assetAllocationSchema = Joi.object({
+  portfolioSize: amount,
+  portfolioSizeInCrores: amount,
+  assetClassAllocation: assetClassAllocationSchema,
+  detailedAllocation: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.number(), Joi.string())),
+  vehicleWeights: Joi.object().pattern(Joi.string(), percentage),
+  productTypeAllocation: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), percentage))
+}).unknown(true);
+
+// Product types available in each asset class
+const PRODUCT_TYPES = {
+  equity: ['mutualFunds', 'etf', 'pms', 'aif', 'listedStocks', 'unlistedStocks'],
+  debt: ['mutualFunds', 'direct', 'aif'],
+  goldSilver: ['etf', 'physical']
+};
+
+// Product type split per asset class set by the advisor (percentages of the asset class)
+const manualProductTypeAllocationSchema = Joi.object(Object.fromEntries(
+  Object.entries(PRODUCT_TYPES).map(([assetClass, productTypes]) => [
+    assetClass,
+    Joi.object(Object.fromEntries(productTypes.map(productType => [productType, percentage]))).min(1)
+  ])
+));
+
+// Units bought on one date; the cost is the amount paid, or units times the purchase NAV
+const lotSchema = Joi.object({
+  purchaseDate: calendarDate,
+  units: Joi.number().positive().required(),
+  cost: amount,
+  nav: amount
+});
+
+// Existing investment of a client; the value is given directly or as units x NAV
+const holdingSchema = Joi.object({
+  schemeName: Joi.string().trim().min(1).max(300).required(),
+  folio: Joi.string().trim().max(50),
+  isin: Joi.string().pattern(/^[A-Za-z]{2}[A-Za-z0-9]{9}[0-9]$/, 'ISIN'),
+  units: Joi.number().min(0),
+  nav: amount,
+  value: amount,
+  costValue: amount,
+  lots: Joi.array().items(lotSchema).min(1),
+  // Exit load as described in the product data (e.g. '1% if redeemed within 1 year')
+  exitLoad: Joi.string().trim().max(300),
+  assetClass: Joi.string().valid('equity', 'debt', 'goldSilver', 'cash'),
+  productType: Joi.string().valid(...new Set(Object.values(PRODUCT_TYPES).flat()))
+}).or('value', 'nav').with('nav', 'units').with('productType', 'assetClass').custom((holding, helpers) => {
+  if (holding.productType && !(PRODUCT_TYPES[holding.assetClass] || []).includes(holding.productType)) {
+    return helpers.message(`productType ${holding.productType} is not available for assetClass ${holding.assetClass}`);
+  }
+  return holding;
+});
+
+const productRecommendationsSchema = Joi.object({
+  recommendations: Joi.object(),
+  recommendationSummary: Joi.string().allow('')
+}).unknown(true);
+
+// Drift band in percentage points of the portfolio
+const driftBand = Joi.number().min(0).max(100);
+
+// Stored client id (see data/clients.json)
+const clientId = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(64);
+
+// Required unless the request refers to a stored client by clientId
+const requiredWithoutClientId = schema => schema.when('clientId', { is: Joi.exist(), otherwise: Joi.required() });
+
+// Complete questionnaire, as submitted to /api/profile
+const completeProfileSchema = clientProfileSchema.fork(
+  ['personalInfo', 'financialSituation', 'investmentObjectives', 'riskTolerance', 'personalInfo.name'],
+  schema => schema.required()
+);
+
+// Allocation matrix; bands and weights are checked by allocationMatrix.validateAllocationMatrix
+const allocationMatrixSchema = Joi.object({
+  description: Joi.string().allow(''),
+  vehicles: Joi.object().required(),
+  strategies: Joi.object().required()
+});
+
+// One or more values of a query parameter (?category=pms or ?category=pms&category=aif)
+const queryList = item => Joi.array().items(item).single();
+
+// Product catalogue filters, sorting and paging (GET query)
+const productCatalogSchema = Joi.object({
+  category: queryList(Joi.string().valid('mutualFunds', 'unlistedStocks', 'pms', 'alternativeFunds', 'debtPapers')),
+  assetClass: queryList(Joi.string().valid('equity', 'debt', 'goldSilver', 'insurance')),
+  riskGrade: queryList(Joi.string().trim().max(100)),
+  rating: queryList(Joi.string().trim().max(50)),
+  // Products whose minimum investment is at most this amount
+  maxMinInvestment: amount,
+  manufacturer: Joi.string().trim().min(1).max(200),
+  // Returns period (1m, 1yr, 3yr, ...) to filter and sort on
+  returnsPeriod: Joi.string().pattern(/^(\d+(m|yr)|sinceInception)$/, 'returns period'),
+  minReturn: Joi.number(),
+  sort: Joi.string().valid('name', 'minInvestment', 'returns', 'lockInMonths', 'expenseRatio').default('name'),
+  order: Joi.string().valid('asc', 'desc').default('asc'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(1000)
+}).with('minReturn', 'returnsPeriod');
+
+// Request body schemas, one per route
+const schemas = {
+  profile: completeProfileSchema,
+
+  createClient: completeProfileSchema.keys({
+    id: clientId
+  }),
+
+  updateClient: clientProfileSchema,
+
+  riskAssessment: clientProfileSchema.keys({
+    clientId,
+    questionnaireVersion: Joi.string()
+  }).fork(
+    ['personalInfo', 'investmentObjectives', 'riskTolerance'],
+    requiredWithoutClientId
+  ),
+
+  assetAllocation: Joi.object({
+    clientId,
+    // Selects the allocation policy in force on this date (default today)
+    proposalDate: calendarDate,
+    clientProfile: requiredWithoutClientId(clientProfileSchema.fork(
+      ['investmentObjectives', 'investmentObjectives.initialInvestmentAmount'],
+      schema => schema.required()
+    )),
+    riskProfile: riskProfileSchema.required()
+  }).unknown(true),
+
+  goalPlan: Joi.object({
+    clientId,
+    proposalDate: calendarDate,
+    clientProfile: requiredWithoutClientId(clientProfileSchema.fork(
+      ['investmentObjectives', 'investmentObjectives.goals'],
+      schema => schema.required()
+    )),
+    riskProfile: riskProfileSchema.required()
+  }).unknown(true),
+
+  projection: Joi.object({
+    clientId,
+    proposalDate: calendarDate,
+    clientProfile: requiredWithoutClientId(clientProfileSchema),
+    riskProfile: riskProfileSchema.when('assetAllocation', { is: Joi.exist(), otherwise: Joi.required() }),
+    assetAllocation: assetAllocationSchema,
+    years: Joi.number().integer().min(1).max(50),
+    initialAmount: amount,
+    monthlyContribution: amount
+  }).unknown(true),
+
+  manualAllocation: Joi.object({
+    proposalDate: calendarDate,
+    assetAllocation: assetAllocationSchema.fork(
+      ['assetClassAllocation', 'assetClassAllocation.equity'],
+      schema => schema.required()
+    ).keys({
+      productTypeAllocation: manualProductTypeAllocationSchema
+    }).required(),
+    clientProfile: clientProfileSchema.fork(
+      ['personalInfo', 'personalInfo.name'],
+      schema => schema.required()
+    ).required()
+  }).unknown(true),
+
+  saveHoldings: Joi.object({
+    holdings: Joi.array().items(holdingSchema).min(1).required(),
+    asOf: calendarDate,
+    source: Joi.string().trim().max(50)
+  }),
+
+  gapAnalysis: Joi.object({
+    clientId,
+    proposalDate: calendarDate,
+    clientProfile: requiredWithoutClientId(clientProfileSchema),
+    riskProfile: riskProfileSchema.required(),
+    // Defaults to the holdings stored for clientId
+    holdings: Joi.array().items(holdingSchema).min(1),
+    newInvestment: amount,
+    assetAllocation: assetAllocationSchema.fork(['detailedAllocation'], schema => schema.required()),
+    productRecommendations: productRecommendationsSchema
+  }).or('holdings', 'clientId').unknown(true),
+
+  capitalGains: Joi.object({
+    clientId,
+    clientProfile: requiredWithoutClientId(clientProfileSchema),
+    // Defaults to the holdings stored for clientId
+    holdings: Joi.array().items(holdingSchema).min(1),
+    // Defaults to selling every holding in full
+    sales: Joi.array().items(Joi.object({
+      isin: Joi.string().pattern(/^[A-Za-z]{2}[A-Za-z0-9]{9}[0-9]$/, 'ISIN'),
+      schemeName: Joi.string().trim().min(1).max(300),
+      folio: Joi.string().trim().max(50),
+      amount: Joi.number().positive()
+    }).or('isin', 'schemeName')).min(1),
+    saleDate: calendarDate,
+    // Part of this financial year's ₹1.25 lakh equity exemption still available
+    equityExemptionAvailable: amount
+  }).or('holdings', 'clientId').unknown(true),
+
+  rebalancing: Joi.object({
+    clientId,
+    proposalDate: calendarDate,
+    clientProfile: requiredWithoutClientId(clientProfileSchema),
+    riskProfile: riskProfileSchema.required(),
+    // Defaults to the holdings stored for clientId
+    holdings: Joi.array().items(holdingSchema).min(1),
+    newInvestment: amount,
+    // Defaults to the client's regular contribution
+    monthlyContribution: amount,
+    sipMonths: Joi.number().integer().min(1).max(60),
+    preferNewMoney: Joi.boolean(),
+    // Date the capital gains on sells are estimated for (defaults to today)
+    saleDate: calendarDate,
+    driftBands: Joi.object({
+      assetClass: Joi.object().pattern(Joi.string().valid('default', 'equity', 'debt', 'goldSilver', 'cash'), driftBand),
+      vehicle: Joi.object().pattern(Joi.string(), driftBand)
+    }),
+    assetAllocation: assetAllocationSchema.fork(['detailedAllocation'], schema => schema.required()),
+    productRecommendations: productRecommendationsSchema
+  }).or('holdings', 'clientId').unknown(true),
+
+  productRecommendations: Joi.object({
+    clientProfile: clientProfileSchema,
+    riskProfile: riskProfileSchema.required(),
+    assetAllocation: assetAllocationSchema.fork(['assetClassAllocation'], schema => schema.required()).required()
+  }).unknown(true),
+
+  generateProposal: Joi.object({
+    clientId,
+    proposalDate: calendarDate,
+    clientProfile: requiredWithoutClientId(clientProfileSchema),
+    riskProfile: riskProfileSchema.required(),
+    assetAllocation: assetAllocationSchema,
+    productRecommendations: productRecommendationsSchema
+  }).unknown(true),
+
+  createAllocationPolicy: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().allow('').max(2000),
+    effectiveFrom: calendarDate.required(),
+    matrix: allocationMatrixSchema.required()
+  }),
+
+  updateAllocationPolicy: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow('').max(2000),
+    effectiveFrom: calendarDate,
+    matrix: allocationMatrixSchema
+  }).or('name', 'description', 'effectiveFrom', 'matrix'),
+
+  reviewAllocationPolicy: Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required(),
+    comment: Joi.string().allow('').max(2000)
+  }),
+
+  activateAllocationPolicy: Joi.object({}),
+
+  effectiveAllocationPolicy: Joi.object({
+    date: calendarDate
+  }),
+
+  productCatalog: productCatalogSchema,
+
+  productSearch: productCatalogSchema.keys({
+    q: Joi.string().trim().min(2).max(200).required()
+  })
+};
+
+schemas.generateProposalPdf = schemas.generateProposal.keys({
+  // Required to produce a PDF when the inconsistency checks report blocking findings
+  advisorOverride: Joi.object({
+    reason: Joi.string().trim().min(10).max(1000).required(),
+    advisorName: Joi.string().trim().max(200)
+  })
+});
+
+/**
+ * Validate a value against a schema and collect every violation
+ * @param {Object} schema - Joi schema
+ * @param {*} value - Value to validate
+ * @returns {Object} { value, errors } where errors is null when valid
+ */
+function validate(schema, value) {
+  const { error, value: validatedValue } = schema.validate(value, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+
+  if (!error) {
+    return { value: validatedValue, errors: null };
+  }
+
+  return {
+    value: validatedValue,
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      type: detail.type
+    }))
+  };
+}
+
+/**
+ * Create an Express middleware that validates the request body
+ * @param {Object} schema - Joi schema for the request body
+ * @returns {Function} Express middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body || {});
+
+    if (errors) {
+      return res.status(422).json({
+        success: false,
+        error: 'Request validation failed',
+        details: errors
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  schemas,
+  validate,
+  validateBody,
+  RISK_CATEGORIES,
+  MARKET_DROP_REACTIONS,
+  RETURNS_VS_STABILITY,
+  PORTFOLIO_STYLES,
+  INVESTMENT_HORIZONS,
+  INVESTMENT_KNOWLEDGE
+};
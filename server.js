@@ -12,6 +12,25 @@ const products = require('./modules/products');
 const proposal = require('./modules/proposal');
 const marketOutlook = require('./modules/marketOutlook');
 const stockCategories = require('./modules/stockCategories');
+const validation = require('./modules/validation');
+const clients = require('./modules/clients');
+const proposalStore = require('./modules/proposalStore');
+const proposalDiff = require('./modules/proposalDiff');
+const riskQuestionnaire = require('./modules/riskQuestionnaire');
+const inconsistencyRules = require('./modules/inconsistencyRules');
+const projection = require('./modules/projection');
+const allocationMatrix = require('./modules/allocationMatrix');
+const allocationPolicies = require('./modules/allocationPolicies');
+const manualAllocation = require('./modules/manualAllocation');
+const holdings = require('./modules/holdings');
+const casParser = require('./modules/casParser');
+const rebalancing = require('./modules/rebalancing');
+const capitalGains = require('./modules/capitalGains');
+const productCatalog = require('./modules/productCatalog');
+const adminAuth = require('./modules/adminAuth');
+
+// Load the allocation matrix now so an invalid config stops the server from starting
+allocationMatrix.getAllocationMatrix();
 
 // Create Express app
 const app = express();
@@ -29,7 +48,7 @@ app.get('/', (req, res) => {
 });
 
 // Client profiling endpoint
-app.post('/api/profile', (req, res) => {
+app.post('/api/profile', validation.validateBody(validation.schemas.profile), (req, res) => {
   try {
     const clientProfile = profiling.processClientProfile(req.body);
     res.json({ success: true, clientProfile });
@@ -38,10 +57,235 @@ app.post('/api/profile', (req, res) => {
   }
 });
 
+// List stored clients
+app.get('/api/clients', async (req, res) => {
+  try {
+    const clientList = await clients.listClients();
+    res.json({ success: true, clients: clientList });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a stored client
+app.get('/api/clients/:id', async (req, res) => {
+  try {
+    const client = await clients.getClient(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    res.json({ success: true, client });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a stored client
+app.post('/api/clients', validation.validateBody(validation.schemas.createClient), async (req, res) => {
+  try {
+    const client = await clients.createClient(req.body);
+    if (!client) {
+      return res.status(409).json({ success: false, error: `Client already exists: ${req.body.id}` });
+    }
+    res.status(201).json({ success: true, client });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a stored client
+app.put('/api/clients/:id', validation.validateBody(validation.schemas.updateClient), async (req, res) => {
+  try {
+    const client = await clients.updateClient(req.params.id, req.body);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    res.json({ success: true, client });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a stored client
+app.delete('/api/clients/:id', async (req, res) => {
+  try {
+    const deleted = await clients.deleteClient(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List the stored proposals for a client
+app.get('/api/clients/:id/proposals', async (req, res) => {
+  try {
+    const client = await clients.getClient(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    const proposals = await proposalStore.listClientProposals(req.params.id);
+    res.json({ success: true, proposals });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the imported holdings of a client
+app.get('/api/clients/:id/holdings', async (req, res) => {
+  try {
+    const client = await clients.getClient(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    const record = await holdings.getHoldings(req.params.id);
+    res.json({ success: true, holdings: record });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import (replace) the holdings of a client
+app.put('/api/clients/:id/holdings', validation.validateBody(validation.schemas.saveHoldings), async (req, res) => {
+  try {
+    const client = await clients.getClient(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    const record = await holdings.saveHoldings(req.params.id, req.body);
+    res.json({ success: true, holdings: record });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Import the mutual fund holdings of a client from a CAS
+// The statement is uploaded as is: text/plain, or application/pdf with the password in X-CAS-Password
+const casUpload = [
+  bodyParser.text({ type: 'text/plain', limit: casParser.CAS_CONFIG.maxUploadSize }),
+  bodyParser.raw({ type: ['application/pdf', 'application/octet-stream'], limit: casParser.CAS_CONFIG.maxUploadSize })
+];
+app.post('/api/clients/:id/holdings/cas', casUpload, async (req, res) => {
+  try {
+    const client = await clients.getClient(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    if (!(typeof req.body === 'string' || Buffer.isBuffer(req.body)) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'Upload the CAS as text/plain or application/pdf' });
+    }
+    const result = await casParser.importCas(req.params.id, req.body, req.get('X-CAS-Password'));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Admin routes need an admin API key; req.adminUser is the actor recorded in audit trails
+app.use('/api/admin', adminAuth.requireAdmin());
+
+// List allocation policies
+app.get('/api/admin/allocation-policies', async (req, res) => {
+  try {
+    const policies = await allocationPolicies.listPolicies();
+    res.json({ success: true, policies });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Allocation policy in force on a date (?date=YYYY-MM-DD, default today)
+app.get('/api/admin/allocation-policies/effective', async (req, res) => {
+  try {
+    const { errors, value } = validation.validate(validation.schemas.effectiveAllocationPolicy, req.query);
+    if (errors) {
+      return res.status(422).json({ success: false, error: 'Request validation failed', details: errors });
+    }
+    const policy = await allocationPolicies.getEffectivePolicy(value.date);
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get an allocation policy with its matrix and audit trail
+app.get('/api/admin/allocation-policies/:id', async (req, res) => {
+  try {
+    const policy = await allocationPolicies.getPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: `Allocation policy not found: ${req.params.id}` });
+    }
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a draft allocation policy
+app.post('/api/admin/allocation-policies', validation.validateBody(validation.schemas.createAllocationPolicy), async (req, res) => {
+  try {
+    const policy = await allocationPolicies.createPolicy(req.body, req.adminUser);
+    res.status(201).json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Edit a draft or rejected allocation policy
+app.put('/api/admin/allocation-policies/:id', validation.validateBody(validation.schemas.updateAllocationPolicy), async (req, res) => {
+  try {
+    const policy = await allocationPolicies.updatePolicy(req.params.id, req.body, req.adminUser);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: `Allocation policy not found: ${req.params.id}` });
+    }
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Approve or reject a draft allocation policy
+app.post('/api/admin/allocation-policies/:id/review', validation.validateBody(validation.schemas.reviewAllocationPolicy), async (req, res) => {
+  try {
+    const policy = await allocationPolicies.reviewPolicy(req.params.id, req.body, req.adminUser);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: `Allocation policy not found: ${req.params.id}` });
+    }
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Activate an approved allocation policy from its effective date
+app.post('/api/admin/allocation-policies/:id/activate', validation.validateBody(validation.schemas.activateAllocationPolicy), async (req, res) => {
+  try {
+    const policy = await allocationPolicies.activatePolicy(req.params.id, req.adminUser);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: `Allocation policy not found: ${req.params.id}` });
+    }
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Risk questionnaire definition (active version unless ?version= is given)
+app.get('/api/risk-questionnaire', (req, res) => {
+  try {
+    const questionnaire = riskQuestionnaire.getQuestionnaire(req.query.version);
+    res.json({ success: true, questionnaire, versions: riskQuestionnaire.listQuestionnaires() });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
 // Risk assessment endpoint
-app.post('/api/risk-assessment', (req, res) => {
+app.post('/api/risk-assessment', validation.validateBody(validation.schemas.riskAssessment), clients.attachClientProfile(null), (req, res) => {
   try {
-    const riskAssessment = risk.assessRiskProfile(req.body);
+    const riskAssessment = risk.assessRiskProfile(req.body, req.body.questionnaireVersion);
     res.json({ success: true, riskAssessment });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
@@ -49,7 +293,7 @@ app.post('/api/risk-assessment', (req, res) => {
 });
 
 // Manual asset allocation and risk assessment endpoint
-app.post('/api/manual-allocation', async (req, res) => {
+app.post('/api/manual-allocation', validation.validateBody(validation.schemas.manualAllocation), allocationPolicies.attachAllocationPolicy(), async (req, res) => {
   try {
     console.log('=== Manual Allocation API Request ===');
     console.log('Raw Request Body:', JSON.stringify(req.body, null, 2));
@@ -59,62 +303,38 @@ app.post('/api/manual-allocation', async (req, res) => {
     console.log('Asset Allocation:', JSON.stringify(assetAllocation, null, 2));
     console.log('Client Profile:', JSON.stringify(clientProfile, null, 2));
     
-    // Validate required fields
-    if (!assetAllocation || !clientProfile || !clientProfile.personalInfo || !clientProfile.personalInfo.name) {
-      throw new Error('Missing required fields: asset allocation and client name');
-    }
-    
-    // Check if assetClassAllocation exists and has the necessary properties
-    if (!assetAllocation.assetClassAllocation) {
-      console.error('Error: assetClassAllocation is missing in assetAllocation');
-      throw new Error('Missing assetClassAllocation in asset allocation data');
-    }
-    
+    // Required fields (client name, assetClassAllocation.equity) are enforced by the request schema
     console.log('Asset Class Allocation:', JSON.stringify(assetAllocation.assetClassAllocation, null, 2));
     
-    // Verify that equity property exists in assetClassAllocation
-    if (assetAllocation.assetClassAllocation.equity === undefined) {
-      console.error('Error: equity is missing in assetClassAllocation');
-      throw new Error('Missing equity allocation in asset allocation data');
+    const portfolioSize = clientProfile.investmentObjectives?.initialInvestmentAmount || 100000;
+    const portfolioSizeInCrores = portfolioSize / 10000000;
+    
+    // Percentages must add up and every vehicle must meet its minimum ticket
+    const allocationErrors = manualAllocation.validateManualAllocation(assetAllocation, portfolioSize);
+    if (allocationErrors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Manual allocation is invalid',
+        details: allocationErrors
+      });
     }
     
     // Calculate risk profile based on allocation
     const riskProfile = risk.assessRiskFromAllocation(assetAllocation);
     console.log('Risk Profile:', JSON.stringify(riskProfile, null, 2));
     
-    // Generate asset allocation using our updated logic
-    const portfolioSize = clientProfile.investmentObjectives?.initialInvestmentAmount || 100000;
-    const portfolioSizeInCrores = portfolioSize / 10000000;
-    
-    console.log(`Generating allocation for ${riskProfile.riskCategory} risk profile with ${portfolioSizeInCrores} crore portfolio`);
+    console.log(`Keeping manual allocation for ${riskProfile.riskCategory} risk profile with ${portfolioSizeInCrores} crore portfolio`);
     
-    // Generate a fresh allocation using our updated logic
-    const freshAllocation = allocation.generateAssetAllocation({
+    // Keep the advisor's allocation and compare it with the model allocation for the implied risk category
+    const allocData = manualAllocation.buildManualAllocation({
+      assetAllocation,
       clientProfile,
-      riskProfile
+      riskProfile,
+      portfolioSize,
+      allocationPolicy: req.body.allocationPolicy,
+      proposalDate: req.body.proposalDate
     });
-    
-    console.log('Fresh allocation generated:', JSON.stringify(freshAllocation, null, 2));
-    
-    // Use the fresh allocation data instead of the user-provided allocation
-    const allocData = freshAllocation;
-    console.log('Using updated allocation data:', JSON.stringify(allocData, null, 2));
-    
-    // Add default product type allocation if not present
-    if (!allocData.productTypeAllocation) {
-      console.log('Adding default productTypeAllocation');
-      allocData.productTypeAllocation = {
-        equity: {
-          mutualFunds: 80,
-          etf: 20
-        },
-        debt: {
-          mutualFunds: 70,
-          direct: 30
-        }
-      };
-    }
-    console.log('Final Allocation Data with productTypeAllocation:', JSON.stringify(allocData, null, 2));
+    console.log('Manual allocation data:', JSON.stringify(allocData, null, 2));
     
     // Generate product recommendations based on manual allocation
     try {
@@ -152,7 +372,7 @@ app.post('/api/manual-allocation', async (req, res) => {
 });
 
 // Asset allocation endpoint
-app.post('/api/asset-allocation', (req, res) => {
+app.post('/api/asset-allocation', validation.validateBody(validation.schemas.assetAllocation), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), (req, res) => {
   try {
     console.log('Asset allocation request received:', JSON.stringify(req.body, null, 2));
     
@@ -165,7 +385,7 @@ app.post('/api/asset-allocation', (req, res) => {
     console.log(`Risk profile: ${riskProfile?.riskCategory || 'Unknown'}`);
     
     // Generate asset allocation
-    const assetAllocation = allocation.generateAssetAllocation({ clientProfile, riskProfile });
+    const assetAllocation = allocation.generateAssetAllocation({ clientProfile, riskProfile, allocationPolicy: req.body.allocationPolicy, proposalDate: req.body.proposalDate });
     
     console.log('Generated asset allocation:', JSON.stringify(assetAllocation, null, 2));
     console.log('Asset class allocation:', JSON.stringify(assetAllocation.assetClassAllocation, null, 2));
@@ -181,8 +401,53 @@ app.post('/api/asset-allocation', (req, res) => {
   }
 });
 
+// Goal-based plan: per-goal corpus, SIP, probability and bucket allocation
+app.post('/api/goals/plan', validation.validateBody(validation.schemas.goalPlan), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), (req, res) => {
+  try {
+    const { clientProfile, riskProfile } = req.body;
+    
+    if (!clientProfile.investmentObjectives?.goals?.length) {
+      return res.status(400).json({ success: false, error: 'Client has no goals to plan' });
+    }
+    
+    const assetAllocation = allocation.generateAssetAllocation({ clientProfile, riskProfile, allocationPolicy: req.body.allocationPolicy, proposalDate: req.body.proposalDate });
+    
+    res.json({ success: true, goalPlan: assetAllocation.goalPlan, assetAllocation });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Portfolio projection: deterministic growth and Monte Carlo percentile bands
+app.post('/api/projection', validation.validateBody(validation.schemas.projection), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), (req, res) => {
+  try {
+    const { clientProfile, riskProfile } = req.body;
+    const investmentObjectives = clientProfile?.investmentObjectives || {};
+    
+    const assetAllocation = req.body.assetAllocation ||
+      allocation.generateAssetAllocation({ clientProfile, riskProfile, allocationPolicy: req.body.allocationPolicy, proposalDate: req.body.proposalDate });
+    const initialAmount = req.body.initialAmount ?? investmentObjectives.initialInvestmentAmount ?? 0;
+    const monthlyContribution = req.body.monthlyContribution ?? investmentObjectives.regularContributionAmount ?? 0;
+    
+    if (!(initialAmount > 0 || monthlyContribution > 0)) {
+      return res.status(400).json({ success: false, error: 'An initial amount or monthly contribution is required' });
+    }
+    
+    const result = projection.projectPortfolio({
+      assetAllocation,
+      initialAmount,
+      monthlyContribution,
+      years: req.body.years || projection.getHorizonYears(investmentObjectives.investmentHorizon)
+    });
+    
+    res.json({ success: true, projection: result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Product recommendation endpoint
-app.post('/api/product-recommendations', async (req, res) => {
+app.post('/api/product-recommendations', validation.validateBody(validation.schemas.productRecommendations), async (req, res) => {
   try {
     const { clientProfile, riskProfile, assetAllocation } = req.body;
     const productRecommendations = await products.recommendProducts({ clientProfile, riskProfile, assetAllocation });
@@ -192,26 +457,228 @@ app.post('/api/product-recommendations', async (req, res) => {
   }
 });
 
+// Gap analysis: current holdings against the target allocation for the whole portfolio
+app.post('/api/holdings/gap-analysis', validation.validateBody(validation.schemas.gapAnalysis), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), async (req, res) => {
+  try {
+    const { clientId, clientProfile, riskProfile, newInvestment = 0 } = req.body;
+    
+    let clientHoldings;
+    let asOf = null;
+    if (req.body.holdings) {
+      clientHoldings = holdings.normalizeHoldings(req.body.holdings);
+    } else {
+      const record = await holdings.getHoldings(clientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: `No holdings imported for client: ${clientId}` });
+      }
+      clientHoldings = record.holdings;
+      asOf = record.asOf;
+    }
+    
+    const currentValue = clientHoldings.reduce((total, holding) => total + holding.value, 0);
+    if (!(currentValue + newInvestment > 0)) {
+      return res.status(400).json({ success: false, error: 'Holdings or new investment must have a value' });
+    }
+    
+    // Without a target allocation, use the model allocation for the whole portfolio
+    const assetAllocation = req.body.assetAllocation || allocation.generateAssetAllocation({
+      clientProfile: {
+        ...clientProfile,
+        investmentObjectives: { ...clientProfile.investmentObjectives, initialInvestmentAmount: currentValue + newInvestment }
+      },
+      riskProfile,
+      allocationPolicy: req.body.allocationPolicy,
+      proposalDate: req.body.proposalDate
+    });
+    
+    const productRecommendations = req.body.productRecommendations ||
+      await products.recommendProducts({ clientProfile, riskProfile, assetAllocation });
+    
+    const gapAnalysis = holdings.analyzeGaps({
+      holdings: clientHoldings,
+      assetAllocation,
+      newInvestment,
+      productRecommendations
+    });
+    
+    res.json({
+      success: true,
+      gapAnalysis: { asOf, ...gapAnalysis },
+      holdings: clientHoldings,
+      assetAllocation
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Rebalancing: drift against the target allocation and the trades that correct it
+app.post('/api/holdings/rebalance', validation.validateBody(validation.schemas.rebalancing), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), async (req, res) => {
+  try {
+    const { clientId, clientProfile, riskProfile, newInvestment = 0 } = req.body;
+    const monthlyContribution = req.body.monthlyContribution ?? clientProfile.investmentObjectives?.regularContributionAmount ?? 0;
+    
+    let clientHoldings;
+    let asOf = null;
+    if (req.body.holdings) {
+      clientHoldings = holdings.normalizeHoldings(req.body.holdings);
+    } else {
+      const record = await holdings.getHoldings(clientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: `No holdings imported for client: ${clientId}` });
+      }
+      clientHoldings = record.holdings;
+      asOf = record.asOf;
+    }
+    
+    const currentValue = clientHoldings.reduce((total, holding) => total + holding.value, 0);
+    if (!(currentValue > 0)) {
+      return res.status(400).json({ success: false, error: 'Holdings must have a value to rebalance' });
+    }
+    
+    // Without a target allocation, use the model allocation for the portfolio after the lump sum
+    const assetAllocation = req.body.assetAllocation || allocation.generateAssetAllocation({
+      clientProfile: {
+        ...clientProfile,
+        investmentObjectives: { ...clientProfile.investmentObjectives, initialInvestmentAmount: currentValue + newInvestment }
+      },
+      riskProfile,
+      allocationPolicy: req.body.allocationPolicy,
+      proposalDate: req.body.proposalDate
+    });
+    
+    const productRecommendations = req.body.productRecommendations ||
+      await products.recommendProducts({ clientProfile, riskProfile, assetAllocation });
+    
+    const plan = rebalancing.planRebalancing({
+      holdings: clientHoldings,
+      assetAllocation,
+      newInvestment,
+      monthlyContribution,
+      sipMonths: req.body.sipMonths,
+      preferNewMoney: req.body.preferNewMoney,
+      driftBands: req.body.driftBands,
+      productRecommendations,
+      taxProfile: capitalGains.getSlabRate(clientProfile),
+      saleDate: req.body.saleDate
+    });
+    
+    res.json({
+      success: true,
+      rebalancing: { asOf, ...plan },
+      assetAllocation
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Capital gains estimate for selling or switching out of holdings
+app.post('/api/holdings/capital-gains', validation.validateBody(validation.schemas.capitalGains), clients.attachClientProfile('clientProfile'), async (req, res) => {
+  try {
+    const { clientId, clientProfile } = req.body;
+    const saleDate = req.body.saleDate || new Date().toISOString().slice(0, 10);
+    
+    let clientHoldings;
+    if (req.body.holdings) {
+      clientHoldings = holdings.normalizeHoldings(req.body.holdings);
+    } else {
+      const record = await holdings.getHoldings(clientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: `No holdings imported for client: ${clientId}` });
+      }
+      clientHoldings = record.holdings;
+    }
+    
+    // Without a list of sales, estimate selling everything
+    const sales = req.body.sales || clientHoldings.map(holding => ({ holding, amount: holding.value }));
+    const matchedSales = [];
+    for (const sale of sales) {
+      const holding = sale.holding || clientHoldings.find(candidate =>
+        (sale.isin ? candidate.isin === sale.isin.toUpperCase() : candidate.schemeName === sale.schemeName) &&
+        (!sale.folio || candidate.folio === sale.folio));
+      if (!holding) {
+        return res.status(404).json({ success: false, error: `Holding not found: ${sale.isin || sale.schemeName}` });
+      }
+      matchedSales.push({ holding, amount: sale.amount ?? holding.value });
+    }
+    
+    const taxProfile = capitalGains.getSlabRate(clientProfile);
+    const estimates = matchedSales.map(({ holding, amount }) => ({
+      schemeName: holding.schemeName,
+      isin: holding.isin,
+      folio: holding.folio ?? null,
+      vehicle: holding.vehicle,
+      ...capitalGains.estimateSale(holding, amount, { slabRate: taxProfile.slabRate, saleDate })
+    }));
+    const equityExemptionUsed = capitalGains.applyEquityExemption(estimates, req.body.equityExemptionAvailable);
+    const total = field => Math.round(estimates.reduce((sum, estimate) => sum + estimate[field], 0) * 100) / 100;
+    
+    res.json({
+      success: true,
+      capitalGains: {
+        saleDate,
+        slabRate: taxProfile.slabRate,
+        slabRateAssumed: taxProfile.assumed,
+        estimates,
+        totals: {
+          amount: total('amount'),
+          shortTermGain: total('shortTermGain'),
+          longTermGain: total('longTermGain'),
+          exitLoad: total('exitLoad'),
+          tax: total('tax'),
+          totalCost: total('totalCost'),
+          equityExemptionUsed
+        },
+        costKnown: estimates.every(estimate => estimate.costKnown)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Generate Investment Proposal
-app.post('/api/generate-proposal', (req, res) => {
+app.post('/api/generate-proposal', validation.validateBody(validation.schemas.generateProposal), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), async (req, res) => {
   try {
     const clientData = req.body;
     const investmentProposal = proposal.generateProposal(clientData);
-    res.json({ success: true, investmentProposal });
+    
+    // Blocking findings are reported here but only enforced for the PDF
+    clientData.inconsistencies = inconsistencyRules.evaluateInconsistencies(clientData);
+    
+    // Persist the proposal with its inputs so it can be reproduced later
+    const storedProposal = await proposalStore.saveProposal(clientData, investmentProposal);
+    
+    res.json({
+      success: true,
+      proposalId: storedProposal.id,
+      version: storedProposal.version,
+      inconsistencies: clientData.inconsistencies,
+      investmentProposal
+    });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
 // Generate Investment Proposal PDF
-app.post('/api/generate-proposal-pdf', async (req, res) => {
+app.post('/api/generate-proposal-pdf', validation.validateBody(validation.schemas.generateProposalPdf), clients.attachClientProfile('clientProfile'), allocationPolicies.attachAllocationPolicy(), async (req, res) => {
   try {
     console.log('Generating PDF proposal...');
     const clientData = req.body;
     console.log('Client data received, generating proposal...');
     
-    // Ensure we're using the latest allocation data
-    if (clientData.clientProfile && clientData.riskProfile) {
+    // Keep an allocation the caller supplied: a manual allocation must reach the PDF with its
+    // model comparison, and the product recommendations were made for the allocation sent
+    const suppliedAllocation = clientData.assetAllocation;
+    const hasSuppliedAllocation = Boolean(suppliedAllocation) && (
+      suppliedAllocation.mode === 'manual' ||
+      Object.keys(suppliedAllocation.detailedAllocation || {}).length > 0
+    );
+    
+    // Otherwise generate the latest allocation data
+    if (clientData.clientProfile && clientData.riskProfile && !hasSuppliedAllocation) {
       console.log('Regenerating asset allocation to ensure consistency...');
       const portfolioSize = clientData.clientProfile.investmentObjectives?.initialInvestmentAmount || 100000;
       const portfolioSizeInCrores = portfolioSize / 10000000;
@@ -219,7 +686,9 @@ app.post('/api/generate-proposal-pdf', async (req, res) => {
       // Generate fresh allocation data using our updated module
       const freshAllocation = allocation.generateAssetAllocation({
         clientProfile: clientData.clientProfile,
-        riskProfile: clientData.riskProfile
+        riskProfile: clientData.riskProfile,
+        allocationPolicy: clientData.allocationPolicy,
+        proposalDate: clientData.proposalDate
       });
       
       console.log('Fresh allocation generated:', JSON.stringify(freshAllocation, null, 2));
@@ -234,6 +703,23 @@ app.post('/api/generate-proposal-pdf', async (req, res) => {
       console.log('Asset allocation regenerated successfully');
     }
     
+    // Blocking findings stop the PDF unless an advisor overrides them with a reason
+    clientData.inconsistencies = inconsistencyRules.evaluateInconsistencies(clientData);
+    const blockingFindings = inconsistencyRules.getBlockingFindings(clientData.inconsistencies);
+    
+    if (blockingFindings.length > 0 && !clientData.advisorOverride) {
+      console.log('PDF generation blocked by inconsistency checks:', blockingFindings.map(finding => finding.type).join(', '));
+      return res.status(409).json({
+        success: false,
+        error: 'Proposal blocked by inconsistency checks. Resolve the findings or supply an advisorOverride with a reason.',
+        inconsistencies: blockingFindings
+      });
+    }
+    
+    if (blockingFindings.length > 0) {
+      console.log(`Blocking findings overridden by advisor: ${clientData.advisorOverride.reason}`);
+    }
+    
     // Log client data before generating proposal
     console.log('Client data before proposal generation:');
     console.log('- Has clientProfile:', !!clientData.clientProfile);
@@ -253,8 +739,14 @@ app.post('/api/generate-proposal-pdf', async (req, res) => {
     const pdfBuffer = await proposal.generateProposalPDF(investmentProposal);
     console.log('PDF buffer created, size:', pdfBuffer.length);
     
+    // Persist the proposal with its inputs so it can be reproduced later
+    const storedProposal = await proposalStore.saveProposal(clientData, investmentProposal);
+    console.log(`Proposal stored with id ${storedProposal.id} (version ${storedProposal.version})`);
+    
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('X-Proposal-Id', storedProposal.id);
+    res.setHeader('X-Proposal-Version', String(storedProposal.version));
     res.setHeader('Content-Disposition', `attachment; filename="investment_proposal_${investmentProposal.date.replace(/\s/g, '_')}.pdf"`);
     
     // Send PDF
@@ -267,6 +759,130 @@ app.post('/api/generate-proposal-pdf', async (req, res) => {
   }
 });
 
+// Get a stored proposal with the inputs that produced it
+app.get('/api/proposals/:id', async (req, res) => {
+  try {
+    const storedProposal = await proposalStore.getProposal(req.params.id);
+    if (!storedProposal) {
+      return res.status(404).json({ success: false, error: `Proposal not found: ${req.params.id}` });
+    }
+    res.json({ success: true, proposal: storedProposal });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare a stored proposal with a later one
+app.get('/api/proposals/:id/diff/:otherId', async (req, res) => {
+  try {
+    const [fromProposal, toProposal] = await Promise.all([
+      proposalStore.getProposal(req.params.id),
+      proposalStore.getProposal(req.params.otherId)
+    ]);
+    if (!fromProposal || !toProposal) {
+      const missingId = fromProposal ? req.params.otherId : req.params.id;
+      return res.status(404).json({ success: false, error: `Proposal not found: ${missingId}` });
+    }
+    
+    const diff = proposalDiff.diffProposals(fromProposal, toProposal);
+    const response = { success: true, diff };
+    
+    if (req.query.format === 'markdown') {
+      response.markdown = proposalDiff.generateWhatChangedContent(diff);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-render a stored proposal as PDF exactly as it was generated
+// Pass ?compareTo=<proposalId> to append a "What Changed" section against an earlier proposal
+app.get('/api/proposals/:id/pdf', async (req, res) => {
+  try {
+    const storedProposal = await proposalStore.getProposal(req.params.id);
+    if (!storedProposal) {
+      return res.status(404).json({ success: false, error: `Proposal not found: ${req.params.id}` });
+    }
+    
+    let investmentProposal = storedProposal.proposal;
+    
+    if (req.query.compareTo) {
+      const previousProposal = await proposalStore.getProposal(req.query.compareTo);
+      if (!previousProposal) {
+        return res.status(404).json({ success: false, error: `Proposal not found: ${req.query.compareTo}` });
+      }
+      
+      const diff = proposalDiff.diffProposals(previousProposal, storedProposal);
+      investmentProposal = {
+        ...investmentProposal,
+        whatChanged: {
+          title: 'What Changed',
+          content: proposalDiff.generateWhatChangedContent(diff)
+        }
+      };
+    }
+    
+    const pdfBuffer = await proposal.generateProposalPDF(investmentProposal);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="investment_proposal_${investmentProposal.date.replace(/\s/g, '_')}_v${storedProposal.version}.pdf"`);
+    res.setHeader('X-Proposal-Id', storedProposal.id);
+    res.setHeader('X-Proposal-Version', String(storedProposal.version));
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error re-rendering stored proposal:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Product catalogue: filter, sort and page through every product (multi-value filters repeat the parameter)
+app.get('/api/products', async (req, res) => {
+  try {
+    const { errors, value } = validation.validate(validation.schemas.productCatalog, req.query);
+    if (errors) {
+      return res.status(422).json({ success: false, error: 'Request validation failed', details: errors });
+    }
+    const cursor = productCatalog.decodeCursor(value.cursor, value);
+    if (cursor === false) {
+      return res.status(422).json({
+        success: false,
+        error: 'Request validation failed',
+        details: [{ field: 'cursor', message: 'cursor is not valid for this sort order', type: 'cursor.invalid' }]
+      });
+    }
+    const page = await productCatalog.listProducts(value, cursor);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error listing products:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Product catalogue search (?q=term) with the same filters, sorting and paging as /api/products
+app.get('/api/products/search', async (req, res) => {
+  try {
+    const { errors, value } = validation.validate(validation.schemas.productSearch, req.query);
+    if (errors) {
+      return res.status(422).json({ success: false, error: 'Request validation failed', details: errors });
+    }
+    const cursor = productCatalog.decodeCursor(value.cursor, value);
+    if (cursor === false) {
+      return res.status(422).json({
+        success: false,
+        error: 'Request validation failed',
+        details: [{ field: 'cursor', message: 'cursor is not valid for this sort order', type: 'cursor.invalid' }]
+      });
+    }
+    const page = await productCatalog.searchCatalog(value, cursor);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Only start the server if this file is being run directly (not imported)
 if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const allocation = require('../modules/allocation');
+const allocationMatrix = require('../modules/allocationMatrix');
+
+const bands = [{ weights: { 'Equity Mutual Funds': 60, 'Gold ETFs': 10, 'Debt Mutual Funds': 30 } }];
+
+// A policy matrix with a gold vehicle, which only the matrix says is not equity
+const policy = {
+  id: 'policy001',
+  name: 'Gold policy',
+  matrix: allocationMatrix.validateAllocationMatrix({
+    vehicles: {
+      'Equity Mutual Funds': { assetClass: 'equity' },
+      'Debt Mutual Funds': { assetClass: 'debt' },
+      'Gold ETFs': { assetClass: 'goldSilver' }
+    },
+    strategies: { Conservative: bands, Moderate: bands, Aggressive: bands, 'Ultra-Aggressive': bands }
+  })
+};
+
+test('rescales the vehicles of each asset class when goals change the equity share', () => {
+  const assetAllocation = allocation.generateAssetAllocation({
+    clientProfile: {
+      investmentObjectives: {
+        initialInvestmentAmount: 10000000,
+        // Due in three years, so its bucket holds no equity
+        goals: [{ name: 'House', targetAmount: 12000000, targetDate: '2029-04-01' }]
+      }
+    },
+    riskProfile: { riskCategory: 'Moderate' },
+    allocationPolicy: policy,
+    proposalDate: '2026-04-01'
+  });
+
+  assert.deepEqual(assetAllocation.assetClassAllocation, { equity: 0, debt: 75, goldSilver: 25 });
+  assert.deepEqual(assetAllocation.vehicleWeights, { 'Equity Mutual Funds': 0, 'Gold ETFs': 25, 'Debt Mutual Funds': 75 });
+  assert.deepEqual(assetAllocation.detailedAllocation, { 'Equity Mutual Funds': 0, 'Gold ETFs': 0.25, 'Debt Mutual Funds': 0.75, Total: 1 });
+});
+
+test('keeps the matrix weights without goals', () => {
+  const assetAllocation = allocation.generateAssetAllocation({
+    clientProfile: { investmentObjectives: { initialInvestmentAmount: 10000000 } },
+    riskProfile: { riskCategory: 'Moderate' },
+    allocationPolicy: policy
+  });
+
+  assert.deepEqual(assetAllocation.assetClassAllocation, { equity: 60, debt: 30, goldSilver: 10 });
+  assert.deepEqual(assetAllocation.vehicleWeights, bands[0].weights);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const allocationMatrix = require('../modules/allocationMatrix');
+
+const VEHICLES = {
+  'Equity AIF': { assetClass: 'equity', minTicket: 1 },
+  'Equity PMS': { assetClass: 'equity', minTicket: 0.5 },
+  'Equity Mutual Funds': { assetClass: 'equity' },
+  'Debt Mutual Funds': { assetClass: 'debt' }
+};
+
+/**
+ * Build a matrix in which every risk category uses the given bands
+ * @param {Array} bands - Size bands
+ * @returns {Object} Allocation matrix definition
+ */
+function buildMatrix(bands) {
+  return {
+    vehicles: VEHICLES,
+    strategies: {
+      Conservative: bands,
+      Moderate: bands,
+      Aggressive: bands,
+      'Ultra-Aggressive': bands
+    }
+  };
+}
+
+const validBands = [
+  { maxSize: 1, weights: { 'Equity Mutual Funds': 60, 'Debt Mutual Funds': 40 } },
+  { maxSize: 5, weights: { 'Equity PMS': 50, 'Equity Mutual Funds': 30, 'Debt Mutual Funds': 20 } },
+  { weights: { 'Equity AIF': 20, 'Equity PMS': 20, 'Equity Mutual Funds': 40, 'Debt Mutual Funds': 20 } }
+];
+
+test('the config matrix is valid', () => {
+  assert.doesNotThrow(() => allocationMatrix.getAllocationMatrix());
+});
+
+test('accepts a matrix whose minimum tickets are met at every band size', () => {
+  assert.doesNotThrow(() => allocationMatrix.validateAllocationMatrix(buildMatrix(validBands)));
+});
+
+test('checks minimum tickets at the lowest size of the band', () => {
+  // Just above 1 cr, 25% is 0.25 cr, below the 0.5 cr PMS ticket
+  const bands = [
+    validBands[0],
+    { maxSize: 2, weights: { 'Equity PMS': 25, 'Equity Mutual Funds': 75 } },
+    { weights: { 'Equity Mutual Funds': 100 } }
+  ];
+
+  assert.throws(
+    () => allocationMatrix.validateAllocationMatrix(buildMatrix(bands)),
+    /Conservative band 2: Equity PMS at 25% is below its minimum ticket of 0\.5 cr for portfolios of 1 cr/
+  );
+});
+
+test('checks minimum tickets in the last, open-ended band', () => {
+  // Above 1 cr, 60% in AIF is below the 1 cr ticket until the portfolio reaches 1.67 cr
+  const bands = [
+    validBands[0],
+    { weights: { 'Equity AIF': 60, 'Equity Mutual Funds': 40 } }
+  ];
+
+  assert.throws(
+    () => allocationMatrix.validateAllocationMatrix(buildMatrix(bands)),
+    /band 2: Equity AIF at 60% is below its minimum ticket of 1 cr for portfolios of 1 cr/
+  );
+});
+
+test('rejects minimum ticket vehicles in the first band', () => {
+  const bands = [
+    { maxSize: 10, weights: { 'Equity PMS': 10, 'Equity Mutual Funds': 90 } },
+    validBands[2]
+  ];
+
+  assert.throws(
+    () => allocationMatrix.validateAllocationMatrix(buildMatrix(bands)),
+    /band 1: Equity PMS at 10% is below its minimum ticket of 0\.5 cr for portfolios of 0 cr/
+  );
+});
+
+test('rejects weights that do not add up to 100', () => {
+  const bands = [{ weights: { 'Equity Mutual Funds': 60, 'Debt Mutual Funds': 30 } }];
+
+  assert.throws(() => allocationMatrix.validateAllocationMatrix(buildMatrix(bands)), /band 1: weights add up to 90, not 100/);
+});
+
+test('rejects overlapping bands and an open band before the last', () => {
+  const overlapping = [validBands[0], { maxSize: 1, weights: validBands[0].weights }, validBands[2]];
+  const openFirst = [{ weights: validBands[0].weights }, validBands[2]];
+
+  assert.throws(() => allocationMatrix.validateAllocationMatrix(buildMatrix(overlapping)), /band 2: maxSize 1 overlaps the previous band \(up to 1\)/);
+  assert.throws(() => allocationMatrix.validateAllocationMatrix(buildMatrix(openFirst)), /band 1: only the last band may omit maxSize/);
+});
+
+test('rejects undeclared vehicles', () => {
+  const bands = [{ weights: { 'Equity Mutual Funds': 50, 'Gold ETFs': 50 } }];
+
+  assert.throws(() => allocationMatrix.validateAllocationMatrix(buildMatrix(bands)), /band 1: unknown vehicle Gold ETFs/);
+});
+
+test('rejects a matrix without every risk category', () => {
+  const definition = buildMatrix(validBands);
+  delete definition.strategies.Moderate;
+
+  assert.throws(() => allocationMatrix.validateAllocationMatrix(definition), /"strategies.Moderate" is required/);
+});
+
+test('getAllocationBand includes the upper bound and uses the last band above it', () => {
+  const matrix = allocationMatrix.validateAllocationMatrix(buildMatrix(validBands));
+
+  assert.deepEqual(allocationMatrix.getAllocationBand('Moderate', 1, matrix), { minSize: 0, maxSize: 1, weights: validBands[0].weights });
+  assert.equal(allocationMatrix.getAllocationBand('Moderate', 1.01, matrix).maxSize, 5);
+  assert.deepEqual(allocationMatrix.getAllocationBand('Moderate', 50, matrix), { minSize: 5, maxSize: null, weights: validBands[2].weights });
+  assert.equal(allocationMatrix.getAllocationBand('Unknown', 1, matrix), null);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const allocationSolver = require('../modules/allocationSolver');
+
+const sumValues = values => Object.values(values).reduce((total, value) => total + value, 0);
+
+test('keeps every vehicle that meets its minimum ticket', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 30000000,
+    allocation: { mutualFunds: 40, pms: 20, aif: 40 }
+  });
+
+  assert.deepEqual(solved.allocation, { mutualFunds: 40, pms: 20, aif: 40 });
+  assert.deepEqual(solved.amounts, { mutualFunds: 12000000, pms: 6000000, aif: 12000000 });
+  assert.deepEqual(solved.exclusions, []);
+});
+
+test('excludes the largest shortfall first and redistributes in proportion', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 4000000,
+    allocation: { mutualFunds: 50, pms: 25, aif: 25 }
+  });
+
+  assert.deepEqual(solved.exclusions.map(exclusion => exclusion.vehicle), ['aif', 'pms']);
+  assert.deepEqual(solved.exclusions[0].redistributedTo, [
+    { vehicle: 'mutualFunds', amount: 666667 },
+    { vehicle: 'pms', amount: 333333 }
+  ]);
+  assert.equal(solved.exclusions[0].minimumTicket, 10000000);
+  assert.equal(solved.exclusions[1].allocatedAmount, 1333333);
+  assert.deepEqual(solved.allocation, { mutualFunds: 100 });
+  assert.deepEqual(solved.amounts, { mutualFunds: 4000000 });
+});
+
+test('a redistributed amount can lift another vehicle above its minimum', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 10000000,
+    allocation: { pms: 45, aif: 55 }
+  });
+
+  assert.deepEqual(solved.exclusions.map(exclusion => exclusion.vehicle), ['aif']);
+  assert.deepEqual(solved.allocation, { pms: 100 });
+});
+
+test('falls back to mutual funds when no vehicle is left', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 3000000,
+    allocation: { pms: 50, aif: 50 }
+  });
+
+  assert.deepEqual(solved.allocation, { mutualFunds: 100 });
+  assert.equal(solved.amounts.mutualFunds, 3000000);
+  assert.deepEqual(solved.exclusions.map(exclusion => exclusion.vehicle), ['aif', 'pms']);
+  assert.deepEqual(solved.exclusions[1].redistributedTo, [{ vehicle: 'mutualFunds', amount: 3000000 }]);
+});
+
+test('uses the lowest product minimum when it is above the regulatory minimum', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 20000000,
+    allocation: { mutualFunds: 50, pms: 50 },
+    products: { pms: [{ name: 'Large PMS', minimumInvestment: '2 Crores' }, { name: 'Larger PMS', minimumInvestment: '3 Crores' }] }
+  });
+
+  assert.equal(solved.exclusions.length, 1);
+  assert.equal(solved.exclusions[0].minimumTicket, 20000000);
+  assert.match(solved.exclusions[0].reason, /^No PMS product accepts less than ₹2,00,00,000/);
+});
+
+test('a product without a stated minimum keeps the regulatory minimum', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 20000000,
+    allocation: { mutualFunds: 50, pms: 50 },
+    products: { pms: [{ name: 'Large PMS', minimumInvestment: '2 Crores' }, { name: 'Open PMS' }] }
+  });
+
+  assert.deepEqual(solved.exclusions, []);
+  assert.deepEqual(solved.products.pms.map(product => product.name), ['Open PMS']);
+});
+
+test('lists products above their vehicle amount in productExclusions', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'debt',
+    amount: 1000000,
+    allocation: { mutualFunds: 50, direct: 50 },
+    products: {
+      mutualFunds: [{ name: 'Liquid Fund', minimumInvestment: '500' }],
+      direct: [{ name: 'Small NCD', minimumInvestment: '10000' }, { name: 'Large Bond', minimumInvestment: '10 Lakhs' }]
+    }
+  });
+
+  assert.deepEqual(solved.products.direct.map(product => product.name), ['Small NCD']);
+  assert.equal(solved.productExclusions.length, 1);
+  const [{ vehicle, product, minimumInvestment, allocatedAmount }] = solved.productExclusions;
+  assert.deepEqual({ vehicle, product, minimumInvestment, allocatedAmount }, { vehicle: 'direct', product: 'Large Bond', minimumInvestment: 1000000, allocatedAmount: 500000 });
+});
+
+test('percentages add up to the requested total after rounding', () => {
+  const solved = allocationSolver.solveVehicleAllocation({
+    assetClass: 'equity',
+    amount: 7000000,
+    allocation: { mutualFunds: 33.3, listedStocks: 33.3, pms: 33.4 }
+  });
+
+  assert.equal(Math.round(sumValues(solved.allocation) * 100) / 100, 100);
+  assert.equal(sumValues(solved.amounts), 7000000);
+});
+
+test('checkMinimumTickets reports shortfalls without redistributing', () => {
+  const shortfalls = allocationSolver.checkMinimumTickets('equity', 2800000 / 0.2, { mutualFunds: 80, pms: 20 });
+
+  assert.equal(shortfalls.length, 1);
+  assert.equal(shortfalls[0].vehicle, 'pms');
+  assert.equal(shortfalls[0].reason, 'PMS has a minimum ticket of ₹50,00,000; only ₹28,00,000 would be allocated');
+});
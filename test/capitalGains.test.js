@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const capitalGains = require('../modules/capitalGains');
+
+const OPTIONS = { slabRate: 30, saleDate: '2026-10-01' };
+
+// Equity fund worth ₹100 a unit: 2,000 units held for over a year and 1,000 bought four months ago
+const equityFund = {
+  assetClass: 'equity',
+  productType: 'mutualFunds',
+  value: 300000,
+  units: 3000,
+  exitLoad: '1% if redeemed within 1 year',
+  lots: [
+    { purchaseDate: '2024-01-01', units: 2000, cost: 100000 },
+    { purchaseDate: '2026-06-01', units: 1000, cost: 90000 }
+  ]
+};
+
+test('splits a sale into long and short term gains, first in first out', () => {
+  const estimate = capitalGains.estimateSale(equityFund, 300000, OPTIONS);
+
+  assert.equal(estimate.taxCategory, 'listedEquity');
+  assert.deepEqual(estimate.lots.map(lot => [lot.units, lot.term, lot.rate, lot.exitLoad, lot.gain]), [
+    [2000, 'long', 12.5, 0, 100000],
+    [1000, 'short', 20, 1000, 9000]
+  ]);
+  // 12.5% of ₹1,00,000 and 20% of ₹9,000, each with 4% cess
+  assert.deepEqual(estimate.lots.map(lot => lot.tax), [13000, 1872]);
+  assert.equal(estimate.longTermGain, 100000);
+  assert.equal(estimate.shortTermGain, 9000);
+  assert.equal(estimate.tax, 14872);
+  assert.equal(estimate.totalCost, 15872);
+  assert.equal(estimate.costKnown, true);
+});
+
+test('sells the oldest units first in a partial sale', () => {
+  const estimate = capitalGains.estimateSale(equityFund, 150000, OPTIONS);
+
+  assert.deepEqual(estimate.lots.map(lot => [lot.purchaseDate, lot.units, lot.cost]), [['2024-01-01', 1500, 75000]]);
+  assert.equal(estimate.exitLoad, 0);
+});
+
+test('never sells more than the holding is worth', () => {
+  const estimate = capitalGains.estimateSale(equityFund, 500000, OPTIONS);
+
+  assert.equal(estimate.amount, 300000);
+  assert.equal(estimate.units, 3000);
+});
+
+test('taxes debt fund units bought from April 2023 at the slab rate', () => {
+  const debtFund = {
+    assetClass: 'debt',
+    productType: 'mutualFunds',
+    value: 200000,
+    units: 2000,
+    lots: [
+      { purchaseDate: '2022-06-01', units: 1000, cost: 80000 },
+      { purchaseDate: '2023-06-01', units: 1000, cost: 90000 }
+    ]
+  };
+  const estimate = capitalGains.estimateSale(debtFund, 200000, OPTIONS);
+
+  assert.deepEqual(estimate.lots.map(lot => [lot.term, lot.rate, lot.tax]), [
+    ['long', 12.5, 2600],
+    ['short', 30, 3120]
+  ]);
+});
+
+test('treats units without a purchase date as short term and flags unknown costs', () => {
+  const holding = { assetClass: 'equity', productType: 'mutualFunds', value: 100000, units: 1000, costValue: null };
+  const estimate = capitalGains.estimateSale(holding, 50000, OPTIONS);
+
+  assert.equal(estimate.lots[0].term, 'short');
+  assert.equal(estimate.lots[0].tax, null);
+  assert.equal(estimate.costKnown, false);
+  assert.deepEqual(estimate.notes, [
+    'Purchase dates are not known for some units, so they are treated as short term',
+    'The cost of some units is not known, so their tax cannot be estimated'
+  ]);
+});
+
+test('does not estimate tax on AIF units', () => {
+  const holding = { assetClass: 'equity', productType: 'aif', value: 10000000, units: null, costValue: 8000000 };
+  const estimate = capitalGains.estimateSale(holding, 1000000, OPTIONS);
+
+  assert.equal(estimate.taxCategory, 'notEstimated');
+  assert.equal(estimate.tax, 0);
+  assert.equal(estimate.costKnown, false);
+});
+
+test('applies the equity exemption to the sales in order, up to the yearly limit', () => {
+  const first = capitalGains.estimateSale(equityFund, 300000, OPTIONS);
+  const second = capitalGains.estimateSale(equityFund, 300000, OPTIONS);
+  const used = capitalGains.applyEquityExemption([first, second]);
+
+  assert.equal(used, 125000);
+  assert.equal(first.equityExemptionUsed, 100000);
+  assert.equal(first.tax, 1872);
+  assert.equal(second.equityExemptionUsed, 25000);
+  // The remaining ₹75,000 of long term gain is taxed at 12.5% with cess
+  assert.equal(second.lots[0].tax, 9750);
+  assert.equal(second.totalCost, 9750 + 1872 + 1000);
+});
+
+test('the equity exemption skips other tax categories and short term gains', () => {
+  const debtEstimate = capitalGains.estimateSale(
+    { assetClass: 'debt', productType: 'direct', value: 200000, units: 200, lots: [{ purchaseDate: '2020-01-01', units: 200, cost: 100000 }] },
+    200000,
+    OPTIONS
+  );
+  const shortTerm = capitalGains.estimateSale(
+    { ...equityFund, lots: [{ purchaseDate: '2026-06-01', units: 3000, cost: 200000 }] },
+    300000,
+    OPTIONS
+  );
+
+  assert.equal(capitalGains.applyEquityExemption([debtEstimate, shortTerm]), 0);
+  assert.equal(debtEstimate.equityExemptionUsed, 0);
+  assert.equal(shortTerm.equityExemptionUsed, 0);
+});
+
+test('parses exit load descriptions into tiers', () => {
+  assert.deepEqual(capitalGains.parseExitLoad('1% within 365 days, 0.5% within 2 years'), [
+    { rate: 1, days: 365 },
+    { rate: 0.5, days: 730 }
+  ]);
+  assert.deepEqual(capitalGains.parseExitLoad('1 Year: 2%'), [{ rate: 2, days: 365 }]);
+  assert.deepEqual(capitalGains.parseExitLoad('Nil'), []);
+  assert.deepEqual(capitalGains.parseExitLoad('Lock-in of 3 years'), []);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const casParser = require('../modules/casParser');
+
+const STATEMENT = `Consolidated Account Statement
+01-Apr-2026 To 30-Sep-2026
+Axis Mutual Fund
+Folio No: 91012345678 / 0   PAN: ABCDE1234F   KYC: OK  PAN: OK
+Rajesh Kumar
+128EFDGG-Axis Bluechip Fund - Direct Growth - ISIN: INF846K01DP8(Advisor: DIRECT) Registrar : KFINTECH
+Opening Unit Balance: 1,000.000
+01-May-2026 Purchase 10,000.00 180.123 55.5176 1,180.123
+Closing Unit Balance: 1,180.123 NAV on 30-Sep-2026: INR 61.25 Total Cost Value: 60,000.00 Market Value on 30-Sep-2026: INR 72,282.53
+HDFC Mutual Fund
+Folio No: 1234567/89 PAN: ABCDE1234F
+H03-HDFC Liquid Fund - Direct Plan - Growth Option -
+ISIN: INF179K01VY8(Advisor: DIRECT) Registrar : CAMS
+Opening Unit Balance: 20.000
+Closing Unit Balance: 20.000
+NAV on 30-Sep-2026: INR 5,012.3456
+Cost Value: 95,000.00
+Market Value on 30-Sep-2026: INR 1,00,246.91
+B205-Aditya Birla Sun Life Frontline Equity Fund - Growth-Direct Plan - ISIN: INF209K01YY7(Advisor: DIRECT) Registrar : CAMS
+Opening Unit Balance: 50.000
+Closing Unit Balance: 0.000 NAV on 30-Sep-2026: INR 480.00 Market Value on 30-Sep-2026: INR 0.00
+SBI Gold Fund - Direct Growth - ISIN: INF200K01SO9 Registrar : CAMS
+Closing Unit Balance: 2,000.500 NAV on 30-Sep-2026: INR 25.10
+Broken Fund - ISIN: INF000K01AA1
+Opening Unit Balance: 5.000
+`;
+
+const REDEMPTION_STATEMENT = `Consolidated Account Statement
+01-Apr-2024 To 30-Sep-2026
+Folio No: 5551234 / 12
+P123-Parag Parikh Flexi Cap Fund - Direct Plan - Growth - ISIN: INF879O01027
+Opening Unit Balance: 0.000
+10-Apr-2024 Purchase 10,000.00 100.000 100.0000 100.000
+10-May-2024 SIP Purchase 11,000.00 100.000 110.0000 200.000
+10-Jun-2025 Redemption (16,500.00) (150.000) 110.0000 50.000
+Closing Unit Balance: 50.000 NAV on 30-Sep-2026: INR 130.00 Cost Value: 5,500.00 Market Value on 30-Sep-2026: INR 6,500.00
+`;
+
+test('reads the statement date, folios, scheme names and balances', () => {
+  const { asOf, holdings } = casParser.parseCasText(STATEMENT);
+
+  assert.equal(asOf, '2026-09-30');
+  assert.deepEqual(holdings.map(({ lots, ...holding }) => holding), [
+    {
+      folio: '91012345678/0',
+      schemeName: 'Axis Bluechip Fund - Direct Growth',
+      isin: 'INF846K01DP8',
+      units: 1180.123,
+      nav: 61.25,
+      value: 72282.53,
+      costValue: 60000
+    },
+    {
+      folio: '1234567/89',
+      schemeName: 'HDFC Liquid Fund - Direct Plan - Growth Option',
+      isin: 'INF179K01VY8',
+      units: 20,
+      nav: 5012.3456,
+      value: 100246.91,
+      costValue: 95000
+    },
+    {
+      folio: '1234567/89',
+      schemeName: 'SBI Gold Fund - Direct Growth',
+      isin: 'INF200K01SO9',
+      units: 2000.5,
+      nav: 25.1,
+      value: 50212.55,
+      costValue: null
+    }
+  ]);
+});
+
+test('leaves out fully redeemed schemes and warns about incomplete ones', () => {
+  const { holdings, warnings } = casParser.parseCasText(STATEMENT);
+
+  assert.ok(!holdings.some(holding => holding.isin === 'INF209K01YY7'));
+  assert.deepEqual(warnings, [
+    'The transactions of SBI Gold Fund - Direct Growth (INF200K01SO9) do not add up to its closing balance, so its purchase dates are not known',
+    'No closing balance found for Broken Fund (INF000K01AA1)'
+  ]);
+});
+
+test('builds lots from the opening balance and purchases', () => {
+  const { holdings } = casParser.parseCasText(STATEMENT);
+
+  // The opening balance was bought before the statement period; its cost is what remains of the cost value
+  assert.deepEqual(holdings[0].lots, [
+    { purchaseDate: null, units: 1000, cost: 50000 },
+    { purchaseDate: '2026-05-01', units: 180.123, cost: 10000 }
+  ]);
+  assert.deepEqual(holdings[1].lots, [{ purchaseDate: null, units: 20, cost: 95000 }]);
+  assert.equal(holdings[2].lots, undefined);
+});
+
+test('takes redemptions from the oldest lots first', () => {
+  const { holdings, warnings } = casParser.parseCasText(REDEMPTION_STATEMENT);
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(holdings[0].lots, [{ purchaseDate: '2024-05-10', units: 50, cost: 5500 }]);
+});
+
+test('returns no holdings for text that is not a CAS', () => {
+  assert.deepEqual(casParser.parseCasText('hello'), { asOf: null, holdings: [], warnings: [] });
+  assert.deepEqual(casParser.parseCasText(''), { asOf: null, holdings: [], warnings: [] });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const goals = require('../modules/goals');
+
+const GOALS = [
+  { name: 'Retirement', targetAmount: 50000000, targetDate: '2046-04-01', priority: 'high' },
+  { name: 'Education', targetAmount: 5000000, targetDate: '2030-06-01', inflationRate: 10 }
+];
+
+test('counts the years to each goal from the planning date', () => {
+  const plan = goals.planGoals(GOALS, { initialInvestment: 20000000, monthlyContribution: 50000, maxEquity: 60, asOf: new Date(2026, 3, 1) });
+
+  assert.deepEqual(plan.goals.map(goal => [goal.name, goal.monthsToGoal]), [['Retirement', 240], ['Education', 50]]);
+  assert.deepEqual(plan.goals[0].bucketAllocation, { equity: 60, debt: 40 });
+  assert.deepEqual(
+    goals.planGoals(GOALS, { initialInvestment: 20000000, monthlyContribution: 50000, maxEquity: 60, asOf: new Date(2026, 3, 1) }),
+    plan
+  );
+});
+
+test('simulates the probability of success on the portfolio allocation', () => {
+  const plan = goals.planGoals(GOALS, { initialInvestment: 20000000, monthlyContribution: 50000, maxEquity: 60, asOf: new Date(2026, 3, 1) });
+  const [retirement] = plan.goals;
+
+  assert.equal(retirement.probabilityOfSuccess, undefined);
+  assert.ok(retirement.bucketProbabilityOfSuccess >= 0 && retirement.bucketProbabilityOfSuccess <= 100);
+
+  goals.estimatePortfolioProbabilities(plan, { expectedReturn: 20, volatility: 1 });
+  assert.equal(retirement.probabilityOfSuccess, 100);
+  assert.deepEqual(plan.assumptions.portfolio, { expectedReturn: 20, volatility: 1 });
+
+  goals.estimatePortfolioProbabilities(plan, { expectedReturn: 1, volatility: 1 });
+  assert.equal(retirement.probabilityOfSuccess, 0);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const allProductsList = require('../modules/allProductsList');
+const productCatalog = require('../modules/productCatalog');
+
+// PMS schemes in the catalogue's layout; Delta and Epsilon have no returns, Beta and Gamma the same 1 year return
+const PMS_SCHEMES = [
+  { schemeId: 'P1', schemeName: 'Alpha Growth', fundManager: 'Alpha Capital', riskGrade: 'High', minInvestment: 5000000, returns: { '1Y': 12, '3Y': 10 } },
+  { schemeId: 'P2', schemeName: 'Beta Value', fundManager: 'Beta Advisors', riskGrade: 'Moderate', minInvestment: 10000000, returns: { '1Y': 15 } },
+  { schemeId: 'P3', schemeName: 'Gamma Quality', fundManager: 'Alpha Capital', riskGrade: 'Very High', returns: { '1Y': 15, '3Y': 14 } },
+  { schemeId: 'P4', schemeName: 'Delta Income', fundManager: 'Delta Partners', riskGrade: 'High', minInvestment: 5000000 },
+  { schemeId: 'P5', schemeName: 'Epsilon Focus', fundManager: 'Beta Advisors', minInvestment: 7500000 }
+];
+
+/**
+ * List catalogue PMS schemes for a query, as the products route does
+ * @param {Object} query - Query without the category
+ * @param {string} [cursor] - Cursor from the previous page
+ * @returns {Promise<Object>} { products, pagination }
+ */
+function listSchemes(query, cursor) {
+  const fullQuery = { category: ['pms'], ...query };
+  return productCatalog.listProducts(fullQuery, productCatalog.decodeCursor(cursor, fullQuery));
+}
+
+/**
+ * Page through every product of a query
+ * @param {Object} query - Query without the category
+ * @returns {Promise<Array>} Names of the products on each page
+ */
+async function listAllPages(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const { products, pagination } = await listSchemes(query, cursor);
+    pages.push(products.map(product => product.name));
+    cursor = pagination.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+/**
+ * Encode a cursor the way the catalogue does
+ * @param {Object} cursor - Cursor contents
+ * @returns {string} base64url cursor
+ */
+function encode(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+test.beforeEach(t => {
+  t.mock.method(allProductsList, 'getAllProducts', async () => ({ pms: PMS_SCHEMES }));
+});
+
+test('filters by risk grade, manager, minimum investment and returns', async () => {
+  const names = async query => (await listSchemes(query)).products.map(product => product.name);
+
+  assert.deepEqual(await names({ riskGrade: ['high'] }), ['Alpha Growth', 'Delta Income']);
+  assert.deepEqual(await names({ manufacturer: 'alpha' }), ['Alpha Growth', 'Gamma Quality']);
+  // Products without a stated minimum pass the minimum investment filter
+  assert.deepEqual(await names({ maxMinInvestment: 5000000 }), ['Alpha Growth', 'Delta Income', 'Gamma Quality']);
+  assert.deepEqual(await names({ returnsPeriod: '3yr' }), ['Alpha Growth', 'Gamma Quality']);
+  assert.deepEqual(await names({ returnsPeriod: '1yr', minReturn: 13 }), ['Beta Value', 'Gamma Quality']);
+});
+
+test('pages through the products with cursors', async () => {
+  assert.deepEqual(await listAllPages({ limit: 2 }), [
+    ['Alpha Growth', 'Beta Value'],
+    ['Delta Income', 'Epsilon Focus'],
+    ['Gamma Quality']
+  ]);
+
+  const { pagination } = await listSchemes({ limit: 2 });
+  assert.equal(pagination.total, 5);
+});
+
+test('breaks ties by id and puts products without a value last in either order', async () => {
+  assert.deepEqual(await listAllPages({ sort: 'returns', order: 'desc', limit: 2 }), [
+    ['Beta Value', 'Gamma Quality'],
+    ['Alpha Growth', 'Delta Income'],
+    ['Epsilon Focus']
+  ]);
+  assert.deepEqual(await listAllPages({ sort: 'returns', order: 'asc', limit: 2 }), [
+    ['Alpha Growth', 'Beta Value'],
+    ['Gamma Quality', 'Delta Income'],
+    ['Epsilon Focus']
+  ]);
+  assert.deepEqual(await listAllPages({ sort: 'minInvestment', order: 'desc', limit: 3 }), [
+    ['Beta Value', 'Epsilon Focus', 'Alpha Growth'],
+    ['Delta Income', 'Gamma Quality']
+  ]);
+});
+
+test('a cursor continues after its product when the catalogue changes', async t => {
+  const { pagination } = await listSchemes({ limit: 2 });
+
+  t.mock.method(allProductsList, 'getAllProducts', async () => ({ pms: PMS_SCHEMES.filter(scheme => scheme.schemeId !== 'P2') }));
+  const { products } = await listSchemes({ limit: 2 }, pagination.nextCursor);
+  assert.deepEqual(products.map(product => product.name), ['Delta Income', 'Epsilon Focus']);
+});
+
+test('decodes a cursor made for the same sort', () => {
+  const query = { sort: 'returns', order: 'desc', returnsPeriod: '3yr' };
+  const cursor = encode({ ...query, value: 18.2, id: 'catalog:P1' });
+
+  assert.deepEqual(productCatalog.decodeCursor(cursor, query), { value: 18.2, id: 'catalog:P1' });
+  // The sort defaults to name, ascending
+  assert.deepEqual(
+    productCatalog.decodeCursor(encode({ sort: 'name', order: 'asc', returnsPeriod: null, value: 'abc', id: 'catalog:P1' }), {}),
+    { value: 'abc', id: 'catalog:P1' }
+  );
+});
+
+test('returns null without a cursor', () => {
+  assert.equal(productCatalog.decodeCursor(undefined, {}), null);
+  assert.equal(productCatalog.decodeCursor('', {}), null);
+});
+
+test('rejects cursors made for another sort and invalid cursors', () => {
+  const cursor = encode({ sort: 'returns', order: 'desc', returnsPeriod: '3yr', value: 18.2, id: 'catalog:P1' });
+
+  assert.equal(productCatalog.decodeCursor(cursor, { sort: 'returns', order: 'asc', returnsPeriod: '3yr' }), false);
+  assert.equal(productCatalog.decodeCursor(cursor, { sort: 'returns', order: 'desc', returnsPeriod: '1yr' }), false);
+  assert.equal(productCatalog.decodeCursor('not a cursor', {}), false);
+  assert.equal(productCatalog.decodeCursor(encode({ sort: 'name', order: 'asc', returnsPeriod: null }), {}), false);
+});
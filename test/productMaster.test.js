@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const productMaster = require('../modules/productMaster');
+
+test('parses amounts with Indian units', () => {
+  assert.equal(productMaster.parseAmount(5000000), 5000000);
+  assert.equal(productMaster.parseAmount('50 Lakhs'), 5000000);
+  assert.equal(productMaster.parseAmount('1 Crore'), 10000000);
+  assert.equal(productMaster.parseAmount('2.5 Cr'), 25000000);
+  assert.equal(productMaster.parseAmount('₹2,00,000'), 200000);
+  assert.equal(productMaster.parseAmount('10k'), 10000);
+});
+
+test('parses amounts without a figure as null', () => {
+  assert.equal(productMaster.parseAmount('Not specified'), null);
+  assert.equal(productMaster.parseAmount('0'), null);
+  assert.equal(productMaster.parseAmount(-5), null);
+  assert.equal(productMaster.parseAmount(undefined), null);
+});
+
+test('parses lock-in periods into months', () => {
+  assert.equal(productMaster.parseLockInMonths('None'), 0);
+  assert.equal(productMaster.parseLockInMonths('N/A'), 0);
+  assert.equal(productMaster.parseLockInMonths('3 years'), 36);
+  assert.equal(productMaster.parseLockInMonths('1 yr'), 12);
+  assert.equal(productMaster.parseLockInMonths('6 months'), 6);
+  // Ranges give the longer period
+  assert.equal(productMaster.parseLockInMonths('7-8 Years'), 96);
+});
+
+test('parses lock-ins until a date and unknown lock-ins', () => {
+  const inTwoYears = new Date().getFullYear() + 2;
+
+  assert.equal(productMaster.parseLockInMonths('Until 15 Apr 2020'), 0);
+  assert.ok(productMaster.parseLockInMonths(`Until 31 Dec ${inTwoYears}`) >= 12);
+  assert.equal(productMaster.parseLockInMonths('Until age 60'), null);
+  assert.equal(productMaster.parseLockInMonths('Variable'), null);
+  assert.equal(productMaster.parseLockInMonths(null), null);
+});
+
+test('parses expected return ranges', () => {
+  assert.deepEqual(productMaster.parseReturnRange('10-12%'), { low: 10, high: 12 });
+  assert.deepEqual(productMaster.parseReturnRange('10 to 12% p.a.'), { low: 10, high: 12 });
+  assert.deepEqual(productMaster.parseReturnRange('12-10%'), { low: 10, high: 12 });
+  assert.deepEqual(productMaster.parseReturnRange('8.75%'), { low: 8.75, high: 8.75 });
+  assert.deepEqual(productMaster.parseReturnRange(9.25), { low: 9.25, high: 9.25 });
+  assert.equal(productMaster.parseReturnRange('Variable'), null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const risk = require('../modules/risk');
+
+/**
+ * Build a client profile with an empty questionnaire
+ * @param {Object} personalInfo - Personal information
+ * @param {Object} [financialSituation] - Financial situation
+ * @returns {Object} Client profile
+ */
+function buildProfile(personalInfo, financialSituation) {
+  return { personalInfo, financialSituation, riskTolerance: {}, investmentObjectives: {} };
+}
+
+test('derives the capacity metrics from the financial situation', () => {
+  const { riskCapacity } = risk.assessRiskProfile(buildProfile(
+    { annualIncome: 2000000, dependents: 2 },
+    { currentInvestments: 5000000, realEstateHoldings: 10000000, savings: 600000, liabilities: 400000, monthlyExpenses: 100000 }
+  ));
+
+  assert.deepEqual(riskCapacity.metrics, { netWorth: 15200000, debtToIncome: 20, emergencyFundMonths: 6, dependents: 2 });
+  assert.deepEqual(riskCapacity.missingMetrics, []);
+  assert.equal(riskCapacity.limitCategory, riskCapacity.category);
+});
+
+test('counts zero liabilities as no debt, even without an income', () => {
+  const { riskCapacity } = risk.assessRiskProfile(buildProfile({}, { liabilities: 0 }));
+
+  assert.equal(riskCapacity.metrics.debtToIncome, 0);
+  assert.ok(!riskCapacity.missingMetrics.includes('debtToIncome'));
+});
+
+test('leaves the debt ratio out when there are liabilities but no income', () => {
+  const { riskCapacity } = risk.assessRiskProfile(buildProfile({}, { liabilities: 500000 }));
+
+  assert.equal(riskCapacity.metrics.debtToIncome, null);
+  assert.ok(riskCapacity.missingMetrics.includes('debtToIncome'));
+});
+
+test('missing capacity data does not lower the risk category', () => {
+  const profile = buildProfile({});
+  const { riskCapacity, riskTolerance, riskCategory, bindingConstraint, inconsistencies } = risk.assessRiskProfile(profile);
+
+  assert.deepEqual(riskCapacity.missingMetrics, ['netWorth', 'debtToIncome', 'emergencyFundMonths', 'dependents']);
+  assert.equal(riskCapacity.limitCategory, 'Ultra-Aggressive');
+  assert.equal(riskCategory, riskTolerance.category);
+  assert.equal(bindingConstraint, 'tolerance');
+  assert.ok(inconsistencies.some(inconsistency => inconsistency.type === 'capacity_data_missing'));
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schemeCategories = require('../modules/schemeCategories');
+
+test('maps API category names onto SEBI categories', () => {
+  assert.equal(schemeCategories.matchSchemeCategory('Equity - Large Cap'), 'largeCap');
+  assert.equal(schemeCategories.matchSchemeCategory('Conservative Allocation'), 'conservativeHybrid');
+  assert.equal(schemeCategories.matchSchemeCategory('ELSS (Tax Savings)'), 'elss');
+  assert.equal(schemeCategories.matchSchemeCategory('Equity: Index'), 'indexFundEtf');
+  // The scheme name is used when the category does not map
+  assert.equal(schemeCategories.matchSchemeCategory('Other', 'Axis Liquid Fund - Direct Growth'), 'liquid');
+  assert.equal(schemeCategories.matchSchemeCategory('Other'), null);
+});
+
+test('places index funds and ETFs by their scheme name', () => {
+  const fits = (name, assetClass) => schemeCategories.fitsAssetClass('indexFundEtf', assetClass, name);
+
+  assert.equal(fits('UTI Nifty 50 Index Fund', 'equity'), true);
+  assert.equal(fits('UTI Nifty 50 Index Fund', 'debt'), false);
+  assert.equal(fits('Bharat Bond ETF - April 2030', 'debt'), true);
+  assert.equal(fits('Bharat Bond ETF - April 2030', 'equity'), false);
+  assert.equal(fits('Nippon India Gold BeES', 'debt'), false);
+  assert.equal(fits('Nippon India Gold BeES', 'equity'), false);
+  assert.equal(fits(undefined, 'debt'), false);
+});
+
+test('keeps equity-heavy hybrids and solution oriented schemes out of debt', () => {
+  for (const key of ['balancedHybrid', 'balancedAdvantage', 'multiAssetAllocation', 'retirement', 'childrens']) {
+    assert.equal(schemeCategories.fitsAssetClass(key, 'debt'), false, key);
+    assert.equal(schemeCategories.fitsAssetClass(key, 'equity'), true, key);
+  }
+  assert.equal(schemeCategories.fitsAssetClass('arbitrage', 'debt'), true);
+  assert.equal(schemeCategories.fitsAssetClass('conservativeHybrid', 'debt'), true);
+  assert.equal(schemeCategories.fitsAssetClass(null, 'debt'), true);
+});